@@ -8,7 +8,12 @@ import Scene from './components/3d/Scene';
 import ControlPanel from './components/ui/ControlPanel';
 import Charts from './components/ui/Charts';
 import StatusDisplay from './components/ui/StatusDisplay';
+import CoreShapeEditor from './components/ui/CoreShapeEditor';
+import PropellantEditor from './components/ui/PropellantEditor';
 import ReportPage from './components/ui/ReportPage';
+import OptimizerPage from './components/ui/OptimizerPage';
+import DispersionPage from './components/ui/DispersionPage';
+import SweepPage from './components/ui/SweepPage';
 import RocketBuilder from './components/ui/RocketBuilder';
 import FlightSimulation from './components/ui/FlightSimulation';
 import useMotorStore from './store/motorStore';
@@ -24,6 +29,21 @@ function App() {
     return <ReportPage />;
   }
   
+  // Render Design Optimizer
+  if (currentPage === 'optimizer') {
+    return <OptimizerPage />;
+  }
+  
+  // Render Dispersion Analysis
+  if (currentPage === 'dispersion') {
+    return <DispersionPage />;
+  }
+  
+  // Render Parameter Sweep
+  if (currentPage === 'sweep') {
+    return <SweepPage />;
+  }
+  
   // Render Rocket Builder
   if (currentPage === 'rocket') {
     // Check if we're in flight mode
@@ -66,6 +86,8 @@ function App() {
         {/* UI Overlays */}
         <Charts />
         <StatusDisplay />
+        <CoreShapeEditor />
+        <PropellantEditor />
         
         {/* Instructions Overlay */}
         <div className="instructions">
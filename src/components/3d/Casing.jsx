@@ -6,6 +6,16 @@ import React, { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
+const AMBIENT_TEMPERATURE = 293.15; // K
+
+// Heat-map color of a wall face: material color through orange to red as it
+// nears the temperature where the material has lost its strength
+function temperatureColor(temperature, heatLimit, materialColor) {
+  const heat = Math.max(0, Math.min((temperature - AMBIENT_TEMPERATURE) / (heatLimit - AMBIENT_TEMPERATURE), 1));
+  if (heat < 0.5) return new THREE.Color(materialColor).lerp(new THREE.Color('#FF8800'), heat * 2);
+  return new THREE.Color('#FF8800').lerp(new THREE.Color('#FF1100'), (heat - 0.5) * 2);
+}
+
 export default function Casing({ 
   innerRadius = 0.04, 
   wallThickness = 0.003, 
@@ -13,6 +23,10 @@ export default function Casing({
   stress = 0,
   yieldStrength = 276e6,
   materialColor = '#A0A0A0',
+  innerTemperature = AMBIENT_TEMPERATURE,
+  outerTemperature = AMBIENT_TEMPERATURE,
+  heatLimit = 600,
+  showHeatMap = false,
   viewMode = 'cutaway',
   hasExploded = false,
   explosionProgress = 0,
@@ -31,6 +45,14 @@ export default function Casing({
     return new THREE.Color('#FFAA00').lerp(new THREE.Color('#FF0000'), Math.min(stressRatio - 1, 1));
   }, [stressRatio, materialColor]);
   
+  // Heat map: bore and outside faces colored by their own temperatures
+  const innerColor = useMemo(() => (
+    showHeatMap ? temperatureColor(innerTemperature, heatLimit, materialColor) : casingColor
+  ), [showHeatMap, innerTemperature, heatLimit, materialColor, casingColor]);
+  const outerColor = useMemo(() => (
+    showHeatMap ? temperatureColor(outerTemperature, heatLimit, materialColor) : casingColor
+  ), [showHeatMap, outerTemperature, heatLimit, materialColor, casingColor]);
+  
   const segments = 64;
   const thetaLength = viewMode === 'cutaway' ? Math.PI * 1.5 : Math.PI * 2;
   
@@ -50,25 +72,25 @@ export default function Casing({
       {/* Outer surface */}
       <mesh>
         <cylinderGeometry args={[outerRadius, outerRadius, length, segments, 1, true, 0, thetaLength]} />
-        <meshStandardMaterial color={casingColor} metalness={0.8} roughness={0.2} side={THREE.FrontSide} />
+        <meshStandardMaterial color={outerColor} metalness={0.8} roughness={0.2} side={THREE.FrontSide} />
       </mesh>
       
       {/* Inner surface */}
       <mesh>
         <cylinderGeometry args={[innerRadius, innerRadius, length, segments, 1, true, 0, thetaLength]} />
-        <meshStandardMaterial color={casingColor} metalness={0.6} roughness={0.3} side={THREE.BackSide} />
+        <meshStandardMaterial color={innerColor} metalness={0.6} roughness={0.3} side={THREE.BackSide} />
       </mesh>
       
       {/* Top ring */}
       <mesh position={[0, length / 2, 0]} rotation={[-Math.PI / 2, 0, 0]}>
         <ringGeometry args={[innerRadius, outerRadius, segments, 1, 0, thetaLength]} />
-        <meshStandardMaterial color={casingColor} metalness={0.7} roughness={0.3} side={THREE.DoubleSide} />
+        <meshStandardMaterial color={innerColor.clone().lerp(outerColor, 0.5)} metalness={0.7} roughness={0.3} side={THREE.DoubleSide} />
       </mesh>
       
       {/* Bottom ring */}
       <mesh position={[0, -length / 2, 0]} rotation={[Math.PI / 2, 0, 0]}>
         <ringGeometry args={[innerRadius, outerRadius, segments, 1, 0, thetaLength]} />
-        <meshStandardMaterial color={casingColor} metalness={0.7} roughness={0.3} side={THREE.DoubleSide} />
+        <meshStandardMaterial color={innerColor.clone().lerp(outerColor, 0.5)} metalness={0.7} roughness={0.3} side={THREE.DoubleSide} />
       </mesh>
       
     </group>
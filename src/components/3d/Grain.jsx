@@ -1,8 +1,10 @@
 /**
  * Propellant Grain Component
- * BATES grain segments, vertical along Y-axis
+ * Grain segments, vertical along Y-axis
+ * Round-core types are drawn as tubes; moonburner and C-slot segments are
+ * extruded from their cross-section
  */
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
@@ -11,6 +13,7 @@ export default function Grain({
   innerRadius = 0.012,
   length = 0.070,
   segments = 4,
+  segmentStates = null,
   viewMode = 'cutaway',
   burnProgress = 0,
   isBurning = false,
@@ -24,6 +27,15 @@ export default function Grain({
   const webThickness = outerRadius - innerRadius;
   const currentInnerRadius = innerRadius + webThickness * progress;
   
+  // Per-segment geometry from the simulation (falls back to identical segments)
+  const slots = segmentStates || Array.from({ length: segments }, () => ({
+    originalLength: length,
+    length,
+    coreRadius: currentInnerRadius,
+    outerRadius,
+    burnedOut: false,
+  }));
+  
   // Grain color
   const grainColor = useMemo(() => {
     if (showHeatMap && isBurning) {
@@ -35,13 +47,14 @@ export default function Grain({
     return '#E8E4D0'; // Cream/off-white KNSB color
   }, [showHeatMap, isBurning, chamberPressure]);
   
-  // Don't render if burned out
-  if (progress >= 0.98) return null;
+  // Alternate grains of a stack get a slightly darker cast so the joins are visible
+  const slotColor = (slot) => (!showHeatMap && slot.grainIndex % 2 === 1 ? '#D6D0B8' : grainColor);
   
   const gap = 0.006;
-  const totalLength = segments * length + (segments - 1) * gap;
+  const totalLength = slots.reduce((sum, s) => sum + s.originalLength, 0) + (slots.length - 1) * gap;
   const radialSegments = 48;
   const thetaLength = viewMode === 'cutaway' ? Math.PI * 1.5 : Math.PI * 2;
+  const glowRadius = Math.min(...slots.map(s => s.coreRadius)) * 0.99;
   
   // Animate glow
   useFrame((state) => {
@@ -50,19 +63,40 @@ export default function Grain({
     }
   });
   
+  // Don't render if burned out
+  if (progress >= 0.98 || slots.every(s => s.burnedOut)) return null;
+  
+  // Segments stack from the forward end; each stays centered in its original slot
+  let slotTop = totalLength / 2;
+  
   return (
     <group>
       {/* Grain segments */}
-      {Array.from({ length: segments }).map((_, i) => {
-        const yPos = totalLength / 2 - i * (length + gap) - length / 2;
+      {slots.map((slot, i) => {
+        const yPos = slotTop - slot.originalLength / 2;
+        slotTop -= slot.originalLength + gap;
+        if (slot.burnedOut || slot.length <= 0) return null;
+        if (slot.type === 'moonburner' || slot.type === 'cslot') {
+          return (
+            <ProfileSegment
+              key={i}
+              position={[0, yPos, 0]}
+              slot={slot}
+              grainColor={slotColor(slot)}
+              isBurning={isBurning}
+            />
+          );
+        }
         return (
           <GrainSegment
             key={i}
             position={[0, yPos, 0]}
-            outerRadius={outerRadius}
-            innerRadius={currentInnerRadius}
-            length={length}
-            grainColor={grainColor}
+            outerRadius={slot.outerRadius}
+            innerRadius={Math.min(slot.tubeRadius ?? slot.coreRadius, slot.outerRadius * 0.99)}
+            rodRadius={slot.rodRadius || 0}
+            stationRadii={slot.type === 'rodandtube' ? null : slot.stationRadii}
+            length={slot.length}
+            grainColor={slotColor(slot)}
             thetaLength={thetaLength}
             radialSegments={radialSegments}
             isBurning={isBurning}
@@ -73,7 +107,7 @@ export default function Grain({
       {/* Burning glow */}
       {isBurning && (
         <mesh ref={glowRef}>
-          <cylinderGeometry args={[currentInnerRadius * 0.99, currentInnerRadius * 0.99, totalLength * 0.95, 32, 1, true]} />
+          <cylinderGeometry args={[glowRadius, glowRadius, totalLength * 0.95, 32, 1, true]} />
           <meshBasicMaterial color="#FF4400" transparent opacity={0.5} blending={THREE.AdditiveBlending} side={THREE.BackSide} />
         </mesh>
       )}
@@ -84,9 +118,25 @@ export default function Grain({
   );
 }
 
-function GrainSegment({ position, outerRadius, innerRadius, length, grainColor, thetaLength, radialSegments, isBurning }) {
+function GrainSegment({ position, outerRadius, innerRadius, rodRadius = 0, stationRadii = null, length, grainColor, thetaLength, radialSegments, isBurning }) {
   const burnColor = isBurning ? '#AA5533' : grainColor;
   
+  // Tapered core through the axial stations (forward end at the top)
+  const stationKey = stationRadii ? stationRadii.map(r => r.toFixed(5)).join(',') : '';
+  const coreProfile = useMemo(() => {
+    if (!stationRadii || stationRadii.length < 2) return null;
+    const radii = stationRadii.map(r => Math.min(r, outerRadius * 0.99));
+    const step = length / radii.length;
+    const points = [new THREE.Vector2(radii[radii.length - 1], -length / 2)];
+    for (let k = radii.length - 1; k >= 0; k--) {
+      points.push(new THREE.Vector2(radii[k], length / 2 - (k + 0.5) * step));
+    }
+    points.push(new THREE.Vector2(radii[0], length / 2));
+    return { points, top: radii[0], bottom: radii[radii.length - 1] };
+  }, [stationKey, outerRadius, length]); // eslint-disable-line react-hooks/exhaustive-deps
+  const topInner = coreProfile ? coreProfile.top : innerRadius;
+  const bottomInner = coreProfile ? coreProfile.bottom : innerRadius;
+  
   return (
     <group position={position}>
       {/* Outer surface */}
@@ -95,22 +145,52 @@ function GrainSegment({ position, outerRadius, innerRadius, length, grainColor,
         <meshStandardMaterial color={grainColor} roughness={0.9} metalness={0.02} side={THREE.FrontSide} />
       </mesh>
       
-      {/* Inner (burning) surface */}
-      <mesh>
-        <cylinderGeometry args={[innerRadius, innerRadius, length, radialSegments, 1, true, 0, thetaLength]} />
-        <meshStandardMaterial 
-          color={burnColor} 
-          roughness={0.85} 
-          metalness={0.02} 
-          emissive={isBurning ? '#331100' : '#000000'} 
-          emissiveIntensity={isBurning ? 0.4 : 0}
-          side={THREE.BackSide} 
-        />
-      </mesh>
+      {/* Central rod (rod-and-tube) */}
+      {rodRadius > 0 && (
+        <mesh>
+          <cylinderGeometry args={[rodRadius, rodRadius, length, radialSegments]} />
+          <meshStandardMaterial 
+            color={burnColor} 
+            roughness={0.85} 
+            emissive={isBurning ? '#331100' : '#000000'} 
+            emissiveIntensity={isBurning ? 0.4 : 0}
+          />
+        </mesh>
+      )}
+      
+      {/* Tapered inner (burning) surface */}
+      {coreProfile && (
+        <mesh>
+          <latheGeometry args={[coreProfile.points, radialSegments, 0, thetaLength]} />
+          <meshStandardMaterial 
+            color={burnColor} 
+            roughness={0.85} 
+            metalness={0.02} 
+            emissive={isBurning ? '#331100' : '#000000'} 
+            emissiveIntensity={isBurning ? 0.4 : 0}
+            side={THREE.DoubleSide} 
+          />
+        </mesh>
+      )}
+      
+      {/* Inner (burning) surface - end-burners have no core */}
+      {!coreProfile && innerRadius > 0 && (
+        <mesh>
+          <cylinderGeometry args={[innerRadius, innerRadius, length, radialSegments, 1, true, 0, thetaLength]} />
+          <meshStandardMaterial 
+            color={burnColor} 
+            roughness={0.85} 
+            metalness={0.02} 
+            emissive={isBurning ? '#331100' : '#000000'} 
+            emissiveIntensity={isBurning ? 0.4 : 0}
+            side={THREE.BackSide} 
+          />
+        </mesh>
+      )}
       
       {/* Top end */}
       <mesh position={[0, length / 2, 0]} rotation={[-Math.PI / 2, 0, 0]}>
-        <ringGeometry args={[innerRadius, outerRadius, radialSegments, 1, 0, thetaLength]} />
+        <ringGeometry args={[topInner, outerRadius, radialSegments, 1, 0, thetaLength]} />
         <meshStandardMaterial 
           color={isBurning ? '#BB7755' : grainColor} 
           roughness={0.9} 
@@ -122,10 +202,75 @@ function GrainSegment({ position, outerRadius, innerRadius, length, grainColor,
       
       {/* Bottom end */}
       <mesh position={[0, -length / 2, 0]} rotation={[Math.PI / 2, 0, 0]}>
-        <ringGeometry args={[innerRadius, outerRadius, radialSegments, 1, 0, thetaLength]} />
+        <ringGeometry args={[bottomInner, outerRadius, radialSegments, 1, 0, thetaLength]} />
+        <meshStandardMaterial 
+          color={isBurning ? '#BB7755' : grainColor} 
+          roughness={0.9}
+          emissive={isBurning ? '#221100' : '#000000'}
+          emissiveIntensity={isBurning ? 0.3 : 0}
+          side={THREE.DoubleSide} 
+        />
+      </mesh>
+    </group>
+  );
+}
+
+/**
+ * Grain face outline with the regressed port cut out
+ * Moonburner: offset round core (a crescent once it breaks through the wall)
+ * C-slot: rectangular notch from the outer wall toward the axis
+ */
+function buildFaceShape(slot) {
+  const R = slot.outerRadius;
+  const shape = new THREE.Shape();
+  
+  if (slot.type === 'moonburner') {
+    const e = Math.abs(slot.coreOffset);
+    const r = slot.offsetCoreRadius;
+    if (e + r < R) {
+      shape.absarc(0, 0, R, 0, Math.PI * 2, false);
+      const hole = new THREE.Path();
+      hole.absarc(e, 0, r, 0, Math.PI * 2, true);
+      shape.holes.push(hole);
+      return shape;
+    }
+    const clamp = (x) => Math.min(Math.max(x, -1), 1);
+    const theta = Math.acos(clamp((R * R + e * e - r * r) / (2 * R * e)));
+    const phi = Math.acos(clamp((R * R - e * e - r * r) / (2 * e * r)));
+    shape.absarc(0, 0, R, theta, Math.PI * 2 - theta, false);
+    shape.absarc(e, 0, r, Math.PI * 2 - phi, phi, true);
+    return shape;
+  }
+  
+  // C-slot
+  const halfWidth = Math.min(slot.slotWidth / 2, R * 0.99);
+  const alpha = Math.asin(halfWidth / R);
+  const inner = Math.min(slot.slotInnerRadius, R * Math.cos(alpha));
+  shape.absarc(0, 0, R, alpha, Math.PI * 2 - alpha, false);
+  shape.lineTo(inner, -halfWidth);
+  shape.lineTo(inner, halfWidth);
+  shape.closePath();
+  return shape;
+}
+
+function ProfileSegment({ position, slot, grainColor, isBurning }) {
+  const { type, outerRadius, coreOffset, offsetCoreRadius, slotWidth, slotInnerRadius, length } = slot;
+  const geometry = useMemo(() => {
+    const shape = buildFaceShape({ type, outerRadius, coreOffset, offsetCoreRadius, slotWidth, slotInnerRadius });
+    return new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 48 });
+  }, [type, outerRadius, coreOffset, offsetCoreRadius, slotWidth, slotInnerRadius, length]);
+  
+  // Dispose the previous extrusion when the port regresses
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  
+  return (
+    <group position={position}>
+      {/* Extruded along +Z, turned to stand along Y */}
+      <mesh geometry={geometry} position={[0, -length / 2, 0]} rotation={[-Math.PI / 2, 0, 0]}>
         <meshStandardMaterial 
           color={isBurning ? '#BB7755' : grainColor} 
           roughness={0.9}
+          metalness={0.02}
           emissive={isBurning ? '#221100' : '#000000'}
           emissiveIntensity={isBurning ? 0.3 : 0}
           side={THREE.DoubleSide} 
@@ -18,7 +18,7 @@ export default function MotorAssembly() {
   
   const { state, step, viewMode, showHeatMap, showParticles, cameraShake } = useMotorStore();
   
-  // Run simulation each frame
+  // Advance the replay of the precomputed burn each frame
   useFrame((_, delta) => {
     const dt = Math.min(delta, 0.05);
     step(dt);
@@ -45,11 +45,11 @@ export default function MotorAssembly() {
   
   if (!state) return null;
   
-  const { config, grainBurnProgress, chamberPressure, thrust, burnRate, stress, isBurning, hasExploded } = state;
+  const { config, grainBurnProgress, segmentStates, chamberPressure, thrust, burnRate, stress, isBurning, hasExploded } = state;
   
   // Geometry calculations
   const segmentGap = 0.006;
-  const grainLength = config.grainConfig.length * config.grainConfig.segments + (config.grainConfig.segments - 1) * segmentGap;
+  const grainLength = segmentStates.reduce((sum, s) => sum + s.originalLength, 0) + (segmentStates.length - 1) * segmentGap;
   const casingLength = grainLength + 0.03; // Extra space at ends
   const nozzleLength = 0.06;
   const closureThickness = 0.012;
@@ -65,8 +65,12 @@ export default function MotorAssembly() {
         wallThickness={config.casing.wallThickness}
         length={casingLength}
         stress={stress || 0}
-        yieldStrength={config.material.yieldStrength}
+        yieldStrength={state.structural?.checks.casing.yieldStrength || config.material.yieldStrength}
         materialColor={config.material.color}
+        innerTemperature={state.wallThermal.casing.inner}
+        outerTemperature={state.wallThermal.casing.outer}
+        heatLimit={config.material.strengthRetention?.at(-1)[0]}
+        showHeatMap={showHeatMap}
         viewMode={viewMode}
         hasExploded={hasExploded}
         explosionProgress={explosionProgress}
@@ -79,6 +83,7 @@ export default function MotorAssembly() {
           innerRadius={config.grainConfig.coreRadius}
           length={config.grainConfig.length}
           segments={config.grainConfig.segments}
+          segmentStates={segmentStates}
           viewMode={viewMode}
           burnProgress={grainBurnProgress || 0}
           isBurning={isBurning}
@@ -90,7 +95,7 @@ export default function MotorAssembly() {
       {/* Nozzle - at bottom of casing */}
       {!hasExploded && (
         <Nozzle
-          throatDiameter={config.nozzle.throatDiameter}
+          throatDiameter={state.throatDiameter || config.nozzle.throatDiameter}
           exitDiameter={config.nozzle.exitDiameter}
           inletDiameter={config.casing.innerRadius * 1.8}
           length={nozzleLength}
@@ -1,8 +1,8 @@
 /**
  * Performance Charts Component
- * Real-time thrust and pressure graphs
+ * Real-time thrust and pressure graphs, with static-fire data overlaid
  */
-import React, { useMemo } from 'react';
+import React, { useMemo, useRef } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -31,8 +31,18 @@ ChartJS.register(
   Filler
 );
 
+// Chart points on a linear time axis, so simulated and measured curves need not share samples
+const toPoints = (time, values) => time.map((t, i) => ({ x: t, y: values[i] }));
+
+// Every nth index so a curve keeps at most maxPoints samples
+const sampleIndices = (length, maxPoints) => {
+  const step = Math.max(Math.ceil(length / maxPoints), 1);
+  return Array.from({ length: Math.ceil(length / step) }, (_, i) => i * step);
+};
+
 export default function Charts() {
-  const { state, showCharts, ignite, reset, isRunning } = useMotorStore();
+  const { state, showCharts, ignite, reset, isRunning, solving, cancelSolve, testData, loadTestData, clearTestData } = useMotorStore();
+  const testInputRef = useRef(null);
   
   const history = state?.history || {
     time: [],
@@ -59,12 +69,43 @@ export default function Charts() {
     };
   }, [history]);
   
+  // Static-fire curves, sampled the same way
+  const testDatasets = useMemo(() => {
+    if (!testData) return { thrust: [], pressure: [] };
+    const indices = sampleIndices(testData.time.length, maxPoints);
+    const time = indices.map(i => testData.time[i]);
+    const overlay = (label, values) => ({
+      label,
+      data: toPoints(time, indices.map(i => values[i])),
+      borderColor: 'rgb(255, 255, 255)',
+      fill: false,
+      tension: 0.3,
+      pointRadius: 0,
+      borderWidth: 1.5,
+      borderDash: [4, 3],
+    });
+    return {
+      thrust: [overlay('Static Fire (N)', testData.thrust)],
+      pressure: testData.pressure ? [overlay('Static Fire (MPa)', testData.pressure)] : [],
+    };
+  }, [testData]);
+  
+  // Load a static-fire CSV to overlay
+  const handleTestImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => loadTestData(e.target.result);
+    reader.readAsText(file);
+    event.target.value = ''; // Reset file input
+  };
+  
   const thrustChartData = {
-    labels: sampledData.time.map(t => t.toFixed(2)),
     datasets: [
       {
         label: 'Thrust (N)',
-        data: sampledData.thrust,
+        data: toPoints(sampledData.time, sampledData.thrust),
         borderColor: 'rgb(255, 99, 71)',
         backgroundColor: 'rgba(255, 99, 71, 0.2)',
         fill: true,
@@ -72,15 +113,15 @@ export default function Charts() {
         pointRadius: 0,
         borderWidth: 2,
       },
+      ...testDatasets.thrust,
     ],
   };
   
   const pressureChartData = {
-    labels: sampledData.time.map(t => t.toFixed(2)),
     datasets: [
       {
         label: 'Chamber Pressure (MPa)',
-        data: sampledData.pressure,
+        data: toPoints(sampledData.time, sampledData.pressure),
         borderColor: 'rgb(54, 162, 235)',
         backgroundColor: 'rgba(54, 162, 235, 0.2)',
         fill: true,
@@ -90,7 +131,7 @@ export default function Charts() {
       },
       {
         label: 'Stress (MPa)',
-        data: sampledData.stress,
+        data: toPoints(sampledData.time, sampledData.stress),
         borderColor: 'rgb(255, 206, 86)',
         backgroundColor: 'rgba(255, 206, 86, 0.1)',
         fill: false,
@@ -99,6 +140,7 @@ export default function Charts() {
         borderWidth: 1.5,
         borderDash: [5, 5],
       },
+      ...testDatasets.pressure,
     ],
   };
   
@@ -123,6 +165,7 @@ export default function Charts() {
     },
     scales: {
       x: {
+        type: 'linear',
         display: true,
         title: {
           display: true,
@@ -177,14 +220,29 @@ export default function Charts() {
         <button 
           className="ignite-btn" 
           onClick={ignite}
-          disabled={isRunning || state?.isBurnedOut || state?.hasExploded}
+          disabled={Boolean(solving) || isRunning || state?.isBurnedOut || state?.hasExploded || state?.isHangFire}
         >
-          {state?.isBurnedOut ? 'Burned Out' : state?.hasExploded ? 'CATO!' : isRunning ? 'Burning...' : 'IGNITE'}
+          {solving ? `Solving... ${(solving.progress * 100).toFixed(0)}%` : state?.isBurnedOut ? 'Burned Out' : state?.hasExploded ? 'CATO!' : state?.isHangFire ? 'Hang-Fire' : isRunning ? 'Burning...' : 'IGNITE'}
         </button>
-        <button className="reset-btn" onClick={reset}>
-          Reset
+        <button className="reset-btn" onClick={solving ? cancelSolve : reset}>
+          {solving ? 'Cancel' : 'Reset'}
+        </button>
+        <button
+          className="reset-btn"
+          onClick={() => (testData ? clearTestData() : testInputRef.current?.click())}
+          title="Static-fire CSV: time (s), thrust (N), optional pressure (MPa gauge)"
+        >
+          {testData ? 'Clear Test' : 'Load Test'}
         </button>
       </div>
+      
+      <input
+        ref={testInputRef}
+        type="file"
+        accept=".csv,.txt,.tsv"
+        style={{ display: 'none' }}
+        onChange={handleTestImport}
+      />
     </div>
   );
 }
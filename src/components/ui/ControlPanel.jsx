@@ -4,7 +4,187 @@
  */
 import React from 'react';
 import { useControls, button, folder } from 'leva';
-import useMotorStore, { PROPELLANTS, MATERIALS, GRAIN_TYPES } from '../../store/motorStore';
+import useMotorStore, { PROPELLANTS, MATERIALS, NOZZLE_MATERIALS, GRAIN_TYPES, INHIBITED_ENDS, getDefaultInhibitedEnds, EROSIVE_MODELS, CLOSURE_TYPES, LINER_MATERIALS, INSULATION_MATERIALS, MAX_GRAINS } from '../../store/motorStore';
+
+const INHIBITED_END_OPTIONS = {
+  'Neither': INHIBITED_ENDS.NEITHER,
+  'Forward': INHIBITED_ENDS.FORWARD,
+  'Aft': INHIBITED_ENDS.AFT,
+  'Both': INHIBITED_ENDS.BOTH,
+};
+
+const GRAIN_TYPE_OPTIONS = {
+  'BATES': GRAIN_TYPES.BATES,
+  'Star': GRAIN_TYPES.STAR,
+  'Cylindrical': GRAIN_TYPES.CYLINDRICAL,
+  'Finocyl': GRAIN_TYPES.FINOCYL,
+  'End-Burner': GRAIN_TYPES.END_BURNER,
+  'Moonburner': GRAIN_TYPES.MOONBURNER,
+  'C-Slot': GRAIN_TYPES.C_SLOT,
+  'Rod and Tube': GRAIN_TYPES.ROD_AND_TUBE,
+  'Custom Shape': GRAIN_TYPES.CUSTOM,
+};
+
+// Panel values for the grain fields an optimizer design changes, from a grain or grain draft
+const designGrainControls = (grain) => Object.fromEntries([
+  ['Segments', grain.segments],
+  ['Core Diameter (mm)', grain.coreRadius * 2000],
+  ['Segment Length (mm)', grain.length * 1000],
+].filter(([, value]) => Number.isFinite(value)));
+
+/**
+ * Controls for one additional grain of the stack (grain 2 and aft)
+ * Shown while the grain count in 'Grain Geometry' includes it
+ */
+function GrainControls({ index }) {
+  const updateGrain = useMotorStore((s) => s.updateGrain);
+  const folderName = `Grain ${index + 1}`;
+  const isType = (type) => (get) => get(`${folderName}.Grain Type`) === type;
+  const update = (changes) => updateGrain(index, changes);
+  
+  // Inhibited ends stay at the grain type's default until picked in the panel
+  const [, setGrainControls] = useControls(folderName, () => ({
+    'Grain Type': {
+      value: GRAIN_TYPES.BATES,
+      options: GRAIN_TYPE_OPTIONS,
+      onChange: (v) => {
+        update({ type: v });
+        setGrainControls({ 'Inhibited Ends': getDefaultInhibitedEnds(v) });
+      },
+    },
+    'Segments': {
+      value: 1,
+      min: 1,
+      max: 8,
+      step: 1,
+      onChange: (v) => update({ segments: v }),
+    },
+    'Core Diameter (mm)': {
+      value: 19,
+      min: 8,
+      max: 40,
+      step: 1,
+      onChange: (v) => update({ coreRadius: v / 2000 }),
+    },
+    'Outer Diameter (mm)': {
+      value: 57,
+      min: 30,
+      max: 80,
+      step: 1,
+      onChange: (v) => update({ outerRadius: v / 2000 }),
+    },
+    'Segment Length (mm)': {
+      value: 65,
+      min: 30,
+      max: 150,
+      step: 5,
+      onChange: (v) => update({ length: v / 1000 }),
+    },
+    'Inhibited Ends': {
+      value: getDefaultInhibitedEnds(GRAIN_TYPES.BATES),
+      options: INHIBITED_END_OPTIONS,
+      onChange: (v, path, { initial, fromPanel }) => {
+        if (!initial && fromPanel) update({ inhibitedEnds: v });
+      },
+    },
+    'Inhibit Outer Surface': {
+      value: true,
+      onChange: (v) => update({ inhibitedOuter: v }),
+    },
+    'Star Points': {
+      value: 5,
+      min: 3,
+      max: 12,
+      step: 1,
+      render: isType(GRAIN_TYPES.STAR),
+      onChange: (v) => update({ starPoints: v }),
+    },
+    'Point Length (mm)': {
+      value: 16,
+      min: 5,
+      max: 35,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.STAR),
+      onChange: (v) => update({ starPointLength: v / 1000 }),
+    },
+    'Point Width (mm)': {
+      value: 8,
+      min: 1,
+      max: 20,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.STAR),
+      onChange: (v) => update({ starPointWidth: v / 1000 }),
+    },
+    'Fins': {
+      value: 6,
+      min: 2,
+      max: 12,
+      step: 1,
+      render: isType(GRAIN_TYPES.FINOCYL),
+      onChange: (v) => update({ finCount: v }),
+    },
+    'Fin Length (mm)': {
+      value: 8,
+      min: 1,
+      max: 25,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.FINOCYL),
+      onChange: (v) => update({ finLength: v / 1000 }),
+    },
+    'Fin Width (mm)': {
+      value: 3,
+      min: 1,
+      max: 10,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.FINOCYL),
+      onChange: (v) => update({ finWidth: v / 1000 }),
+    },
+    'Core Offset (mm)': {
+      value: 12,
+      min: 0,
+      max: 30,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.MOONBURNER),
+      onChange: (v) => update({ coreOffset: v / 1000 }),
+    },
+    'Slot Width (mm)': {
+      value: 6,
+      min: 1,
+      max: 20,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.C_SLOT),
+      onChange: (v) => update({ slotWidth: v / 1000 }),
+    },
+    'Slot Depth (mm)': {
+      value: 18,
+      min: 2,
+      max: 40,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.C_SLOT),
+      onChange: (v) => update({ slotDepth: v / 1000 }),
+    },
+    'Rod Diameter (mm)': {
+      value: 10,
+      min: 2,
+      max: 30,
+      step: 0.5,
+      render: isType(GRAIN_TYPES.ROD_AND_TUBE),
+      onChange: (v) => update({ rodRadius: v / 2000 }),
+    },
+  }), {
+    collapsed: true,
+    render: (get) => get('Grain Geometry.Grains') > index,
+  });
+  
+  // Coming back to the panel, show the grain as the store holds it (e.g. after
+  // an applied design) before the panel replays its values into the stack
+  React.useLayoutEffect(() => {
+    const draft = useMotorStore.getState().grainDrafts[index];
+    if (draft) setGrainControls(designGrainControls(draft));
+  }, [index, setGrainControls]);
+  
+  return null;
+}
 
 export default function ControlPanel() {
   const {
@@ -17,21 +197,27 @@ export default function ControlPanel() {
     setShowHeatMap,
     setShowParticles,
     setPropellant,
+    setShowPropellantEditor,
+    customPropellants,
+    propellantKey,
     setMaterial,
+    setNozzleMaterial,
     setGrainType,
+    setGrainCount,
     updateConfig,
     isRunning,
     viewMode,
     showHeatMap,
     showParticles,
     timeScale,
+    setSolverOptions,
     setCurrentPage,
     downloadMotor,
   } = useMotorStore();
   
-  // Initialize simulation on first render
+  // Initialize simulation on first render; coming back from another page keeps the motor (and its calibration)
   React.useEffect(() => {
-    initSimulation({});
+    if (!useMotorStore.getState().simulation) initSimulation({});
   }, [initSimulation]);
   
   // Simulation Controls
@@ -39,6 +225,9 @@ export default function ControlPanel() {
     'Build Rocket': button(() => setCurrentPage('rocket')),
     'Export Motor': button(() => downloadMotor()),
     'View Report': button(() => setCurrentPage('report')),
+    'Optimize Design': button(() => setCurrentPage('optimizer')),
+    'Dispersion Analysis': button(() => setCurrentPage('dispersion')),
+    'Parameter Sweep': button(() => setCurrentPage('sweep')),
     'Reset': button(() => reset()),
     'Time Scale': {
       value: timeScale,
@@ -47,6 +236,20 @@ export default function ControlPanel() {
       step: 0.1,
       onChange: (v) => setTimeScale(v),
     },
+    'Solver Step (ms)': {
+      value: 10,
+      min: 1,
+      max: 20,
+      step: 1,
+      onChange: (v) => setSolverOptions({ timeStep: v / 1000 }),
+    },
+    'Web Step (µm, 0 = off)': {
+      value: 0,
+      min: 0,
+      max: 100,
+      step: 5,
+      onChange: (v) => setSolverOptions({ webStep: v > 0 ? v / 1e6 : null }),
+    },
   });
   
   // View Controls
@@ -70,14 +273,24 @@ export default function ControlPanel() {
     },
   });
   
-  // Motor Configuration
+  // Motor Configuration - the propellant list grows as custom propellants are saved
+  const propellantOptions = [...Object.keys(PROPELLANTS), ...Object.keys(customPropellants)];
+  const [, setPropellantControl] = useControls('Motor Design', () => ({
+    'Propellant': {
+      value: 'KNSB',
+      options: propellantOptions,
+      onChange: (v) => setPropellant(v),
+    },
+    'Propellant Editor': button(() => setShowPropellantEditor(true)),
+  }), [propellantOptions.join()]);
+  
+  // Follow propellants chosen from the editor
+  React.useEffect(() => {
+    setPropellantControl({ 'Propellant': propellantKey });
+  }, [propellantKey, setPropellantControl]);
+  
   useControls('Motor Design', {
     ...folder({
-      'Propellant': {
-        value: 'KNSB',
-        options: Object.keys(PROPELLANTS),
-        onChange: (v) => setPropellant(v),
-      },
       'Casing Material': {
         value: 'ALUMINUM',
         options: Object.keys(MATERIALS),
@@ -86,16 +299,23 @@ export default function ControlPanel() {
     }, { collapsed: false }),
   });
   
-  // Grain Configuration
-  useControls('Grain Geometry', {
+  // Grain Configuration (grain 1, forward end of the stack)
+  // Inhibited ends stay at the grain type's default until picked in the panel
+  const [, setGrainControls] = useControls('Grain Geometry', () => ({
+    'Grains': {
+      value: 1,
+      min: 1,
+      max: MAX_GRAINS,
+      step: 1,
+      onChange: (v) => setGrainCount(v),
+    },
     'Grain Type': {
       value: 'bates',
-      options: {
-        'BATES': GRAIN_TYPES.BATES,
-        'Star': GRAIN_TYPES.STAR,
-        'Cylindrical': GRAIN_TYPES.CYLINDRICAL,
+      options: GRAIN_TYPE_OPTIONS,
+      onChange: (v) => {
+        setGrainType(v);
+        setGrainControls({ 'Inhibited Ends': getDefaultInhibitedEnds(v) });
       },
-      onChange: (v) => setGrainType(v),
     },
     'Segments': {
       value: 4,
@@ -125,10 +345,101 @@ export default function ControlPanel() {
       step: 5,
       onChange: (v) => updateConfig({ grainConfig: { length: v / 1000 } }),
     },
-  });
+    'Inhibited Ends': {
+      value: getDefaultInhibitedEnds(GRAIN_TYPES.BATES),
+      options: INHIBITED_END_OPTIONS,
+      onChange: (v, path, { initial, fromPanel }) => {
+        if (!initial && fromPanel) updateConfig({ grainConfig: { inhibitedEnds: v } });
+      },
+    },
+    'Inhibit Outer Surface': {
+      value: true,
+      onChange: (v) => updateConfig({ grainConfig: { inhibitedOuter: v } }),
+    },
+    'Star Points': {
+      value: 5,
+      min: 3,
+      max: 12,
+      step: 1,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.STAR,
+      onChange: (v) => updateConfig({ grainConfig: { starPoints: v } }),
+    },
+    'Point Length (mm)': {
+      value: 16,
+      min: 5,
+      max: 35,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.STAR,
+      onChange: (v) => updateConfig({ grainConfig: { starPointLength: v / 1000 } }),
+    },
+    'Point Width (mm)': {
+      value: 8,
+      min: 1,
+      max: 20,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.STAR,
+      onChange: (v) => updateConfig({ grainConfig: { starPointWidth: v / 1000 } }),
+    },
+    'Fins': {
+      value: 6,
+      min: 2,
+      max: 12,
+      step: 1,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.FINOCYL,
+      onChange: (v) => updateConfig({ grainConfig: { finCount: v } }),
+    },
+    'Fin Length (mm)': {
+      value: 8,
+      min: 1,
+      max: 25,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.FINOCYL,
+      onChange: (v) => updateConfig({ grainConfig: { finLength: v / 1000 } }),
+    },
+    'Fin Width (mm)': {
+      value: 3,
+      min: 1,
+      max: 10,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.FINOCYL,
+      onChange: (v) => updateConfig({ grainConfig: { finWidth: v / 1000 } }),
+    },
+    'Core Offset (mm)': {
+      value: 12,
+      min: 0,
+      max: 30,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.MOONBURNER,
+      onChange: (v) => updateConfig({ grainConfig: { coreOffset: v / 1000 } }),
+    },
+    'Slot Width (mm)': {
+      value: 6,
+      min: 1,
+      max: 20,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.C_SLOT,
+      onChange: (v) => updateConfig({ grainConfig: { slotWidth: v / 1000 } }),
+    },
+    'Slot Depth (mm)': {
+      value: 18,
+      min: 2,
+      max: 40,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.C_SLOT,
+      onChange: (v) => updateConfig({ grainConfig: { slotDepth: v / 1000 } }),
+    },
+    'Rod Diameter (mm)': {
+      value: 10,
+      min: 2,
+      max: 30,
+      step: 0.5,
+      render: (get) => get('Grain Geometry.Grain Type') === GRAIN_TYPES.ROD_AND_TUBE,
+      onChange: (v) => updateConfig({ grainConfig: { rodRadius: v / 2000 } }),
+    },
+  }));
   
   // Nozzle Configuration
-  useControls('Nozzle', {
+  const [, setNozzleControls] = useControls('Nozzle', () => ({
     'Throat Diameter (mm)': {
       value: 9,
       min: 4,
@@ -143,14 +454,110 @@ export default function ControlPanel() {
       step: 1,
       onChange: (v) => updateConfig({ nozzle: { exitDiameter: v / 1000 } }),
     },
-    'Nozzle Efficiency': {
-      value: 0.90,
-      min: 0.75,
-      max: 0.98,
-      step: 0.01,
-      onChange: (v) => updateConfig({ nozzle: { efficiency: v } }),
+    'Divergence Half-Angle (°)': {
+      value: 15,
+      min: 5,
+      max: 30,
+      step: 0.5,
+      onChange: (v) => updateConfig({ nozzle: { divergenceHalfAngle: v } }),
+    },
+    'Ambient Pressure (kPa)': {
+      value: 101.3,
+      min: 0,
+      max: 120,
+      step: 0.1,
+      onChange: (v) => updateConfig({ nozzle: { ambientPressure: v * 1000 } }),
     },
-  });
+    'Nozzle Material': {
+      value: 'GRAPHITE',
+      options: Object.keys(NOZZLE_MATERIALS),
+      onChange: (v) => setNozzleMaterial(v),
+    },
+  }));
+  
+  // Coming back to the panel, show the motor as the store holds it (e.g. after
+  // an applied design) before the panel replays its values into it; layout
+  // effects run ahead of every panel's first onChange
+  React.useLayoutEffect(() => {
+    const { simulation } = useMotorStore.getState();
+    if (!simulation) return;
+    const { grainConfig, nozzle } = simulation.config;
+    setGrainControls(designGrainControls(grainConfig));
+    setNozzleControls({
+      'Throat Diameter (mm)': nozzle.throatDiameter * 1000,
+      'Exit Diameter (mm)': nozzle.exitDiameter * 1000,
+    });
+  }, [setGrainControls, setNozzleControls]);
+  
+  // Erosive Burning
+  useControls('Erosive Burning', {
+    'Model': {
+      value: EROSIVE_MODELS.NONE,
+      options: {
+        'None': EROSIVE_MODELS.NONE,
+        'Lenoir-Robillard': EROSIVE_MODELS.LENOIR_ROBILLARD,
+        'Mass Flux Threshold': EROSIVE_MODELS.THRESHOLD,
+      },
+      onChange: (v) => updateConfig({ erosive: { model: v } }),
+    },
+    'Alpha (×1e-5)': {
+      value: 1.8,
+      min: 0.1,
+      max: 10,
+      step: 0.1,
+      render: (get) => get('Erosive Burning.Model') === EROSIVE_MODELS.LENOIR_ROBILLARD,
+      onChange: (v) => updateConfig({ erosive: { coefficient: v * 1e-5 } }),
+    },
+    'Beta': {
+      value: 53,
+      min: 10,
+      max: 150,
+      step: 1,
+      render: (get) => get('Erosive Burning.Model') === EROSIVE_MODELS.LENOIR_ROBILLARD,
+      onChange: (v) => updateConfig({ erosive: { beta: v } }),
+    },
+    'Threshold Flux (kg/m²s)': {
+      value: 1000,
+      min: 200,
+      max: 5000,
+      step: 50,
+      render: (get) => get('Erosive Burning.Model') === EROSIVE_MODELS.THRESHOLD,
+      onChange: (v) => updateConfig({ erosive: { thresholdFlux: v } }),
+    },
+    'Gain (×1e-4)': {
+      value: 2,
+      min: 0.1,
+      max: 20,
+      step: 0.1,
+      render: (get) => get('Erosive Burning.Model') === EROSIVE_MODELS.THRESHOLD,
+      onChange: (v) => updateConfig({ erosive: { gain: v * 1e-4 } }),
+    },
+  }, { collapsed: true });
+  
+  // Igniter
+  useControls('Igniter', {
+    'Pyrogen Mass (g)': {
+      value: 3,
+      min: 0.1,
+      max: 20,
+      step: 0.1,
+      onChange: (v) => updateConfig({ igniter: { mass: v / 1000 } }),
+    },
+    'Heat Release (MJ/kg)': {
+      value: 2.8,
+      min: 1,
+      max: 8,
+      step: 0.1,
+      onChange: (v) => updateConfig({ igniter: { heatRelease: v * 1e6 } }),
+    },
+    'Burn Time (ms)': {
+      value: 50,
+      min: 5,
+      max: 500,
+      step: 5,
+      onChange: (v) => updateConfig({ igniter: { burnTime: v / 1000 } }),
+    },
+  }, { collapsed: true });
   
   // Casing Configuration
   useControls('Casing', {
@@ -168,7 +575,126 @@ export default function ControlPanel() {
       step: 1,
       onChange: (v) => updateConfig({ casing: { innerRadius: v / 2000 } }),
     },
+    'Liner': {
+      value: 'PAPER',
+      options: { 'None': 'NONE', 'Paper': 'PAPER', 'Paper Phenolic': 'PHENOLIC' },
+      onChange: (v) => updateConfig({ casing: { liner: LINER_MATERIALS[v] || null } }),
+    },
+    'Liner Thickness (mm)': {
+      value: 1.5,
+      min: 0.5,
+      max: 5,
+      step: 0.1,
+      render: (get) => get('Casing.Liner') !== 'NONE',
+      onChange: (v) => updateConfig({ casing: { linerThickness: v / 1000 } }),
+    },
+    'Insulation': {
+      value: 'NONE',
+      options: { 'None': 'NONE', 'EPDM': 'EPDM', 'Cork Phenolic': 'CORK', 'Silica Phenolic': 'SILICA_PHENOLIC' },
+      onChange: (v) => updateConfig({ casing: { insulation: INSULATION_MATERIALS[v] || null } }),
+    },
+    'Insulation Thickness (mm)': {
+      value: 1,
+      min: 0.5,
+      max: 6,
+      step: 0.1,
+      render: (get) => get('Casing.Insulation') !== 'NONE',
+      onChange: (v) => updateConfig({ casing: { insulationThickness: v / 1000 } }),
+    },
+    'Bulkhead Thickness (mm)': {
+      value: 10,
+      min: 2,
+      max: 30,
+      step: 0.5,
+      onChange: (v) => updateConfig({ casing: { bulkheadThickness: v / 1000 } }),
+    },
+    'Closure': {
+      value: CLOSURE_TYPES.BOLTS,
+      options: {
+        'Radial Bolts': CLOSURE_TYPES.BOLTS,
+        'Snap Ring': CLOSURE_TYPES.SNAP_RING,
+      },
+      onChange: (v) => updateConfig({ casing: { closure: v } }),
+    },
+    'Bolt Count': {
+      value: 8,
+      min: 3,
+      max: 16,
+      step: 1,
+      render: (get) => get('Casing.Closure') === CLOSURE_TYPES.BOLTS,
+      onChange: (v) => updateConfig({ casing: { boltCount: v } }),
+    },
+    'Bolt Diameter (mm)': {
+      value: 6,
+      min: 3,
+      max: 12,
+      step: 0.5,
+      render: (get) => get('Casing.Closure') === CLOSURE_TYPES.BOLTS,
+      onChange: (v) => updateConfig({ casing: { boltDiameter: v / 1000 } }),
+    },
+    'Ring Thickness (mm)': {
+      value: 1.5,
+      min: 0.5,
+      max: 5,
+      step: 0.1,
+      render: (get) => get('Casing.Closure') === CLOSURE_TYPES.SNAP_RING,
+      onChange: (v) => updateConfig({ casing: { snapRingThickness: v / 1000 } }),
+    },
+    'Ring Depth (mm)': {
+      value: 1,
+      min: 0.3,
+      max: 3,
+      step: 0.1,
+      render: (get) => get('Casing.Closure') === CLOSURE_TYPES.SNAP_RING,
+      onChange: (v) => updateConfig({ casing: { snapRingDepth: v / 1000 } }),
+    },
+    'Fastener Material': {
+      value: 'STEEL',
+      options: Object.keys(MATERIALS),
+      onChange: (v) => updateConfig({ casing: { fastenerMaterial: MATERIALS[v] } }),
+    },
   });
   
-  return null;
+  // Closures and nozzle insert, for mass properties
+  useControls('Hardware', {
+    'Forward Closure': {
+      value: 'ALUMINUM',
+      options: Object.keys(MATERIALS),
+      onChange: (v) => updateConfig({ hardware: { forwardClosureMaterial: MATERIALS[v] } }),
+    },
+    'Aft Closure': {
+      value: 'ALUMINUM',
+      options: Object.keys(MATERIALS),
+      onChange: (v) => updateConfig({ hardware: { aftClosureMaterial: MATERIALS[v] } }),
+    },
+    'Nozzle OD (mm)': {
+      value: 40,
+      min: 15,
+      max: 100,
+      step: 1,
+      onChange: (v) => updateConfig({ hardware: { nozzleOuterDiameter: v / 1000 } }),
+    },
+    'Convergence Half-Angle (°)': {
+      value: 30,
+      min: 15,
+      max: 60,
+      step: 1,
+      onChange: (v) => updateConfig({ hardware: { nozzleConvergenceHalfAngle: v } }),
+    },
+    'Throat Length (mm)': {
+      value: 5,
+      min: 0,
+      max: 20,
+      step: 0.5,
+      onChange: (v) => updateConfig({ hardware: { nozzleThroatLength: v / 1000 } }),
+    },
+  }, { collapsed: true });
+  
+  return (
+    <>
+      {Array.from({ length: MAX_GRAINS - 1 }, (_, i) => (
+        <GrainControls key={i + 1} index={i + 1} />
+      ))}
+    </>
+  );
 }
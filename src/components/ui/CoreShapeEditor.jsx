@@ -0,0 +1,148 @@
+/**
+ * Core Shape Editor Component
+ * Draw or import a custom grain core outline (polygon / SVG path)
+ */
+import React, { useMemo, useRef, useState } from 'react';
+import useMotorStore, { GRAIN_TYPES } from '../../store/motorStore';
+import { parseCoreShape } from '../../physics/regressionMap';
+import { getGrains } from '../../physics/motorPhysics';
+import './CoreShapeEditor.css';
+
+export default function CoreShapeEditor() {
+  const { state, setCoreShape } = useMotorStore();
+  const [drawing, setDrawing] = useState(false);
+  const [points, setPoints] = useState([]);
+  const [pathText, setPathText] = useState('');
+  const svgRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const grainConfig = state?.config?.grainConfig;
+
+  // Current outline in mm for display
+  const outlines = useMemo(() => {
+    if (!grainConfig?.coreShape) return [];
+    try {
+      return parseCoreShape(grainConfig.coreShape).map(poly => poly.map(p => [p.x * 1000, p.y * 1000]));
+    } catch {
+      return [];
+    }
+  }, [grainConfig?.coreShape]);
+
+  // The outline is shared by every custom-core grain in the stack
+  if (!grainConfig || !getGrains(state.config).some(grain => grain.type === GRAIN_TYPES.CUSTOM)) return null;
+
+  const R = grainConfig.outerRadius * 1000; // mm
+  const toPoints = (poly) => poly.map(([x, y]) => `${x},${y}`).join(' ');
+
+  // Add a vertex where the grain face was clicked
+  const handleClick = (event) => {
+    if (!drawing || !svgRef.current) return;
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = event.clientX;
+    pt.y = event.clientY;
+    const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+    if (local.x * local.x + local.y * local.y >= R * R) return;
+    setPoints(p => [...p, [Math.round(local.x * 10) / 10, Math.round(local.y * 10) / 10]]);
+  };
+
+  const applyDrawing = () => {
+    if (points.length < 3) {
+      alert('Place at least 3 points to close the core outline');
+      return;
+    }
+    const path = 'M ' + points.map(([x, y]) => `${x} ${y}`).join(' L ') + ' Z';
+    if (setCoreShape({ type: 'svg', path, scale: 0.001 })) {
+      setPoints([]);
+      setDrawing(false);
+    }
+  };
+
+  const applyPathText = () => {
+    if (setCoreShape({ type: 'svg', path: pathText, scale: 0.001 })) setPathText('');
+  };
+
+  // Import an .svg file (all <path> outlines) or a .json polygon ({ points: [[x, y], ...] } in mm)
+  const handleFileImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      try {
+        if (file.name.toLowerCase().endsWith('.json')) {
+          const data = JSON.parse(text);
+          if (!Array.isArray(data.points)) throw new Error('JSON core shape needs a "points" array');
+          setCoreShape({ type: 'polygon', points: data.points.map(([x, y]) => [x / 1000, y / 1000]) });
+        } else {
+          const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+          const path = Array.from(doc.querySelectorAll('path')).map(p => p.getAttribute('d')).join(' ');
+          if (!path.trim()) throw new Error('No <path> elements found in SVG');
+          setCoreShape({ type: 'svg', path, scale: 0.001 });
+        }
+      } catch (err) {
+        alert('Error loading core shape: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Reset file input
+  };
+
+  return (
+    <div className="core-shape-editor">
+      <h3>Core Shape</h3>
+
+      <svg
+        ref={svgRef}
+        className={`core-canvas ${drawing ? 'drawing' : ''}`}
+        viewBox={`${-R * 1.05} ${-R * 1.05} ${R * 2.1} ${R * 2.1}`}
+        onClick={handleClick}
+      >
+        <circle cx={0} cy={0} r={R} className="grain-face" />
+        {outlines.map((poly, i) => (
+          <polygon key={i} points={toPoints(poly)} className="core-outline" />
+        ))}
+        {points.length > 0 && (
+          <polyline points={toPoints(points)} className="draft-outline" />
+        )}
+        {points.map(([x, y], i) => (
+          <circle key={i} cx={x} cy={y} r={R * 0.02} className="draft-point" />
+        ))}
+      </svg>
+
+      <div className="core-shape-actions">
+        {drawing ? (
+          <>
+            <button onClick={applyDrawing}>Apply</button>
+            <button onClick={() => setPoints(p => p.slice(0, -1))} disabled={points.length === 0}>Undo</button>
+            <button onClick={() => { setPoints([]); setDrawing(false); }}>Cancel</button>
+          </>
+        ) : (
+          <>
+            <button onClick={() => setDrawing(true)}>Draw</button>
+            <button onClick={() => fileInputRef.current?.click()}>Import</button>
+          </>
+        )}
+      </div>
+
+      <div className="core-shape-path">
+        <input
+          type="text"
+          placeholder="SVG path in mm, e.g. M 8 0 L 0 8 L -8 0 L 0 -8 Z"
+          value={pathText}
+          onChange={(e) => setPathText(e.target.value)}
+        />
+        <button onClick={applyPathText} disabled={!pathText.trim()}>Set</button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".svg,.json"
+        style={{ display: 'none' }}
+        onChange={handleFileImport}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+/**
+ * Dispersion Page Component
+ * Monte Carlo runs over manufacturing tolerances: thrust and pressure
+ * envelopes, spread of the headline figures and the CATO probability
+ */
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import useMotorStore from '../../store/motorStore';
+import { TOLERANCES, DISPERSION_METRICS, getDefaultTolerances, runDispersion } from '../../physics/dispersion';
+import './DispersionPage.css';
+
+// Register Chart.js components
+ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend, Filler);
+
+// Structural checks a run can load past yield or fail
+const CHECK_LABELS = {
+  casing: 'Casing',
+  closureShear: 'Closure shear',
+  closureBearing: 'Closure bearing',
+  bulkhead: 'Bulkhead',
+};
+
+// Envelope chart: 5-95% band, min/max, median and the nominal motor
+const envelopeData = (time, bands, color) => {
+  const points = (values) => time.map((t, i) => ({ x: t, y: values[i] }));
+  const line = { pointRadius: 0, tension: 0.2 };
+  return {
+    datasets: [
+      { ...line, label: 'Max', data: points(bands.max), borderColor: color(0.5), borderWidth: 1, borderDash: [4, 4], fill: false },
+      { ...line, label: '95th percentile', data: points(bands.p95), borderColor: color(0.4), borderWidth: 1, fill: false },
+      { ...line, label: '5th percentile', data: points(bands.p5), borderColor: color(0.4), borderWidth: 1, backgroundColor: color(0.2), fill: '-1' },
+      { ...line, label: 'Min', data: points(bands.min), borderColor: color(0.5), borderWidth: 1, borderDash: [4, 4], fill: false },
+      { ...line, label: 'Median', data: points(bands.median), borderColor: color(1), borderWidth: 2, fill: false },
+      { ...line, label: 'Nominal', data: points(bands.nominal), borderColor: 'rgb(40, 40, 40)', borderWidth: 1.5, borderDash: [6, 3], fill: false },
+    ],
+  };
+};
+
+const envelopeOptions = (title, yAxisLabel) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    title: { display: true, text: title, color: '#1a1a2e', font: { size: 14, weight: 'bold' } },
+    legend: { position: 'top', labels: { color: '#333333', font: { size: 11 } } },
+    tooltip: { mode: 'index', intersect: false },
+  },
+  scales: {
+    x: { type: 'linear', title: { display: true, text: 'Time (s)', color: '#555555' } },
+    y: { title: { display: true, text: yAxisLabel, color: '#555555' }, beginAtZero: true },
+  },
+  interaction: { mode: 'nearest', axis: 'x', intersect: false },
+});
+
+export default function DispersionPage() {
+  const { simulation, setCurrentPage } = useMotorStore();
+  const config = simulation?.config;
+  
+  // Tolerances in display units
+  const [tolerances, setTolerances] = useState(() => Object.fromEntries(
+    Object.entries(getDefaultTolerances()).map(([key, value]) => [key, Number((value * TOLERANCES[key].scale).toPrecision(3))])
+  ));
+  const [settings, setSettings] = useState({ runs: 200, seed: 1 });
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const abortRef = useRef(null);
+  
+  // Stop a running batch when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+  
+  const runBatch = async () => {
+    if (!config) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+    try {
+      const found = await runDispersion(config, {
+        tolerances: Object.fromEntries(Object.entries(tolerances).map(([key, value]) => [key, (value || 0) / TOLERANCES[key].scale])),
+        runs: settings.runs,
+        seed: settings.seed,
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress(done / total),
+      });
+      if (!controller.signal.aborted) setResult(found);
+    } catch (err) {
+      alert('Dispersion run failed: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+  
+  const thrustData = useMemo(() => result && envelopeData(result.envelope.time, result.envelope.thrust, (a) => `rgba(220, 53, 69, ${a})`), [result]);
+  const pressureData = useMemo(() => result && envelopeData(result.envelope.time, result.envelope.pressure, (a) => `rgba(0, 123, 255, ${a})`), [result]);
+  
+  const formatPercent = (p) => `${(p * 100).toFixed(p > 0 && p < 0.01 ? 2 : 1)}%`;
+  const formatMetric = (key, value) => {
+    const scaled = value * DISPERSION_METRICS[key].scale;
+    if (!isFinite(scaled)) return '—';
+    return key === 'totalImpulse' || key === 'averageThrust' ? scaled.toFixed(1) : scaled.toFixed(2);
+  };
+  const runCount = result?.runs.length || 0;
+  
+  return (
+    <div className="dispersion-page">
+      {/* Header */}
+      <header className="dispersion-header">
+        <button className="dispersion-back-btn" onClick={() => setCurrentPage('simulator')}>
+          ← Back to Simulator
+        </button>
+        <h1>Dispersion Analysis</h1>
+        <span className="dispersion-header-spacer" />
+      </header>
+      
+      {/* Tolerances and run settings */}
+      <section className="dispersion-setup">
+        <div className="dispersion-card">
+          <h3>Manufacturing Tolerances (±3σ)</h3>
+          {Object.entries(TOLERANCES).map(([key, { label, unit }]) => (
+            <label className="dispersion-row" key={key}>
+              <span className="dispersion-label">{label}</span>
+              <span className="dispersion-unit">±</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={tolerances[key]}
+                onChange={(e) => setTolerances(current => ({ ...current, [key]: Math.max(parseFloat(e.target.value) || 0, 0) }))}
+              />
+              <span className="dispersion-unit">{unit}</span>
+            </label>
+          ))}
+        </div>
+        
+        <div className="dispersion-card">
+          <h3>Runs</h3>
+          <label className="dispersion-row">
+            <span className="dispersion-label">Simulations</span>
+            <input
+              type="number"
+              min="1"
+              value={settings.runs}
+              onChange={(e) => setSettings(current => ({ ...current, runs: Math.max(parseInt(e.target.value, 10) || 1, 1) }))}
+            />
+          </label>
+          <label className="dispersion-row">
+            <span className="dispersion-label">Seed</span>
+            <input
+              type="number"
+              value={settings.seed}
+              onChange={(e) => setSettings(current => ({ ...current, seed: parseInt(e.target.value, 10) || 0 }))}
+            />
+          </label>
+          <p className="dispersion-note">
+            Every run is one batch: a single draw of each deviation, applied to the whole grain stack.
+            A zero tolerance holds that parameter at nominal.
+          </p>
+          <div className="dispersion-actions">
+            <button className="dispersion-run-btn" onClick={runBatch} disabled={progress !== null || !config}>
+              {progress === null ? 'Run Dispersion' : `Running… ${(progress * 100).toFixed(0)}%`}
+            </button>
+            {progress !== null && (
+              <button className="dispersion-cancel-btn" onClick={() => abortRef.current?.abort()}>Cancel</button>
+            )}
+          </div>
+          {progress !== null && (
+            <div className="dispersion-progress">
+              <div className="dispersion-progress-fill" style={{ width: `${progress * 100}%` }} />
+            </div>
+          )}
+        </div>
+        
+        {result && (
+          <div className={`dispersion-card cato-card ${result.cato.count > 0 ? 'danger' : 'safe'}`}>
+            <h3>CATO Probability</h3>
+            <div className="cato-probability">{formatPercent(result.cato.probability)}</div>
+            <div className="cato-detail">
+              {result.cato.count} of {runCount} runs loaded the casing past yield
+            </div>
+            <div className="cato-detail">
+              95% confidence: {formatPercent(result.cato.interval.low)} – {formatPercent(result.cato.interval.high)}
+            </div>
+            {Object.entries(result.cato.checks)
+              .filter(([key, { count }]) => key !== 'casing' && count > 0)
+              .map(([key, { probability }]) => (
+                <div className="cato-detail" key={key}>{CHECK_LABELS[key] || key} past yield: {formatPercent(probability)}</div>
+              ))}
+            {Object.entries(result.cato.modes).map(([mode, count]) => (
+              <div className="cato-detail" key={mode}>Ruptured ({CHECK_LABELS[mode] || mode}): {count}</div>
+            ))}
+            {result.cato.hangFires > 0 && (
+              <div className="cato-detail">Hang-fires: {result.cato.hangFires}</div>
+            )}
+          </div>
+        )}
+      </section>
+      
+      {/* Results */}
+      {result && runCount > 0 && (
+        <section className="dispersion-results">
+          <div className="dispersion-charts">
+            <div className="dispersion-chart">
+              <Line data={thrustData} options={envelopeOptions('Thrust Envelope', 'Thrust (N)')} />
+            </div>
+            <div className="dispersion-chart">
+              <Line data={pressureData} options={envelopeOptions('Pressure Envelope', 'Chamber Pressure (MPa)')} />
+            </div>
+          </div>
+          
+          <table className="dispersion-table">
+            <thead>
+              <tr>
+                <th>Figure</th>
+                <th>Nominal</th>
+                <th>Mean</th>
+                <th>σ</th>
+                <th>Min</th>
+                <th>5%</th>
+                <th>95%</th>
+                <th>Max</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(DISPERSION_METRICS).map(([key, { label, unit }]) => {
+                const stats = result.statistics[key];
+                return (
+                  <tr key={key}>
+                    <td>{label}{unit ? ` (${unit})` : ''}</td>
+                    <td>{formatMetric(key, result.nominal[key])}</td>
+                    <td>{formatMetric(key, stats.mean)}</td>
+                    <td>{formatMetric(key, stats.std)}</td>
+                    <td>{formatMetric(key, stats.min)}</td>
+                    <td>{formatMetric(key, stats.p5)}</td>
+                    <td>{formatMetric(key, stats.p95)}</td>
+                    <td>{formatMetric(key, stats.max)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,301 @@
+/**
+ * Optimizer Page Component
+ * Multi-objective search of grain and nozzle dimensions, with the Pareto set
+ * charted and ready to apply to the simulator
+ */
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Scatter } from 'react-chartjs-2';
+import useMotorStore from '../../store/motorStore';
+import { OBJECTIVES, DESIGN_VARIABLES, getDesignValues, getDefaultBounds, optimizeMotor } from '../../physics/optimizer';
+import './OptimizerPage.css';
+
+// Register Chart.js components
+ChartJS.register(LinearScale, PointElement, Title, Tooltip, Legend);
+
+// Starting goals, in display units
+const DEFAULT_GOALS = {
+  totalImpulse: 640,
+  averageThrust: 300,
+  maxPressure: 7,
+  knRatio: null,
+  minSafetyFactor: 2,
+};
+
+// Objective value of a burn summary in display units
+const displayValue = (key, summary) => summary[key] * OBJECTIVES[key].scale;
+
+export default function OptimizerPage() {
+  const { simulation, setCurrentPage, loadDesign } = useMotorStore();
+  const config = simulation?.config;
+  
+  const [objectives, setObjectives] = useState(() => Object.fromEntries(Object.keys(OBJECTIVES).map(key => [key, {
+    enabled: key === 'totalImpulse' || key === 'maxPressure',
+    goal: DEFAULT_GOALS[key],
+  }])));
+  const [variables, setVariables] = useState(() => Object.fromEntries(Object.keys(DESIGN_VARIABLES).map(key => {
+    const { scale } = DESIGN_VARIABLES[key];
+    const bounds = config ? getDefaultBounds(config, key) : { min: 0, max: 0 };
+    return [key, {
+      enabled: key !== 'segmentLength',
+      min: Number((bounds.min * scale).toPrecision(3)),
+      max: Number((bounds.max * scale).toPrecision(3)),
+    }];
+  })));
+  const [search, setSearch] = useState({ samples: 24, generations: 3, offspring: 12, seed: 1 });
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const abortRef = useRef(null);
+  
+  // Stop a running search when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+  
+  const selectedObjectives = Object.keys(OBJECTIVES).filter(key => objectives[key].enabled);
+  const selectedVariables = Object.keys(DESIGN_VARIABLES).filter(key => variables[key].enabled);
+  
+  const updateObjective = (key, changes) => setObjectives(current => ({ ...current, [key]: { ...current[key], ...changes } }));
+  const updateVariable = (key, changes) => setVariables(current => ({ ...current, [key]: { ...current[key], ...changes } }));
+  
+  const runSearch = async () => {
+    if (!config) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+    try {
+      const found = await optimizeMotor(config, {
+        objectives: selectedObjectives.map(key => ({ key, goal: (objectives[key].goal ?? 0) / OBJECTIVES[key].scale })),
+        variables: selectedVariables.map(key => ({
+          key,
+          min: variables[key].min / DESIGN_VARIABLES[key].scale,
+          max: variables[key].max / DESIGN_VARIABLES[key].scale,
+        })),
+        ...search,
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress(done / total),
+      });
+      if (!controller.signal.aborted) setResult({ ...found, objectives: selectedObjectives, variables: selectedVariables });
+    } catch (err) {
+      alert('Optimization failed: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+  
+  // Load a design into the simulator; the control panel shows it as it mounts again
+  const applyDesign = (design) => {
+    loadDesign(design.patch);
+    setCurrentPage('simulator');
+  };
+  
+  // Trade-off between the first two objectives (Kn spread when only one is picked)
+  const chartAxes = result
+    ? [result.objectives[0], result.objectives[1] || (result.objectives[0] === 'knRatio' ? 'maxPressure' : 'knRatio')]
+    : null;
+  const chartData = useMemo(() => {
+    if (!result) return null;
+    const [xKey, yKey] = chartAxes;
+    const point = (design) => ({ x: displayValue(xKey, design.summary), y: displayValue(yKey, design.summary) });
+    return {
+      datasets: [
+        {
+          label: 'Pareto set',
+          data: result.pareto.map(point),
+          backgroundColor: 'rgb(255, 107, 53)',
+          pointRadius: 6,
+        },
+        {
+          label: 'Evaluated',
+          data: result.designs.filter(design => design.feasible && !result.pareto.includes(design)).map(point),
+          backgroundColor: 'rgba(100, 100, 140, 0.5)',
+          pointRadius: 4,
+        },
+        {
+          label: 'CATO / hang-fire',
+          data: result.designs.filter(design => !design.feasible).map(point),
+          backgroundColor: 'rgba(220, 53, 69, 0.7)',
+          pointStyle: 'crossRot',
+          pointRadius: 6,
+        },
+      ],
+    };
+  }, [result]);
+  
+  const axisTitle = (key) => `${OBJECTIVES[key].label}${OBJECTIVES[key].unit ? ` (${OBJECTIVES[key].unit})` : ''}`;
+  const chartOptions = chartAxes && {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      title: { display: true, text: 'Design Trade-off', color: '#1a1a2e', font: { size: 14, weight: 'bold' } },
+      legend: { position: 'top' },
+    },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: axisTitle(chartAxes[0]) } },
+      y: { type: 'linear', title: { display: true, text: axisTitle(chartAxes[1]) } },
+    },
+  };
+  
+  const formatVariable = (key, value) => {
+    const { scale, integer } = DESIGN_VARIABLES[key];
+    return integer ? String(value) : (value * scale).toFixed(2);
+  };
+  const currentValues = config ? getDesignValues(config) : null;
+  const canRun = selectedObjectives.length > 0 && selectedVariables.length > 0 && progress === null;
+  
+  return (
+    <div className="optimizer-page">
+      {/* Header */}
+      <header className="optimizer-header">
+        <button className="optimizer-back-btn" onClick={() => setCurrentPage('simulator')}>
+          ← Back to Simulator
+        </button>
+        <h1>Design Optimizer</h1>
+        <span className="optimizer-header-spacer" />
+      </header>
+  
+      {/* Search Setup */}
+      <section className="optimizer-setup">
+        <div className="optimizer-card">
+          <h3>Objectives</h3>
+          {Object.entries(OBJECTIVES).map(([key, { label, unit, kind }]) => (
+            <label className="optimizer-row" key={key}>
+              <input
+                type="checkbox"
+                checked={objectives[key].enabled}
+                onChange={(e) => updateObjective(key, { enabled: e.target.checked })}
+              />
+              <span className="optimizer-label">{label}</span>
+              {kind === 'minimize' ? (
+                <span className="optimizer-kind">minimize</span>
+              ) : (
+                <>
+                  <span className="optimizer-kind">{kind === 'target' ? 'target' : kind === 'ceiling' ? 'at most' : 'at least'}</span>
+                  <input
+                    type="number"
+                    value={objectives[key].goal}
+                    onChange={(e) => updateObjective(key, { goal: parseFloat(e.target.value) })}
+                  />
+                  <span className="optimizer-unit">{unit}</span>
+                </>
+              )}
+            </label>
+          ))}
+        </div>
+  
+        <div className="optimizer-card">
+          <h3>Design Variables</h3>
+          {Object.entries(DESIGN_VARIABLES).map(([key, { label, unit }]) => (
+            <label className="optimizer-row" key={key}>
+              <input
+                type="checkbox"
+                checked={variables[key].enabled}
+                onChange={(e) => updateVariable(key, { enabled: e.target.checked })}
+              />
+              <span className="optimizer-label">{label}</span>
+              <input
+                type="number"
+                value={variables[key].min}
+                onChange={(e) => updateVariable(key, { min: parseFloat(e.target.value) })}
+              />
+              <span className="optimizer-kind">to</span>
+              <input
+                type="number"
+                value={variables[key].max}
+                onChange={(e) => updateVariable(key, { max: parseFloat(e.target.value) })}
+              />
+              <span className="optimizer-unit">{unit}</span>
+            </label>
+          ))}
+          <p className="optimizer-note">
+            Grain values are grain 1's. Other grains in the stack scale their own core and
+            segment length by the same ratio and change their segment count by the same step.
+          </p>
+        </div>
+  
+        <div className="optimizer-card">
+          <h3>Search</h3>
+          {[['samples', 'Initial Samples'], ['generations', 'Generations'], ['offspring', 'Offspring / Generation'], ['seed', 'Seed']].map(([key, label]) => (
+            <label className="optimizer-row" key={key}>
+              <span className="optimizer-label">{label}</span>
+              <input
+                type="number"
+                min={key === 'generations' ? 0 : 1}
+                value={search[key]}
+                onChange={(e) => setSearch(current => ({ ...current, [key]: Math.max(parseInt(e.target.value, 10) || 0, 0) }))}
+              />
+            </label>
+          ))}
+          <div className="optimizer-actions">
+            <button className="optimizer-run-btn" onClick={runSearch} disabled={!canRun}>
+              {progress === null ? 'Run Optimizer' : `Searching… ${(progress * 100).toFixed(0)}%`}
+            </button>
+            {progress !== null && (
+              <button className="optimizer-cancel-btn" onClick={() => abortRef.current?.abort()}>Cancel</button>
+            )}
+          </div>
+          {progress !== null && (
+            <div className="optimizer-progress">
+              <div className="optimizer-progress-fill" style={{ width: `${progress * 100}%` }} />
+            </div>
+          )}
+        </div>
+      </section>
+  
+      {/* Results */}
+      {result && (
+        <section className="optimizer-results">
+          <h2>Pareto-Optimal Designs ({result.pareto.length} of {result.designs.length} evaluated)</h2>
+          <div className="optimizer-chart">
+            <Scatter data={chartData} options={chartOptions} />
+          </div>
+          {result.pareto.length === 0 ? (
+            <p className="optimizer-empty">Every design evaluated failed (CATO or hang-fire). Widen or move the variable ranges.</p>
+          ) : (
+            <table className="optimizer-table">
+              <thead>
+                <tr>
+                  {result.variables.map(key => (
+                    <th key={key}>{DESIGN_VARIABLES[key].label}{DESIGN_VARIABLES[key].unit ? ` (${DESIGN_VARIABLES[key].unit})` : ''}</th>
+                  ))}
+                  {Object.keys(OBJECTIVES).map(key => (
+                    <th key={key} className={result.objectives.includes(key) ? 'objective' : ''}>{axisTitle(key)}</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {currentValues && (
+                  <tr className="current">
+                    {result.variables.map(key => <td key={key}>{formatVariable(key, currentValues[key])}</td>)}
+                    <td colSpan={Object.keys(OBJECTIVES).length}>Current design</td>
+                    <td />
+                  </tr>
+                )}
+                {result.pareto.map((design, i) => (
+                  <tr key={i}>
+                    {result.variables.map(key => <td key={key}>{formatVariable(key, design.values[key])}</td>)}
+                    {Object.keys(OBJECTIVES).map(key => (
+                      <td key={key} className={result.objectives.includes(key) ? 'objective' : ''}>
+                        {displayValue(key, design.summary).toFixed(key === 'totalImpulse' || key === 'averageThrust' ? 0 : 2)}
+                      </td>
+                    ))}
+                    <td>
+                      <button className="optimizer-apply-btn" onClick={() => applyDesign(design)}>Apply</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,326 @@
+/**
+ * Propellant Editor Component
+ * Create, edit, save and import propellants with piecewise burn-rate laws,
+ * compute their properties from an ingredient formulation, or fit the burn
+ * rate to strand-burner or static-fire data
+ */
+import React, { useMemo, useRef, useState } from 'react';
+import useMotorStore, { PROPELLANTS } from '../../store/motorStore';
+import { calculateBurnRate, validatePropellant } from '../../physics/motorPhysics';
+import { INGREDIENTS, calculateThermochemistry, normalizeFormulation } from '../../physics/thermochemistry';
+import { fitPiecewiseBurnRate, extractBurnRateFromTrace } from '../../physics/burnRateFit';
+import './PropellantEditor.css';
+
+// Editable properties, in display units
+const FIELDS = [
+  { key: 'density', label: 'Density (kg/m³)', step: 1 },
+  { key: 'characteristicVelocity', label: 'c* (m/s)', step: 1 },
+  { key: 'gamma', label: 'Gamma', step: 0.001 },
+  { key: 'combustionTemp', label: 'Tc (K)', step: 1 },
+  { key: 'molecularMass', label: 'Mol. Mass (kg/kmol)', step: 0.1 },
+  { key: 'condensedFraction', label: 'Condensed Fraction', step: 0.01 },
+  { key: 'referencePressure', label: 'a Ref. Pressure (MPa)', step: 0.001 },
+];
+
+const PLOT_MAX_PRESSURE = 12; // MPa
+const FORMULATION_PRESSURE = 6.895e6; // Pa, chamber pressure for the equilibrium solution
+
+// Numeric rows of a CSV/TSV file; header and blank lines are skipped
+function parseColumns(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => Number(cell.trim())))
+    .filter(cells => cells.length >= 2 && cells.slice(0, 2).every(value => isFinite(value)));
+}
+
+// Editor draft from a propellant: a single law becomes one open-ended range
+function toDraft(propellant) {
+  const ranges = propellant.burnRateRanges?.length > 0
+    ? propellant.burnRateRanges
+    : [{ minPressure: 0, maxPressure: 15, burnRateCoeff: propellant.burnRateCoeff, burnRateExponent: propellant.burnRateExponent }];
+  return { ...propellant, burnRateRanges: ranges.map(range => ({ ...range })) };
+}
+
+// Propellant from the editor draft: one range is saved as a plain a/n law
+function fromDraft(draft) {
+  const ranges = draft.burnRateRanges;
+  if (ranges.length === 1) {
+    const { burnRateCoeff, burnRateExponent } = ranges[0];
+    return { ...draft, burnRateCoeff, burnRateExponent, burnRateRanges: [] };
+  }
+  return { ...draft, burnRateCoeff: undefined, burnRateExponent: undefined };
+}
+
+export default function PropellantEditor() {
+  const { state, showPropellantEditor, setShowPropellantEditor, customPropellants, savePropellant } = useMotorStore();
+  const [draft, setDraft] = useState(null);
+  const [thermo, setThermo] = useState(null);
+  const [fitMode, setFitMode] = useState('strand');
+  const [fitRanges, setFitRanges] = useState(1);
+  const [fit, setFit] = useState(null);
+  const fileInputRef = useRef(null);
+  const dataInputRef = useRef(null);
+
+  const allPropellants = { ...PROPELLANTS, ...customPropellants };
+  const current = draft || (state?.config?.propellant ? toDraft(state.config.propellant) : null);
+
+  // Burn rate over the plotted pressure range, or null while the draft is invalid
+  const curve = useMemo(() => {
+    if (!current) return null;
+    try {
+      const propellant = validatePropellant(fromDraft(current));
+      return Array.from({ length: 61 }, (_, i) => {
+        const P = 0.1 + (PLOT_MAX_PRESSURE - 0.1) * i / 60;
+        return [P, calculateBurnRate(P * 1e6, propellant) * 1000];
+      });
+    } catch {
+      return null;
+    }
+  }, [current]);
+
+  if (!showPropellantEditor || !current) return null;
+
+  const update = (changes) => setDraft({ ...current, ...changes });
+  const updateRange = (index, changes) => update({
+    burnRateRanges: current.burnRateRanges.map((range, i) => (i === index ? { ...range, ...changes } : range)),
+  });
+  const addRange = () => {
+    const last = current.burnRateRanges[current.burnRateRanges.length - 1];
+    const start = last ? Number(last.maxPressure) : 0;
+    update({ burnRateRanges: [...current.burnRateRanges, { minPressure: start, maxPressure: start + 2, burnRateCoeff: last?.burnRateCoeff ?? 5, burnRateExponent: last?.burnRateExponent ?? 0.3 }] });
+  };
+  const removeRange = (index) => update({ burnRateRanges: current.burnRateRanges.filter((_, i) => i !== index) });
+
+  const updateIngredient = (key, percent) => update({ formulation: { ...current.formulation, [key]: percent } });
+  
+  // Equilibrium chamber properties from the formulation replace the typed-in values
+  const handleCompute = () => {
+    try {
+      const result = calculateThermochemistry(current.formulation, FORMULATION_PRESSURE);
+      const fractions = normalizeFormulation(current.formulation);
+      update({
+        density: Math.round(result.density),
+        characteristicVelocity: Math.round(result.characteristicVelocity),
+        gamma: Number(result.gamma.toFixed(4)),
+        combustionTemp: Math.round(result.combustionTemp),
+        molecularMass: Number(result.molecularMass.toFixed(2)),
+        condensedFraction: Number(result.condensedFraction.toFixed(3)),
+        formulation: Object.fromEntries(Object.entries(fractions).map(([key, f]) => [key, Number((f * 100).toFixed(2))])),
+      });
+      setThermo(result);
+    } catch (err) {
+      alert('Thermochemistry failed: ' + err.message);
+    }
+  };
+  
+  const handleSave = () => {
+    if (savePropellant(fromDraft(current))) setDraft(null);
+  };
+
+  // Fit the burn-rate law to imported strand points or a static-fire trace of the current motor
+  const handleDataImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const rows = parseColumns(e.target.result);
+        const points = fitMode === 'strand'
+          ? rows.map(([pressure, burnRate]) => ({ pressure, burnRate }))
+          : extractBurnRateFromTrace(
+            rows.map(([time, pressure]) => ({ time, pressure: pressure * 1e6 + state.config.nozzle.ambientPressure })),
+            state.config,
+            state.config.nozzle.ambientPressure
+          );
+        const result = fitPiecewiseBurnRate(points, fitRanges, Number(current.referencePressure) || 6.895);
+        update({
+          burnRateRanges: result.ranges.map(({ minPressure, maxPressure, burnRateCoeff, burnRateExponent }) => ({
+            minPressure: Number(minPressure.toFixed(3)),
+            maxPressure: Number(maxPressure.toFixed(3)),
+            burnRateCoeff: Number(burnRateCoeff.toFixed(4)),
+            burnRateExponent: Number(burnRateExponent.toFixed(4)),
+          })),
+        });
+        setFit(result);
+      } catch (err) {
+        alert('Burn-rate fit failed: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Reset file input
+  };
+  
+  // Download the propellant as JSON
+  const handleExport = () => {
+    let propellant;
+    try {
+      propellant = validatePropellant(fromDraft(current));
+    } catch (err) {
+      alert('Invalid propellant: ' + err.message);
+      return;
+    }
+    const blob = new Blob([JSON.stringify(propellant, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${propellant.name.replace(/[^A-Za-z0-9]+/g, '-')}.propellant.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Import a .propellant.json file, save it and load it into the editor
+  const handleFileImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const data = JSON.parse(e.target.result);
+        if (savePropellant(data)) setDraft(null);
+      } catch (err) {
+        alert('Error loading propellant: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Reset file input
+  };
+
+  // Plot scaling
+  const maxRate = curve ? Math.max(...curve.map(([, r]) => r)) * 1.1 || 1 : 1;
+  const plotPoints = curve
+    ? curve.map(([P, r]) => `${(P / PLOT_MAX_PRESSURE) * 100},${50 - (r / maxRate) * 50}`).join(' ')
+    : '';
+
+  return (
+    <div className="propellant-editor">
+      <div className="propellant-editor-header">
+        <h3>Propellant Editor</h3>
+        <button className="close-btn" onClick={() => { setDraft(null); setThermo(null); setFit(null); setShowPropellantEditor(false); }}>✕</button>
+      </div>
+
+      <div className="propellant-row">
+        <label>Start From</label>
+        <select value="" onChange={(e) => { if (e.target.value) { setDraft(toDraft(allPropellants[e.target.value])); setThermo(null); setFit(null); } }}>
+          <option value="">Choose…</option>
+          {Object.entries(allPropellants).map(([key, propellant]) => (
+            <option key={key} value={key}>{propellant.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="propellant-row">
+        <label>Name</label>
+        <input type="text" value={current.name} onChange={(e) => update({ name: e.target.value })} />
+      </div>
+
+      <div className="propellant-fields">
+        {FIELDS.map(({ key, label, step }) => (
+          <div className="propellant-row" key={key}>
+            <label>{label}</label>
+            <input type="number" step={step} value={current[key] ?? ''} onChange={(e) => update({ [key]: e.target.value })} />
+          </div>
+        ))}
+      </div>
+
+      <h4>Formulation (mass %)</h4>
+      <div className="propellant-fields">
+        {Object.entries(INGREDIENTS).map(([key, ingredient]) => (
+          <div className="propellant-row" key={key}>
+            <label>{ingredient.name}</label>
+            <input type="number" step="0.1" min="0" value={current.formulation?.[key] ?? ''} onChange={(e) => updateIngredient(key, e.target.value)} />
+          </div>
+        ))}
+      </div>
+      <button className="add-range-btn" onClick={handleCompute} disabled={!current.formulation}>Compute Properties</button>
+      {thermo && (
+        <div className="plot-caption">
+          Equilibrium at {(FORMULATION_PRESSURE / 1e6).toFixed(3)} MPa: {Object.entries(thermo.composition).slice(0, 5).map(([name, x]) => `${name} ${(x * 100).toFixed(1)}%`).join(', ')}
+          {' · '}ideal Isp {thermo.exit.specificImpulse.toFixed(0)} s, exit {thermo.exit.temperature.toFixed(0)} K
+        </div>
+      )}
+
+      <h4>Burn Rate r = a·(P/Pref)^n</h4>
+      <table className="burn-rate-table">
+        <thead>
+          <tr><th>Min P (MPa)</th><th>Max P (MPa)</th><th>a (mm/s)</th><th>n</th><th></th></tr>
+        </thead>
+        <tbody>
+          {current.burnRateRanges.map((range, i) => (
+            <tr key={i}>
+              {['minPressure', 'maxPressure', 'burnRateCoeff', 'burnRateExponent'].map(field => (
+                <td key={field}>
+                  <input type="number" step="0.001" value={range[field]} onChange={(e) => updateRange(i, { [field]: e.target.value })} />
+                </td>
+              ))}
+              <td>
+                <button onClick={() => removeRange(i)} disabled={current.burnRateRanges.length === 1}>−</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button className="add-range-btn" onClick={addRange}>+ Pressure Range</button>
+
+      <h4>Fit From Data</h4>
+      <div className="propellant-fields">
+        <div className="propellant-row">
+          <label>Data</label>
+          <select value={fitMode} onChange={(e) => setFitMode(e.target.value)}>
+            <option value="strand">Strand burner: P (MPa), r (mm/s)</option>
+            <option value="trace">Static fire: t (s), P (MPa gauge)</option>
+          </select>
+        </div>
+        <div className="propellant-row">
+          <label>Pressure Ranges</label>
+          <input type="number" min="1" max="6" step="1" value={fitRanges} onChange={(e) => setFitRanges(Math.max(1, Number(e.target.value) || 1))} />
+        </div>
+      </div>
+      <button className="add-range-btn" onClick={() => dataInputRef.current?.click()}>Import CSV &amp; Fit</button>
+      {fit && (
+        <div className="plot-caption">
+          {fit.count} points, R² {fit.rSquared.toFixed(4)}
+          {fit.ranges.map((range, i) => (
+            <div key={i}>
+              {range.minPressure.toFixed(2)}–{range.maxPressure.toFixed(2)} MPa: a = {range.burnRateCoeff.toFixed(3)}
+              {range.coeffInterval ? ` [${range.coeffInterval[0].toFixed(3)}, ${range.coeffInterval[1].toFixed(3)}]` : ''}
+              , n = {range.burnRateExponent.toFixed(3)}
+              {range.exponentInterval ? ` [${range.exponentInterval[0].toFixed(3)}, ${range.exponentInterval[1].toFixed(3)}]` : ''} (95%)
+            </div>
+          ))}
+        </div>
+      )}
+      <input
+        ref={dataInputRef}
+        type="file"
+        accept=".csv,.txt,.tsv"
+        style={{ display: 'none' }}
+        onChange={handleDataImport}
+      />
+
+      <svg className="burn-rate-plot" viewBox="-2 -2 104 56" preserveAspectRatio="none">
+        <rect x={0} y={0} width={100} height={50} className="plot-frame" />
+        {curve && <polyline points={plotPoints} className="plot-curve" />}
+      </svg>
+      <div className="plot-caption">
+        {curve ? `0.1–${PLOT_MAX_PRESSURE} MPa, peak ${(maxRate / 1.1).toFixed(1)} mm/s` : 'Invalid values - no burn-rate curve'}
+      </div>
+
+      <div className="propellant-actions">
+        <button onClick={handleSave}>Save &amp; Use</button>
+        <button onClick={handleExport}>Export</button>
+        <button onClick={() => fileInputRef.current?.click()}>Import</button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json"
+        style={{ display: 'none' }}
+        onChange={handleFileImport}
+      />
+    </div>
+  );
+}
@@ -16,6 +16,9 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import useMotorStore from '../../store/motorStore';
+import { getGrains, solveNozzleFlow, calculateThroatArea, calculateNozzleLosses, calculatePropellantVolume, calculateStructuralAnalysis, calculateStrengthRetention, NOZZLE_REFERENCE_PRESSURE, CLOSURE_TYPES, CONSTANTS } from '../../physics/motorPhysics';
+import { compareWithTest } from '../../physics/staticFire';
+import { calculateMotorHardware } from '../../physics/motorHardware';
 import './ReportPage.css';
 
 // Register Chart.js components
@@ -30,9 +33,45 @@ ChartJS.register(
   Filler
 );
 
+// Nozzle loss terms, in report order
+const NOZZLE_LOSSES = [
+  { key: 'divergence', label: 'Divergence' },
+  { key: 'twoPhase', label: 'Two-Phase Flow' },
+  { key: 'boundaryLayer', label: 'Boundary Layer' },
+  { key: 'throatErosion', label: 'Throat Erosion' },
+];
+
+const formatLoss = (loss) => ((loss || 0) * 100).toFixed(2) + '%';
+
+// Structural checks, in report order
+const STRUCTURAL_CHECKS = [
+  { key: 'casing', label: 'Casing (von Mises)' },
+  { key: 'closureShear', label: 'Closure Shear' },
+  { key: 'closureBearing', label: 'Closure Bearing' },
+  { key: 'bulkhead', label: 'Bulkhead' },
+];
+
+const formatSafetyFactor = (sf) => (sf > 10 ? '>10' : (sf || 0).toFixed(2));
+
+// Simulated-versus-measured metrics, in report order
+const TEST_METRICS = [
+  { key: 'totalImpulse', label: 'Total Impulse', unit: 'N·s', digits: 1 },
+  { key: 'peakThrust', label: 'Peak Thrust', unit: 'N', digits: 1 },
+  { key: 'averageThrust', label: 'Average Thrust', unit: 'N', digits: 1 },
+  { key: 'burnTime', label: 'Burn Time', unit: 's', digits: 3 },
+  { key: 'specificImpulse', label: 'Isp', unit: 's', digits: 1 },
+  { key: 'peakPressure', label: 'Peak Pressure', unit: 'MPa', digits: 3 },
+];
+
+const formatDelta = (delta) => (delta >= 0 ? '+' : '') + (delta * 100).toFixed(1) + '%';
+
+// Chart points on a linear time axis, so simulated and measured curves need not share samples
+const toPoints = (time, values) => time.map((t, i) => ({ x: t, y: values[i] }));
+
 export default function ReportPage() {
-  const { state, setCurrentPage } = useMotorStore();
+  const { state, setCurrentPage, testData, loadTestData, clearTestData, calibrateToTest, resetCalibration, calibrationResult, solving, cancelSolve } = useMotorStore();
   const reportRef = useRef(null);
+  const testInputRef = useRef(null);
   
   const history = state?.history || {
     time: [],
@@ -41,10 +80,13 @@ export default function ReportPage() {
     burnRate: [],
     innerRadius: [],
     Kn: [],
+    massFlux: [],
+    portThroatRatio: [],
     stress: [],
   };
   
   const config = state?.config || {};
+  const grains = config.grainConfig ? getGrains(config) : [];
   
   // Sample data for better performance
   const maxPoints = 300;
@@ -61,7 +103,10 @@ export default function ReportPage() {
       burnRate: history.burnRate.filter((_, i) => i % step === 0),
       innerRadius: history.innerRadius.filter((_, i) => i % step === 0),
       Kn: history.Kn.filter((_, i) => i % step === 0),
+      massFlux: (history.massFlux || []).filter((_, i) => i % step === 0),
       stress: history.stress.filter((_, i) => i % step === 0),
+      yieldStrength: (history.yieldStrength || []).filter((_, i) => i % step === 0),
+      wallTemperature: (history.wallTemperature || []).filter((_, i) => i % step === 0),
     };
   }, [history]);
   
@@ -127,33 +172,49 @@ export default function ReportPage() {
     },
   });
   
+  // Thrust and pressure charts put time on a linear axis to overlay the static fire
+  const timeAxisOptions = (title, yAxisLabel) => {
+    const options = createChartOptions(title, yAxisLabel);
+    return { ...options, scales: { ...options.scales, x: { ...options.scales.x, type: 'linear' } } };
+  };
+  const testOverlay = (label, values) => ({
+    label,
+    data: toPoints(testData.time, values),
+    borderColor: 'rgb(40, 40, 40)',
+    fill: false,
+    tension: 0.3,
+    pointRadius: 0,
+    borderWidth: 1.5,
+    borderDash: [5, 4],
+  });
+  
   // Chart datasets
   const thrustChartData = {
-    labels: sampledData.time.map(t => t.toFixed(3)),
     datasets: [{
       label: 'Thrust (N)',
-      data: sampledData.thrust,
+      data: toPoints(sampledData.time, sampledData.thrust),
       borderColor: 'rgb(220, 53, 69)',
       backgroundColor: 'rgba(220, 53, 69, 0.15)',
       fill: true,
       tension: 0.3,
       pointRadius: 0,
       borderWidth: 2,
-    }],
+    },
+    ...(testData ? [testOverlay('Static Fire (N)', testData.thrust)] : [])],
   };
   
   const pressureChartData = {
-    labels: sampledData.time.map(t => t.toFixed(3)),
     datasets: [{
       label: 'Chamber Pressure (MPa)',
-      data: sampledData.pressure,
+      data: toPoints(sampledData.time, sampledData.pressure),
       borderColor: 'rgb(0, 123, 255)',
       backgroundColor: 'rgba(0, 123, 255, 0.15)',
       fill: true,
       tension: 0.3,
       pointRadius: 0,
       borderWidth: 2,
-    }],
+    },
+    ...(testData?.pressure ? [testOverlay('Static Fire (MPa)', testData.pressure)] : [])],
   };
   
   const burnRateChartData = {
@@ -184,11 +245,25 @@ export default function ReportPage() {
     }],
   };
   
+  const massFluxChartData = {
+    labels: sampledData.time.map(t => t.toFixed(3)),
+    datasets: [{
+      label: 'Peak Core Mass Flux (kg/m²·s)',
+      data: sampledData.massFlux || [],
+      borderColor: 'rgb(253, 126, 20)',
+      backgroundColor: 'rgba(253, 126, 20, 0.15)',
+      fill: true,
+      tension: 0.3,
+      pointRadius: 0,
+      borderWidth: 2,
+    }],
+  };
+  
   const stressChartData = {
     labels: sampledData.time.map(t => t.toFixed(3)),
     datasets: [
       {
-        label: 'Hoop Stress (MPa)',
+        label: 'Von Mises Stress (MPa)',
         data: sampledData.stress,
         borderColor: 'rgb(40, 167, 69)',
         backgroundColor: 'rgba(40, 167, 69, 0.15)',
@@ -198,8 +273,10 @@ export default function ReportPage() {
         borderWidth: 2,
       },
       {
-        label: 'Yield Strength (MPa)',
-        data: sampledData.time.map(() => (config.material?.yieldStrength || 2.75e8) / 1e6),
+        label: 'Yield Strength at Wall Temperature (MPa)',
+        data: sampledData.yieldStrength?.length === sampledData.time.length
+          ? sampledData.yieldStrength
+          : sampledData.time.map(() => (config.material?.yieldStrength || 2.75e8) / 1e6),
         borderColor: 'rgb(220, 53, 69)',
         borderDash: [5, 5],
         fill: false,
@@ -209,6 +286,20 @@ export default function ReportPage() {
     ],
   };
   
+  const wallTemperatureChartData = {
+    labels: sampledData.time.map(t => t.toFixed(3)),
+    datasets: [{
+      label: 'Casing Bore Temperature (°C)',
+      data: sampledData.wallTemperature || [],
+      borderColor: 'rgb(232, 62, 140)',
+      backgroundColor: 'rgba(232, 62, 140, 0.15)',
+      fill: true,
+      tension: 0.3,
+      pointRadius: 0,
+      borderWidth: 2,
+    }],
+  };
+  
   const regressionChartData = {
     labels: sampledData.time.map(t => t.toFixed(3)),
     datasets: [{
@@ -223,6 +314,65 @@ export default function ReportPage() {
     }],
   };
   
+  // Nozzle solution at peak chamber pressure
+  const peakNozzle = solveNozzleFlow(
+    state?.maxPressure || 0,
+    calculateThroatArea(config.nozzle?.throatDiameter || 0),
+    Math.PI * Math.pow((config.nozzle?.exitDiameter || 0) / 2, 2),
+    config.propellant?.gamma || 1.2,
+    config.nozzle?.ambientPressure ?? 101325
+  );
+  
+  // Structural checks at peak chamber pressure
+  const casing = config.casing || {};
+  const peakStructural = config.casing && config.material
+    ? calculateStructuralAnalysis((state?.maxPressure || 0) - CONSTANTS.ATMOSPHERIC_PRESSURE, config)
+    : null;
+  const linerText = casing.liner && casing.linerThickness > 0
+    ? `${casing.liner.name}, ${(casing.linerThickness * 1000).toFixed(1)} mm`
+    : 'None';
+  const insulationText = casing.insulation && casing.insulationThickness > 0
+    ? `${casing.insulation.name}, ${(casing.insulationThickness * 1000).toFixed(1)} mm`
+    : 'None';
+  const thermalProtection = state?.thermalProtection;
+  const peakWallTemperature = (state?.maxWallTemperature ?? CONSTANTS.AMBIENT_TEMPERATURE) - 273.15;
+  const wallStrengthRetained = calculateStrengthRetention(config.material, state?.maxWallTemperature ?? CONSTANTS.AMBIENT_TEMPERATURE);
+  const closureText = casing.closure === CLOSURE_TYPES.SNAP_RING
+    ? `Snap ring ${((casing.snapRingThickness || 0) * 1000).toFixed(1)} × ${((casing.snapRingDepth || 0) * 1000).toFixed(1)} mm`
+    : `${casing.boltCount || 0} × ${((casing.boltDiameter || 0) * 1000).toFixed(1)} mm bolts`;
+  
+  // Mass, CG and length of the assembled motor
+  const hardware = config.casing && config.nozzle && config.propellant && config.material
+    ? calculateMotorHardware(config)
+    : null;
+  const formatMass = (mass) => `${(mass * 1000).toFixed(0)} g`;
+  const formatPosition = (position) => `${(position * 1000).toFixed(1)} mm`;
+  
+  // Nozzle losses: thrust-weighted over the burn, or at 1000 psi before firing
+  const averageLosses = state?.totalImpulse > 0
+    ? state.averageNozzleLosses
+    : config.nozzle && config.propellant
+      ? calculateNozzleLosses(config.nozzle, config.nozzle.throatDiameter, NOZZLE_REFERENCE_PRESSURE, config.propellant)
+      : {};
+  const totalLoss = 1 - NOZZLE_LOSSES.reduce((product, { key }) => product * (1 - (averageLosses[key] || 0)), 1);
+  
+  // Simulated burn against the static fire
+  const propellantMass = config.propellant ? calculatePropellantVolume(config) * config.propellant.density : 0;
+  const testComparison = testData && history.time.length > 0 ? compareWithTest(history, testData, propellantMass) : null;
+  const calibration = { burnRateScale: 1, nozzleEfficiency: 1, ...config.calibration };
+  const isCalibrated = calibration.burnRateScale !== 1 || calibration.nozzleEfficiency !== 1;
+  
+  // Load a static-fire CSV to compare against
+  const handleTestImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => loadTestData(e.target.result);
+    reader.readAsText(file);
+    event.target.value = ''; // Reset file input
+  };
+  
   // Calculate motor classification
   const getMotorClass = (totalImpulse) => {
     if (totalImpulse <= 1.25) return 'A';
@@ -256,6 +406,8 @@ export default function ReportPage() {
         averageThrust: avgThrust.toFixed(2) + ' N',
         maxThrust: state?.maxThrust?.toFixed(2) + ' N',
         maxPressure: ((state?.maxPressure || 0) / 1e6).toFixed(3) + ' MPa',
+        peakMassFlux: (state?.maxMassFlux || 0).toFixed(0) + ' kg/(m²·s)',
+        portThroatRatio: (state?.minPortThroatRatio || 0).toFixed(2),
         status: state?.hasExploded ? 'CATO (Catastrophic Failure)' : 
                 state?.isBurnedOut ? 'Burnout Complete' : 'Not Fired',
       },
@@ -264,7 +416,9 @@ export default function ReportPage() {
         density: (config.propellant?.density || 0) + ' kg/m³',
         burnRateCoefficient: config.propellant?.burnRateCoeff || 0,
         burnRateExponent: config.propellant?.burnRateExponent || 0,
+        burnRateRanges: config.propellant?.burnRateRanges || [],
         characteristicVelocity: config.propellant?.characteristicVelocity + ' m/s',
+        erosiveModel: config.erosive?.model || 'none',
       },
       grain: {
         type: config.grainConfig?.type || 'BATES',
@@ -272,20 +426,71 @@ export default function ReportPage() {
         coreDiameter: ((config.grainConfig?.coreRadius || 0) * 2000).toFixed(1) + ' mm',
         segmentLength: ((config.grainConfig?.length || 0) * 1000).toFixed(1) + ' mm',
         segments: config.grainConfig?.segments || 0,
-        totalLength: (((config.grainConfig?.length || 0) * (config.grainConfig?.segments || 0)) * 1000).toFixed(1) + ' mm',
+        inhibitedEnds: config.grainConfig?.inhibitedEnds || (config.grainConfig?.type === 'bates' ? 'neither' : 'both'),
+        inhibitedOuter: config.grainConfig?.inhibitedOuter ?? true,
+        totalLength: ((state?.segmentStates || []).reduce((sum, s) => sum + s.originalLength, 0) * 1000).toFixed(1) + ' mm',
       },
+      grains: grains.map((grain, i) => ({
+        grain: i + 1,
+        type: grain.type,
+        segments: grain.segments || 1,
+        outerDiameter: ((grain.outerRadius || 0) * 2000).toFixed(1) + ' mm',
+        coreDiameter: ((grain.coreRadius || 0) * 2000).toFixed(1) + ' mm',
+        segmentLength: ((grain.length || 0) * 1000).toFixed(1) + ' mm',
+      })),
       nozzle: {
         throatDiameter: ((config.nozzle?.throatDiameter || 0) * 1000).toFixed(2) + ' mm',
+        finalThroatDiameter: ((state?.throatDiameter || config.nozzle?.throatDiameter || 0) * 1000).toFixed(2) + ' mm',
+        material: config.nozzle?.material?.name || 'Unknown',
         exitDiameter: ((config.nozzle?.exitDiameter || 0) * 1000).toFixed(2) + ' mm',
         expansionRatio: (Math.pow((config.nozzle?.exitDiameter || 0) / (config.nozzle?.throatDiameter || 1), 2)).toFixed(2),
-        efficiency: ((config.nozzle?.efficiency || 0) * 100).toFixed(1) + '%',
+        divergenceHalfAngle: (config.nozzle?.divergenceHalfAngle ?? 15) + '°',
+        losses: {
+          ...Object.fromEntries(NOZZLE_LOSSES.map(({ key }) => [key, formatLoss(averageLosses[key])])),
+          total: formatLoss(totalLoss),
+        },
+        ambientPressure: ((config.nozzle?.ambientPressure ?? 101325) / 1000).toFixed(1) + ' kPa',
+        exitMach: peakNozzle.exitMach.toFixed(3),
+        exitPressureAtPeak: (peakNozzle.exitPressure / 1000).toFixed(1) + ' kPa',
+        flowSeparation: Boolean(state?.hadFlowSeparation),
       },
       casing: {
         material: config.material?.name || 'Aluminum',
         innerDiameter: ((config.casing?.innerRadius || 0) * 2000).toFixed(1) + ' mm',
         wallThickness: ((config.casing?.wallThickness || 0) * 1000).toFixed(2) + ' mm',
         yieldStrength: ((config.material?.yieldStrength || 0) / 1e6).toFixed(1) + ' MPa',
+        liner: linerText,
+        insulation: insulationText,
+        thermalProtection: thermalProtection ? {
+          charDepth: (thermalProtection.charDepth * 1000).toFixed(2) + ' mm',
+          protectionThickness: (thermalProtection.protectionThickness * 1000).toFixed(2) + ' mm',
+          requiredThickness: (thermalProtection.requiredThickness * 1000).toFixed(2) + ' mm',
+          sufficient: thermalProtection.isSufficient,
+          warnings: thermalProtection.warnings,
+        } : null,
+        peakWallTemperature: peakWallTemperature.toFixed(0) + ' °C',
+        strengthRetainedAtPeakTemperature: (wallStrengthRetained * 100).toFixed(0) + '%',
+        closure: closureText,
+        fastenerMaterial: casing.fastenerMaterial?.name || 'Steel',
+        bulkheadThickness: ((casing.bulkheadThickness || 0) * 1000).toFixed(1) + ' mm',
+        safetyFactorsAtPeak: peakStructural
+          ? Object.fromEntries(STRUCTURAL_CHECKS.map(({ key }) => [key, Number(peakStructural.checks[key].safetyFactor.toFixed(2))]))
+          : null,
+        governing: peakStructural?.governing || null,
+        failureMode: state?.failureMode || null,
       },
+      warnings: (state?.warnings || []).map(({ code, severity, message, time }) => ({ code, severity, message, time: Number(time.toFixed(3)) })),
+      massProperties: hardware ? {
+        loadedMass: formatMass(hardware.loadedMass),
+        burnoutMass: formatMass(hardware.burnoutMass),
+        loadedCG: formatPosition(hardware.loadedCG),
+        burnoutCG: formatPosition(hardware.burnoutCG),
+        propellantCG: formatPosition(hardware.propellantCG),
+        length: formatPosition(hardware.length),
+        parts: Object.fromEntries(hardware.parts.map(({ key, mass, cg }) => [key, { mass: formatMass(mass), cg: formatPosition(cg) }])),
+      } : null,
+      calibration,
+      staticFireComparison: testComparison,
       dataPoints: history.time.length,
       history: {
         time: history.time,
@@ -293,7 +498,14 @@ export default function ReportPage() {
         pressure: history.pressure,
         burnRate: history.burnRate,
         Kn: history.Kn,
+        massFlux: history.massFlux,
+        portThroatRatio: history.portThroatRatio,
+        throatDiameter: history.throatDiameter,
+        exitPressure: history.exitPressure,
+        thrustCoefficient: history.thrustCoefficient,
         stress: history.stress,
+        yieldStrength: history.yieldStrength,
+        wallTemperature: history.wallTemperature,
         innerRadius: history.innerRadius,
       },
     };
@@ -315,13 +527,15 @@ export default function ReportPage() {
   
   // Download CSV data
   const downloadCSVData = () => {
-    const headers = ['Time (s)', 'Thrust (N)', 'Pressure (MPa)', 'Burn Rate (mm/s)', 'Kn', 'Stress (MPa)', 'Inner Radius (mm)'];
+    const headers = ['Time (s)', 'Thrust (N)', 'Pressure (MPa)', 'Burn Rate (mm/s)', 'Kn', 'Mass Flux (kg/m²·s)', 'Cf', 'Stress (MPa)', 'Inner Radius (mm)'];
     const rows = history.time.map((t, i) => [
       t.toFixed(4),
       (history.thrust[i] || 0).toFixed(4),
       (history.pressure[i] || 0).toFixed(4),
       (history.burnRate[i] || 0).toFixed(4),
       (history.Kn[i] || 0).toFixed(4),
+      (history.massFlux?.[i] || 0).toFixed(2),
+      (history.thrustCoefficient?.[i] || 0).toFixed(4),
       (history.stress[i] || 0).toFixed(4),
       (history.innerRadius[i] || 0).toFixed(4),
     ]);
@@ -395,10 +609,24 @@ export default function ReportPage() {
                 <span className="label">Exponent (n):</span>
                 <span className="value">{config.propellant?.burnRateExponent || 0}</span>
               </div>
+              {config.propellant?.burnRateRanges?.length > 0 && (
+                <div className="config-item">
+                  <span className="label">Burn Rate Law:</span>
+                  <span className="value">Piecewise, {config.propellant.burnRateRanges.length} ranges</span>
+                </div>
+              )}
               <div className="config-item">
                 <span className="label">c*:</span>
                 <span className="value">{config.propellant?.characteristicVelocity || 0} m/s</span>
               </div>
+              <div className="config-item">
+                <span className="label">Erosive Model:</span>
+                <span className="value">{config.erosive?.model || 'none'}</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Igniter:</span>
+                <span className="value">{((config.igniter?.mass || 0) * 1000).toFixed(1)} g / {((config.igniter?.burnTime || 0) * 1000).toFixed(0)} ms</span>
+              </div>
             </div>
           </div>
           
@@ -426,6 +654,16 @@ export default function ReportPage() {
                 <span className="label">Segments:</span>
                 <span className="value">{config.grainConfig?.segments || 0}</span>
               </div>
+              <div className="config-item">
+                <span className="label">Inhibited Ends:</span>
+                <span className="value">{config.grainConfig?.inhibitedEnds || (config.grainConfig?.type === 'bates' ? 'neither' : 'both')}</span>
+              </div>
+              {grains.length > 1 && grains.map((grain, i) => (
+                <div className="config-item" key={i}>
+                  <span className="label">Grain {i + 1}:</span>
+                  <span className="value">{grain.type} × {grain.segments || 1}, {((grain.coreRadius || 0) * 2000).toFixed(1)} mm core</span>
+                </div>
+              ))}
             </div>
           </div>
           
@@ -434,9 +672,17 @@ export default function ReportPage() {
             <h3>Nozzle</h3>
             <div className="config-items">
               <div className="config-item">
-                <span className="label">Throat Diameter:</span>
+                <span className="label">Material:</span>
+                <span className="value">{config.nozzle?.material?.name || 'Unknown'}</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Throat Diameter (start):</span>
                 <span className="value">{((config.nozzle?.throatDiameter || 0) * 1000).toFixed(2)} mm</span>
               </div>
+              <div className="config-item">
+                <span className="label">Throat Diameter (end):</span>
+                <span className="value">{((state?.throatDiameter || config.nozzle?.throatDiameter || 0) * 1000).toFixed(2)} mm</span>
+              </div>
               <div className="config-item">
                 <span className="label">Exit Diameter:</span>
                 <span className="value">{((config.nozzle?.exitDiameter || 0) * 1000).toFixed(2)} mm</span>
@@ -446,8 +692,41 @@ export default function ReportPage() {
                 <span className="value">{(Math.pow((config.nozzle?.exitDiameter || 1) / (config.nozzle?.throatDiameter || 1), 2)).toFixed(2)}</span>
               </div>
               <div className="config-item">
-                <span className="label">Efficiency:</span>
-                <span className="value">{((config.nozzle?.efficiency || 0) * 100).toFixed(1)}%</span>
+                <span className="label">Divergence Half-Angle:</span>
+                <span className="value">{config.nozzle?.divergenceHalfAngle ?? 15}°</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Ambient Pressure:</span>
+                <span className="value">{((config.nozzle?.ambientPressure ?? 101325) / 1000).toFixed(1)} kPa</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Exit Mach:</span>
+                <span className="value">{peakNozzle.exitMach.toFixed(2)}</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Exit Pressure (peak):</span>
+                <span className="value">{(peakNozzle.exitPressure / 1000).toFixed(1)} kPa</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Flow Separation:</span>
+                <span className="value">{state?.hadFlowSeparation ? 'Risk during burn' : peakNozzle.isOverExpanded ? 'Over-expanded' : 'None'}</span>
+              </div>
+            </div>
+          </div>
+          
+          {/* Nozzle Losses */}
+          <div className="config-card">
+            <h3>Nozzle Losses</h3>
+            <div className="config-items">
+              {NOZZLE_LOSSES.map(({ key, label }) => (
+                <div className="config-item" key={key}>
+                  <span className="label">{label}:</span>
+                  <span className="value">{formatLoss(averageLosses[key])}</span>
+                </div>
+              ))}
+              <div className="config-item">
+                <span className="label">Total:</span>
+                <span className="value">{formatLoss(totalLoss)}</span>
               </div>
             </div>
           </div>
@@ -472,8 +751,82 @@ export default function ReportPage() {
                 <span className="label">Yield Strength:</span>
                 <span className="value">{((config.material?.yieldStrength || 0) / 1e6).toFixed(0)} MPa</span>
               </div>
+              <div className="config-item">
+                <span className="label">Liner:</span>
+                <span className="value">{linerText}</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Insulation:</span>
+                <span className="value">{insulationText}</span>
+              </div>
+              {thermalProtection && (
+                <div className="config-item">
+                  <span className="label">Char Depth:</span>
+                  <span className={`value ${thermalProtection.isSufficient ? '' : 'thermal-warning'}`}>
+                    {(thermalProtection.charDepth * 1000).toFixed(2)} of {(thermalProtection.protectionThickness * 1000).toFixed(2)} mm
+                  </span>
+                </div>
+              )}
+              <div className="config-item">
+                <span className="label">Peak Wall Temp:</span>
+                <span className="value">{peakWallTemperature.toFixed(0)} °C ({(wallStrengthRetained * 100).toFixed(0)}% strength)</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Closure:</span>
+                <span className="value">{closureText}</span>
+              </div>
+              <div className="config-item">
+                <span className="label">Bulkhead:</span>
+                <span className="value">{((casing.bulkheadThickness || 0) * 1000).toFixed(1)} mm</span>
+              </div>
+              {peakStructural && STRUCTURAL_CHECKS.map(({ key, label }) => (
+                <div className="config-item" key={key}>
+                  <span className="label">{label} SF:</span>
+                  <span className="value">{formatSafetyFactor(peakStructural.checks[key].safetyFactor)}{key === peakStructural.governing ? ' (governing)' : ''}</span>
+                </div>
+              ))}
             </div>
+            {thermalProtection?.warnings.length > 0 && (
+              <ul className="thermal-warnings">
+                {thermalProtection.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
           </div>
+          
+          {/* Mass Properties */}
+          {hardware && (
+            <div className="config-card">
+              <h3>Mass Properties</h3>
+              <div className="config-items">
+                <div className="config-item">
+                  <span className="label">Loaded Mass:</span>
+                  <span className="value">{formatMass(hardware.loadedMass)}</span>
+                </div>
+                <div className="config-item">
+                  <span className="label">Burnout Mass:</span>
+                  <span className="value">{formatMass(hardware.burnoutMass)}</span>
+                </div>
+                <div className="config-item">
+                  <span className="label">Loaded CG:</span>
+                  <span className="value">{formatPosition(hardware.loadedCG)} from fwd end</span>
+                </div>
+                <div className="config-item">
+                  <span className="label">Burnout CG:</span>
+                  <span className="value">{formatPosition(hardware.burnoutCG)} from fwd end</span>
+                </div>
+                <div className="config-item">
+                  <span className="label">Length:</span>
+                  <span className="value">{formatPosition(hardware.length)}</span>
+                </div>
+                {hardware.parts.map(({ key, name, mass }) => (
+                  <div className="config-item" key={key}>
+                    <span className="label">{name}:</span>
+                    <span className="value">{formatMass(mass)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </section>
       
@@ -481,8 +834,8 @@ export default function ReportPage() {
       <section className="performance-section">
         <h2>Performance Summary</h2>
         <div className="performance-grid">
-          <div className={`perf-card ${state?.hasExploded ? 'danger' : ''}`}>
-            <div className="perf-value">{state?.hasExploded ? 'CATO' : state?.isBurnedOut ? 'Complete' : 'Standby'}</div>
+          <div className={`perf-card ${state?.hasExploded || state?.isHangFire ? 'danger' : ''}`}>
+            <div className="perf-value">{state?.hasExploded ? 'CATO' : state?.isHangFire ? 'Hang-Fire' : state?.isBurnedOut ? 'Complete' : 'Standby'}</div>
             <div className="perf-label">Status</div>
           </div>
           <div className="perf-card highlight">
@@ -505,7 +858,85 @@ export default function ReportPage() {
             <div className="perf-value">{((state?.maxPressure || 0) / 1e6).toFixed(3)}</div>
             <div className="perf-label">Max Pressure (MPa)</div>
           </div>
+          <div className="perf-card">
+            <div className="perf-value">{(state?.maxMassFlux || 0).toFixed(0)}</div>
+            <div className="perf-label">Peak Mass Flux (kg/m²·s)</div>
+          </div>
+          <div className="perf-card">
+            <div className="perf-value">{(state?.minPortThroatRatio || 0).toFixed(2)}</div>
+            <div className="perf-label">Port/Throat Ratio</div>
+          </div>
+          <div className="perf-card">
+            <div className="perf-value">{state?.ignitionDelay != null ? (state.ignitionDelay * 1000).toFixed(0) : '—'}</div>
+            <div className="perf-label">Ignition Delay (ms)</div>
+          </div>
+        </div>
+        {state?.warnings?.length > 0 && (
+          <ul className="model-warnings">
+            {state.warnings.map(({ code, severity, message, time }) => (
+              <li className={severity} key={code}>
+                <strong>{severity === 'error' ? 'Solver' : 'Model range'} ({time.toFixed(2)} s):</strong> {message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+      
+      {/* Static-Fire Comparison */}
+      <section className="performance-section">
+        <h2>Static-Fire Comparison</h2>
+        <div className="test-actions">
+          <button className="download-btn csv" onClick={() => testInputRef.current?.click()}>
+            {testData ? 'Replace Test Data' : 'Load Static-Fire CSV'}
+          </button>
+          <button className="download-btn json" onClick={calibrateToTest} disabled={!testData || Boolean(solving)}>
+            {solving ? `Solving... ${(solving.progress * 100).toFixed(0)}%` : 'Auto-Calibrate'}
+          </button>
+          {solving && (
+            <button className="download-btn csv" onClick={cancelSolve}>Cancel</button>
+          )}
+          {testData && (
+            <button className="download-btn csv" onClick={clearTestData}>Clear Test Data</button>
+          )}
+          {isCalibrated && (
+            <button className="download-btn csv" onClick={resetCalibration}>Reset Calibration</button>
+          )}
         </div>
+        <input
+          ref={testInputRef}
+          type="file"
+          accept=".csv,.txt,.tsv"
+          style={{ display: 'none' }}
+          onChange={handleTestImport}
+        />
+        <p className="test-note">
+          Calibration: burn-rate scale {calibration.burnRateScale.toFixed(3)},
+          nozzle efficiency {calibration.nozzleEfficiency.toFixed(3)}
+          {calibrationResult ? ` (${calibrationResult.iterations + 1} burn-rate iterations)` : ''}
+        </p>
+        {testComparison ? (
+          <table className="test-table">
+            <thead>
+              <tr><th></th><th>Simulated</th><th>Measured</th><th>Δ</th></tr>
+            </thead>
+            <tbody>
+              {TEST_METRICS.filter(({ key }) => testComparison.measured[key] != null).map(({ key, label, unit, digits }) => (
+                <tr key={key}>
+                  <td>{label} ({unit})</td>
+                  <td>{testComparison.simulated[key].toFixed(digits)}</td>
+                  <td>{testComparison.measured[key].toFixed(digits)}</td>
+                  <td className={Math.abs(testComparison.deltas[key] || 0) > 0.05 ? 'delta-large' : ''}>
+                    {testComparison.deltas[key] != null ? formatDelta(testComparison.deltas[key]) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="test-note">
+            {testData ? 'Fire the motor to compare it with the test.' : 'Load a CSV of time (s), thrust (N) and optionally pressure (MPa gauge).'}
+          </p>
+        )}
       </section>
       
       {/* Charts Section */}
@@ -517,14 +948,14 @@ export default function ReportPage() {
             {/* Thrust Profile */}
             <div className="report-chart">
               <div className="chart-container">
-                <Line data={thrustChartData} options={createChartOptions('Thrust Profile', 'Thrust (N)')} />
+                <Line data={thrustChartData} options={timeAxisOptions('Thrust Profile', 'Thrust (N)')} />
               </div>
             </div>
             
             {/* Pressure Profile */}
             <div className="report-chart">
               <div className="chart-container">
-                <Line data={pressureChartData} options={createChartOptions('Chamber Pressure', 'Pressure (MPa)')} />
+                <Line data={pressureChartData} options={timeAxisOptions('Chamber Pressure', 'Pressure (MPa)')} />
               </div>
             </div>
             
@@ -542,6 +973,13 @@ export default function ReportPage() {
               </div>
             </div>
             
+            {/* Core Mass Flux */}
+            <div className="report-chart">
+              <div className="chart-container">
+                <Line data={massFluxChartData} options={createChartOptions('Core Mass Flux', 'Mass Flux (kg/m²·s)')} />
+              </div>
+            </div>
+            
             {/* Stress vs Yield */}
             <div className="report-chart">
               <div className="chart-container">
@@ -549,6 +987,13 @@ export default function ReportPage() {
               </div>
             </div>
             
+            {/* Casing Wall Heating */}
+            <div className="report-chart">
+              <div className="chart-container">
+                <Line data={wallTemperatureChartData} options={createChartOptions('Casing Wall Temperature', 'Temperature (°C)')} />
+              </div>
+            </div>
+            
             {/* Grain Regression */}
             <div className="report-chart">
               <div className="chart-container">
@@ -5,6 +5,7 @@
 import React, { useEffect, Suspense, Component } from 'react';
 import useRocketStore, { BODY_MATERIALS, NOSE_SHAPES, FIN_SHAPES } from '../../store/rocketStore';
 import useMotorStore from '../../store/motorStore';
+import { calculatePropellantVolume } from '../../physics/motorPhysics';
 import RocketPreview3D from '../3d/RocketPreview3D';
 import './RocketBuilder.css';
 
@@ -812,6 +813,8 @@ function MotorTab() {
         specificImpulse: exported.performance.specificImpulse,
         diameter: exported.geometry.diameter,
         length: exported.geometry.length,
+        burnoutCG: exported.cg.burnout,
+        propellantCG: exported.cg.propellant,
       });
       return;
     }
@@ -824,14 +827,10 @@ function MotorTab() {
       }));
       
       const propellant = motorState.config?.propellant;
-      const grainConfig = motorState.config?.grainConfig;
       
       let propellantMass = 0.1;
-      if (propellant && grainConfig) {
-        const grainVolume = Math.PI * 
-          (grainConfig.outerRadius ** 2 - grainConfig.coreRadius ** 2) * 
-          grainConfig.length * 
-          (grainConfig.segments || 1);
+      if (propellant && motorState.config) {
+        const grainVolume = calculatePropellantVolume(motorState.config);
         propellantMass = grainVolume * propellant.density;
       }
       
@@ -876,6 +875,8 @@ function MotorTab() {
           specificImpulse: data.performance?.specificImpulse,
           diameter: data.geometry?.diameter,
           length: data.geometry?.length,
+          burnoutCG: data.cg?.burnout,
+          propellantCG: data.cg?.propellant,
         });
       } catch (err) {
         alert('Error loading motor file: ' + err.message);
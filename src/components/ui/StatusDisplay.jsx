@@ -6,6 +6,14 @@ import React from 'react';
 import useMotorStore from '../../store/motorStore';
 import './StatusDisplay.css';
 
+// Structural checks, each with its own safety factor
+const STRUCTURAL_CHECKS = [
+  { key: 'casing', label: 'Casing SF', failure: 'CASING RUPTURE' },
+  { key: 'closureShear', label: 'Closure Shear SF', failure: 'CLOSURE SHEAR' },
+  { key: 'closureBearing', label: 'Closure Bearing SF', failure: 'CLOSURE BEARING' },
+  { key: 'bulkhead', label: 'Bulkhead SF', failure: 'BULKHEAD FAILURE' },
+];
+
 export default function StatusDisplay() {
   const { state } = useMotorStore();
   
@@ -16,9 +24,18 @@ export default function StatusDisplay() {
     chamberPressure,
     thrust,
     burnRate,
-    safetyFactor,
+    safetyFactors,
+    failureMode,
+    wallThermal,
+    strengthRetention,
+    thermalProtection,
+    warnings,
     grainBurnProgress,
     isBurning,
+    isTailOff,
+    ignitedFraction,
+    isHangFire,
+    nozzleFlow,
     isBurnedOut,
     hasExploded,
     totalImpulse,
@@ -42,6 +59,10 @@ export default function StatusDisplay() {
     if (!sf || isNaN(sf) || !isFinite(sf)) return '>10';
     return sf > 10 ? '>10' : sf.toFixed(2);
   };
+  const formatWallTemp = (t) => {
+    const val = (t || 273.15) - 273.15;
+    return isNaN(val) || !isFinite(val) ? '0' : val.toFixed(0);
+  };
   const formatImpulse = (i) => {
     const val = i || 0;
     return isNaN(val) || !isFinite(val) ? '0.0' : val.toFixed(1);
@@ -54,26 +75,65 @@ export default function StatusDisplay() {
   // Status indicators
   const getStatusClass = () => {
     if (hasExploded) return 'status-cato';
+    if (isHangFire) return 'status-hangfire';
     if (isBurnedOut) return 'status-complete';
     if (isBurning) return 'status-burning';
     return 'status-ready';
   };
   
   const getStatusText = () => {
-    if (hasExploded) return 'CATO - STRUCTURAL FAILURE';
+    if (hasExploded) {
+      const check = STRUCTURAL_CHECKS.find(({ key }) => key === failureMode);
+      return `CATO - ${check ? check.failure : 'STRUCTURAL FAILURE'}`;
+    }
+    if (isHangFire) return 'HANG-FIRE - IGNITER SPENT';
     if (isBurnedOut) return 'BURNOUT COMPLETE';
+    if (isTailOff) return 'TAIL-OFF';
+    if (isBurning && ignitedFraction === 0) return 'IGNITION DELAY';
+    if (isBurning && ignitedFraction < 1) return `FLAME SPREAD ${(ignitedFraction * 100).toFixed(0)}%`;
     if (isBurning) return 'BURNING';
     return 'READY';
   };
   
+  // Nozzle expansion state at the exit plane
+  const getNozzleText = () => {
+    if (!nozzleFlow || thrust <= 0) return '—';
+    const mach = `M ${nozzleFlow.exitMach.toFixed(2)}`;
+    if (nozzleFlow.separationRisk) return `${mach} · Separation risk`;
+    if (nozzleFlow.isOverExpanded) return `${mach} · Over-expanded`;
+    return `${mach} · Under-expanded`;
+  };
+  const getNozzleClass = () => {
+    if (!nozzleFlow || thrust <= 0) return '';
+    if (nozzleFlow.separationRisk) return 'danger';
+    if (nozzleFlow.isOverExpanded) return 'caution';
+    return '';
+  };
+  
   // Safety factor warning
-  const getSafetyClass = () => {
+  const getSafetyClass = (safetyFactor) => {
     if (safetyFactor < 1) return 'danger';
     if (safetyFactor < 1.5) return 'warning';
     if (safetyFactor < 2) return 'caution';
     return 'safe';
   };
   
+  // Char depth against the liner and insulation thickness
+  const getProtectionText = () => {
+    if (!thermalProtection) return '—';
+    const { charDepth, protectionThickness } = thermalProtection;
+    if (protectionThickness <= 0) return 'No liner';
+    return `${(charDepth * 1000).toFixed(2)} / ${(protectionThickness * 1000).toFixed(2)} mm charred`;
+  };
+  
+  // Casing wall heat warning, by the strength it has lost
+  const getWallClass = () => {
+    if (strengthRetention < 0.5) return 'danger';
+    if (strengthRetention < 0.8) return 'warning';
+    if (strengthRetention < 0.95) return 'caution';
+    return '';
+  };
+  
   return (
     <div className="status-display">
       {/* Main Status Banner */}
@@ -114,22 +174,51 @@ export default function StatusDisplay() {
           <span className="telemetry-value">{formatBurnRate(burnRate)}<span className="unit">mm/s</span></span>
         </div>
         
-        <div className={`telemetry-item ${getSafetyClass()}`}>
-          <span className="telemetry-label">Safety Factor</span>
-          <span className="telemetry-value">{formatSF(safetyFactor)}</span>
-        </div>
-        
         <div className="telemetry-item">
           <span className="telemetry-label">Grain Consumed</span>
           <span className="telemetry-value">{formatProgress(grainBurnProgress)}<span className="unit">%</span></span>
         </div>
         
+        {STRUCTURAL_CHECKS.map(({ key, label }) => (
+          <div className={`telemetry-item ${getSafetyClass(safetyFactors?.[key])}`} key={key}>
+            <span className="telemetry-label">{label}</span>
+            <span className="telemetry-value">{formatSF(safetyFactors?.[key])}</span>
+          </div>
+        ))}
+        
+        <div className={`telemetry-item ${getWallClass()}`}>
+          <span className="telemetry-label">Casing Wall</span>
+          <span className="telemetry-value">{formatWallTemp(wallThermal?.casing.inner)}<span className="unit">°C</span></span>
+        </div>
+        
+        <div className={`telemetry-item wide ${thermalProtection?.isSufficient === false ? 'warning' : ''}`} title={thermalProtection?.warnings.join('\n')}>
+          <span className="telemetry-label">Thermal Protection</span>
+          <span className="telemetry-value">{getProtectionText()}</span>
+        </div>
+        
+        <div className={`telemetry-item wide ${getNozzleClass()}`}>
+          <span className="telemetry-label">Nozzle Exit</span>
+          <span className="telemetry-value">{getNozzleText()}</span>
+        </div>
+        
         <div className="telemetry-item wide">
           <span className="telemetry-label">Total Impulse</span>
           <span className="telemetry-value">{formatImpulse(totalImpulse)}<span className="unit">N·s</span></span>
         </div>
       </div>
       
+      {/* Solver and model-range warnings */}
+      {warnings?.length > 0 && (
+        <ul className="solver-warnings">
+          {warnings.map(({ code, severity, message, time }) => (
+            <li className={`solver-warning ${severity}`} key={code}>
+              <span className="solver-warning-time">{time.toFixed(2)}s</span>
+              {message}
+            </li>
+          ))}
+        </ul>
+      )}
+      
       {/* Motor Class Classification */}
       <div className="motor-class">
         <span className="class-label">Motor Class:</span>
@@ -0,0 +1,382 @@
+/**
+ * Sweep Page Component
+ * One- or two-parameter sweeps plotted as curves or heatmaps of the headline
+ * results, and a tornado chart ranking the inputs by their effect
+ */
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line, Bar } from 'react-chartjs-2';
+import useMotorStore from '../../store/motorStore';
+import { PROPELLANTS } from '../../physics/motorPhysics';
+import { getDefaultBounds } from '../../physics/optimizer';
+import { SWEEP_PARAMETERS, SWEEP_METRICS, getSweepValues, getTornadoBounds, runSweep, runTornado } from '../../physics/sweep';
+import './SweepPage.css';
+
+// Register Chart.js components
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Title, Tooltip, Legend);
+
+const METRIC_COLORS = {
+  totalImpulse: 'rgb(40, 167, 69)',
+  maxPressure: 'rgb(0, 123, 255)',
+  burnTime: 'rgb(255, 107, 53)',
+  minSafetyFactor: 'rgb(111, 66, 193)',
+};
+
+const NUMERIC_KEYS = Object.keys(SWEEP_PARAMETERS).filter(key => !SWEEP_PARAMETERS[key].categorical);
+
+// Heatmap cell color: blue for the low end of the grid, red for the high end (reversed for safety factor)
+const heatColor = (metric, value, low, high) => {
+  if (!isFinite(value)) return '#ddd';
+  const t = high > low ? (value - low) / (high - low) : 0.5;
+  const badness = metric === 'minSafetyFactor' ? 1 - t : t;
+  return `hsl(${220 - 220 * badness}, 70%, 60%)`;
+};
+
+const chartOptions = (title, xLabel, yLabel) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    title: { display: true, text: title, color: '#1a1a2e', font: { size: 14, weight: 'bold' } },
+    legend: { display: false },
+  },
+  scales: {
+    x: { title: { display: true, text: xLabel, color: '#555555' } },
+    y: { title: { display: Boolean(yLabel), text: yLabel, color: '#555555' } },
+  },
+});
+
+export default function SweepPage() {
+  const { simulation, setCurrentPage, customPropellants } = useMotorStore();
+  const config = simulation?.config;
+  const propellants = useMemo(() => ({ ...PROPELLANTS, ...customPropellants }), [customPropellants]);
+  
+  // Range of a numeric parameter in display units, around the current config
+  const defaultRange = (key) => {
+    const { scale } = SWEEP_PARAMETERS[key];
+    const bounds = config ? getDefaultBounds(config, key) : { min: 0, max: 0 };
+    return { min: Number((bounds.min * scale).toPrecision(3)), max: Number((bounds.max * scale).toPrecision(3)) };
+  };
+  const axisFor = (key, steps) => ({ key, steps, ...(SWEEP_PARAMETERS[key]?.categorical ? {} : defaultRange(key)) });
+  
+  const [axes, setAxes] = useState(() => [axisFor('throatDiameter', 7), { key: '', steps: 5 }]);
+  const [sweepPropellants, setSweepPropellants] = useState(() => Object.keys(PROPELLANTS));
+  const [tornado, setTornado] = useState({ percent: 10, metric: 'maxPressure', inputs: NUMERIC_KEYS });
+  const [progress, setProgress] = useState(null);
+  const [sweepResult, setSweepResult] = useState(null);
+  const [tornadoResult, setTornadoResult] = useState(null);
+  const abortRef = useRef(null);
+  
+  // Stop a running sweep when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+  
+  const setAxis = (index, changes) => setAxes(current => current.map((axis, i) => {
+    if (i !== index) return axis;
+    if (changes.key !== undefined && changes.key !== axis.key) return changes.key ? axisFor(changes.key, axis.steps) : { ...axis, key: '' };
+    return { ...axis, ...changes };
+  }));
+  
+  // Values of one axis in SI units, or propellant keys
+  const axisValues = ({ key, min, max, steps }) => {
+    if (SWEEP_PARAMETERS[key].categorical) return sweepPropellants.filter(name => propellants[name]);
+    const { scale } = SWEEP_PARAMETERS[key];
+    return getSweepValues(key, { min: min / scale, max: max / scale, steps });
+  };
+  
+  // Run a sweep or tornado with progress, cancel and error reporting
+  const runTask = async (task, onDone) => {
+    if (!config) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+    try {
+      const found = await task(controller.signal, (done, total) => setProgress(done / total));
+      if (!controller.signal.aborted) onDone(found);
+    } catch (err) {
+      alert('Sweep failed: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+  
+  const startSweep = () => runTask(
+    (signal, onProgress) => runSweep(config, {
+      parameters: axes.filter(axis => axis.key).map(axis => ({ key: axis.key, values: axisValues(axis) })),
+      propellants,
+      signal,
+      onProgress,
+    }),
+    setSweepResult
+  );
+  
+  const startTornado = () => runTask(
+    (signal, onProgress) => runTornado(config, {
+      parameters: tornado.inputs.map(key => ({ key, ...getTornadoBounds(config, key, tornado.percent / 100) })),
+      metric: tornado.metric,
+      signal,
+      onProgress,
+    }),
+    setTornadoResult
+  );
+  
+  const formatValue = (key, value) => {
+    const { scale, integer, categorical } = SWEEP_PARAMETERS[key];
+    if (categorical) return (propellants[value]?.name || value).split(' (')[0];
+    return integer ? String(value) : (value * scale).toFixed(2);
+  };
+  const formatMetric = (metric, value) => {
+    const scaled = value * SWEEP_METRICS[metric].scale;
+    if (!isFinite(scaled)) return '—';
+    return metric === 'totalImpulse' ? scaled.toFixed(0) : scaled.toFixed(2);
+  };
+  const parameterTitle = (key) => `${SWEEP_PARAMETERS[key].label}${SWEEP_PARAMETERS[key].unit ? ` (${SWEEP_PARAMETERS[key].unit})` : ''}`;
+  const metricTitle = (metric) => `${SWEEP_METRICS[metric].label}${SWEEP_METRICS[metric].unit ? ` (${SWEEP_METRICS[metric].unit})` : ''}`;
+  
+  // One parameter: a curve per result
+  const sweepCharts = useMemo(() => {
+    if (!sweepResult || sweepResult.parameters.length !== 1) return null;
+    const [{ key, values }] = sweepResult.parameters;
+    const labels = values.map(value => formatValue(key, value));
+    return Object.keys(SWEEP_METRICS).map(metric => ({
+      metric,
+      data: {
+        labels,
+        datasets: [{
+          label: metricTitle(metric),
+          data: sweepResult.cells.map(([summary]) => summary ? summary[metric] * SWEEP_METRICS[metric].scale : null),
+          borderColor: METRIC_COLORS[metric],
+          backgroundColor: METRIC_COLORS[metric],
+          pointRadius: sweepResult.cells.map(([summary]) => summary?.hasExploded ? 7 : 3),
+          pointStyle: sweepResult.cells.map(([summary]) => summary?.hasExploded ? 'crossRot' : 'circle'),
+          borderWidth: 2,
+        }],
+      },
+    }));
+  }, [sweepResult]);
+  
+  // Tornado: change in the result at each input's low and high value
+  const tornadoData = useMemo(() => {
+    if (!tornadoResult) return null;
+    const { metric, nominal, bars } = tornadoResult;
+    const { scale } = SWEEP_METRICS[metric];
+    const delta = (value) => [0, (value - nominal) * scale];
+    return {
+      labels: bars.map(({ key, low, high }) => `${SWEEP_PARAMETERS[key].label} (${formatValue(key, low)}–${formatValue(key, high)})`),
+      datasets: [
+        { label: 'Low input', data: bars.map(bar => delta(bar.lowValue)), backgroundColor: 'rgba(0, 123, 255, 0.7)', grouped: false },
+        { label: 'High input', data: bars.map(bar => delta(bar.highValue)), backgroundColor: 'rgba(220, 53, 69, 0.7)', grouped: false },
+      ],
+    };
+  }, [tornadoResult]);
+  
+  const busy = progress !== null;
+  
+  return (
+    <div className="sweep-page">
+      {/* Header */}
+      <header className="sweep-header">
+        <button className="sweep-back-btn" onClick={() => setCurrentPage('simulator')}>
+          ← Back to Simulator
+        </button>
+        <h1>Parameter Sweep</h1>
+        <span className="sweep-header-spacer" />
+      </header>
+      
+      {/* Sweep and tornado setup */}
+      <section className="sweep-setup">
+        <div className="sweep-card">
+          <h3>Sweep</h3>
+          {axes.map((axis, index) => (
+            <div className="sweep-axis" key={index}>
+              <label className="sweep-row">
+                <span className="sweep-label">{index === 0 ? 'Parameter' : 'Second Parameter'}</span>
+                <select value={axis.key} onChange={(e) => setAxis(index, { key: e.target.value })}>
+                  {index === 1 && <option value="">None</option>}
+                  {Object.entries(SWEEP_PARAMETERS)
+                    .filter(([key]) => index === 0 || key !== axes[0].key)
+                    .map(([key, { label }]) => <option value={key} key={key}>{label}</option>)}
+                </select>
+              </label>
+              {axis.key && !SWEEP_PARAMETERS[axis.key].categorical && (
+                <label className="sweep-row">
+                  <input type="number" value={axis.min} onChange={(e) => setAxis(index, { min: parseFloat(e.target.value) })} />
+                  <span className="sweep-unit">to</span>
+                  <input type="number" value={axis.max} onChange={(e) => setAxis(index, { max: parseFloat(e.target.value) })} />
+                  <span className="sweep-unit">{SWEEP_PARAMETERS[axis.key].unit}</span>
+                  <span className="sweep-unit">in</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={axis.steps}
+                    onChange={(e) => setAxis(index, { steps: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+                  />
+                  <span className="sweep-unit">steps</span>
+                </label>
+              )}
+              {axis.key && SWEEP_PARAMETERS[axis.key].categorical && (
+                <div className="sweep-propellants">
+                  {Object.entries(propellants).map(([key, { name }]) => (
+                    <label key={key}>
+                      <input
+                        type="checkbox"
+                        checked={sweepPropellants.includes(key)}
+                        onChange={(e) => setSweepPropellants(current => e.target.checked ? [...current, key] : current.filter(name => name !== key))}
+                      />
+                      {name}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="sweep-actions">
+            <button className="sweep-run-btn" onClick={startSweep} disabled={busy || !config}>Run Sweep</button>
+          </div>
+        </div>
+        
+        <div className="sweep-card">
+          <h3>Sensitivity (Tornado)</h3>
+          <label className="sweep-row">
+            <span className="sweep-label">Result</span>
+            <select value={tornado.metric} onChange={(e) => setTornado(current => ({ ...current, metric: e.target.value }))}>
+              {Object.entries(SWEEP_METRICS).map(([key, { label }]) => <option value={key} key={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="sweep-row">
+            <span className="sweep-label">Input Variation</span>
+            <span className="sweep-unit">±</span>
+            <input
+              type="number"
+              min="1"
+              value={tornado.percent}
+              onChange={(e) => setTornado(current => ({ ...current, percent: Math.max(parseFloat(e.target.value) || 0, 0) }))}
+            />
+            <span className="sweep-unit">%</span>
+          </label>
+          {NUMERIC_KEYS.map(key => (
+            <label className="sweep-row" key={key}>
+              <input
+                type="checkbox"
+                checked={tornado.inputs.includes(key)}
+                onChange={(e) => setTornado(current => ({
+                  ...current,
+                  inputs: e.target.checked ? NUMERIC_KEYS.filter(k => k === key || current.inputs.includes(k)) : current.inputs.filter(k => k !== key),
+                }))}
+              />
+              <span className="sweep-label">{SWEEP_PARAMETERS[key].label}</span>
+              {SWEEP_PARAMETERS[key].integer && <span className="sweep-unit">±1</span>}
+            </label>
+          ))}
+          <div className="sweep-actions">
+            <button className="sweep-run-btn" onClick={startTornado} disabled={busy || !config || tornado.inputs.length === 0}>Run Tornado</button>
+          </div>
+        </div>
+      </section>
+      
+      {busy && (
+        <div className="sweep-status">
+          <div className="sweep-progress">
+            <div className="sweep-progress-fill" style={{ width: `${progress * 100}%` }} />
+          </div>
+          <button className="sweep-cancel-btn" onClick={() => abortRef.current?.abort()}>Cancel</button>
+        </div>
+      )}
+      
+      {/* One parameter: curves */}
+      {sweepCharts && (
+        <section className="sweep-results">
+          <h2>{SWEEP_PARAMETERS[sweepResult.parameters[0].key].label} Sweep</h2>
+          <div className="sweep-charts">
+            {sweepCharts.map(({ metric, data }) => (
+              <div className="sweep-chart" key={metric}>
+                <Line data={data} options={chartOptions(SWEEP_METRICS[metric].label, parameterTitle(sweepResult.parameters[0].key), metricTitle(metric))} />
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+      
+      {/* Two parameters: a heatmap per result */}
+      {sweepResult?.parameters.length === 2 && (
+        <section className="sweep-results">
+          <h2>{SWEEP_PARAMETERS[sweepResult.parameters[0].key].label} × {SWEEP_PARAMETERS[sweepResult.parameters[1].key].label}</h2>
+          <div className="sweep-charts">
+            {Object.keys(SWEEP_METRICS).map(metric => {
+              const [first, second] = sweepResult.parameters;
+              const values = sweepResult.cells.flat().filter(Boolean).map(summary => summary[metric]).filter(isFinite);
+              const low = Math.min(...values);
+              const high = Math.max(...values);
+              return (
+                <div className="sweep-heatmap" key={metric}>
+                  <h3>{metricTitle(metric)}</h3>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th className="sweep-corner">{parameterTitle(second.key)} \ {parameterTitle(first.key)}</th>
+                        {first.values.map((value, i) => <th key={i}>{formatValue(first.key, value)}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {second.values.map((secondValue, j) => (
+                        <tr key={j}>
+                          <th>{formatValue(second.key, secondValue)}</th>
+                          {first.values.map((_, i) => {
+                            const summary = sweepResult.cells[i][j];
+                            return (
+                              <td
+                                key={i}
+                                className={summary?.hasExploded ? 'cato' : ''}
+                                style={{ background: heatColor(metric, summary?.[metric], low, high) }}
+                                title={summary?.hasExploded ? 'CATO' : undefined}
+                              >
+                                {summary ? formatMetric(metric, summary[metric]) : '—'}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </div>
+          <p className="sweep-note">Outlined cells end in CATO.</p>
+        </section>
+      )}
+      
+      {/* Tornado */}
+      {tornadoData && (
+        <section className="sweep-results">
+          <h2>What Drives {SWEEP_METRICS[tornadoResult.metric].label}</h2>
+          <p className="sweep-note">
+            Nominal {metricTitle(tornadoResult.metric).toLowerCase()}: {formatMetric(tornadoResult.metric, tornadoResult.nominal)}
+          </p>
+          <div className="sweep-chart tornado">
+            <Bar
+              data={tornadoData}
+              options={{
+                ...chartOptions('Sensitivity', `Change in ${metricTitle(tornadoResult.metric)}`, ''),
+                indexAxis: 'y',
+                plugins: {
+                  title: { display: true, text: 'Sensitivity', color: '#1a1a2e', font: { size: 14, weight: 'bold' } },
+                  legend: { position: 'top' },
+                },
+              }}
+            />
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+/**
+ * Burn-Rate Characterization
+ * Fits Saint-Venant burn-rate laws r = a·(P/Pref)^n to strand-burner points
+ * or to burn rates reduced from a static-fire pressure trace
+ *
+ * The fit is a least-squares line in log-log space, so a and n come with
+ * Student-t confidence intervals. Piecewise laws split the pressure-sorted
+ * points into contiguous ranges chosen to minimize the total squared error.
+ */
+import { calculateBurningArea, calculateWebThickness, getGrains, CONSTANTS } from './motorPhysics.js';
+
+const MIN_RANGE_POINTS = 3; // Fewest points that give a fit with a confidence interval
+const TRACE_WEB_STEPS = 200; // Web steps in the burned-volume table of a trace reduction
+const TRACE_START_FRACTION = 0.1; // Trace samples below this fraction of peak gauge pressure are skipped
+const TRACE_MAX_POINTS = 200;
+
+// Two-sided 95% Student-t quantiles for 1-5 degrees of freedom
+const T_TABLE = [12.706, 4.303, 3.182, 2.776, 2.571];
+
+/**
+ * Two-sided 95% Student-t quantile
+ * Tabulated for small samples, Cornish-Fisher expansion beyond
+ */
+function tQuantile(dof) {
+  if (dof <= T_TABLE.length) return T_TABLE[Math.max(dof, 1) - 1];
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * dof) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * dof ** 2) +
+    (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * dof ** 3);
+}
+
+// Log-space regression sums of the sorted points start..end (inclusive)
+function regressionSums(logs, start, end) {
+  let sx = 0, sy = 0, sxx = 0, sxy = 0, syy = 0;
+  for (let i = start; i <= end; i++) {
+    const { x, y } = logs[i];
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    sxy += x * y;
+    syy += y * y;
+  }
+  return { count: end - start + 1, sx, sy, sxx, sxy, syy };
+}
+
+// Slope, intercept and residual sum of squares from regression sums
+function solveRegression({ count, sx, sy, sxx, sxy, syy }) {
+  const Sxx = sxx - sx * sx / count;
+  const Sxy = sxy - sx * sy / count;
+  const Syy = syy - sy * sy / count;
+  const slope = Sxx > 0 ? Sxy / Sxx : 0;
+  const intercept = (sy - slope * sx) / count;
+  return { slope, intercept, Sxx, Syy, sse: Math.max(Syy - slope * Sxy, 0), meanX: sx / count };
+}
+
+/**
+ * Check and sort burn-rate points { pressure (MPa), burnRate (mm/s) }
+ */
+function preparePoints(points) {
+  const valid = (points || [])
+    .map(p => ({ pressure: Number(p.pressure), burnRate: Number(p.burnRate) }))
+    .filter(p => p.pressure > 0 && p.burnRate > 0)
+    .sort((a, b) => a.pressure - b.pressure);
+  if (valid.length < 2) throw new Error('Need at least two points with positive pressure and burn rate');
+  return valid;
+}
+
+/**
+ * Fit one law to a pressure-sorted slice of points
+ * Intervals are null when there are too few points to estimate the scatter.
+ */
+function fitSlice(points, logs, start, end) {
+  const fit = solveRegression(regressionSums(logs, start, end));
+  const count = end - start + 1;
+  const dof = count - 2;
+  let coeffInterval = null;
+  let exponentInterval = null;
+  if (dof > 0 && fit.Sxx > 0) {
+    const s = Math.sqrt(fit.sse / dof);
+    const t = tQuantile(dof);
+    const seSlope = s / Math.sqrt(fit.Sxx);
+    const seIntercept = s * Math.sqrt(1 / count + fit.meanX ** 2 / fit.Sxx);
+    exponentInterval = [fit.slope - t * seSlope, fit.slope + t * seSlope];
+    coeffInterval = [Math.exp(fit.intercept - t * seIntercept), Math.exp(fit.intercept + t * seIntercept)];
+  }
+  return {
+    minPressure: points[start].pressure,
+    maxPressure: points[end].pressure,
+    burnRateCoeff: Math.exp(fit.intercept),
+    burnRateExponent: fit.slope,
+    coeffInterval,
+    exponentInterval,
+    rSquared: fit.Syy > 0 ? 1 - fit.sse / fit.Syy : 1,
+    count,
+  };
+}
+
+/**
+ * Fit a single law r = a·(P/Pref)^n to burn-rate points
+ * Points are { pressure (MPa), burnRate (mm/s) }; referencePressure in MPa.
+ * Returns a and n with 95% confidence intervals and the log-space R².
+ */
+export function fitBurnRateLaw(points, referencePressure = 6.895) {
+  const sorted = preparePoints(points);
+  const logs = sorted.map(p => ({ x: Math.log(p.pressure / referencePressure), y: Math.log(p.burnRate) }));
+  return { referencePressure, ...fitSlice(sorted, logs, 0, sorted.length - 1) };
+}
+
+/**
+ * Fit a piecewise law with rangeCount contiguous pressure ranges
+ * Breakpoints are placed by dynamic programming over the sorted points to
+ * minimize the total log-space squared error, each range holding at least
+ * MIN_RANGE_POINTS points. Neighbouring ranges meet at the geometric mean of
+ * their edge pressures, so the result can go straight into burnRateRanges.
+ */
+export function fitPiecewiseBurnRate(points, rangeCount = 1, referencePressure = 6.895) {
+  const sorted = preparePoints(points);
+  const N = sorted.length;
+  const ranges = Math.max(1, Math.min(Math.floor(rangeCount), Math.floor(N / MIN_RANGE_POINTS)));
+  const logs = sorted.map(p => ({ x: Math.log(p.pressure / referencePressure), y: Math.log(p.burnRate) }));
+
+  // Prefix sums give any slice's squared error in constant time
+  const prefix = [{ count: 0, sx: 0, sy: 0, sxx: 0, sxy: 0, syy: 0 }];
+  logs.forEach(({ x, y }, i) => {
+    const p = prefix[i];
+    prefix.push({ count: p.count + 1, sx: p.sx + x, sy: p.sy + y, sxx: p.sxx + x * x, sxy: p.sxy + x * y, syy: p.syy + y * y });
+  });
+  const sliceError = (start, end) => {
+    const a = prefix[start];
+    const b = prefix[end + 1];
+    return solveRegression({
+      count: b.count - a.count,
+      sx: b.sx - a.sx,
+      sy: b.sy - a.sy,
+      sxx: b.sxx - a.sxx,
+      sxy: b.sxy - a.sxy,
+      syy: b.syy - a.syy,
+    }).sse;
+  };
+
+  // cost[k][j]: best error for the first j points in k ranges; split[k][j]: start of the last range
+  const minPoints = ranges === 1 ? N : MIN_RANGE_POINTS;
+  const cost = Array.from({ length: ranges + 1 }, () => new Array(N + 1).fill(Infinity));
+  const split = Array.from({ length: ranges + 1 }, () => new Array(N + 1).fill(0));
+  cost[0][0] = 0;
+  for (let k = 1; k <= ranges; k++) {
+    for (let j = k * minPoints; j <= N; j++) {
+      for (let i = (k - 1) * minPoints; i <= j - minPoints; i++) {
+        if (!isFinite(cost[k - 1][i])) continue;
+        const total = cost[k - 1][i] + sliceError(i, j - 1);
+        if (total < cost[k][j]) {
+          cost[k][j] = total;
+          split[k][j] = i;
+        }
+      }
+    }
+  }
+
+  const bounds = [];
+  for (let k = ranges, j = N; k > 0; k--) {
+    const start = split[k][j];
+    bounds.unshift([start, j - 1]);
+    j = start;
+  }
+
+  const fitted = bounds.map(([start, end]) => fitSlice(sorted, logs, start, end));
+  for (let i = 1; i < fitted.length; i++) {
+    const edge = Math.sqrt(fitted[i - 1].maxPressure * fitted[i].minPressure);
+    fitted[i - 1].maxPressure = edge;
+    fitted[i].minPressure = edge;
+  }
+
+  const total = solveRegression(regressionSums(logs, 0, N - 1));
+  const sse = fitted.length > 1 ? cost[ranges][N] : total.sse;
+  return {
+    referencePressure,
+    ranges: fitted,
+    rSquared: total.Syy > 0 ? 1 - sse / total.Syy : 1,
+    count: N,
+  };
+}
+
+/**
+ * Reduce a static-fire pressure trace to burn-rate points
+ * trace: [{ time (s), pressure (Pa, absolute) }]. Burned propellant volume is
+ * taken proportional to the running integral of gauge pressure (nozzle flow
+ * ∝ Pc with a fixed throat and c*), scaled so the whole trace burns the whole
+ * web. Inverting the grain's burned-volume-versus-web table gives the web
+ * regressed at each sample, and r = (dV/dt) / Ab(web).
+ */
+export function extractBurnRateFromTrace(trace, config, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  const samples = (trace || [])
+    .map(s => ({ time: Number(s.time), pressure: Number(s.pressure) }))
+    .filter(s => isFinite(s.time) && isFinite(s.pressure))
+    .sort((a, b) => a.time - b.time);
+  if (samples.length < 3) throw new Error('Pressure trace needs at least three samples');
+
+  const grains = getGrains(config);
+  const web = Math.max(...grains.map(calculateWebThickness));
+  const burningArea = (x) => grains.reduce((area, grain) => area + calculateBurningArea(grain, x), 0);
+
+  // Burned volume at each web step
+  const webs = [0];
+  const volumes = [0];
+  for (let i = 1; i <= TRACE_WEB_STEPS; i++) {
+    const x = web * i / TRACE_WEB_STEPS;
+    webs.push(x);
+    volumes.push(volumes[i - 1] + 0.5 * (burningArea(webs[i - 1]) + burningArea(x)) * (x - webs[i - 1]));
+  }
+
+  // Running gauge-pressure integral
+  const gauge = samples.map(s => Math.max(s.pressure - ambientPressure, 0));
+  const integral = [0];
+  for (let i = 1; i < samples.length; i++) {
+    integral.push(integral[i - 1] + 0.5 * (gauge[i] + gauge[i - 1]) * (samples[i].time - samples[i - 1].time));
+  }
+  const totalIntegral = integral[integral.length - 1];
+  if (!(totalIntegral > 0)) throw new Error('Pressure trace never rises above ambient');
+
+  const peak = Math.max(...gauge);
+  const points = [];
+  samples.forEach((s, i) => {
+    if (gauge[i] < peak * TRACE_START_FRACTION) return;
+    const burned = (integral[i] / totalIntegral) * volumes[TRACE_WEB_STEPS];
+    let k = 1;
+    while (k < TRACE_WEB_STEPS && volumes[k] < burned) k++;
+    const frac = (burned - volumes[k - 1]) / Math.max(volumes[k] - volumes[k - 1], 1e-18);
+    const x = webs[k - 1] + frac * (webs[k] - webs[k - 1]);
+    if (x >= web * 0.98) return;
+    const area = burningArea(x);
+    if (!(area > 0)) return;
+    const volumeRate = (gauge[i] / totalIntegral) * volumes[TRACE_WEB_STEPS];
+    points.push({ pressure: s.pressure / 1e6, burnRate: (volumeRate / area) * 1000, web: x });
+  });
+
+  if (points.length <= TRACE_MAX_POINTS) return points;
+  const stride = points.length / TRACE_MAX_POINTS;
+  return Array.from({ length: TRACE_MAX_POINTS }, (_, i) => points[Math.floor(i * stride)]);
+}
@@ -0,0 +1,264 @@
+/**
+ * Monte Carlo Motor Dispersion
+ * Repeated burns with manufacturing tolerances on the propellant, grain,
+ * nozzle and casing, for the spread of performance and the CATO probability
+ *
+ * Each tolerance is a ± band taken as three standard deviations of a normal
+ * distribution; draws outside the band are redrawn, as out-of-tolerance parts
+ * would be rejected. Every run draws one batch: the same deviation applies to
+ * every grain in the stack. Thrust and pressure curves are resampled onto a
+ * common time grid for their envelope (zero once a run has ended). The CATO
+ * probability is the share of runs whose pressure load passed the casing's
+ * yield allowable, i.e. whose casing safety factor fell below 1. The closure
+ * and bulkhead checks past yield are given their own probabilities, and runs
+ * the simulation itself ends in rupture (past the ultimate strength) are
+ * counted apart, by failure mode.
+ */
+import { simulateMotor, summarizeBurn } from './motorPhysics.js';
+import { createRandom, sampleNormal } from './random.js';
+
+const SIGMA_PER_TOLERANCE = 3; // The tolerance band is ±3σ
+const WILSON_Z = 1.96; // 95% confidence on the CATO probability
+
+// Tolerance bands; relative ones are a fraction of the nominal value (values in SI, shown × scale)
+export const TOLERANCES = {
+  propellantDensity: { label: 'Propellant Density', unit: '%', scale: 100, relative: true, default: 0.02 },
+  burnRate: { label: 'Burn Rate', unit: '%', scale: 100, relative: true, default: 0.05 },
+  coreDiameter: { label: 'Core Diameter', unit: 'mm', scale: 1000, relative: false, default: 0.0003 },
+  grainDiameter: { label: 'Grain Diameter', unit: 'mm', scale: 1000, relative: false, default: 0.0002 },
+  segmentLength: { label: 'Segment Length', unit: 'mm', scale: 1000, relative: false, default: 0.001 },
+  throatDiameter: { label: 'Throat Diameter', unit: 'mm', scale: 1000, relative: false, default: 0.0001 },
+  exitDiameter: { label: 'Exit Diameter', unit: 'mm', scale: 1000, relative: false, default: 0.0002 },
+  wallThickness: { label: 'Casing Wall', unit: 'mm', scale: 1000, relative: false, default: 0.0001 },
+  casingYield: { label: 'Casing Yield Strength', unit: '%', scale: 100, relative: true, default: 0.05 },
+};
+
+// Run summary figures given mean, spread and percentiles
+export const DISPERSION_METRICS = {
+  totalImpulse: { label: 'Total Impulse', unit: 'N·s', scale: 1 },
+  averageThrust: { label: 'Average Thrust', unit: 'N', scale: 1 },
+  maxPressure: { label: 'Peak Pressure', unit: 'MPa', scale: 1e-6 },
+  burnTime: { label: 'Burn Time', unit: 's', scale: 1 },
+  minSafetyFactor: { label: 'Min Safety Factor', unit: '', scale: 1 },
+};
+
+/**
+ * Default tolerance bands
+ */
+export function getDefaultTolerances() {
+  return Object.fromEntries(Object.entries(TOLERANCES).map(([key, { default: value }]) => [key, value]));
+}
+
+// Shift a grain's diameters and length, including per-segment overrides of them
+function shiftGrain(grain, deviations) {
+  const shift = (segment) => {
+    const next = { ...segment };
+    if (deviations.coreDiameter && segment.coreRadius !== undefined) {
+      next.coreRadius = Math.max(segment.coreRadius + deviations.coreDiameter / 2, 0);
+    }
+    if (deviations.grainDiameter && segment.outerRadius !== undefined) {
+      next.outerRadius = segment.outerRadius + deviations.grainDiameter / 2;
+    }
+    if (deviations.segmentLength && segment.length !== undefined) {
+      next.length = Math.max(segment.length + deviations.segmentLength, 0);
+    }
+    return next;
+  };
+  const next = shift(grain);
+  if (grain.segmentConfigs) next.segmentConfigs = grain.segmentConfigs.map(segment => segment && shift(segment));
+  return next;
+}
+
+/**
+ * Motor config with manufacturing deviations applied
+ * deviations holds one value per TOLERANCES key: a fraction for relative
+ * tolerances, metres otherwise. The throat and exit are machined apart and
+ * vary on their own; the casing's ultimate strength moves with its yield
+ * strength.
+ */
+export function applyDeviations(config, deviations) {
+  const next = { ...config };
+  if (deviations.propellantDensity) {
+    next.propellant = { ...config.propellant, density: config.propellant.density * (1 + deviations.propellantDensity) };
+  }
+  if (deviations.burnRate) {
+    const calibration = config.calibration || {};
+    next.calibration = { ...calibration, burnRateScale: (calibration.burnRateScale ?? 1) * (1 + deviations.burnRate) };
+  }
+  if (deviations.coreDiameter || deviations.grainDiameter || deviations.segmentLength) {
+    next.grainConfig = shiftGrain(config.grainConfig, deviations);
+    if (config.grains?.length) next.grains = config.grains.map(grain => shiftGrain(grain, deviations));
+  }
+  if (deviations.throatDiameter || deviations.exitDiameter) {
+    next.nozzle = {
+      ...config.nozzle,
+      throatDiameter: config.nozzle.throatDiameter + (deviations.throatDiameter || 0),
+      exitDiameter: config.nozzle.exitDiameter + (deviations.exitDiameter || 0),
+    };
+  }
+  if (deviations.wallThickness) {
+    next.casing = { ...config.casing, wallThickness: config.casing.wallThickness + deviations.wallThickness };
+  }
+  if (deviations.casingYield) {
+    const factor = 1 + deviations.casingYield;
+    next.material = {
+      ...config.material,
+      yieldStrength: config.material.yieldStrength * factor,
+      ultimateStrength: config.material.ultimateStrength * factor,
+    };
+  }
+  return next;
+}
+
+/**
+ * Random deviations within the tolerance bands
+ */
+export function sampleDeviations(tolerances, random) {
+  return Object.fromEntries(Object.entries(tolerances)
+    .filter(([key, band]) => TOLERANCES[key] && band > 0)
+    .map(([key, band]) => [key, band / SIGMA_PER_TOLERANCE * sampleNormal(random, SIGMA_PER_TOLERANCE)]));
+}
+
+/**
+ * Value at fraction q (0-1) of an ascending array, interpolating between entries
+ */
+export function percentile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const position = q * (sorted.length - 1);
+  const low = Math.floor(position);
+  const high = Math.min(low + 1, sorted.length - 1);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+/**
+ * Wilson score interval of a probability from hits out of trials
+ */
+export function wilsonInterval(hits, trials, z = WILSON_Z) {
+  if (trials === 0) return { low: 0, high: 1 };
+  const p = hits / trials;
+  const denominator = 1 + z * z / trials;
+  const center = (p + z * z / (2 * trials)) / denominator;
+  const halfWidth = z * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials)) / denominator;
+  return { low: Math.max(center - halfWidth, 0), high: Math.min(center + halfWidth, 1) };
+}
+
+// Curve values at each grid time by linear interpolation, zero outside the run
+function resample(times, values, grid) {
+  let j = 0;
+  return grid.map(t => {
+    if (times.length === 0 || t < times[0] || t > times[times.length - 1]) return 0;
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const span = times[j + 1] - times[j];
+    if (!(span > 0)) return values[j];
+    return values[j] + (values[j + 1] - values[j]) * (t - times[j]) / span;
+  });
+}
+
+// Min, 5th, 50th, 95th percentile and max of each grid column
+function envelopeOf(curves, length) {
+  const bands = { min: [], p5: [], median: [], p95: [], max: [] };
+  for (let i = 0; i < length; i++) {
+    const column = curves.map(curve => curve[i]).sort((a, b) => a - b);
+    bands.min.push(percentile(column, 0));
+    bands.p5.push(percentile(column, 0.05));
+    bands.median.push(percentile(column, 0.5));
+    bands.p95.push(percentile(column, 0.95));
+    bands.max.push(percentile(column, 1));
+  }
+  return bands;
+}
+
+// Mean, standard deviation and percentiles of one summary figure over the runs
+function describe(values) {
+  const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+  const variance = finite.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(finite.length - 1, 1);
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    min: finite[0],
+    p5: percentile(finite, 0.05),
+    p95: percentile(finite, 0.95),
+    max: finite[finite.length - 1],
+  };
+}
+
+/**
+ * Burn the motor many times with random manufacturing deviations
+ * tolerances: { key: band } from TOLERANCES (0 or missing turns one off).
+ * Yields to the event loop between burns; onProgress(done, total) reports
+ * along the way, and aborting signal (an AbortSignal) stops with the runs
+ * finished so far. The seed makes the run repeatable.
+ * Returns { nominal, runs, envelope, statistics, cato }: runs are
+ * { deviations, summary }; envelope holds the time grid (s) and thrust (N) and
+ * pressure (MPa) bands with the nominal curves; cato holds the count and
+ * probability of runs with the casing past yield, its 95% interval, the
+ * count and probability of runs past yield on each structural check, the
+ * ruptures with the count of each failure mode, and the hang-fires.
+ */
+export async function runDispersion(config, {
+  tolerances = getDefaultTolerances(),
+  runs = 200,
+  seed = 1,
+  gridPoints = 200,
+  solverOptions = { timeStep: 0.02 },
+  onProgress,
+  signal,
+} = {}) {
+  if (!(runs >= 1)) throw new Error('Run at least one simulation');
+
+  const random = createRandom(seed);
+  const nominalResult = simulateMotor(config, solverOptions);
+  const nominal = summarizeBurn(nominalResult);
+  const samples = [];
+  const curves = [];
+
+  for (let i = 0; i < runs && !signal?.aborted; i++) {
+    const deviations = sampleDeviations(tolerances, random);
+    const result = simulateMotor(applyDeviations(config, deviations), solverOptions);
+    samples.push({ deviations, summary: summarizeBurn(result) });
+    const { time, thrust, pressure } = result.history;
+    curves.push({ time, thrust, pressure });
+    if (onProgress) onProgress(i + 1, runs);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // Common time grid out to the longest run
+  const endTime = Math.max(...[nominalResult.history, ...curves].map(history => history.time[history.time.length - 1] || 0));
+  const grid = Array.from({ length: gridPoints }, (_, i) => endTime * i / (gridPoints - 1));
+  const thrustCurves = curves.map(history => resample(history.time, history.thrust, grid));
+  const pressureCurves = curves.map(history => resample(history.time, history.pressure, grid));
+  const envelope = {
+    time: grid,
+    thrust: { ...envelopeOf(thrustCurves, gridPoints), nominal: resample(nominalResult.history.time, nominalResult.history.thrust, grid) },
+    pressure: { ...envelopeOf(pressureCurves, gridPoints), nominal: resample(nominalResult.history.time, nominalResult.history.pressure, grid) },
+  };
+
+  const statistics = Object.fromEntries(Object.keys(DISPERSION_METRICS).map(key => [key, describe(samples.map(({ summary }) => summary[key]))]));
+  const pastYield = (key) => samples.filter(({ summary }) => summary.minSafetyFactors[key] < 1).length;
+  const checks = Object.fromEntries(Object.keys(nominal.minSafetyFactors).map(key => {
+    const count = pastYield(key);
+    return [key, { count, probability: samples.length > 0 ? count / samples.length : 0 }];
+  }));
+  const yielded = checks.casing.count;
+  const modes = {};
+  samples.filter(({ summary }) => summary.hasExploded).forEach(({ summary }) => {
+    modes[summary.failureMode] = (modes[summary.failureMode] || 0) + 1;
+  });
+
+  return {
+    nominal,
+    runs: samples,
+    envelope,
+    statistics,
+    cato: {
+      count: yielded,
+      probability: samples.length > 0 ? yielded / samples.length : 0,
+      interval: wilsonInterval(yielded, samples.length),
+      checks,
+      ruptures: Object.values(modes).reduce((sum, count) => sum + count, 0),
+      modes,
+      hangFires: samples.filter(({ summary }) => summary.isHangFire).length,
+    },
+  };
+}
@@ -0,0 +1,395 @@
+/**
+ * Grain Cross-Section Geometry
+ * Burning perimeter and port area of non-circular cores as the web regresses
+ *
+ * The port is described as a union of convex pieces (the round core plus the
+ * star points or fins). Regressing the web by w offsets every piece by w, and
+ * since each offset piece still contains the motor axis the burned region can
+ * be traced in polar form: along each ray the port ends where the farthest
+ * offset piece ends, clipped by the outer grain wall.
+ *
+ * Custom core outlines and C-slots are not star-shaped about the axis; those
+ * are regressed on a fast-marching distance map instead (see regressionMap.js).
+ * The offset round core of a moonburner stays a circle and is solved exactly.
+ */
+import { buildMapRegressionTable } from './regressionMap.js';
+
+const ANGULAR_SAMPLES = 720; // 0.5° resolution around the grain face
+const TABLE_STEPS = 80; // Web steps in the precomputed regression table
+
+/**
+ * Build the port shape (circles + convex polygons) for a grain config
+ * Star: round core plus N triangular points, base on the axis, tip at starPointLength
+ * Finocyl: round core plus N rectangular fins reaching finLength past the core
+ */
+export function buildPortShape(grainConfig) {
+  const {
+    type,
+    coreRadius = 0.0095,
+    starPoints = 5,
+    starPointLength = 0.016,
+    starPointWidth = 0.008,
+    finCount = 6,
+    finLength = 0.008,
+    finWidth = 0.003,
+  } = grainConfig;
+
+  const circles = [{ x: 0, y: 0, r: Math.max(coreRadius, 0) }];
+  const polygons = [];
+
+  if (type === 'star') {
+    const halfWidth = starPointWidth / 2;
+    for (let i = 0; i < starPoints; i++) {
+      const theta = (2 * Math.PI * i) / starPoints;
+      polygons.push(rotate([
+        { x: 0, y: -halfWidth },
+        { x: starPointLength, y: 0 },
+        { x: 0, y: halfWidth },
+      ], theta));
+    }
+  }
+
+  if (type === 'finocyl') {
+    const halfWidth = finWidth / 2;
+    const tip = coreRadius + finLength;
+    for (let i = 0; i < finCount; i++) {
+      const theta = (2 * Math.PI * i) / finCount;
+      polygons.push(rotate([
+        { x: 0, y: -halfWidth },
+        { x: tip, y: -halfWidth },
+        { x: tip, y: halfWidth },
+        { x: 0, y: halfWidth },
+      ], theta));
+    }
+  }
+
+  return { circles, polygons };
+}
+
+function rotate(points, theta) {
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  return points.map(p => ({ x: p.x * c - p.y * s, y: p.x * s + p.y * c }));
+}
+
+/**
+ * Far intersection of a ray from the origin with a convex polygon
+ * Returns -Infinity if the ray misses it
+ */
+function rayPolygonExit(vertices, ux, uy) {
+  const n = vertices.length;
+  // Orientation decides which side of each edge is outward
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % n];
+    area += a.x * b.y - b.x * a.y;
+  }
+  const sign = area >= 0 ? 1 : -1;
+
+  let tMin = -Infinity;
+  let tMax = Infinity;
+  for (let i = 0; i < n; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % n];
+    // Outward normal of edge a->b
+    const nx = sign * (b.y - a.y);
+    const ny = sign * -(b.x - a.x);
+    const denom = nx * ux + ny * uy;
+    const limit = nx * a.x + ny * a.y;
+    if (Math.abs(denom) < 1e-15) {
+      if (limit < -1e-15) return -Infinity; // Parallel and outside
+      continue;
+    }
+    const t = limit / denom;
+    if (denom > 0) tMax = Math.min(tMax, t);
+    else tMin = Math.max(tMin, t);
+  }
+
+  return tMin <= tMax && tMax >= 0 ? tMax : -Infinity;
+}
+
+/**
+ * Far intersection of a ray from the origin with a circle
+ */
+function rayCircleExit(cx, cy, r, ux, uy) {
+  const b = ux * cx + uy * cy;
+  const disc = b * b - (cx * cx + cy * cy) + r * r;
+  if (disc < 0) return -Infinity;
+  const t = b + Math.sqrt(disc);
+  return t >= 0 ? t : -Infinity;
+}
+
+/**
+ * Offset the port by web w
+ * The offset of a convex polygon is the polygon, one rectangle swept out by
+ * each edge and one circle around each vertex
+ */
+function offsetPort(shape, web) {
+  const circles = shape.circles.map(c => ({ x: c.x, y: c.y, r: c.r + web }));
+  const polygons = [];
+
+  for (const poly of shape.polygons) {
+    polygons.push(poly);
+    if (web <= 0) continue;
+
+    const n = poly.length;
+    const cx = poly.reduce((s, p) => s + p.x, 0) / n;
+    const cy = poly.reduce((s, p) => s + p.y, 0) / n;
+    for (let i = 0; i < n; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % n];
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      if (len > 0) {
+        // Sweep the edge outward (away from the polygon centroid)
+        let nx = (b.y - a.y) / len;
+        let ny = -(b.x - a.x) / len;
+        if (nx * (a.x - cx) + ny * (a.y - cy) < 0) {
+          nx = -nx;
+          ny = -ny;
+        }
+        polygons.push([
+          a,
+          b,
+          { x: b.x + nx * web, y: b.y + ny * web },
+          { x: a.x + nx * web, y: a.y + ny * web },
+        ]);
+      }
+      circles.push({ x: a.x, y: a.y, r: web });
+    }
+  }
+
+  return { circles, polygons };
+}
+
+/**
+ * Distance along a ray from the axis to the edge of the offset port
+ */
+function rayPortExit(pieces, ux, uy) {
+  let t = 0;
+  for (const c of pieces.circles) {
+    t = Math.max(t, rayCircleExit(c.x, c.y, c.r, ux, uy));
+  }
+  for (const poly of pieces.polygons) {
+    t = Math.max(t, rayPolygonExit(poly, ux, uy));
+  }
+  return t;
+}
+
+/**
+ * Burning perimeter and port area after the web has regressed by w
+ * Portions of the port boundary that have reached the outer wall no longer burn
+ */
+export function calculateCoreProfile(shape, outerRadius, web, samples = ANGULAR_SAMPLES) {
+  const pieces = offsetPort(shape, web);
+  const dTheta = (2 * Math.PI) / samples;
+  const radii = new Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const theta = i * dTheta;
+    radii[i] = rayPortExit(pieces, Math.cos(theta), Math.sin(theta));
+  }
+
+  let perimeter = 0;
+  let portArea = 0;
+  for (let i = 0; i < samples; i++) {
+    const r1 = radii[i];
+    const r2 = radii[(i + 1) % samples];
+    const c1 = Math.min(r1, outerRadius);
+    const c2 = Math.min(r2, outerRadius);
+
+    portArea += 0.5 * c1 * c2 * Math.sin(dTheta);
+
+    // Chord between neighbouring boundary points; only the part inside the wall burns
+    const chord = Math.sqrt(c1 * c1 + c2 * c2 - 2 * c1 * c2 * Math.cos(dTheta));
+    if (r1 < outerRadius && r2 < outerRadius) {
+      perimeter += chord;
+    } else if (r1 < outerRadius || r2 < outerRadius) {
+      const inside = Math.min(r1, r2);
+      const outside = Math.max(r1, r2);
+      const fraction = (outerRadius - inside) / Math.max(outside - inside, 1e-12);
+      perimeter += chord * Math.min(Math.max(fraction, 0), 1);
+    }
+  }
+
+  return { perimeter, portArea };
+}
+
+/**
+ * Burning perimeter and port area of a round core of radius r whose center
+ * sits offset from the axis, inside a grain of radius R
+ * The arc that has broken through the outer wall no longer burns
+ */
+export function calculateOffsetCoreProfile(r, offset, R) {
+  const d = Math.abs(offset);
+  if (r <= 0) return { perimeter: 0, portArea: 0 };
+  if (d + r <= R) return { perimeter: 2 * Math.PI * r, portArea: Math.PI * r * r };
+  if (r >= d + R) return { perimeter: 0, portArea: Math.PI * R * R };
+
+  // Core points at angle φ from the offset direction lie outside the wall for |φ| < φ0
+  const clamp = (x) => Math.min(Math.max(x, -1), 1);
+  const phi0 = Math.acos(clamp((R * R - d * d - r * r) / (2 * d * r)));
+
+  // Area of the lens where core and grain face overlap
+  const portArea = r * r * Math.acos(clamp((d * d + r * r - R * R) / (2 * d * r)))
+    + R * R * Math.acos(clamp((d * d + R * R - r * r) / (2 * d * R)))
+    - 0.5 * Math.sqrt(Math.max((-d + r + R) * (d + r - R) * (d - r + R) * (d + r + R), 0));
+
+  return { perimeter: r * (2 * Math.PI - 2 * phi0), portArea };
+}
+
+/**
+ * C-slot: a rectangular slot cut from the outer wall toward the axis
+ * The polygon runs past the wall so the map treats the opening as port
+ */
+function buildSlotOutline(grainConfig, outerRadius) {
+  const { slotWidth = 0.006, slotDepth = 0.018 } = grainConfig;
+  const halfWidth = slotWidth / 2;
+  const inner = outerRadius - slotDepth;
+  const outer = outerRadius * 1.1;
+  return {
+    type: 'polygon',
+    points: [[inner, -halfWidth], [outer, -halfWidth], [outer, halfWidth], [inner, halfWidth]],
+  };
+}
+
+/**
+ * Distance from a point to the (unregressed) port
+ */
+function distanceToPort(shape, px, py) {
+  let d = Infinity;
+
+  for (const c of shape.circles) {
+    d = Math.min(d, Math.max(0, Math.hypot(px - c.x, py - c.y) - c.r));
+  }
+
+  for (const poly of shape.polygons) {
+    const n = poly.length;
+    let inside = true;
+    let sign = 0;
+    let edgeDistance = Infinity;
+    for (let i = 0; i < n; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % n];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const cross = ex * (py - a.y) - ey * (px - a.x);
+      if (cross !== 0) {
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) inside = false;
+      }
+      const lenSq = ex * ex + ey * ey || 1e-30;
+      const u = Math.min(Math.max(((px - a.x) * ex + (py - a.y) * ey) / lenSq, 0), 1);
+      edgeDistance = Math.min(edgeDistance, Math.hypot(px - (a.x + u * ex), py - (a.y + u * ey)));
+    }
+    d = Math.min(d, inside ? 0 : edgeDistance);
+  }
+
+  return d;
+}
+
+/**
+ * Web thickness: how far the surface regresses before the last of the
+ * propellant against the outer wall is consumed
+ */
+export function calculateWebThickness(shape, outerRadius, samples = ANGULAR_SAMPLES) {
+  let web = 0;
+  for (let i = 0; i < samples; i++) {
+    const theta = (2 * Math.PI * i) / samples;
+    web = Math.max(web, distanceToPort(shape, outerRadius * Math.cos(theta), outerRadius * Math.sin(theta)));
+  }
+  return web;
+}
+
+/**
+ * Precompute perimeter and port area over the full web so the simulation
+ * only has to interpolate each step
+ */
+export function buildRegressionTable(grainConfig) {
+  const outerRadius = grainConfig.outerRadius || 0.038;
+  if (grainConfig.type === 'custom') {
+    return buildMapRegressionTable(grainConfig.coreShape, outerRadius);
+  }
+  if (grainConfig.type === 'cslot') {
+    return buildMapRegressionTable(buildSlotOutline(grainConfig, outerRadius), outerRadius);
+  }
+
+  let profileAt;
+  let webThickness;
+  if (grainConfig.type === 'moonburner') {
+    // The far side of the wall is the last propellant to go
+    const { coreRadius = 0.0095, coreOffset = 0.012 } = grainConfig;
+    webThickness = Math.max(outerRadius + Math.abs(coreOffset) - coreRadius, 0);
+    profileAt = (w) => calculateOffsetCoreProfile(coreRadius + w, coreOffset, outerRadius);
+  } else {
+    const shape = buildPortShape(grainConfig);
+    webThickness = calculateWebThickness(shape, outerRadius);
+    profileAt = (w) => calculateCoreProfile(shape, outerRadius, w);
+  }
+
+  const web = [];
+  const perimeter = [];
+  const portArea = [];
+  for (let i = 0; i <= TABLE_STEPS; i++) {
+    const w = (webThickness * i) / TABLE_STEPS;
+    const profile = profileAt(w);
+    web.push(w);
+    perimeter.push(profile.perimeter);
+    portArea.push(profile.portArea);
+  }
+
+  return { webThickness, web, perimeter, portArea };
+}
+
+const tableCache = new Map();
+
+/**
+ * Regression table for a grain config, cached on its cross-section parameters
+ */
+export function getRegressionTable(grainConfig) {
+  const key = JSON.stringify([
+    grainConfig.type,
+    grainConfig.outerRadius,
+    grainConfig.coreRadius,
+    grainConfig.starPoints,
+    grainConfig.starPointLength,
+    grainConfig.starPointWidth,
+    grainConfig.finCount,
+    grainConfig.finLength,
+    grainConfig.finWidth,
+    grainConfig.type === 'moonburner' ? grainConfig.coreOffset : null,
+    grainConfig.type === 'cslot' ? [grainConfig.slotWidth, grainConfig.slotDepth] : null,
+    grainConfig.type === 'custom' ? grainConfig.coreShape : null,
+  ]);
+
+  let table = tableCache.get(key);
+  if (!table) {
+    table = buildRegressionTable(grainConfig);
+    if (tableCache.size > 50) tableCache.clear();
+    tableCache.set(key, table);
+  }
+  return table;
+}
+
+/**
+ * Interpolate perimeter and port area at a regressed web distance
+ * Past the web thickness there is nothing left to burn
+ */
+export function lookupCoreProfile(table, web) {
+  const { webThickness } = table;
+  const last = table.web.length - 1;
+
+  if (web >= webThickness) {
+    return { perimeter: 0, portArea: table.portArea[last] };
+  }
+  if (web <= 0 || webThickness <= 0) {
+    return { perimeter: table.perimeter[0], portArea: table.portArea[0] };
+  }
+
+  const position = (web / webThickness) * last;
+  const i = Math.min(Math.floor(position), last - 1);
+  const f = position - i;
+  return {
+    perimeter: table.perimeter[i] + (table.perimeter[i + 1] - table.perimeter[i]) * f,
+    portArea: table.portArea[i] + (table.portArea[i + 1] - table.portArea[i]) * f,
+  };
+}
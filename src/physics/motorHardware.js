@@ -0,0 +1,158 @@
+/**
+ * Motor Hardware Mass Properties
+ * Mass, center of gravity and length of the loaded and burned-out motor,
+ * built up from its parts
+ *
+ * Layout, forward to aft along the casing: the forward closure (a bulkhead
+ * plug casing.bulkheadThickness long), the grain stack with its segment gaps,
+ * then the nozzle insert seated in the aft closure, a carrier ring that fills
+ * the casing bore around it. The casing tube spans all three; the liner and
+ * insulation line the grain stack. Radial bolts or snap rings retain both
+ * closures. Positions are measured from the forward end of the casing.
+ */
+import { getGrains, getGrainSegments, calculateGrainVolume, MATERIALS, CLOSURE_TYPES } from './motorPhysics.js';
+
+const GRAIN_GAP = 0.002; // m between segments, as in the free-volume estimate
+const NOZZLE_MIN_WALL = 0.0015; // m of insert wall around the flow passage
+const BOLT_ENGAGEMENT = 1.5; // Thread engagement in the closure, bolt diameters
+const BOLT_HEAD_VOLUME = 0.4; // Head volume in bolt diameters cubed (socket head)
+
+// Solid of revolution between radii r1 (forward) and r2 over length h: volume and centroid from its forward face
+function frustum(r1, r2, h) {
+  const sum = r1 * r1 + r1 * r2 + r2 * r2;
+  if (!(h > 0) || !(sum > 0)) return { volume: 0, centroid: 0 };
+  return {
+    volume: Math.PI * h * sum / 3,
+    centroid: h * (r1 * r1 + 2 * r1 * r2 + 3 * r2 * r2) / (4 * sum),
+  };
+}
+
+/**
+ * Nozzle insert geometry from the nozzle config and hardware settings
+ * The passage converges from the insert's forward face at the convergence
+ * half-angle, runs straight through the throat land, then diverges at the
+ * nozzle's divergence half-angle to the exit, which is the aft face.
+ */
+export function calculateNozzleGeometry(nozzle, hardware, boreRadius) {
+  const throatRadius = nozzle.throatDiameter / 2;
+  const exitRadius = Math.max(nozzle.exitDiameter / 2, throatRadius);
+  const outerRadius = Math.max(hardware.nozzleOuterDiameter / 2, exitRadius + NOZZLE_MIN_WALL);
+  const entranceRadius = Math.max(Math.min(outerRadius, boreRadius) - NOZZLE_MIN_WALL, throatRadius);
+  const convergentLength = (entranceRadius - throatRadius) / Math.tan(hardware.nozzleConvergenceHalfAngle * Math.PI / 180);
+  const divergentLength = (exitRadius - throatRadius) / Math.tan((nozzle.divergenceHalfAngle || 15) * Math.PI / 180);
+  const throatLength = hardware.nozzleThroatLength;
+  return {
+    outerRadius,
+    entranceRadius,
+    throatRadius,
+    exitRadius,
+    convergentLength,
+    throatLength,
+    divergentLength,
+    length: convergentLength + throatLength + divergentLength,
+  };
+}
+
+/**
+ * Mass, CG and length of the motor from its parts
+ * Returns every part with its mass (kg) and CG (m from the forward end),
+ * the propellant, the loaded and burnout totals and the overall length and
+ * diameter. Liner and insulation char is not subtracted at burnout.
+ */
+export function calculateMotorHardware(config) {
+  const { casing, material, nozzle } = config;
+  const hardware = config.hardware || {};
+  const innerRadius = casing.innerRadius;
+  const outerRadius = innerRadius + casing.wallThickness;
+  const parts = [];
+  const addPart = (key, name, mass, cg) => parts.push({ key, name, mass, cg });
+
+  // Forward closure
+  const forwardLength = casing.bulkheadThickness;
+  const forwardMaterial = hardware.forwardClosureMaterial || material;
+  addPart('forwardClosure', 'Forward closure', forwardMaterial.density * Math.PI * innerRadius ** 2 * forwardLength, forwardLength / 2);
+
+  // Propellant, segment by segment down the stack
+  let position = forwardLength;
+  let propellantMass = 0;
+  let propellantMoment = 0;
+  getGrains(config).flatMap(getGrainSegments).forEach(segment => {
+    const mass = calculateGrainVolume(segment) * config.propellant.density;
+    propellantMass += mass;
+    propellantMoment += mass * (position + segment.length / 2);
+    position += segment.length + GRAIN_GAP;
+  });
+  const stackStart = forwardLength;
+  const stackLength = position - stackStart;
+
+  // Liner and insulation along the grain stack
+  const shell = (inner, thickness) => Math.PI * ((inner + thickness) ** 2 - inner ** 2) * stackLength;
+  const linerThickness = casing.liner ? casing.linerThickness || 0 : 0;
+  const insulationThickness = casing.insulation ? casing.insulationThickness || 0 : 0;
+  const stackMiddle = stackStart + stackLength / 2;
+  if (linerThickness > 0) {
+    addPart('liner', 'Liner', casing.liner.density * shell(innerRadius - linerThickness, linerThickness), stackMiddle);
+  }
+  if (insulationThickness > 0) {
+    const inner = innerRadius - linerThickness - insulationThickness;
+    addPart('insulation', 'Insulation', casing.insulation.density * shell(inner, insulationThickness), stackMiddle);
+  }
+
+  // Nozzle insert: solid cylinder less the convergent, throat and divergent passage
+  const geometry = calculateNozzleGeometry(nozzle, {
+    nozzleOuterDiameter: 0.04,
+    nozzleConvergenceHalfAngle: 30,
+    nozzleThroatLength: 0.005,
+    ...hardware,
+  }, innerRadius);
+  const nozzleStart = stackStart + stackLength;
+  const passage = [
+    [frustum(geometry.entranceRadius, geometry.throatRadius, geometry.convergentLength), 0],
+    [frustum(geometry.throatRadius, geometry.throatRadius, geometry.throatLength), geometry.convergentLength],
+    [frustum(geometry.throatRadius, geometry.exitRadius, geometry.divergentLength), geometry.convergentLength + geometry.throatLength],
+  ];
+  const solid = frustum(geometry.outerRadius, geometry.outerRadius, geometry.length);
+  const passageVolume = passage.reduce((sum, [f]) => sum + f.volume, 0);
+  const passageMoment = passage.reduce((sum, [f, offset]) => sum + f.volume * (offset + f.centroid), 0);
+  const insertVolume = solid.volume - passageVolume;
+  const insertCG = insertVolume > 0 ? (solid.volume * solid.centroid - passageMoment) / insertVolume : geometry.length / 2;
+  addPart('nozzle', 'Nozzle insert', (nozzle.material?.density || 1800) * insertVolume, nozzleStart + insertCG);
+
+  // Aft closure: the carrier ring between insert and casing bore
+  if (geometry.outerRadius < innerRadius) {
+    const aftMaterial = hardware.aftClosureMaterial || material;
+    const ringVolume = Math.PI * (innerRadius ** 2 - geometry.outerRadius ** 2) * geometry.length;
+    addPart('aftClosure', 'Aft closure', aftMaterial.density * ringVolume, nozzleStart + geometry.length / 2);
+  }
+
+  // Casing tube over closures, grains and nozzle
+  const length = nozzleStart + geometry.length;
+  addPart('casing', 'Casing', material.density * Math.PI * (outerRadius ** 2 - innerRadius ** 2) * length, length / 2);
+
+  // Retaining hardware at both closures
+  const fastener = casing.fastenerMaterial || MATERIALS.STEEL;
+  const retainerMass = casing.closure === CLOSURE_TYPES.SNAP_RING
+    ? fastener.density * 2 * Math.PI * innerRadius * casing.snapRingThickness * 2 * casing.snapRingDepth
+    : fastener.density * casing.boltCount * (
+      Math.PI * casing.boltDiameter ** 2 / 4 * (casing.wallThickness + BOLT_ENGAGEMENT * casing.boltDiameter) +
+      BOLT_HEAD_VOLUME * casing.boltDiameter ** 3
+    );
+  addPart('forwardRetainer', 'Forward retainer', retainerMass, forwardLength / 2);
+  addPart('aftRetainer', 'Aft retainer', retainerMass, nozzleStart + geometry.length / 2);
+
+  const burnoutMass = parts.reduce((sum, part) => sum + part.mass, 0);
+  const burnoutMoment = parts.reduce((sum, part) => sum + part.mass * part.cg, 0);
+  const loadedMass = burnoutMass + propellantMass;
+  return {
+    parts,
+    nozzle: geometry,
+    propellantMass,
+    propellantCG: propellantMass > 0 ? propellantMoment / propellantMass : stackMiddle,
+    burnoutMass,
+    burnoutCG: burnoutMoment / burnoutMass,
+    loadedMass,
+    loadedCG: (burnoutMoment + propellantMoment) / loadedMass,
+    length,
+    diameter: 2 * outerRadius,
+  };
+}
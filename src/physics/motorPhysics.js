@@ -3,12 +3,15 @@
  * Based on OpenMotor / OpenBurn methodology
  * Handles burn regression, pressure, thrust, and stress calculations
  */
+import { getRegressionTable, lookupCoreProfile } from './grainGeometry.js';
+import { createWallState, stepWallConduction, summarizeWall } from './wallThermal.js';
 
 // Physical constants
 export const CONSTANTS = {
   GRAVITY: 9.81, // m/s²
   UNIVERSAL_GAS_CONSTANT: 8314, // J/(kmol·K)
   ATMOSPHERIC_PRESSURE: 101325, // Pa (1 atm)
+  AMBIENT_TEMPERATURE: 293.15, // K
 };
 
 // Propellant database - Richard Nakka's verified data
@@ -27,6 +30,9 @@ export const PROPELLANTS = {
     gamma: 1.133,
     combustionTemp: 1600, // K
     molecularMass: 39.9, // kg/kmol
+    ignitionEnergy: 1.5e5, // J/m² absorbed at the surface before it lights
+    slagFactor: 1.0, // Relative slag (K2CO3) load in the exhaust
+    condensedFraction: 0.42, // Mass fraction of condensed-phase products
   },
   KNSU: {
     name: 'KNSU (KNO3/Sucrose 65/35)',
@@ -39,6 +45,9 @@ export const PROPELLANTS = {
     gamma: 1.133,
     combustionTemp: 1720,
     molecularMass: 42.0,
+    ignitionEnergy: 1.5e5,
+    slagFactor: 1.0,
+    condensedFraction: 0.43,
   },
   KNDX: {
     name: 'KNDX (KNO3/Dextrose 65/35)',
@@ -51,6 +60,9 @@ export const PROPELLANTS = {
     gamma: 1.131,
     combustionTemp: 1710,
     molecularMass: 42.4,
+    ignitionEnergy: 1.5e5,
+    slagFactor: 1.0,
+    condensedFraction: 0.43,
   },
   APCP: {
     name: 'APCP (70% AP Composite)',
@@ -63,10 +75,36 @@ export const PROPELLANTS = {
     gamma: 1.25,
     combustionTemp: 3000,
     molecularMass: 26.0,
+    ignitionEnergy: 3.0e5,
+    slagFactor: 0.1,
+    condensedFraction: 0.02,
+  },
+  KNSB_NAKKA: {
+    name: 'KNSB (Nakka piecewise)',
+    density: 1841,
+    // Nakka's five pressure ranges, r(mm/s) = a * P_MPa^n
+    burnRateCoeff: 3.907,
+    burnRateExponent: 0.535,
+    referencePressure: 1,
+    burnRateRanges: [
+      { minPressure: 0.101, maxPressure: 0.807, burnRateCoeff: 10.708, burnRateExponent: 0.625 },
+      { minPressure: 0.807, maxPressure: 1.503, burnRateCoeff: 8.763, burnRateExponent: -0.314 },
+      { minPressure: 1.503, maxPressure: 3.792, burnRateCoeff: 7.852, burnRateExponent: -0.013 },
+      { minPressure: 3.792, maxPressure: 7.033, burnRateCoeff: 3.907, burnRateExponent: 0.535 },
+      { minPressure: 7.033, maxPressure: 10.67, burnRateCoeff: 9.653, burnRateExponent: 0.064 },
+    ],
+    characteristicVelocity: 885,
+    gamma: 1.133,
+    combustionTemp: 1600,
+    molecularMass: 39.9,
+    ignitionEnergy: 1.5e5,
+    slagFactor: 1.0,
+    condensedFraction: 0.42,
   },
 };
 
 // Casing materials
+// strengthRetention: [K, fraction of room-temperature strength] points, short exposures
 export const MATERIALS = {
   ALUMINUM: {
     name: 'Aluminum 6061-T6',
@@ -74,6 +112,8 @@ export const MATERIALS = {
     yieldStrength: 276e6, // Pa
     ultimateStrength: 310e6, // Pa
     thermalConductivity: 167, // W/(m·K)
+    specificHeat: 896, // J/(kg·K)
+    strengthRetention: [[293, 1], [373, 0.95], [423, 0.78], [478, 0.37], [533, 0.12], [588, 0.07], [644, 0.04]],
     color: '#A8A8A8',
   },
   STEEL: {
@@ -82,6 +122,8 @@ export const MATERIALS = {
     yieldStrength: 435e6,
     ultimateStrength: 560e6,
     thermalConductivity: 42,
+    specificHeat: 477,
+    strengthRetention: [[293, 1], [473, 0.92], [573, 0.86], [673, 0.77], [773, 0.62], [873, 0.42], [973, 0.2], [1073, 0.1]],
     color: '#606060',
   },
   PVC: {
@@ -90,6 +132,8 @@ export const MATERIALS = {
     yieldStrength: 52e6,
     ultimateStrength: 52e6,
     thermalConductivity: 0.19,
+    specificHeat: 1000,
+    strengthRetention: [[293, 1], [313, 0.8], [333, 0.5], [353, 0.15], [373, 0.03]],
     color: '#E8E8E8',
   },
   COMPOSITE: {
@@ -98,82 +142,561 @@ export const MATERIALS = {
     yieldStrength: 600e6,
     ultimateStrength: 800e6,
     thermalConductivity: 5,
+    specificHeat: 1100,
+    strengthRetention: [[293, 1], [353, 0.9], [393, 0.6], [423, 0.35], [473, 0.1], [523, 0.02]],
     color: '#2D2D2D',
   },
 };
 
+// Casing liners: the tube between grain and casing wall
+// Both char: above charTemperature the layer absorbs heatOfPyrolysis and conducts at charConductivity
+export const LINER_MATERIALS = {
+  PAPER: {
+    name: 'Paper (kraft) tube',
+    density: 800, // kg/m³
+    thermalConductivity: 0.12, // W/(m·K)
+    specificHeat: 1300, // J/(kg·K)
+    charTemperature: 560, // K
+    heatOfPyrolysis: 8e5, // J/kg
+    charConductivity: 0.08, // W/(m·K)
+  },
+  PHENOLIC: {
+    name: 'Paper phenolic',
+    density: 1350,
+    thermalConductivity: 0.3,
+    specificHeat: 1400,
+    charTemperature: 620,
+    heatOfPyrolysis: 1.2e6,
+    charConductivity: 0.25,
+  },
+};
+
+// Ablative insulation, applied inside the liner
+export const INSULATION_MATERIALS = {
+  EPDM: {
+    name: 'EPDM rubber',
+    density: 1100,
+    thermalConductivity: 0.25,
+    specificHeat: 2000,
+    charTemperature: 700,
+    heatOfPyrolysis: 2.5e6,
+    charConductivity: 0.15,
+  },
+  CORK: {
+    name: 'Cork phenolic sheet',
+    density: 480,
+    thermalConductivity: 0.1,
+    specificHeat: 1900,
+    charTemperature: 600,
+    heatOfPyrolysis: 1.5e6,
+    charConductivity: 0.08,
+  },
+  SILICA_PHENOLIC: {
+    name: 'Silica phenolic',
+    density: 1700,
+    thermalConductivity: 0.5,
+    specificHeat: 1100,
+    charTemperature: 720,
+    heatOfPyrolysis: 2.5e6,
+    charConductivity: 0.6,
+  },
+};
+
+// Casing closures: how the bulkhead and nozzle are held against the end load
+export const CLOSURE_TYPES = {
+  BOLTS: 'bolts',
+  SNAP_RING: 'snapRing',
+};
+
+const POISSON_RATIO = 0.33; // Bulkhead plate bending
+const SHEAR_ALLOWABLE_FACTOR = 0.577; // Shear strength / tensile strength (von Mises)
+const BEARING_ALLOWABLE_FACTOR = 1.5; // Bearing strength / tensile strength
+
+// Pressure at which nozzle erosion and slag rates are quoted
+export const NOZZLE_REFERENCE_PRESSURE = 6.895e6; // Pa (1000 psi)
+
+// Nozzle throat materials
+// Radial rates in mm/s at NOZZLE_REFERENCE_PRESSURE:
+// erosion scales with (P/Pref)^erosionExponent, slag deposition with P/Pref
+// and slows as the layer approaches maxSlag
+export const NOZZLE_MATERIALS = {
+  GRAPHITE: {
+    name: 'Graphite',
+    density: 1800, // kg/m³
+    erosionRate: 0.02,
+    erosionExponent: 0.8,
+    slagRate: 0.05,
+    maxSlag: 0.2, // mm
+  },
+  PHENOLIC: {
+    name: 'Linen Phenolic',
+    density: 1350, // kg/m³
+    erosionRate: 0.15,
+    erosionExponent: 0.8,
+    slagRate: 0.05,
+    maxSlag: 0.2,
+  },
+  STEEL: {
+    name: 'Mild Steel',
+    density: 7850, // kg/m³
+    erosionRate: 0.005,
+    erosionExponent: 0.8,
+    slagRate: 0.08,
+    maxSlag: 0.3,
+  },
+  CONCRETE: {
+    name: 'Cast Concrete',
+    density: 2300, // kg/m³
+    erosionRate: 0.3,
+    erosionExponent: 1.0,
+    slagRate: 0.03,
+    maxSlag: 0.1,
+  },
+};
+
 // Grain geometry types
 export const GRAIN_TYPES = {
   BATES: 'bates',
   STAR: 'star',
   CYLINDRICAL: 'cylindrical',
   FINOCYL: 'finocyl',
+  END_BURNER: 'endburner',
+  MOONBURNER: 'moonburner',
+  C_SLOT: 'cslot',
+  ROD_AND_TUBE: 'rodandtube',
+  CUSTOM: 'custom',
+};
+
+// Default custom core: a six-lobed outline (SVG path in mm, centered on the axis)
+export const DEFAULT_CORE_SHAPE = {
+  type: 'svg',
+  path: 'M 12 0 L 6 4 L 6 10.4 L 0 8 L -6 10.4 L -6 4 L -12 0 L -6 -4 L -6 -10.4 L 0 -8 L 6 -10.4 L 6 -4 Z',
+  scale: 0.001,
+};
+
+// Axial stations per grain segment; each regresses at its own local burn rate
+export const STATIONS_PER_SEGMENT = 6;
+
+// Which end faces of a segment are inhibited (forward = toward the bulkhead)
+export const INHIBITED_ENDS = {
+  NEITHER: 'neither',
+  FORWARD: 'forward',
+  AFT: 'aft',
+  BOTH: 'both',
 };
 
 /**
- * Calculate burning surface area for BATES grain geometry
- * OpenMotor formula: Ab = N * [2*π*r*L + 2*π*(R²-r²)] for uninhibited ends
+ * Inhibited ends a grain type has unless it says otherwise
+ * Ends burn only on BATES grains and the aft face of an end-burner.
  */
-export function calculateBurningArea(grainConfig, currentInnerRadius) {
-  const { type, outerRadius, length, segments } = grainConfig;
-  
-  // Clamp inner radius
-  const r = Math.min(Math.max(currentInnerRadius, 0.001), outerRadius * 0.99);
+export function getDefaultInhibitedEnds(type) {
+  switch (type) {
+    case GRAIN_TYPES.BATES: return INHIBITED_ENDS.NEITHER;
+    case GRAIN_TYPES.END_BURNER: return INHIBITED_ENDS.FORWARD;
+    default: return INHIBITED_ENDS.BOTH;
+  }
+}
+
+/**
+ * Expand a grain config into its individual segments
+ * Each entry of grainConfig.segmentConfigs overrides length, coreRadius,
+ * outerRadius, inhibitedEnds or inhibitedOuter for that segment.
+ * Ends follow the grain type's default (getDefaultInhibitedEnds); the outer
+ * surface is inhibited unless a segment says otherwise.
+ */
+export function getGrainSegments(grainConfig) {
+  const { segments, segmentConfigs, ...grain } = grainConfig;
   const N = segments || 1;
-  const L = length || 0.1;
-  const R = outerRadius || 0.038;
+  const defaults = {
+    inhibitedEnds: getDefaultInhibitedEnds(grain.type),
+    inhibitedOuter: true,
+  };
+  
+  return Array.from({ length: N }, (_, i) => ({
+    ...defaults,
+    ...grain,
+    ...(segmentConfigs?.[i] || {}),
+  }));
+}
+
+// Number of end faces that burn
+function countBurningEnds(inhibitedEnds) {
+  switch (inhibitedEnds) {
+    case INHIBITED_ENDS.BOTH: return 0;
+    case INHIBITED_ENDS.FORWARD:
+    case INHIBITED_ENDS.AFT: return 1;
+    default: return 2;
+  }
+}
+
+// Core perimeter and port area of one segment's cross-section at a regressed web
+function coreProfile(segment, webRegressed) {
+  const { type, coreRadius } = segment;
   
   switch (type) {
-    case GRAIN_TYPES.BATES: {
-      // BATES grain: burns on inner core surface and both end faces
-      // Core surface area: 2 * π * r * L (per segment)
-      const coreArea = N * 2 * Math.PI * r * L;
-      
-      // End face area (both ends of each segment): 2 * π * (R² - r²)
-      // Factor for inhibited ends (partial burning)
-      const endInhibition = 0.3; // 30% of ends burn initially
-      const endArea = N * 2 * Math.PI * (R * R - r * r) * endInhibition;
-      
-      return coreArea + endArea;
-    }
+    case GRAIN_TYPES.STAR:
+    case GRAIN_TYPES.FINOCYL:
+    case GRAIN_TYPES.MOONBURNER:
+    case GRAIN_TYPES.C_SLOT:
+    case GRAIN_TYPES.CUSTOM:
+      return lookupCoreProfile(getRegressionTable(segment), webRegressed);
     
-    case GRAIN_TYPES.CYLINDRICAL: {
-      // Simple cylindrical core (ends inhibited)
-      return N * 2 * Math.PI * r * L;
-    }
+    // Solid cylinder - only end faces burn
+    case GRAIN_TYPES.END_BURNER:
+      return { perimeter: 0, portArea: 0 };
     
-    case GRAIN_TYPES.STAR: {
-      // Star grain approximation - increased perimeter
-      const starMultiplier = 2.5;
-      return N * 2 * Math.PI * r * L * starMultiplier;
+    // Tube core grows outward while the central rod burns down from its surface
+    case GRAIN_TYPES.ROD_AND_TUBE: {
+      const w = Math.max(webRegressed, 0);
+      const tube = Math.min(coreRadius + w, segment.outerRadius);
+      const rod = Math.max((segment.rodRadius ?? 0.005) - w, 0);
+      return {
+        perimeter: (tube < segment.outerRadius ? 2 * Math.PI * tube : 0) + 2 * Math.PI * rod,
+        portArea: Math.PI * (tube * tube - rod * rod),
+      };
     }
     
+    default: {
+      const r = coreRadius + Math.max(webRegressed, 0);
+      return { perimeter: 2 * Math.PI * r, portArea: Math.PI * r * r };
+    }
+  }
+}
+
+// Regressed shape parameters (beyond the equivalent round core) for drawing a segment
+function crossSectionState(segment, webRegressed) {
+  const w = Math.max(webRegressed, 0);
+  
+  switch (segment.type) {
+    case GRAIN_TYPES.MOONBURNER:
+      return { coreOffset: segment.coreOffset ?? 0.012, offsetCoreRadius: segment.coreRadius + w };
+    case GRAIN_TYPES.ROD_AND_TUBE:
+      return {
+        tubeRadius: Math.min(segment.coreRadius + w, segment.outerRadius),
+        rodRadius: Math.max((segment.rodRadius ?? 0.005) - w, 0),
+      };
+    case GRAIN_TYPES.C_SLOT:
+      return {
+        slotWidth: (segment.slotWidth ?? 0.006) + 2 * w,
+        slotInnerRadius: Math.max(segment.outerRadius - (segment.slotDepth ?? 0.018) - w, 0),
+      };
     default:
-      return N * 2 * Math.PI * r * L;
+      return {};
+  }
+}
+
+// Core-to-wall web of a segment (half of it when the outer surface burns too)
+function radialWebThickness(segment) {
+  const { type, outerRadius, coreRadius } = segment;
+  
+  let radialWeb;
+  switch (type) {
+    case GRAIN_TYPES.STAR:
+    case GRAIN_TYPES.FINOCYL:
+    case GRAIN_TYPES.MOONBURNER:
+    case GRAIN_TYPES.C_SLOT:
+    case GRAIN_TYPES.CUSTOM:
+      radialWeb = getRegressionTable(segment).webThickness;
+      break;
+    case GRAIN_TYPES.END_BURNER:
+      return segment.inhibitedOuter ? Infinity : outerRadius;
+    case GRAIN_TYPES.ROD_AND_TUBE:
+      // Burnt out once both the tube and the rod are gone
+      radialWeb = Math.max(outerRadius - coreRadius, segment.rodRadius ?? 0.005);
+      break;
+    default:
+      radialWeb = outerRadius - coreRadius;
+  }
+  // A burning outer surface meets the core halfway
+  return segment.inhibitedOuter ? radialWeb : radialWeb / 2;
+}
+
+/**
+ * Web thickness of a single segment - radial or axial, whichever burns through first
+ */
+export function calculateSegmentWebThickness(segment) {
+  const ends = countBurningEnds(segment.inhibitedEnds);
+  const axialWeb = ends > 0 ? segment.length / ends : Infinity;
+  const web = Math.min(radialWebThickness(segment), axialWeb);
+  
+  // A fully inhibited end-burner has no burning surface at all
+  return Number.isFinite(web) ? Math.max(web, 0) : 0;
+}
+
+/**
+ * Regressed geometry of one segment
+ * Core grows by w, a burning outer surface shrinks by w and every
+ * uninhibited end face moves inward by w, shortening the segment
+ */
+export function calculateSegmentGeometry(segment, webRegressed) {
+  return calculateStationGeometry(segment, [webRegressed]);
+}
+
+/**
+ * Regressed geometry of a segment whose core burns back unevenly along its length
+ * stationWebs is the web burned at each axial station, forward to aft; the
+ * forward and aft end faces move with the first and last station.
+ * stationAreas splits the burning area by station, end faces included.
+ */
+export function calculateStationGeometry(segment, stationWebs) {
+  const webs = stationWebs.map(w => Math.max(w, 0));
+  const last = webs.length - 1;
+  const { inhibitedEnds, inhibitedOuter } = segment;
+  const forwardBurning = inhibitedEnds === INHIBITED_ENDS.NEITHER || inhibitedEnds === INHIBITED_ENDS.AFT;
+  const aftBurning = inhibitedEnds === INHIBITED_ENDS.NEITHER || inhibitedEnds === INHIBITED_ENDS.FORWARD;
+  const length = Math.max(segment.length - (forwardBurning ? webs[0] : 0) - (aftBurning ? webs[last] : 0), 0);
+  const radialWeb = radialWebThickness(segment);
+  
+  const stations = webs.map(w => ({
+    ...coreProfile(segment, w),
+    outerRadius: inhibitedOuter ? segment.outerRadius : segment.outerRadius - w,
+    burning: w < radialWeb,
+  }));
+  const portArea = Math.min(...stations.map(station => station.portArea));
+  const outerRadius = Math.min(...stations.map(station => station.outerRadius));
+  const burnedOut = length <= 0 || calculateSegmentWebThickness(segment) <= 0 || stations.every(station => !station.burning);
+  
+  if (burnedOut) {
+    return { burningArea: 0, stationAreas: webs.map(() => 0), stations, portArea, length, outerRadius, burnedOut };
+  }
+  
+  const stationLength = length / webs.length;
+  const faceArea = (station) => (station.burning
+    ? Math.max(Math.PI * station.outerRadius * station.outerRadius - station.portArea, 0)
+    : 0);
+  const stationAreas = stations.map((station, k) => {
+    if (!station.burning) return 0;
+    const coreArea = station.perimeter * stationLength;
+    const outerArea = inhibitedOuter ? 0 : 2 * Math.PI * station.outerRadius * stationLength;
+    return coreArea + outerArea
+      + (k === 0 && forwardBurning ? faceArea(station) : 0)
+      + (k === last && aftBurning ? faceArea(station) : 0);
+  });
+  
+  return {
+    burningArea: stationAreas.reduce((sum, area) => sum + area, 0),
+    stationAreas,
+    stations,
+    portArea,
+    length,
+    outerRadius,
+    burnedOut,
+  };
+}
+
+/**
+ * Calculate burning surface area for the grain geometry
+ * OpenMotor formula: Ab = Σ [P*L' + N_ends*(π*R² - A_port)] summed over segments
+ * Star, finocyl and custom cores use the regressed perimeter of the actual core shape
+ * webRegressed is the distance the burning surface has moved since ignition
+ */
+export function calculateBurningArea(grainConfig, webRegressed) {
+  return getGrainSegments(grainConfig).reduce(
+    (area, segment) => area + calculateSegmentGeometry(segment, webRegressed).burningArea,
+    0
+  );
+}
+
+/**
+ * Calculate port (open flow) area at a regressed web distance
+ * Returns the narrowest port along the grain stack; end-burners have no port
+ * (their gas leaves from the aft face) and are skipped
+ */
+export function calculatePortArea(grainConfig, webRegressed) {
+  const ports = getGrainSegments(grainConfig)
+    .filter(segment => segment.type !== GRAIN_TYPES.END_BURNER)
+    .map(segment => Math.min(coreProfile(segment, webRegressed).portArea, Math.PI * segment.outerRadius ** 2));
+  return ports.length > 0 ? Math.min(...ports) : 0;
+}
+
+/**
+ * Calculate web thickness - regression distance until the last segment burns out
+ */
+export function calculateWebThickness(grainConfig) {
+  return Math.max(...getGrainSegments(grainConfig).map(calculateSegmentWebThickness));
+}
+
+/**
+ * Ordered grain stack of a motor config, forward (bulkhead) end first
+ * config.grains holds one grainConfig per grain, each with its own type and
+ * dimensions; without it the motor is the single config.grainConfig
+ */
+export function getGrains(config) {
+  return config.grains?.length ? config.grains : [config.grainConfig];
+}
+
+/**
+ * config.grains for a stack of grainCount grains
+ * Grain 1 is grainConfig; the rest are grainDrafts[i] over grainConfig's
+ * shape, keeping their own type's inhibited ends unless a draft sets them.
+ * A single grain needs no stack.
+ */
+export function buildGrainStack(grainConfig, grainCount, grainDrafts = []) {
+  if (grainCount <= 1) return [];
+  const { inhibitedEnds, ...shared } = grainConfig;
+  const extra = Array.from({ length: grainCount - 1 }, (_, i) => ({ ...shared, ...grainDrafts[i + 1] }));
+  return [grainConfig, ...extra];
+}
+
+/**
+ * Grain drafts with changesOf(i) made to each extra grain i of the stack, so
+ * that buildGrainStack gives those grains the changes whatever grain 1 holds;
+ * drafts of grains past grainCount are kept as they are
+ */
+export function patchGrainDrafts(grainDrafts, grainCount, changesOf) {
+  return Array.from({ length: Math.max(grainDrafts.length, grainCount) }, (_, i) =>
+    i > 0 && i < grainCount ? { ...grainDrafts[i], ...changesOf(i) } : grainDrafts[i]);
+}
+
+/**
+ * Calculate unburned propellant volume of the grain
+ */
+export function calculateGrainVolume(grainConfig) {
+  return getGrainSegments(grainConfig).reduce((volume, segment) => {
+    const { portArea } = coreProfile(segment, 0);
+    return volume + Math.max(Math.PI * segment.outerRadius ** 2 - portArea, 0) * segment.length;
+  }, 0);
+}
+
+/**
+ * Calculate total propellant volume of every grain in the motor
+ */
+export function calculatePropellantVolume(config) {
+  return getGrains(config).reduce((volume, grain) => volume + calculateGrainVolume(grain), 0);
+}
+
+/**
+ * Burn-rate coefficient and exponent in force at a pressure (MPa)
+ * Piecewise propellants use the range containing P; between ranges the
+ * lower one carries on, and outside them the nearest end range applies
+ */
+export function getBurnRateLaw(propellant, pressureMPa) {
+  const ranges = propellant.burnRateRanges;
+  if (!ranges || ranges.length === 0) {
+    return { burnRateCoeff: propellant.burnRateCoeff, burnRateExponent: propellant.burnRateExponent };
   }
+  const range = ranges.reduce((found, r) => (r.minPressure <= pressureMPa ? r : found), ranges[0]);
+  return { burnRateCoeff: range.burnRateCoeff, burnRateExponent: range.burnRateExponent };
+}
+
+/**
+ * Check a user-defined propellant and fill in optional properties
+ * Throws with a readable message on the first problem found
+ */
+export function validatePropellant(propellant) {
+  if (!propellant || typeof propellant !== 'object') throw new Error('Propellant must be an object');
+  const name = String(propellant.name || '').trim();
+  if (!name) throw new Error('Propellant needs a name');
+  
+  const positive = ['density', 'characteristicVelocity', 'combustionTemp', 'molecularMass', 'referencePressure'];
+  positive.forEach(key => {
+    if (!(Number(propellant[key]) > 0)) throw new Error(`${key} must be a positive number`);
+  });
+  if (!(Number(propellant.gamma) > 1)) throw new Error('gamma must be greater than 1');
+  
+  const ranges = (propellant.burnRateRanges || []).map((range, i) => {
+    const r = {
+      minPressure: Number(range.minPressure),
+      maxPressure: Number(range.maxPressure),
+      burnRateCoeff: Number(range.burnRateCoeff),
+      burnRateExponent: Number(range.burnRateExponent),
+    };
+    if (!(r.minPressure >= 0 && r.maxPressure > r.minPressure)) throw new Error(`Range ${i + 1}: max pressure must exceed min pressure`);
+    if (!(r.burnRateCoeff > 0) || !isFinite(r.burnRateExponent)) throw new Error(`Range ${i + 1}: a must be positive and n a number`);
+    return r;
+  }).sort((a, b) => a.minPressure - b.minPressure);
+  ranges.forEach((r, i) => {
+    if (i > 0 && r.minPressure < ranges[i - 1].maxPressure) throw new Error(`Ranges ${i} and ${i + 1} overlap`);
+  });
+  
+  // A single law is required either way; piecewise propellants default it to their first range
+  const burnRateCoeff = Number(propellant.burnRateCoeff ?? ranges[0]?.burnRateCoeff);
+  const burnRateExponent = Number(propellant.burnRateExponent ?? ranges[0]?.burnRateExponent);
+  if (!(burnRateCoeff > 0) || !isFinite(burnRateExponent)) throw new Error('Burn rate needs a positive a and a numeric n');
+  
+  return {
+    ...propellant,
+    name,
+    density: Number(propellant.density),
+    burnRateCoeff,
+    burnRateExponent,
+    referencePressure: Number(propellant.referencePressure),
+    burnRateRanges: ranges,
+    characteristicVelocity: Number(propellant.characteristicVelocity),
+    gamma: Number(propellant.gamma),
+    combustionTemp: Number(propellant.combustionTemp),
+    molecularMass: Number(propellant.molecularMass),
+    ignitionEnergy: Number(propellant.ignitionEnergy ?? 1.5e5),
+    slagFactor: Number(propellant.slagFactor ?? 0),
+    condensedFraction: Number(propellant.condensedFraction ?? 0),
+  };
 }
 
 /**
  * Calculate burn rate using Saint-Venant's law
- * r = a * (P/Pref)^n
+ * r = a * (P/Pref)^n, with a and n from the pressure range for piecewise propellants
  * Returns burn rate in m/s
  */
 export function calculateBurnRate(pressure, propellant) {
-  const { burnRateCoeff, burnRateExponent, referencePressure } = propellant;
+  const { referencePressure } = propellant;
   
   // Convert pressure to MPa
   const P_MPa = Math.max(pressure / 1e6, 0.1);
   const Pref = referencePressure || 6.895;
+  const { burnRateCoeff, burnRateExponent } = getBurnRateLaw(propellant, P_MPa);
   
   // r(mm/s) = a * (P/Pref)^n
   const rate_mm_s = burnRateCoeff * Math.pow(P_MPa / Pref, burnRateExponent);
   
-  // Convert to m/s
+  // Convert to m/s; rates past MODEL_LIMITS are returned as-is and flagged by the simulation
   const rate_m_s = rate_mm_s / 1000;
-  
-  // Safety bounds (0.5 to 30 mm/s typical for KN propellants)
   if (!isFinite(rate_m_s) || isNaN(rate_m_s)) return 0;
-  return Math.max(0, Math.min(rate_m_s, 0.030));
+  return Math.max(0, rate_m_s);
+}
+
+// Erosive burning models
+export const EROSIVE_MODELS = {
+  NONE: 'none',
+  LENOIR_ROBILLARD: 'lenoir-robillard',
+  THRESHOLD: 'threshold',
+};
+
+/**
+ * Burn rate including erosive augmentation by the core gas flow
+ * Lenoir-Robillard: r = r0 + α·G^0.8·D^-0.2·exp(-β·r·ρ/G), solved for r by bisection
+ * Threshold: r = r0·(1 + k·(G - G*)) once the mass flux G exceeds G*
+ * G in kg/(m²·s), D is the port hydraulic diameter in m, rates in m/s
+ */
+export function calculateErosiveBurnRate(baseRate, massFlux, hydraulicDiameter, propellant, erosive = {}) {
+  const {
+    model = EROSIVE_MODELS.NONE,
+    coefficient = 1.8e-5, // α, typical of KN propellants
+    beta = 53,
+    thresholdFlux = 1000, // G*
+    gain = 2e-4, // k, per kg/(m²·s)
+  } = erosive;
+  
+  if (!(massFlux > 0) || !(baseRate > 0)) return baseRate;
+  
+  if (model === EROSIVE_MODELS.THRESHOLD) {
+    return massFlux > thresholdFlux ? baseRate * (1 + gain * (massFlux - thresholdFlux)) : baseRate;
+  }
+  
+  if (model === EROSIVE_MODELS.LENOIR_ROBILLARD && hydraulicDiameter > 0) {
+    const scale = coefficient * Math.pow(massFlux, 0.8) / Math.pow(hydraulicDiameter, 0.2);
+    const decay = (beta * propellant.density) / massFlux;
+    // r - r0 - scale·exp(-decay·r) is increasing in r with its root in [r0, r0 + scale]
+    let low = baseRate;
+    let high = baseRate + scale;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (mid - baseRate - scale * Math.exp(-decay * mid) > 0) high = mid;
+      else low = mid;
+    }
+    return (low + high) / 2;
+  }
+  
+  return baseRate;
 }
 
 /**
@@ -184,110 +707,442 @@ export function calculateThroatArea(throatDiameter) {
   return Math.PI * r * r;
 }
 
+/**
+ * Throat wall erosion and slag build-up over one step
+ * Returns the new { erosion, slag } radial depths (m); slag on the wall
+ * is worn away before the wall itself erodes
+ */
+export function calculateThroatChange(erosion, slag, chamberPressure, nozzleMaterial, propellant, deltaTime) {
+  if (!nozzleMaterial) return { erosion, slag };
+  const pressureRatio = Math.max(chamberPressure, 0) / NOZZLE_REFERENCE_PRESSURE;
+  const maxSlag = nozzleMaterial.maxSlag / 1000;
+  const erosionRate = (nozzleMaterial.erosionRate / 1000) * Math.pow(pressureRatio, nozzleMaterial.erosionExponent);
+  const depositionRate = maxSlag > 0
+    ? (nozzleMaterial.slagRate / 1000) * (propellant.slagFactor ?? 0) * pressureRatio * Math.max(1 - slag / maxSlag, 0)
+    : 0;
+  
+  const newSlag = slag + (depositionRate - erosionRate) * deltaTime;
+  if (newSlag >= 0) return { erosion, slag: newSlag };
+  return { erosion: erosion - newSlag, slag: 0 };
+}
+
+// Envelope the burn-rate and chamber models are built for; results beyond it are extrapolated
+export const MODEL_LIMITS = {
+  maxPressure: 15e6, // Pa, upper end of amateur motor practice
+  maxBurnRate: 0.030, // m/s, 30 mm/s
+};
+
+// Structured warnings raised by the simulation (see MotorSimulation.warn)
+export const SIMULATION_WARNINGS = {
+  NO_STEADY_STATE: 'no-steady-state',
+  NOT_CONVERGED: 'not-converged',
+  PRESSURE_RANGE: 'pressure-range',
+  BURN_RATE_RANGE: 'burn-rate-range',
+  BURN_RATE_EXTRAPOLATED: 'burn-rate-extrapolated',
+};
+
+const WARNING_SEVERITY = {
+  [SIMULATION_WARNINGS.NO_STEADY_STATE]: 'error',
+  [SIMULATION_WARNINGS.NOT_CONVERGED]: 'error',
+  [SIMULATION_WARNINGS.PRESSURE_RANGE]: 'warning',
+  [SIMULATION_WARNINGS.BURN_RATE_RANGE]: 'warning',
+  [SIMULATION_WARNINGS.BURN_RATE_EXTRAPOLATED]: 'warning',
+};
+
+const SOLVER_TOLERANCE = 1e-8; // Relative, on pressure
+const SOLVER_MAX_ITERATIONS = 100;
+const SOLVER_PRESSURE_CEILING = 1e10; // Pa; no root below this means no steady state
+const SOLVER_PRESSURE_FLOOR = 1; // Pa; the bracket starts here when venting to vacuum
+const MAX_PRESSURE_SUBSTEPS = 2000; // Per update of the lumped-volume integration
+
+/**
+ * Steady-state chamber pressure from the mass balance ρ·r(Pc)·Ab = Pc·At/c*
+ * Brackets the stable root (generation falling below outflow as pressure
+ * rises) from the ambient back-pressure upward, then closes in with Illinois
+ * (modified false position), which keeps the bracket through the jumps of
+ * piecewise burn-rate laws. burnRate(P) defaults to the propellant's law.
+ * Returns { pressure, converged, hasSteadyState, iterations }; when gas
+ * generation outruns the nozzle at every pressure (n ≥ 1 or a runaway Kn)
+ * there is no steady state and pressure is Infinity.
+ */
+export function solveChamberPressure(burningArea, throatArea, propellant, burnRate = (P) => calculateBurnRate(P, propellant), ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  const ambient = ambientPressure;
+  if (!(burningArea > 0) || !(throatArea > 0)) {
+    return { pressure: ambient, converged: true, hasSteadyState: true, iterations: 0 };
+  }
+  const { density, characteristicVelocity } = propellant;
+  // Pressure the gas generated at P would hold behind the throat, less P
+  const residual = (P) => density * burnRate(P) * burningArea * characteristicVelocity / throatArea - P;
+  
+  // Climb past any pressures the burning surface cannot hold (below the unstable root when n > 1)
+  let low = Math.max(ambient, SOLVER_PRESSURE_FLOOR);
+  let fLow = residual(low);
+  while (!(fLow > 0) && low < SOLVER_PRESSURE_CEILING) {
+    low *= 2;
+    fLow = residual(low);
+  }
+  if (!(fLow > 0)) return { pressure: ambient, converged: true, hasSteadyState: true, iterations: 0 };
+  let high = 2 * low;
+  let fHigh = residual(high);
+  while (fHigh > 0 && high < SOLVER_PRESSURE_CEILING) {
+    low = high;
+    fLow = fHigh;
+    high *= 2;
+    fHigh = residual(high);
+  }
+  if (!(fHigh <= 0)) return { pressure: Infinity, converged: false, hasSteadyState: false, iterations: 0 };
+  
+  let retained = 0; // Which end was kept last: 1 low, -1 high
+  for (let i = 1; i <= SOLVER_MAX_ITERATIONS; i++) {
+    const P = (low * fHigh - high * fLow) / (fHigh - fLow);
+    const f = residual(P);
+    if (Math.abs(f) <= SOLVER_TOLERANCE * P || high - low <= SOLVER_TOLERANCE * P) {
+      return { pressure: P, converged: true, hasSteadyState: true, iterations: i };
+    }
+    if (f > 0) {
+      low = P;
+      fLow = f;
+      if (retained === -1) fHigh /= 2;
+      retained = -1;
+    } else {
+      high = P;
+      fHigh = f;
+      if (retained === 1) fLow /= 2;
+      retained = 1;
+    }
+  }
+  return { pressure: (low + high) / 2, converged: false, hasSteadyState: true, iterations: SOLVER_MAX_ITERATIONS };
+}
+
 /**
  * Calculate chamber pressure using steady-state mass balance
  * From: ρ * r * Ab = Pc * At / c*
  * With: r = a * (P/Pref)^n
- * Solving: Pc = (ρ * a * c* * Kn / Pref^n)^(1/(1-n))
- * where Kn = Ab/At, a in m/s, Pref in Pa
+ * Solving: Pc = (ρ * a * c* * Kn / Pref^n)^(1/(1-n)) for a single law;
+ * piecewise laws change a and n with pressure, so this solves numerically
+ * Unclamped: Infinity when there is no steady state (see solveChamberPressure)
  */
 export function calculateChamberPressure(
   burningArea,
   throatArea,
   propellant
 ) {
-  const { density, burnRateCoeff, burnRateExponent, referencePressure, characteristicVelocity } = propellant;
-  
-  // Safety checks
-  if (!burningArea || burningArea <= 0) return CONSTANTS.ATMOSPHERIC_PRESSURE;
-  if (!throatArea || throatArea <= 0) return CONSTANTS.ATMOSPHERIC_PRESSURE;
-  
-  const rho = density; // kg/m³
-  const a_mm_s = burnRateCoeff; // mm/s at Pref
-  const a_m_s = a_mm_s / 1000; // convert to m/s
-  const n = burnRateExponent;
-  const Pref = (referencePressure || 6.895) * 1e6; // Convert MPa to Pa
-  const cStar = characteristicVelocity; // m/s
-  const Kn = burningArea / throatArea;
-  
-  // Pc = (ρ * a * c* * Kn / Pref^n)^(1/(1-n))
-  // But we need to be careful with units - using iterative solution instead
+  return solveChamberPressure(burningArea, throatArea, propellant).pressure;
+}
+
+/**
+ * Gas mass flow out through the nozzle
+ * Choked (Pc·At/c*) down to twice ambient, then falling linearly to zero at ambient
+ */
+export function calculateNozzleMassFlow(chamberPressure, throatArea, propellant, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  const { characteristicVelocity } = propellant;
+  const Pa = ambientPressure;
+  if (chamberPressure <= Pa || throatArea <= 0) return 0;
+  if (chamberPressure >= 2 * Pa) return chamberPressure * throatArea / characteristicVelocity;
+  return 2 * (chamberPressure - Pa) * throatArea / characteristicVelocity;
+}
+
+/**
+ * Free gas volume of the chamber: the casing bore over the loaded grain
+ * length, less the propellant still in it
+ */
+export function calculateFreeVolume(config, burnedVolume = 0) {
+  const loadedLength = getGrains(config)
+    .flatMap(getGrainSegments)
+    .reduce((sum, segment) => sum + segment.length + 0.002, 0); // 2mm gap per segment
+  const chamberVolume = Math.PI * config.casing.innerRadius ** 2 * loadedLength;
+  const propellantLeft = Math.max(calculatePropellantVolume(config) - burnedVolume, 0);
+  return Math.max(chamberVolume - propellantLeft, 1e-6); // Never below 1 cm³
+}
+
+/**
+ * Rate of change of chamber pressure for a lumped chamber volume
+ * d(ρg·V)/dt = ṁgen - ṁout, with ρg = Pc/(R·T) and dV/dt = ṁgen/ρp, gives
+ * dPc/dt = (R·T/V)·(ṁgen·(1 - ρg/ρp) - ṁout)
+ */
+export function calculatePressureRate(chamberPressure, massGeneration, throatArea, freeVolume, propellant, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  const gasRT = (CONSTANTS.UNIVERSAL_GAS_CONSTANT / propellant.molecularMass) * propellant.combustionTemp;
+  const gasDensity = chamberPressure / gasRT;
+  const outflow = calculateNozzleMassFlow(chamberPressure, throatArea, propellant, ambientPressure);
+  return (gasRT / freeVolume) * (massGeneration * (1 - gasDensity / propellant.density) - outflow);
+}
+
+// Igniter heat transfer to the propellant surface
+const IGNITER_DEPOSITION = 0.3; // Share of the pyrogen heat deposited directly on unlit propellant
+const HEAT_TRANSFER_COEFF = 100; // W/(m²·K) per (kg/(m²·s))^0.8, convective heating by port flow
+const SURFACE_TEMP = 300; // K, unlit propellant surface
+
+/**
+ * Average igniter (pyrogen) mass flow over the step from t0 to t1
+ * The charge burns at a constant rate for its burn time
+ */
+export function calculateIgniterMassFlow(igniter, t0, t1) {
+  if (!igniter || igniter.mass <= 0 || t1 <= t0) return 0;
+  if (!(igniter.burnTime > 0)) return t0 === 0 ? igniter.mass / (t1 - t0) : 0;
+  const overlap = Math.max(Math.min(t1, igniter.burnTime) - t0, 0);
+  return (igniter.mass / igniter.burnTime) * overlap / (t1 - t0);
+}
+
+/**
+ * Convective film coefficient of hot gas flowing past a surface (W/(m²·K))
+ * Dittus-Boelter scaling h ∝ G^0.8
+ */
+export function calculateConvectionCoefficient(massFlux) {
+  if (massFlux <= 0) return 0;
+  return HEAT_TRANSFER_COEFF * Math.pow(massFlux, 0.8);
+}
+
+/**
+ * Convective heat flux from hot gas flowing past an unlit surface (W/m²)
+ * The gas is at the flame temperature
+ */
+export function calculateIgnitionHeatFlux(massFlux, propellant) {
+  return calculateConvectionCoefficient(massFlux) * (propellant.combustionTemp - SURFACE_TEMP);
+}
+
+// Casing wall heating
+const OUTER_HEAT_TRANSFER = 10; // W/(m²·K), still air around the casing
+const INSULATION_DESIGN_FACTOR = 1.5; // Thermal protection thickness / char depth
+const MIN_CASING_RETENTION = 0.9; // Casing strength share below which the wall counts as too hot
+
+/**
+ * Conduction layers of the chamber wall, bore side first
+ * Insulation sits inside the liner and the liner inside the casing bore;
+ * boreRadius is the inner face of the innermost layer. Each layer is tagged
+ * with its role (insulation, liner, casing).
+ */
+export function getWallModel(config) {
+  const { casing, material } = config;
+  const layer = (role, props, thickness) => ({
+    role,
+    thickness,
+    conductivity: props.thermalConductivity,
+    density: props.density,
+    specificHeat: props.specificHeat,
+    charTemperature: props.charTemperature,
+    heatOfPyrolysis: props.heatOfPyrolysis,
+    charConductivity: props.charConductivity,
+  });
+  const layers = [];
+  if (casing.insulation && casing.insulationThickness > 0) layers.push(layer('insulation', casing.insulation, casing.insulationThickness));
+  if (casing.liner && casing.linerThickness > 0) layers.push(layer('liner', casing.liner, casing.linerThickness));
+  const protection = layers.reduce((sum, l) => sum + l.thickness, 0);
+  layers.push(layer('casing', material, casing.wallThickness));
+  return { boreRadius: casing.innerRadius - protection, layers };
+}
+
+/**
+ * Judge the liner and insulation against the wall heating so far
+ * The charred depth should stay within the protection thickness divided by
+ * INSULATION_DESIGN_FACTOR, and the casing should keep MIN_CASING_RETENTION
+ * of its strength. warnings is empty when the protection is sufficient.
+ */
+export function calculateThermalProtection(wallThermal, config) {
+  const { casing } = config;
+  const protectionThickness = (casing.insulation ? casing.insulationThickness || 0 : 0) +
+    (casing.liner ? casing.linerThickness || 0 : 0);
+  const charDepth = (wallThermal.insulation?.charDepth || 0) + (wallThermal.liner?.charDepth || 0);
+  const requiredThickness = charDepth * INSULATION_DESIGN_FACTOR;
+  const casingTemperature = wallThermal.casing.inner;
+  const strengthRetention = calculateStrengthRetention(config.material, casingTemperature);
+  const mm = (x) => (x * 1000).toFixed(2);
   
-  // Iterative solution for stability
-  let Pc = 2e6; // Initial guess 2 MPa
-  for (let i = 0; i < 20; i++) {
-    // Calculate burn rate at current pressure
-    const r = a_m_s * Math.pow(Pc / Pref, n);
-    // Mass flow rate generated
-    const mdot_gen = rho * r * burningArea;
-    // Mass flow rate out through nozzle
-    const mdot_out = Pc * throatArea / cStar;
-    // New pressure estimate
-    const Pc_new = mdot_gen * cStar / throatArea;
-    
-    if (Math.abs(Pc_new - Pc) < 1000) break; // Converged within 1 kPa
-    Pc = 0.7 * Pc + 0.3 * Pc_new; // Relaxation
+  const warnings = [];
+  if (protectionThickness <= 0) {
+    warnings.push('No liner or insulation: the casing wall faces the combustion gas');
+  } else if (charDepth >= protectionThickness * 0.999) {
+    warnings.push(`Liner and insulation charred through (${mm(protectionThickness)} mm)`);
+  } else if (requiredThickness > protectionThickness) {
+    warnings.push(`Thermal protection too thin: ${mm(charDepth)} mm charred of ${mm(protectionThickness)} mm, needs ${mm(requiredThickness)} mm`);
+  }
+  if (strengthRetention < MIN_CASING_RETENTION) {
+    warnings.push(`Casing reached ${(casingTemperature - 273.15).toFixed(0)} °C and keeps ${(strengthRetention * 100).toFixed(0)}% of its strength`);
   }
   
-  if (!isFinite(Pc) || isNaN(Pc)) return CONSTANTS.ATMOSPHERIC_PRESSURE;
-  
-  // Clamp to realistic range (0.5-15 MPa typical for amateur motors)
-  return Math.max(CONSTANTS.ATMOSPHERIC_PRESSURE, Math.min(Pc, 15e6));
+  return {
+    charDepth,
+    protectionThickness,
+    requiredThickness,
+    casingTemperature,
+    strengthRetention,
+    isSufficient: warnings.length === 0,
+    warnings,
+  };
 }
 
 /**
- * Calculate thrust coefficient (Cf)
- * From isentropic nozzle theory
+ * Strength of a material at a temperature, as a fraction of its room-temperature value
+ * Linear between the points of material.strengthRetention; 1 without a table
+ */
+export function calculateStrengthRetention(material, temperature) {
+  const table = material?.strengthRetention;
+  if (!table || table.length === 0) return 1;
+  if (temperature <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    if (temperature <= table[i][0]) {
+      const [t0, f0] = table[i - 1];
+      const [t1, f1] = table[i];
+      return f0 + (f1 - f0) * (temperature - t0) / (t1 - t0);
+    }
+  }
+  return table[table.length - 1][1];
+}
+
+// Summerfield criterion: the jet separates once the exit pressure falls below ~0.4 of ambient
+const SEPARATION_PRESSURE_RATIO = 0.4;
+
+/**
+ * Area ratio A/A* at Mach M for isentropic flow
+ */
+export function calculateAreaRatio(mach, gamma) {
+  const g = (gamma + 1) / (2 * (gamma - 1));
+  return Math.pow((2 / (gamma + 1)) * (1 + ((gamma - 1) / 2) * mach * mach), g) / mach;
+}
+
+/**
+ * Solve the area-Mach relation for the Mach number at an area ratio A/A*
+ * Bisection on the supersonic (or subsonic) branch, where A/A* is monotonic
+ */
+export function calculateMachFromAreaRatio(areaRatio, gamma, supersonic = true) {
+  if (!(areaRatio > 1)) return 1;
+  let low = supersonic ? 1 : 1e-6;
+  let high = supersonic ? 2 : 1;
+  if (supersonic) {
+    while (calculateAreaRatio(high, gamma) < areaRatio && high < 1e3) high *= 2;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = 0.5 * (low + high);
+    // Above the target on the supersonic branch means M is too high; on the subsonic branch, too low
+    if ((calculateAreaRatio(mid, gamma) > areaRatio) === supersonic) high = mid; else low = mid;
+  }
+  return 0.5 * (low + high);
+}
+
+/**
+ * Static-to-stagnation pressure ratio P/Pc at Mach M
  */
-export function calculateThrustCoefficient(gamma, exitArea, throatArea, chamberPressure) {
-  const Pe = CONSTANTS.ATMOSPHERIC_PRESSURE;
+export function calculatePressureRatio(mach, gamma) {
+  return Math.pow(1 + ((gamma - 1) / 2) * mach * mach, -gamma / (gamma - 1));
+}
+
+/**
+ * 1-D isentropic nozzle solution
+ * Exit Mach and pressure from the expansion ratio, then
+ * Cf = sqrt(2γ²/(γ-1) · (2/(γ+1))^((γ+1)/(γ-1)) · (1 - (Pe/Pc)^((γ-1)/γ))) + ε·(Pe - Pa)/Pc
+ * If the jet would separate, the flow is taken to expand only as far as the separation pressure
+ */
+export function solveNozzleFlow(chamberPressure, throatArea, exitArea, gamma, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
   const Pc = chamberPressure;
+  const Pa = ambientPressure;
+  const epsilon = Math.max(exitArea / throatArea, 1);
+  const exitMach = calculateMachFromAreaRatio(epsilon, gamma);
+  const exitPressure = Pc * calculatePressureRatio(exitMach, gamma);
+  const separationPressure = SEPARATION_PRESSURE_RATIO * Pa;
   
-  if (Pc <= Pe) return 0;
-  
-  // Expansion ratio
-  const epsilon = exitArea / throatArea;
-  
-  // Calculate exit pressure (approximate)
-  const pressureRatio = Pe / Pc;
+  const result = {
+    expansionRatio: epsilon,
+    exitMach,
+    exitPressure,
+    thrustCoefficient: 0,
+    isOverExpanded: exitPressure < Pa,
+    isUnderExpanded: exitPressure > Pa,
+    separationRisk: exitPressure < separationPressure,
+  };
+  if (Pc <= Pa || throatArea <= 0) return result;
   
-  // Thrust coefficient approximation for typical solid motor
-  // Cf = sqrt( (2*γ²/(γ-1)) * (2/(γ+1))^((γ+1)/(γ-1)) * (1 - (Pe/Pc)^((γ-1)/γ)) )
-  //      + ε * (Pe - Pa) / Pc  (pressure thrust term)
+  // Separated jet: expansion stops where the wall pressure reaches the separation pressure
+  let expandedPressure = exitPressure;
+  let expandedRatio = epsilon;
+  if (result.separationRisk) {
+    expandedPressure = Math.min(separationPressure, Pc);
+    const separationMach = Math.sqrt((2 / (gamma - 1)) * (Math.pow(Pc / expandedPressure, (gamma - 1) / gamma) - 1));
+    expandedRatio = separationMach > 1 ? calculateAreaRatio(separationMach, gamma) : 1;
+  }
   
   const term1 = (2 * gamma * gamma) / (gamma - 1);
   const term2 = Math.pow(2 / (gamma + 1), (gamma + 1) / (gamma - 1));
-  const term3 = 1 - Math.pow(pressureRatio, (gamma - 1) / gamma);
+  const term3 = 1 - Math.pow(expandedPressure / Pc, (gamma - 1) / gamma);
+  const Cf = Math.sqrt(term1 * term2 * Math.max(term3, 0)) + expandedRatio * (expandedPressure - Pa) / Pc;
   
-  let Cf = Math.sqrt(term1 * term2 * Math.max(term3, 0));
-  
-  // Add pressure thrust term (typically small at sea level)
-  // Neglected for simplicity
-  
-  // Typical Cf values: 1.2 - 1.8
-  if (!isFinite(Cf) || isNaN(Cf)) Cf = 1.5;
-  Cf = Math.max(1.0, Math.min(Cf, 2.2));
-  
-  return Cf;
+  result.thrustCoefficient = isFinite(Cf) ? Math.max(Cf, 0) : 0;
+  return result;
+}
+
+/**
+ * Calculate thrust coefficient (Cf)
+ * From isentropic nozzle theory, including the pressure-thrust term
+ */
+export function calculateThrustCoefficient(gamma, exitArea, throatArea, chamberPressure, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  return solveNozzleFlow(chamberPressure, throatArea, exitArea, gamma, ambientPressure).thrustCoefficient;
 }
 
 /**
  * Calculate thrust
  * F = Cf * Pc * At
  */
-export function calculateThrust(chamberPressure, throatArea, exitArea, propellant) {
+export function calculateThrust(chamberPressure, throatArea, exitArea, propellant, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
   const { gamma } = propellant;
   
-  if (chamberPressure <= CONSTANTS.ATMOSPHERIC_PRESSURE) return 0;
+  if (chamberPressure <= ambientPressure) return 0;
   if (throatArea <= 0) return 0;
   
-  const Cf = calculateThrustCoefficient(gamma, exitArea, throatArea, chamberPressure);
+  const Cf = calculateThrustCoefficient(gamma, exitArea, throatArea, chamberPressure, ambientPressure);
   const thrust = Cf * chamberPressure * throatArea;
   
   if (!isFinite(thrust) || isNaN(thrust)) return 0;
   return Math.max(0, thrust);
 }
 
+// Nozzle loss model constants
+const TWO_PHASE_COEFF = 0.3; // Particle-lag loss per unit condensed fraction for a vanishing throat
+const TWO_PHASE_REF_DIAMETER = 0.025; // m, throat size at which the particle-lag loss halves
+const SKIN_FRICTION = 0.004; // Wall friction coefficient in the divergent section
+
+/**
+ * Breakdown of nozzle losses as fractions of ideal thrust
+ * - divergence: 1 - (1 + cos α)/2 for a conical exit of half-angle α
+ * - twoPhase: particle lag, growing with the condensed fraction and shrinking with throat size
+ * - boundaryLayer: wall friction over the divergent cone, c_f·q·A_wet relative to Cf·Pc·At
+ * - throatErosion: Cf lost because the eroded (or slagged) throat changed the expansion ratio
+ *   (already part of the isentropic Cf, so it is not applied again)
+ * efficiency multiplies the isentropic thrust; total is every loss combined
+ */
+export function calculateNozzleLosses(nozzle, throatDiameter, chamberPressure, propellant) {
+  const { gamma } = propellant;
+  const ambientPressure = nozzle.ambientPressure ?? CONSTANTS.ATMOSPHERIC_PRESSURE;
+  const halfAngle = (nozzle.divergenceHalfAngle ?? 15) * Math.PI / 180;
+  const throatRadius = throatDiameter / 2;
+  const exitRadius = Math.max(nozzle.exitDiameter / 2, throatRadius);
+  const throatArea = Math.PI * throatRadius ** 2;
+  const exitArea = Math.PI * exitRadius ** 2;
+  
+  const divergence = 1 - (1 + Math.cos(halfAngle)) / 2;
+  const twoPhase = TWO_PHASE_COEFF * (propellant.condensedFraction || 0) / (1 + throatDiameter / TWO_PHASE_REF_DIAMETER);
+  
+  // Friction on the cone, at the dynamic pressure halfway between throat and exit
+  const flow = solveNozzleFlow(chamberPressure, throatArea, exitArea, gamma, ambientPressure);
+  const coneLength = (exitRadius - throatRadius) / Math.tan(halfAngle);
+  const wettedArea = Math.PI * (throatRadius + exitRadius) * coneLength / Math.cos(halfAngle);
+  const midMach = (1 + flow.exitMach) / 2;
+  const dynamicPressureRatio = (gamma / 2) * midMach * midMach * calculatePressureRatio(midMach, gamma);
+  const boundaryLayer = flow.thrustCoefficient > 0 && throatArea > 0
+    ? Math.min(SKIN_FRICTION * dynamicPressureRatio * wettedArea / (flow.thrustCoefficient * throatArea), 1)
+    : 0;
+  
+  const nominal = solveNozzleFlow(chamberPressure, calculateThroatArea(nozzle.throatDiameter), exitArea, gamma, ambientPressure);
+  const throatErosion = nominal.thrustCoefficient > 0 ? 1 - flow.thrustCoefficient / nominal.thrustCoefficient : 0;
+  
+  const efficiency = (1 - divergence) * (1 - twoPhase) * (1 - boundaryLayer);
+  return {
+    divergence,
+    twoPhase,
+    boundaryLayer,
+    throatErosion,
+    efficiency,
+    total: 1 - efficiency * (1 - throatErosion),
+  };
+}
+
 /**
  * Calculate hoop stress in cylindrical pressure vessel
  * σ = P * r / t (thin-wall approximation)
@@ -299,6 +1154,62 @@ export function calculateHoopStress(pressure, innerRadius, wallThickness) {
   return Math.max(0, stress);
 }
 
+/**
+ * Thick-wall (Lamé) stresses at the bore of a closed-end cylinder
+ * Hoop and radial stress peak at the inner surface; axial stress is the end
+ * load P·π·ri² spread over the wall
+ */
+export function calculateLameStresses(pressure, innerRadius, wallThickness) {
+  if (wallThickness <= 0) return { hoop: Infinity, radial: -pressure, axial: Infinity };
+  const ri2 = innerRadius ** 2;
+  const ro2 = (innerRadius + wallThickness) ** 2;
+  return {
+    hoop: pressure * (ro2 + ri2) / (ro2 - ri2),
+    radial: -pressure,
+    axial: pressure * ri2 / (ro2 - ri2),
+  };
+}
+
+/**
+ * Von Mises equivalent of three principal stresses
+ */
+export function calculateVonMises(hoop, radial, axial) {
+  return Math.sqrt(0.5 * ((hoop - radial) ** 2 + (radial - axial) ** 2 + (axial - hoop) ** 2));
+}
+
+/**
+ * Shear and bearing stress in the closures that hold the bulkhead and nozzle
+ * The end load P·π·ri² is carried by radial bolts (single shear through the
+ * shank, bearing on the casing wall) or by a snap ring (shear across the ring
+ * at the bore, bearing on the groove face)
+ */
+export function calculateClosureStresses(pressure, casing) {
+  const load = pressure * Math.PI * casing.innerRadius ** 2;
+  if (casing.closure === CLOSURE_TYPES.SNAP_RING) {
+    const circumference = 2 * Math.PI * casing.innerRadius;
+    return {
+      load,
+      shear: load / (circumference * casing.snapRingThickness),
+      bearing: load / (circumference * casing.snapRingDepth),
+    };
+  }
+  const count = Math.max(casing.boltCount, 1);
+  return {
+    load,
+    shear: load / (count * Math.PI * casing.boltDiameter ** 2 / 4),
+    bearing: load / (count * casing.boltDiameter * casing.wallThickness),
+  };
+}
+
+/**
+ * Peak bending stress in a flat, simply supported circular bulkhead
+ * σ = 3(3+ν)·P·a² / (8t²), Roark's uniformly loaded plate
+ */
+export function calculateBulkheadStress(pressure, radius, thickness) {
+  if (thickness <= 0) return Infinity;
+  return 3 * (3 + POISSON_RATIO) * pressure * radius ** 2 / (8 * thickness ** 2);
+}
+
 /**
  * Calculate safety factor
  */
@@ -309,13 +1220,67 @@ export function calculateSafetyFactor(stress, material) {
   return Math.max(0, Math.min(sf, 99));
 }
 
+/**
+ * Structural checks of the casing, closures and bulkhead at a gauge pressure
+ * Each check carries its stress, yield/ultimate allowables and safety factor
+ * (yield over stress); shear allowables are 0.577× (von Mises) and bearing
+ * allowables BEARING_ALLOWABLE_FACTOR× the tensile values. The overall safety
+ * factor is the lowest one, and governing names its check.
+ * The casing and bearing allowables are derated to the mean wall temperature (K).
+ */
+export function calculateStructuralAnalysis(pressure, config, wallTemperature = CONSTANTS.AMBIENT_TEMPERATURE) {
+  const { casing, material } = config;
+  const fastener = casing.fastenerMaterial || MATERIALS.STEEL;
+  const bulkheadMaterial = config.hardware?.forwardClosureMaterial || material;
+  const P = Math.max(pressure, 0);
+  const retention = calculateStrengthRetention(material, wallTemperature);
+  
+  const lame = calculateLameStresses(P, casing.innerRadius, casing.wallThickness);
+  const vonMises = calculateVonMises(lame.hoop, lame.radial, lame.axial);
+  const closure = calculateClosureStresses(P, casing);
+  const bulkhead = calculateBulkheadStress(P, casing.innerRadius, casing.bulkheadThickness);
+  
+  const check = (stress, yieldStrength, ultimateStrength) => ({
+    stress,
+    yieldStrength,
+    ultimateStrength,
+    safetyFactor: calculateSafetyFactor(stress, { yieldStrength }),
+  });
+  const checks = {
+    casing: check(vonMises, retention * material.yieldStrength, retention * material.ultimateStrength),
+    closureShear: check(closure.shear, SHEAR_ALLOWABLE_FACTOR * fastener.yieldStrength, SHEAR_ALLOWABLE_FACTOR * fastener.ultimateStrength),
+    closureBearing: check(closure.bearing, retention * BEARING_ALLOWABLE_FACTOR * material.yieldStrength, retention * BEARING_ALLOWABLE_FACTOR * material.ultimateStrength),
+    bulkhead: check(bulkhead, bulkheadMaterial.yieldStrength, bulkheadMaterial.ultimateStrength),
+  };
+  const governing = Object.keys(checks).reduce((worst, key) =>
+    (checks[key].safetyFactor < checks[worst].safetyFactor ? key : worst), 'casing');
+  
+  return {
+    ...lame,
+    vonMises,
+    thinWallHoop: calculateHoopStress(P, casing.innerRadius, casing.wallThickness),
+    closureLoad: closure.load,
+    wallTemperature,
+    strengthRetention: retention,
+    checks,
+    governing,
+    safetyFactor: checks[governing].safetyFactor,
+  };
+}
+
 /**
  * Check for structural failure (CATO)
+ * Takes a structural analysis: yielding once any check passes its yield
+ * allowable, catastrophic once any passes its ultimate. mode is the first
+ * check to fail catastrophically, or null.
  */
-export function checkForFailure(stress, material) {
+export function checkForFailure(analysis) {
+  const checks = Object.entries(analysis.checks);
+  const failed = checks.find(([, c]) => c.stress > c.ultimateStrength);
   return {
-    yielding: stress > material.yieldStrength,
-    catastrophic: stress > material.ultimateStrength,
+    yielding: checks.some(([, c]) => c.stress > c.yieldStrength),
+    catastrophic: Boolean(failed),
+    mode: failed ? failed[0] : null,
   };
 }
 
@@ -342,16 +1307,61 @@ export class MotorSimulation {
         length: 0.065, // m (65mm per segment)
         segments: 4, // 4 BATES segments
         starPoints: 5,
-        starInnerRadius: 0.006,
+        starPointLength: 0.016, // m (tip radius from motor axis)
+        starPointWidth: 0.008, // m (point base width)
+        finCount: 6,
+        finLength: 0.008, // m (beyond the core surface)
+        finWidth: 0.003, // m
+        coreOffset: 0.012, // m (moonburner core center from the motor axis)
+        slotWidth: 0.006, // m (C-slot)
+        slotDepth: 0.018, // m (C-slot, from the outer wall inward)
+        rodRadius: 0.005, // m (rod-and-tube central rod)
+        coreShape: DEFAULT_CORE_SHAPE,
       },
       nozzle: {
         throatDiameter: 0.009, // m (9mm throat)
         exitDiameter: 0.018, // m (18mm exit, expansion ratio ~4)
-        efficiency: 0.90, // nozzle efficiency
+        divergenceHalfAngle: 15, // degrees, conical exit cone
+        ambientPressure: CONSTANTS.ATMOSPHERIC_PRESSURE, // Pa, back-pressure at the exit plane
+        material: NOZZLE_MATERIALS.GRAPHITE, // Throat erosion and slag behaviour
       },
       casing: {
         innerRadius: 0.030, // m (60mm ID casing)
         wallThickness: 0.003, // m (3mm wall)
+        closure: CLOSURE_TYPES.BOLTS, // Bulkhead and nozzle retention at each end
+        boltCount: 8, // Radial bolts per closure
+        boltDiameter: 0.006, // m, shank diameter at the shear plane (M6)
+        snapRingThickness: 0.0015, // m, axial thickness of the snap ring
+        snapRingDepth: 0.001, // m, ring engagement in the groove
+        fastenerMaterial: MATERIALS.STEEL, // Bolts or snap ring
+        liner: LINER_MATERIALS.PAPER, // Tube between grain and casing, null for none
+        linerThickness: 0.0015, // m, fills the gap around the 57mm grain
+        insulation: null, // Ablative layer inside the liner, null for none
+        insulationThickness: 0.001, // m
+        bulkheadThickness: 0.010, // m, flat forward closure
+      },
+      hardware: {
+        forwardClosureMaterial: MATERIALS.ALUMINUM, // Bulkhead plug
+        aftClosureMaterial: MATERIALS.ALUMINUM, // Carrier ring around the nozzle insert
+        nozzleOuterDiameter: 0.040, // m, insert OD; the aft closure fills out to the casing bore
+        nozzleConvergenceHalfAngle: 30, // degrees
+        nozzleThroatLength: 0.005, // m, straight throat land
+      },
+      erosive: {
+        model: EROSIVE_MODELS.NONE,
+        coefficient: 1.8e-5, // Lenoir-Robillard α
+        beta: 53, // Lenoir-Robillard β
+        thresholdFlux: 1000, // kg/(m²·s), threshold model G*
+        gain: 2e-4, // threshold model k
+      },
+      igniter: {
+        mass: 0.003, // kg of pyrogen (3g black powder)
+        heatRelease: 2.8e6, // J/kg
+        burnTime: 0.05, // s
+      },
+      calibration: {
+        burnRateScale: 1, // Multiplies the propellant burn rate (matched to test data)
+        nozzleEfficiency: 1, // Multiplies thrust on top of the computed nozzle losses
       },
       ...config,
     };
@@ -361,15 +1371,46 @@ export class MotorSimulation {
   
   reset() {
     this.time = 0;
-    this.currentInnerRadius = this.config.grainConfig.coreRadius;
-    this.chamberPressure = CONSTANTS.ATMOSPHERIC_PRESSURE;
+    this.stationWebs = []; // [grain][segment][station] distance the core surface has moved (m)
+    this.stationRates = []; // Local burn rates including erosive burning, same layout (m/s)
+    this.stationFlux = []; // Core mass flux past each station, same layout (kg/(m²·s))
+    this.stationHeat = []; // Igniter/flame heat absorbed by unlit stations, same layout (J/m²)
+    this.stationLit = []; // Whether each station has ignited, same layout
+    this.resizeStations();
+    this.grainStates = [];
+    this.burnedVolume = 0;
+    this.throatErosion = 0; // m, radial wall erosion at the throat
+    this.slagThickness = 0; // m, radial slag layer on the throat
+    this.updateThroatDiameter();
+    this.updatePortGeometry();
+    this.chamberPressure = this.getAmbientPressure();
     this.thrust = 0;
     this.burnRate = 0;
     this.burnRateMmS = 0; // mm/s for display
     this.burningArea = 0;
     this.Kn = 0; // Area ratio
-    this.stress = 0;
-    this.safetyFactor = 99;
+    this.isTailOff = false; // Propellant gone, chamber blowing down
+    this.igniterMassFlow = 0; // kg/s of pyrogen gas entering at the forward end
+    this.ignitedFraction = 0; // Share of the propellant surface alight
+    this.ignitionDelay = null; // s from ignite() to the first station lighting
+    this.fullIgnitionTime = null; // s from ignite() to the whole surface burning
+    this.isHangFire = false; // Igniter spent without lighting the grain
+    this.peakMassFlux = 0; // kg/(m²·s), highest core mass flux along the stack right now
+    this.portThroatRatio = 0; // Narrowest port area / throat area
+    this.nozzleFlow = null; // Exit Mach/pressure, Cf and expansion flags from solveNozzleFlow
+    this.hadFlowSeparation = false; // Exit pressure fell below the separation limit while thrusting
+    this.nozzleLosses = null; // Divergence, two-phase, boundary-layer and throat-erosion losses
+    this.lossImpulse = { divergence: 0, twoPhase: 0, boundaryLayer: 0, throatErosion: 0 }; // Thrust-weighted loss sums (N·s)
+    this.stress = 0; // Pa, von Mises stress at the casing bore
+    this.safetyFactor = 99; // Lowest of the structural safety factors
+    this.structural = null; // Casing, closure and bulkhead checks from calculateStructuralAnalysis
+    this.failureMode = null; // Structural check that failed at CATO
+    this.wall = createWallState(getWallModel(this.config).layers, CONSTANTS.AMBIENT_TEMPERATURE); // Cell temperatures (K) and char, bore out
+    this.wallThermal = this.describeWall(0); // Face and mean temperatures and char depth of each wall layer
+    this.thermalProtection = calculateThermalProtection(this.wallThermal, this.config); // Char depth and wall heat against the protection
+    this.maxWallTemperature = CONSTANTS.AMBIENT_TEMPERATURE; // K, hottest casing bore face so far
+    this.steadyPressure = null; // Pa, quasi-steady mass-balance pressure of the current burning surface
+    this.warnings = {}; // Solver and model-range warnings by code, see warn()
     this.isBurning = false;
     this.isBurnedOut = false;
     this.hasExploded = false;
@@ -382,8 +1423,18 @@ export class MotorSimulation {
       thrust: [],
       burnRate: [],
       innerRadius: [],
+      web: [],
       Kn: [],
+      massFlux: [],
+      portThroatRatio: [],
+      stationRadii: [], // Per record: equivalent core radius (mm) of each station, per segment
+      throatDiameter: [],
+      exitPressure: [],
+      thrustCoefficient: [],
       stress: [],
+      yieldStrength: [],
+      wallTemperature: [],
+      charDepth: [],
     };
     
     // Total impulse tracking
@@ -391,10 +1442,12 @@ export class MotorSimulation {
     this.burnTime = 0;
     this.maxThrust = 0;
     this.maxPressure = 0;
+    this.maxMassFlux = 0;
+    this.minPortThroatRatio = Infinity;
   }
   
   ignite() {
-    if (!this.isBurnedOut && !this.hasExploded) {
+    if (!this.isBurnedOut && !this.hasExploded && !this.isHangFire) {
       this.isBurning = true;
     }
   }
@@ -404,83 +1457,140 @@ export class MotorSimulation {
       return this.getState();
     }
     
+    this.igniterMassFlow = calculateIgniterMassFlow(this.config.igniter, this.time, this.time + deltaTime);
     this.time += deltaTime;
     
     // Calculate throat and exit areas
-    const throatArea = calculateThroatArea(this.config.nozzle.throatDiameter);
+    const throatArea = calculateThroatArea(this.throatDiameter);
     const exitArea = Math.PI * Math.pow(this.config.nozzle.exitDiameter / 2, 2);
     
-    // Calculate current burning area
-    this.burningArea = calculateBurningArea(
-      this.config.grainConfig,
-      this.currentInnerRadius
-    );
+    // Calculate current burning area of every grain, station by station
+    const grains = getGrains(this.config);
+    const geometry = this.getStationGeometry();
+    const grainAreas = geometry.map(segments => segments.reduce((sum, { burningArea }) => sum + burningArea, 0));
+    this.burningArea = grainAreas.reduce((sum, area) => sum + area, 0);
     
     // Calculate Kn (area ratio) - useful metric
     this.Kn = this.burningArea / throatArea;
     
-    // Calculate chamber pressure
-    this.chamberPressure = calculateChamberPressure(
-      this.burningArea,
-      throatArea,
-      this.config.propellant
-    );
+    // Propellant gone once the web is burned through at every station; the chamber then blows down
+    const webRemaining = Math.max(...grains.flatMap((grain, g) => getGrainSegments(grain).map((segment, s) =>
+      calculateSegmentWebThickness(segment) - Math.min(...this.stationWebs[g][s])
+    )));
+    this.isTailOff = webRemaining <= 0 || this.burningArea <= 0;
+    
+    // Local burn rates at the current pressure; erosive burning folds in as extra generating area
+    this.burnRate = this.getBurnRate(this.chamberPressure);
+    this.solveGrainFlow(grains, geometry);
+    const generatingArea = this.isTailOff || !(this.burnRate > 0)
+      ? 0
+      : this.sumOverStations(geometry, (area, rate) => area * rate) / this.burnRate;
+    
+    // Integrate chamber pressure through the step (igniter, filling, quasi-steady burn or blow-down)
+    this.chamberPressure = this.integratePressure(deltaTime, generatingArea, throatArea);
+    this.checkSteadyState(generatingArea, throatArea);
+    
+    // Heat the stations that have not lit yet; the flame spreads as they reach ignition
+    this.heatStations(deltaTime, geometry);
     
     // Track max pressure
     this.maxPressure = Math.max(this.maxPressure, this.chamberPressure);
-    
-    // Calculate burn rate
-    this.burnRate = calculateBurnRate(this.chamberPressure, this.config.propellant);
+    this.burnRate = this.isTailOff ? 0 : this.getBurnRate(this.chamberPressure);
     this.burnRateMmS = this.burnRate * 1000; // Convert to mm/s
+    this.checkModelRange();
+    this.solveGrainFlow(grains, geometry);
+    
+    this.peakMassFlux = Math.max(0, ...this.grainStates.map(grain => grain.massFlux));
+    this.maxMassFlux = Math.max(this.maxMassFlux, this.peakMassFlux);
+    
+    // Update grain geometry (regression) - every station at its own rate
+    if (!this.isTailOff) {
+      this.burnedVolume += this.sumOverStations(geometry, (area, rate) => area * rate * deltaTime);
+      this.stationWebs = this.stationWebs.map((segments, g) => segments.map((webs, s) =>
+        webs.map((w, k) => w + this.stationRates[g][s][k] * deltaTime)
+      ));
+      this.updatePortGeometry();
+    }
+    
+    // Throat erosion and slag deposition; the new throat sets Kn and pressure from the next step
+    const throat = calculateThroatChange(
+      this.throatErosion,
+      this.slagThickness,
+      this.chamberPressure,
+      this.config.nozzle.material,
+      this.config.propellant,
+      deltaTime
+    );
+    this.throatErosion = throat.erosion;
+    this.slagThickness = throat.slag;
+    this.updateThroatDiameter();
     
-    // Update grain geometry (regression)
-    const regression = this.burnRate * deltaTime; // m
-    this.currentInnerRadius += regression;
+    this.portThroatRatio = this.portArea / throatArea;
+    this.minPortThroatRatio = Math.min(this.minPortThroatRatio, this.portThroatRatio);
     
-    // Check if burned out (web burned through)
-    const webThickness = this.config.grainConfig.outerRadius - this.config.grainConfig.coreRadius;
-    const webRemaining = this.config.grainConfig.outerRadius - this.currentInnerRadius;
+    // Conduct combustion heat into the liner and casing
+    this.heatWall(deltaTime, throatArea);
     
-    if (webRemaining <= 0.001 || this.currentInnerRadius >= this.config.grainConfig.outerRadius * 0.98) {
+    // Hang-fire: the igniter has burned and vented without lighting anything
+    const ambient = this.getAmbientPressure();
+    const igniterSpent = this.time >= (this.config.igniter?.burnTime || 0);
+    if (igniterSpent && this.ignitionDelay === null &&
+        this.chamberPressure - ambient <= 0.01 * Math.max(this.maxPressure - ambient, 0)) {
+      this.isHangFire = true;
+      this.isBurning = false;
+      this.thrust = 0;
+      this.chamberPressure = ambient;
+      this.burnRate = 0;
+      this.burnRateMmS = 0;
+      return this.getState();
+    }
+    
+    // Burned out once the blow-down has brought the chamber back to (nearly) ambient
+    if (this.isTailOff && this.chamberPressure - ambient <= 0.01 * (this.maxPressure - ambient)) {
       this.isBurnedOut = true;
       this.isBurning = false;
+      this.isTailOff = false;
       this.burnTime = this.time;
       this.thrust = 0;
-      this.chamberPressure = CONSTANTS.ATMOSPHERIC_PRESSURE;
+      this.chamberPressure = ambient;
       this.burnRate = 0;
       this.burnRateMmS = 0;
       return this.getState();
     }
     
-    // Calculate thrust
+    // Calculate thrust from the isentropic nozzle solution against the ambient back-pressure
+    this.nozzleLosses = calculateNozzleLosses(this.config.nozzle, this.throatDiameter, this.chamberPressure, this.config.propellant);
+    this.nozzleFlow = solveNozzleFlow(this.chamberPressure, throatArea, exitArea, this.config.propellant.gamma, ambient);
     this.thrust = calculateThrust(
       this.chamberPressure,
       throatArea,
       exitArea,
-      this.config.propellant
-    ) * this.config.nozzle.efficiency;
+      this.config.propellant,
+      ambient
+    ) * this.nozzleLosses.efficiency * (this.config.calibration?.nozzleEfficiency ?? 1);
+    if (this.thrust > 0 && this.nozzleFlow.separationRisk) this.hadFlowSeparation = true;
     
     // Track max thrust
     this.maxThrust = Math.max(this.maxThrust, this.thrust);
     
-    // Calculate stress
-    this.stress = calculateHoopStress(
-      this.chamberPressure,
-      this.config.casing.innerRadius,
-      this.config.casing.wallThickness
-    );
-    
-    this.safetyFactor = calculateSafetyFactor(this.stress, this.config.material);
+    // Structural checks at the gauge pressure: casing (Lamé/von Mises), closures and bulkhead
+    this.structural = calculateStructuralAnalysis(this.chamberPressure - ambient, this.config, this.wallThermal.casing.mean);
+    this.stress = this.structural.vonMises;
+    this.safetyFactor = this.structural.safetyFactor;
     
     // Check for failure
-    const failure = checkForFailure(this.stress, this.config.material);
+    const failure = checkForFailure(this.structural);
     if (failure.catastrophic) {
       this.hasExploded = true;
       this.explosionTime = this.time;
+      this.failureMode = failure.mode;
     }
     
     // Update total impulse (integral of thrust over time)
     this.totalImpulse += this.thrust * deltaTime;
+    Object.keys(this.lossImpulse).forEach(loss => {
+      this.lossImpulse[loss] += this.nozzleLosses[loss] * this.thrust * deltaTime;
+    });
     
     // Record history (throttle to avoid memory issues)
     if (this.history.time.length === 0 || 
@@ -490,17 +1600,336 @@ export class MotorSimulation {
       this.history.thrust.push(this.thrust);
       this.history.burnRate.push(this.burnRateMmS);
       this.history.innerRadius.push(this.currentInnerRadius * 1000); // mm
+      this.history.web.push(this.getWebBurned() * 1000); // mm
       this.history.Kn.push(this.Kn);
+      this.history.massFlux.push(this.peakMassFlux);
+      this.history.portThroatRatio.push(this.portThroatRatio);
+      this.history.stationRadii.push(this.getSegmentStates().map(segment => segment.stationRadii.map(r => r * 1000)));
+      this.history.throatDiameter.push(this.throatDiameter * 1000); // mm
+      this.history.exitPressure.push(this.nozzleFlow.exitPressure / 1e6); // MPa
+      this.history.thrustCoefficient.push(this.nozzleFlow.thrustCoefficient);
       this.history.stress.push(this.stress / 1e6); // MPa
+      this.history.yieldStrength.push(this.structural.checks.casing.yieldStrength / 1e6); // MPa, derated
+      this.history.wallTemperature.push(this.wallThermal.casing.inner - 273.15); // °C, casing bore face
+      this.history.charDepth.push(this.thermalProtection.charDepth * 1000); // mm
     }
     
     return this.getState();
   }
   
+  /**
+   * Conduct heat through the insulation, liner and casing over one step
+   * The gas film coefficient follows the nozzle mass flow spread over the
+   * casing bore, so it builds with pressure and dies away in the blow-down.
+   * The whole bore counts as exposed from ignition, which is conservative for
+   * grains that cover the wall until burnout.
+   */
+  heatWall(deltaTime, throatArea) {
+    const { boreRadius, layers } = getWallModel(this.config);
+    const boreFlux = calculateNozzleMassFlow(this.chamberPressure, throatArea, this.config.propellant, this.getAmbientPressure()) / (Math.PI * boreRadius ** 2);
+    const gasCoefficient = calculateConvectionCoefficient(boreFlux);
+    this.wall = stepWallConduction(this.wall, layers, boreRadius, {
+      gasTemperature: this.config.propellant.combustionTemp,
+      gasCoefficient,
+      ambientTemperature: CONSTANTS.AMBIENT_TEMPERATURE,
+      outerCoefficient: OUTER_HEAT_TRANSFER,
+    }, deltaTime);
+    this.wallThermal = this.describeWall(gasCoefficient);
+    this.maxWallTemperature = Math.max(this.maxWallTemperature, this.wallThermal.casing.inner);
+    this.thermalProtection = calculateThermalProtection(this.wallThermal, this.config);
+  }
+  
+  /**
+   * Face and mean temperatures and char depth of the insulation, liner
+   * (each null when absent) and casing
+   */
+  describeWall(gasCoefficient) {
+    const { boreRadius, layers } = getWallModel(this.config);
+    const faces = summarizeWall(this.wall, layers, boreRadius, {
+      gasTemperature: this.config.propellant.combustionTemp,
+      gasCoefficient,
+      ambientTemperature: CONSTANTS.AMBIENT_TEMPERATURE,
+      outerCoefficient: OUTER_HEAT_TRANSFER,
+    });
+    const byRole = (role) => faces[layers.findIndex(layer => layer.role === role)] || null;
+    return {
+      insulation: byRole('insulation'),
+      liner: byRole('liner'),
+      casing: byRole('casing'),
+      gasCoefficient,
+    };
+  }
+  
+  /**
+   * Advance chamber pressure over one step with the lumped-volume model,
+   * sub-stepping well below the chamber filling time so the integration stays stable
+   * Igniter gas counts as the propellant-gas mass carrying the same energy, (γ-1)·H/(R·T) per kg
+   */
+  integratePressure(deltaTime, generatingArea, throatArea) {
+    const { propellant } = this.config;
+    const freeVolume = calculateFreeVolume(this.config, this.burnedVolume);
+    const gasRT = (CONSTANTS.UNIVERSAL_GAS_CONSTANT / propellant.molecularMass) * propellant.combustionTemp;
+    const fillTime = (freeVolume * propellant.characteristicVelocity) / (gasRT * throatArea);
+    const wanted = Math.ceil(deltaTime / (0.2 * fillTime));
+    const substeps = Math.min(Math.max(wanted, 1), MAX_PRESSURE_SUBSTEPS);
+    const h = deltaTime / substeps;
+    const igniterGeneration = this.igniterMassFlow * (propellant.gamma - 1) * (this.config.igniter?.heatRelease || 0) / gasRT;
+    const ambient = this.getAmbientPressure();
+    
+    let pressure = this.chamberPressure;
+    for (let i = 0; i < substeps; i++) {
+      const massGeneration = igniterGeneration + (generatingArea > 0
+        ? propellant.density * this.getBurnRate(pressure) * generatingArea
+        : 0);
+      pressure += calculatePressureRate(pressure, massGeneration, throatArea, freeVolume, propellant, ambient) * h;
+      pressure = Math.max(pressure, ambient);
+    }
+    
+    if (wanted > MAX_PRESSURE_SUBSTEPS) {
+      this.warn(SIMULATION_WARNINGS.NOT_CONVERGED, wanted / MAX_PRESSURE_SUBSTEPS,
+        `Pressure integration needed ${wanted} sub-steps and was held to ${MAX_PRESSURE_SUBSTEPS}; shorten the time step`);
+    }
+    if (!isFinite(pressure)) {
+      this.warn(SIMULATION_WARNINGS.NOT_CONVERGED, Infinity, 'Pressure integration diverged; the chamber pressure was reset to ambient');
+      return ambient;
+    }
+    return pressure;
+  }
+  
+  /**
+   * Quasi-steady pressure of the current burning surface, warning when the
+   * mass balance has no root or the root-finder did not converge
+   */
+  checkSteadyState(generatingArea, throatArea) {
+    if (!(generatingArea > 0)) {
+      this.steadyPressure = null;
+      return;
+    }
+    const steady = solveChamberPressure(generatingArea, throatArea, this.config.propellant, (P) => this.getBurnRate(P), this.getAmbientPressure());
+    this.steadyPressure = steady.hasSteadyState ? steady.pressure : Infinity;
+    if (!steady.hasSteadyState) {
+      this.warn(SIMULATION_WARNINGS.NO_STEADY_STATE, this.Kn,
+        `No steady chamber pressure at Kn ${this.Kn.toFixed(0)}: gas generation outruns the nozzle at every pressure`);
+    } else if (!steady.converged) {
+      this.warn(SIMULATION_WARNINGS.NOT_CONVERGED, steady.pressure,
+        `Chamber pressure solver did not converge in ${steady.iterations} iterations`);
+    }
+  }
+  
+  // Flag pressures and burn rates outside the range the models are built for
+  checkModelRange() {
+    const P = this.chamberPressure;
+    if (P > MODEL_LIMITS.maxPressure) {
+      this.warn(SIMULATION_WARNINGS.PRESSURE_RANGE, P,
+        `Chamber pressure reached ${(P / 1e6).toFixed(1)} MPa, beyond the ${MODEL_LIMITS.maxPressure / 1e6} MPa model range`);
+    }
+    if (this.burnRate > MODEL_LIMITS.maxBurnRate) {
+      this.warn(SIMULATION_WARNINGS.BURN_RATE_RANGE, this.burnRate,
+        `Burn rate reached ${this.burnRateMmS.toFixed(1)} mm/s, beyond the ${MODEL_LIMITS.maxBurnRate * 1000} mm/s model range`);
+    }
+    const ranges = this.config.propellant.burnRateRanges;
+    const measuredMax = ranges?.length ? Math.max(...ranges.map(range => range.maxPressure)) : null;
+    if (measuredMax && P / 1e6 > measuredMax) {
+      this.warn(SIMULATION_WARNINGS.BURN_RATE_EXTRAPOLATED, P,
+        `Burn rate extrapolated to ${(P / 1e6).toFixed(1)} MPa, past the propellant's data up to ${measuredMax} MPa`);
+    }
+  }
+  
+  /**
+   * Record a warning once per code, with the time it first appeared
+   * A later, worse value (by the same measure) replaces the message.
+   */
+  warn(code, value, message) {
+    const existing = this.warnings[code];
+    if (existing && !(value > existing.value)) return;
+    this.warnings[code] = {
+      code,
+      severity: WARNING_SEVERITY[code],
+      message,
+      value,
+      time: existing ? existing.time : this.time,
+    };
+  }
+  
+  // Back-pressure at the nozzle exit (Pa), which the chamber vents down to
+  getAmbientPressure() {
+    return this.config.nozzle.ambientPressure ?? CONSTANTS.ATMOSPHERIC_PRESSURE;
+  }
+  
+  // Propellant burn rate (m/s) at a pressure, with the calibration scale applied
+  getBurnRate(pressure) {
+    return calculateBurnRate(pressure, this.config.propellant) * (this.config.calibration?.burnRateScale ?? 1);
+  }
+  
+  // Current throat diameter: the nominal throat widened by erosion and narrowed by slag
+  updateThroatDiameter() {
+    const nominal = this.config.nozzle.throatDiameter;
+    this.throatDiameter = Math.max(nominal + 2 * (this.throatErosion - this.slagThickness), 0.1 * nominal);
+  }
+  
+  /**
+   * Match the station webs to the current grain stack, keeping the
+   * regression of grains and segments that are still there
+   */
+  resizeStations() {
+    const resize = (stations, fill) => getGrains(this.config).map((grain, g) =>
+      getGrainSegments(grain).map((_, s) => stations[g]?.[s] || new Array(STATIONS_PER_SEGMENT).fill(fill))
+    );
+    this.stationWebs = resize(this.stationWebs, 0);
+    this.stationHeat = resize(this.stationHeat, 0);
+    this.stationLit = resize(this.stationLit, false);
+  }
+  
+  /**
+   * Igniter heating of unlit stations: pyrogen heat deposited over the unlit
+   * area plus convection from the gas flowing past; a station lights once it
+   * has absorbed the propellant's ignition energy
+   */
+  heatStations(deltaTime, geometry) {
+    const { propellant, igniter } = this.config;
+    const ignitionEnergy = propellant.ignitionEnergy ?? 1.5e5;
+    const unlitArea = this.sumOverStations(geometry, (area, rate, lit) => lit ? 0 : area);
+    const directFlux = unlitArea > 0
+      ? IGNITER_DEPOSITION * this.igniterMassFlow * (igniter?.heatRelease || 0) / unlitArea
+      : 0;
+    
+    this.stationLit = this.stationLit.map((segments, g) => segments.map((lit, s) => lit.map((isLit, k) => {
+      if (isLit) return true;
+      const convective = calculateIgnitionHeatFlux(this.stationFlux[g]?.[s]?.[k] ?? 0, propellant);
+      this.stationHeat[g][s][k] += (directFlux + convective) * deltaTime;
+      return this.stationHeat[g][s][k] >= ignitionEnergy;
+    })));
+    
+    const totalArea = this.sumOverStations(geometry, area => area);
+    if (totalArea > 0) {
+      this.ignitedFraction = 1 - this.sumOverStations(geometry, (area, rate, lit) => lit ? 0 : area) / totalArea;
+    }
+    if (this.ignitedFraction > 0 && this.ignitionDelay === null) this.ignitionDelay = this.time;
+    if (this.ignitedFraction >= 1 && this.fullIgnitionTime === null) this.fullIgnitionTime = this.time;
+  }
+  
+  /**
+   * Regressed station geometry of every segment, [grain][segment]
+   */
+  getStationGeometry() {
+    return getGrains(this.config).map((grain, g) =>
+      getGrainSegments(grain).map((segment, s) => ({
+        segment,
+        ...calculateStationGeometry(segment, this.stationWebs[g]?.[s] || new Array(STATIONS_PER_SEGMENT).fill(0)),
+      }))
+    );
+  }
+  
+  // Sum fn(stationArea, stationRate, stationLit) over every station of the stack
+  sumOverStations(geometry, fn) {
+    return geometry.reduce((total, segments, g) => total + segments.reduce((sum, { stationAreas }, s) =>
+      sum + stationAreas.reduce((acc, area, k) =>
+        acc + fn(area, this.stationRates[g]?.[s]?.[k] ?? 0, this.stationLit[g][s][k]), 0), 0), 0);
+  }
+  
+  // Deepest regression anywhere in the stack (m)
+  getWebBurned() {
+    return Math.max(0, ...this.stationWebs.flat(2));
+  }
+  
+  /**
+   * Local burn rates and core mass flux, station by station from the
+   * forward end to the nozzle
+   * Gas generated upstream (and igniter gas from the forward end) flows aft
+   * through each station's port; the erosive term sees the flux halfway
+   * along the station; stations that have not lit yet generate nothing
+   */
+  solveGrainFlow(grains, geometry) {
+    const { propellant, erosive } = this.config;
+    let massFlow = this.igniterMassFlow;
+    this.stationFlux = geometry.map(segments => segments.map(({ stations }) => stations.map(() => 0)));
+    
+    this.stationRates = geometry.map((segments, g) => segments.map(({ segment, stations, stationAreas }, s) =>
+      stations.map((station, k) => {
+        const lit = this.stationLit[g][s][k];
+        const portArea = segment.type === GRAIN_TYPES.END_BURNER ? 0 : station.portArea;
+        const hydraulicDiameter = 2 * Math.sqrt(portArea / Math.PI); // Equivalent round port
+        const generated = lit ? 0.5 * propellant.density * this.burnRate * stationAreas[k] : 0;
+        const midFlux = portArea > 0 ? (massFlow + generated) / portArea : 0;
+        const rate = lit ? calculateErosiveBurnRate(this.burnRate, midFlux, hydraulicDiameter, propellant, erosive) : 0;
+        massFlow += propellant.density * rate * stationAreas[k];
+        // No port (end-burner): the face sees the gas crossing the open chamber
+        this.stationFlux[g][s][k] = portArea > 0 ? midFlux : massFlow / (Math.PI * this.config.casing.innerRadius ** 2);
+        return rate;
+      })
+    ));
+    
+    // Per-grain summary (mass flow accumulated again in the same order)
+    massFlow = this.igniterMassFlow;
+    this.grainStates = grains.map((grain, g) => {
+      const segments = geometry[g];
+      const rates = this.stationRates[g].flat();
+      massFlow += segments.reduce((sum, { stationAreas }, s) =>
+        sum + stationAreas.reduce((acc, area, k) => acc + propellant.density * this.stationRates[g][s][k] * area, 0), 0);
+      const ports = segments
+        .filter(({ segment }) => segment.type !== GRAIN_TYPES.END_BURNER)
+        .map(({ portArea }) => portArea);
+      const portArea = ports.length > 0 ? Math.min(...ports) : 0;
+      const maxRate = Math.max(0, ...rates);
+      return {
+        type: grain.type,
+        web: Math.max(0, ...this.stationWebs[g].flat()),
+        webThickness: calculateWebThickness(grain),
+        burningArea: segments.reduce((sum, { burningArea }) => sum + burningArea, 0),
+        portArea,
+        massFlow,
+        massFlux: portArea > 0 ? massFlow / portArea : 0, // kg/(m²·s) at the grain's aft end
+        burnRate: maxRate * 1000, // mm/s, fastest station
+        erosiveRatio: this.burnRate > 0 ? maxRate / this.burnRate : 1,
+      };
+    });
+  }
+  
+  /**
+   * Derive the narrowest port area and its equivalent round-core radius
+   * from the regressed stations (exact for round cores)
+   */
+  updatePortGeometry() {
+    const ports = this.getStationGeometry().flat()
+      .filter(({ segment }) => segment.type !== GRAIN_TYPES.END_BURNER)
+      .map(({ portArea }) => portArea)
+      .filter(area => area > 0);
+    this.portArea = ports.length > 0 ? Math.min(...ports) : 0;
+    this.currentInnerRadius = Math.sqrt(this.portArea / Math.PI);
+  }
+  
+  /**
+   * Current geometry of every segment of every grain, forward end first
+   * (lengths shrink as end faces regress; stationRadii taper the core)
+   */
+  getSegmentStates() {
+    return this.getStationGeometry().flatMap((segments, grainIndex) =>
+      segments.map(({ segment, stations, portArea, length, outerRadius, burnedOut }, s) => {
+        const webs = this.stationWebs[grainIndex]?.[s] || [0];
+        const meanWeb = webs.reduce((sum, w) => sum + w, 0) / webs.length;
+        return {
+          grainIndex,
+          type: segment.type,
+          originalLength: segment.length,
+          length,
+          coreRadius: Math.sqrt(portArea / Math.PI),
+          stationRadii: stations.map(station => Math.sqrt(station.portArea / Math.PI)),
+          ...crossSectionState(segment, meanWeb),
+          outerRadius,
+          initialOuterRadius: segment.outerRadius,
+          burnedOut,
+        };
+      })
+    );
+  }
+  
   getState() {
-    const webThickness = this.config.grainConfig.outerRadius - this.config.grainConfig.coreRadius;
-    const webBurned = this.currentInnerRadius - this.config.grainConfig.coreRadius;
-    const grainBurnProgress = Math.max(0, Math.min(webBurned / webThickness, 1));
+    const grains = getGrains(this.config);
+    const webThickness = Math.max(...grains.map(calculateWebThickness));
+    const webBurned = this.getWebBurned();
+    
+    // Fraction of the propellant volume consumed so far
+    const grainBurnProgress = Math.max(0, Math.min(this.burnedVolume / calculatePropellantVolume(this.config), 1));
     
     return {
       time: this.time,
@@ -509,9 +1938,43 @@ export class MotorSimulation {
       burnRate: this.burnRateMmS,
       burningArea: this.burningArea,
       Kn: this.Kn,
+      isTailOff: this.isTailOff,
+      ignitedFraction: this.ignitedFraction,
+      ignitionDelay: this.ignitionDelay,
+      fullIgnitionTime: this.fullIgnitionTime,
+      isHangFire: this.isHangFire,
       currentInnerRadius: this.currentInnerRadius,
+      portArea: this.portArea,
+      peakMassFlux: this.peakMassFlux,
+      maxMassFlux: this.maxMassFlux,
+      portThroatRatio: this.portThroatRatio,
+      minPortThroatRatio: Number.isFinite(this.minPortThroatRatio) ? this.minPortThroatRatio : 0,
+      grainStates: this.grainStates,
+      nozzleFlow: this.nozzleFlow,
+      nozzleLosses: this.nozzleLosses,
+      averageNozzleLosses: Object.fromEntries(Object.entries(this.lossImpulse).map(([loss, impulse]) =>
+        [loss, this.totalImpulse > 0 ? impulse / this.totalImpulse : 0]
+      )),
+      throatDiameter: this.throatDiameter,
+      throatErosion: this.throatErosion,
+      slagThickness: this.slagThickness,
+      hadFlowSeparation: this.hadFlowSeparation,
+      segmentStates: this.getSegmentStates(),
+      webBurned,
+      webThickness,
       stress: this.stress,
       safetyFactor: this.safetyFactor,
+      safetyFactors: this.structural
+        ? Object.fromEntries(Object.entries(this.structural.checks).map(([key, c]) => [key, c.safetyFactor]))
+        : { casing: 99, closureShear: 99, closureBearing: 99, bulkhead: 99 },
+      structural: this.structural,
+      failureMode: this.failureMode,
+      wallThermal: this.wallThermal,
+      maxWallTemperature: this.maxWallTemperature,
+      thermalProtection: this.thermalProtection,
+      steadyPressure: this.steadyPressure,
+      warnings: Object.values(this.warnings).sort((a, b) => a.time - b.time),
+      strengthRetention: this.structural?.strengthRetention ?? 1,
       grainBurnProgress: isNaN(grainBurnProgress) ? 0 : grainBurnProgress,
       isBurning: this.isBurning,
       isBurnedOut: this.isBurnedOut,
@@ -533,13 +1996,160 @@ export class MotorSimulation {
     if (newConfig.grainConfig) {
       this.config.grainConfig = { ...this.config.grainConfig, ...newConfig.grainConfig };
     }
+    if (newConfig.grains) {
+      this.config.grains = newConfig.grains;
+    }
     if (newConfig.nozzle) {
       this.config.nozzle = { ...this.config.nozzle, ...newConfig.nozzle };
+      this.updateThroatDiameter();
     }
     if (newConfig.casing) {
       this.config.casing = { ...this.config.casing, ...newConfig.casing };
     }
+    if (newConfig.hardware) {
+      this.config.hardware = { ...this.config.hardware, ...newConfig.hardware };
+    }
+    if (newConfig.erosive) {
+      this.config.erosive = { ...this.config.erosive, ...newConfig.erosive };
+    }
+    if (newConfig.igniter) {
+      this.config.igniter = { ...this.config.igniter, ...newConfig.igniter };
+    }
+    if (newConfig.calibration) {
+      this.config.calibration = { ...this.config.calibration, ...newConfig.calibration };
+    }
+    // Keep the regression state in step with the grain stack and segment counts
+    this.resizeStations();
+  }
+}
+
+/**
+ * Run a motor from ignition to burnout, CATO or hang-fire
+ * Returns the finished simulation; maxTime (s) caps motors that never burn out
+ */
+export function runToCompletion(config, timeStep = 0.01, maxTime = 60) {
+  const simulation = new MotorSimulation(config);
+  simulation.ignite();
+  while (!simulation.isBurnedOut && !simulation.hasExploded && !simulation.isHangFire && simulation.time < maxTime) {
+    simulation.update(timeStep);
+  }
+  return simulation;
+}
+
+const MIN_TIME_STEP = 1e-4; // s, floor of the adaptive web step
+const SOLVE_CHUNK_MS = 30; // Wall-clock time simulateMotorAsync steps for before yielding
+
+// Step a burn to its end, yielding the simulation after every step; returns the simulateMotor result
+function* solveBurn(config, { timeStep = 0.01, webStep = null, maxTime = 60 } = {}) {
+  const simulation = new MotorSimulation(config);
+  const snapshot = () => {
+    const frame = simulation.getState();
+    frame.historyLength = frame.history.time.length;
+    delete frame.history;
+    delete frame.config;
+    return frame;
+  };
+  
+  simulation.ignite();
+  const frames = [snapshot()];
+  while (!simulation.isBurnedOut && !simulation.hasExploded && !simulation.isHangFire && simulation.time < maxTime) {
+    const dt = webStep > 0 && simulation.burnRate > 0
+      ? Math.min(Math.max(webStep / simulation.burnRate, MIN_TIME_STEP), timeStep)
+      : timeStep;
+    const recorded = simulation.history.time.length;
+    simulation.update(dt);
+    const ended = simulation.isBurnedOut || simulation.hasExploded || simulation.isHangFire;
+    if (simulation.history.time.length > recorded || ended) frames.push(snapshot());
+    yield simulation;
   }
+  
+  return {
+    config: simulation.config,
+    frames,
+    history: simulation.history,
+    final: simulation.getState(),
+  };
+}
+
+/**
+ * Solve a whole burn, independent of any frame rate
+ * A pure function of the config: the same config always gives the same
+ * result. Steps are a fixed timeStep (s), or with webStep (m) set, sized so
+ * each burning step regresses the web by about webStep, never longer than
+ * timeStep. Returns the final state, the full history and frames: the
+ * state at ignition and one per history sample, each the state at that time
+ * without history or config, with historyLength pointing into the history.
+ */
+export function simulateMotor(config, options) {
+  const solve = solveBurn(config, options);
+  let step = solve.next();
+  while (!step.done) step = solve.next();
+  return step.value;
+}
+
+/**
+ * simulateMotor without holding the main thread
+ * Steps in chunks of about 30 ms, yielding to the event loop between them;
+ * onProgress(fraction) reports the share of propellant burned so far, and
+ * aborting signal (an AbortSignal) stops the solve, resolving null.
+ * Resolves the same result simulateMotor returns.
+ */
+export async function simulateMotorAsync(config, options, { onProgress, signal } = {}) {
+  const solve = solveBurn(config, options);
+  let step = solve.next();
+  while (!step.done) {
+    const chunkStart = Date.now();
+    while (!step.done && Date.now() - chunkStart < SOLVE_CHUNK_MS) step = solve.next();
+    if (step.done) break;
+    if (onProgress) onProgress(Math.min(step.value.burnedVolume / calculatePropellantVolume(step.value.config), 1));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal?.aborted) return null;
+  }
+  return step.value;
+}
+
+/**
+ * State of a solved burn at a playback time (s)
+ * The latest frame at or before the time, with the history up to it
+ */
+export function getMotorStateAt(result, time) {
+  const { frames } = result;
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (frames[mid].time <= time) low = mid;
+    else high = mid - 1;
+  }
+  const { historyLength, ...frame } = frames[low];
+  const history = Object.fromEntries(Object.entries(result.history).map(([key, values]) => [key, values.slice(0, historyLength)]));
+  return { ...frame, history, config: result.config };
+}
+
+/**
+ * Headline numbers of a simulateMotor result, for comparing designs
+ * knRatio is the largest over the smallest Kn while propellant burns (1 is
+ * perfectly neutral); minSafetyFactor is the lowest structural safety factor
+ * seen at any frame, and minSafetyFactors the lowest of each check (casing,
+ * closureShear, closureBearing, bulkhead).
+ */
+export function summarizeBurn(result) {
+  const { final, history, frames } = result;
+  const kn = history.Kn.filter(value => value > 0);
+  const checks = Object.keys(frames[0].safetyFactors);
+  return {
+    totalImpulse: final.totalImpulse,
+    averageThrust: final.burnTime > 0 ? final.totalImpulse / final.burnTime : 0,
+    maxThrust: final.maxThrust,
+    maxPressure: final.maxPressure,
+    burnTime: final.burnTime,
+    knRatio: kn.length > 0 ? Math.max(...kn) / Math.min(...kn) : 1,
+    minSafetyFactor: Math.min(...frames.map(frame => frame.safetyFactor)),
+    minSafetyFactors: Object.fromEntries(checks.map(key => [key, Math.min(...frames.map(frame => frame.safetyFactors[key]))])),
+    hasExploded: final.hasExploded,
+    failureMode: final.failureMode,
+    isHangFire: final.isHangFire,
+  };
 }
 
 export default MotorSimulation;
@@ -0,0 +1,829 @@
+/**
+ * Motor Physics Test Script
+ * Verifies grain geometry, regression and ballistics calculations
+ */
+import {
+  MotorSimulation,
+  GRAIN_TYPES,
+  calculateBurningArea,
+  calculateWebThickness,
+  calculatePropellantVolume,
+  calculateGrainVolume,
+  calculateErosiveBurnRate,
+  calculateChamberPressure,
+  solveChamberPressure,
+  SIMULATION_WARNINGS,
+  MODEL_LIMITS,
+  calculateFreeVolume,
+  calculateThroatArea,
+  calculateMachFromAreaRatio,
+  calculatePressureRatio,
+  solveNozzleFlow,
+  calculateNozzleMassFlow,
+  calculateThroatChange,
+  NOZZLE_MATERIALS,
+  calculateNozzleLosses,
+  calculateBurnRate,
+  validatePropellant,
+  runToCompletion,
+  simulateMotor,
+  simulateMotorAsync,
+  getMotorStateAt,
+  summarizeBurn,
+  EROSIVE_MODELS,
+  STATIONS_PER_SEGMENT,
+  PROPELLANTS,
+  calculateSegmentGeometry,
+  getGrainSegments,
+  buildGrainStack,
+  patchGrainDrafts,
+  INHIBITED_ENDS,
+  calculateHoopStress,
+  calculateLameStresses,
+  calculateVonMises,
+  calculateStructuralAnalysis,
+  checkForFailure,
+  CLOSURE_TYPES,
+  MATERIALS,
+  LINER_MATERIALS,
+  INSULATION_MATERIALS,
+  calculateStrengthRetention,
+} from './motorPhysics.js';
+import { buildPortShape, calculateCoreProfile, calculateOffsetCoreProfile } from './grainGeometry.js';
+import { buildMapRegressionTable, parseSvgPath } from './regressionMap.js';
+import { calculateThermochemistry, createPropellantFromFormulation } from './thermochemistry.js';
+import { fitBurnRateLaw, fitPiecewiseBurnRate, extractBurnRateFromTrace } from './burnRateFit.js';
+import { parseStaticFireCsv, calibrateToTest } from './staticFire.js';
+import { createWallState, stepWallConduction, summarizeWall } from './wallThermal.js';
+import { calculateMotorHardware, calculateNozzleGeometry } from './motorHardware.js';
+import { optimizeMotor, findParetoSet, getDesignPatch, applyDesignPatch, calculateObjectiveCost } from './optimizer.js';
+import { createRandom, sampleNormal } from './random.js';
+import { runDispersion, applyDeviations, sampleDeviations, wilsonInterval, getDefaultTolerances } from './dispersion.js';
+import { runSweep, runTornado, getSweepValues, getTornadoBounds, applySweepValue } from './sweep.js';
+
+// Console colors for terminal output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+};
+
+const pass = (msg) => console.log(`${colors.green}✓ PASS${colors.reset}: ${msg}`);
+const fail = (msg) => console.log(`${colors.red}✗ FAIL${colors.reset}: ${msg}`);
+const info = (msg) => console.log(`${colors.blue}ℹ INFO${colors.reset}: ${msg}`);
+const header = (msg) => console.log(`\n${colors.yellow}=== ${msg} ===${colors.reset}\n`);
+
+// Test helper
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    pass(`${message}: ${actual.toFixed(4)} ≈ ${expected.toFixed(4)}`);
+    return true;
+  } else {
+    fail(`${message}: ${actual.toFixed(4)} ≠ ${expected.toFixed(4)} (diff: ${diff.toFixed(4)})`);
+    return false;
+  }
+}
+
+function assertTrue(condition, message) {
+  if (condition) {
+    pass(message);
+    return true;
+  } else {
+    fail(message);
+    return false;
+  }
+}
+
+// Run a motor from ignition to burnout with a fixed step
+function burnToCompletion(config, dt = 0.005, maxTime = 20) {
+  const sim = new MotorSimulation(config);
+  sim.ignite();
+  while (!sim.isBurnedOut && !sim.hasExploded && !sim.isHangFire && sim.time < maxTime) {
+    sim.update(dt);
+  }
+  return sim;
+}
+
+// Run tests
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  const outerRadius = 0.0285;
+
+  header('Core Cross-Section Tests');
+
+  // A round core offset by w is a circle of radius rc + w
+  const round = calculateCoreProfile(buildPortShape({ type: GRAIN_TYPES.CYLINDRICAL, coreRadius: 0.01 }), outerRadius, 0.002);
+  if (assertClose(round.perimeter * 1000, 2 * Math.PI * 12, 0.05, 'Round core perimeter (mm)')) passed++; else failed++;
+  if (assertClose(round.portArea * 1e6, Math.PI * 144, 0.5, 'Round core port area (mm²)')) passed++; else failed++;
+
+  // Finocyl: core arcs between fins plus both sides and the tip of every fin
+  const finocyl = {
+    type: GRAIN_TYPES.FINOCYL,
+    outerRadius,
+    coreRadius: 0.0095,
+    length: 0.1,
+    segments: 1,
+    finCount: 6,
+    finLength: 0.008,
+    finWidth: 0.003,
+  };
+  const rc = finocyl.coreRadius;
+  const halfWidth = finocyl.finWidth / 2;
+  const finTip = rc + finocyl.finLength;
+  const expectedFinocyl = 2 * Math.PI * rc
+    - finocyl.finCount * 2 * Math.asin(halfWidth / rc) * rc
+    + finocyl.finCount * (2 * (finTip - Math.sqrt(rc * rc - halfWidth * halfWidth)) + finocyl.finWidth);
+  const finocylProfile = calculateCoreProfile(buildPortShape(finocyl), outerRadius, 0);
+  if (assertClose(finocylProfile.perimeter / expectedFinocyl, 1, 0.02, 'Finocyl initial perimeter vs analytic')) passed++; else failed++;
+
+  header('Grain Burn-Back Tests');
+
+  const star = {
+    type: GRAIN_TYPES.STAR,
+    outerRadius,
+    coreRadius: 0.005,
+    length: 0.1,
+    segments: 1,
+    starPoints: 5,
+    starPointLength: 0.016,
+    starPointWidth: 0.008,
+  };
+
+  const starWeb = calculateWebThickness(star);
+  info(`Star web thickness: ${(starWeb * 1000).toFixed(2)}mm`);
+  if (assertTrue(starWeb > outerRadius - star.starPointLength && starWeb < outerRadius - star.coreRadius, 'Star web lies between point tip and core')) passed++; else failed++;
+
+  // Star area grows while the points burn, then falls once they reach the wall
+  const starAreas = [0, 0.25, 0.5, 0.75, 0.95].map(f => calculateBurningArea(star, starWeb * f));
+  info(`Star burning area (cm²): ${starAreas.map(a => (a * 1e4).toFixed(1)).join(', ')}`);
+  if (assertTrue(starAreas[1] > starAreas[0], 'Star area progressive early in the burn')) passed++; else failed++;
+  if (assertTrue(starAreas[4] < starAreas[2], 'Star area regressive after points burn out')) passed++; else failed++;
+  if (assertTrue(calculateBurningArea(star, starWeb * 1.01) === 0, 'Star area is zero past the web')) passed++; else failed++;
+
+  const finocylWeb = calculateWebThickness(finocyl);
+  info(`Finocyl web thickness: ${(finocylWeb * 1000).toFixed(2)}mm`);
+  if (assertTrue(finocylWeb <= outerRadius - finocyl.coreRadius + 1e-6, 'Finocyl web no thicker than a plain core')) passed++; else failed++;
+
+  header('BATES Segment Tests');
+
+  const bates = {
+    type: GRAIN_TYPES.BATES,
+    outerRadius,
+    coreRadius: 0.0095,
+    length: 0.065,
+    segments: 2,
+  };
+  const batesArea = calculateBurningArea(bates, 0);
+  const expectedBates = 2 * (2 * Math.PI * 0.0095 * 0.065 + 2 * Math.PI * (outerRadius ** 2 - 0.0095 ** 2));
+  if (assertClose(batesArea * 1e4, expectedBates * 1e4, 0.01, 'Uninhibited BATES initial area (cm²)')) passed++; else failed++;
+
+  // Both ends burning shorten the segment by 2w
+  const regressed = calculateSegmentGeometry(getGrainSegments(bates)[0], 0.005);
+  if (assertClose(regressed.length * 1000, 55, 1e-6, 'Segment length after 5mm regression (mm)')) passed++; else failed++;
+
+  const perSegment = getGrainSegments({
+    ...bates,
+    segmentConfigs: [{ inhibitedEnds: INHIBITED_ENDS.BOTH }, { length: 0.08, coreRadius: 0.011 }],
+  });
+  if (assertTrue(perSegment[0].inhibitedEnds === INHIBITED_ENDS.BOTH && perSegment[1].inhibitedEnds === INHIBITED_ENDS.NEITHER, 'Per-segment inhibition overrides')) passed++; else failed++;
+  if (assertTrue(perSegment[1].length === 0.08 && perSegment[1].outerRadius === outerRadius, 'Per-segment dimensions fall back to grain values')) passed++; else failed++;
+
+  // Burning outer surface halves the radial web
+  const outerBurning = calculateWebThickness({ ...bates, inhibitedEnds: INHIBITED_ENDS.BOTH, inhibitedOuter: false });
+  if (assertClose(outerBurning * 1000, (outerRadius - 0.0095) * 500, 1e-6, 'Outer-burning web thickness (mm)')) passed++; else failed++;
+
+  header('Level-Set Regression Tests');
+
+  // A square port regressed on the distance map: straight sides plus rounded corners
+  const squareTable = buildMapRegressionTable({ type: 'svg', path: 'M -8 -8 h 16 v 16 h -16 Z' }, outerRadius);
+  if (assertClose(squareTable.perimeter[0] * 1000, 64, 1, 'Square port initial perimeter (mm)')) passed++; else failed++;
+  if (assertClose(squareTable.portArea[0] * 1e6, 256, 5, 'Square port initial area (mm²)')) passed++; else failed++;
+  if (assertClose(squareTable.webThickness * 1000, 20.5, 0.3, 'Square port web thickness (mm)')) passed++; else failed++;
+  const squareMid = squareTable.web.length >> 1;
+  const squareWeb = squareTable.web[squareMid];
+  const expectedSquare = 64e-3 + 2 * Math.PI * squareWeb;
+  if (assertClose(squareTable.perimeter[squareMid] / expectedSquare, 1, 0.02, 'Square port offset perimeter vs analytic')) passed++; else failed++;
+
+  const arcs = parseSvgPath('M 10 0 A 10 10 0 1 1 -10 0 A 10 10 0 1 1 10 0 Z');
+  if (assertTrue(arcs.length === 1 && arcs[0].length > 16, 'SVG arcs flatten into one closed outline')) passed++; else failed++;
+
+  let rejected = false;
+  try {
+    parseSvgPath('M 0 0 X 1 1');
+  } catch {
+    rejected = true;
+  }
+  if (assertTrue(rejected, 'Unsupported SVG command is rejected')) passed++; else failed++;
+
+  header('Motor Simulation Tests');
+
+  const starSim = burnToCompletion({ grainConfig: { ...star, segments: 2, length: 0.065 } });
+  const starState = starSim.getState();
+  if (assertTrue(starState.isBurnedOut, 'Star motor burns out')) passed++; else failed++;
+  if (assertClose(starState.webThickness, starWeb, 1e-9, 'Star state reports geometric web')) passed++; else failed++;
+  if (assertTrue(starState.grainBurnProgress > 0.9, 'Star burn progress reaches the end of the web')) passed++; else failed++;
+  if (assertTrue(starState.totalImpulse > 0, 'Star motor produces impulse')) passed++; else failed++;
+
+  const customState = burnToCompletion({
+    grainConfig: { type: GRAIN_TYPES.CUSTOM, outerRadius, length: 0.065, segments: 2, coreShape: { type: 'svg', path: 'M -8 -8 h 16 v 16 h -16 Z' } },
+  }).getState();
+  if (assertTrue(customState.isBurnedOut && customState.totalImpulse > 0, 'Custom core motor burns out')) passed++; else failed++;
+  if (assertTrue(customState.portArea > 2e-3, 'Custom core port opens up to the wall')) passed++; else failed++;
+
+  const batesState = burnToCompletion({}).getState();
+  info(`Default BATES: ${batesState.totalImpulse.toFixed(1)} N·s over ${batesState.burnTime.toFixed(2)}s`);
+  if (assertTrue(batesState.isBurnedOut && batesState.totalImpulse > 0, 'Default BATES motor burns out')) passed++; else failed++;
+
+  header('Other Grain Type Tests');
+
+  // Offset core breaking through the wall: lens area and the arc still inside
+  const lens = calculateOffsetCoreProfile(0.02, 0.015, outerRadius);
+  const wallProfile = calculateCoreProfile(buildPortShape({ type: GRAIN_TYPES.CYLINDRICAL, coreRadius: 0 }), outerRadius, 0.02);
+  if (assertTrue(lens.portArea > Math.PI * 0.0135 ** 2 && lens.portArea < Math.PI * 0.02 ** 2, 'Moonburner port is clipped by the wall')) passed++; else failed++;
+  if (assertClose(calculateOffsetCoreProfile(0.02, 0, outerRadius).perimeter, wallProfile.perimeter, 1e-5, 'Zero-offset moonburner matches a round core')) passed++; else failed++;
+
+  // Tube grows while the rod shrinks, so the core perimeter holds steady until the rod is gone
+  const rodAndTube = { type: GRAIN_TYPES.ROD_AND_TUBE, outerRadius, coreRadius: 0.015, rodRadius: 0.0135, length: 0.1, segments: 1 };
+  if (assertClose(calculateBurningArea(rodAndTube, 0.01) * 1e4, calculateBurningArea(rodAndTube, 0) * 1e4, 1e-6, 'Rod-and-tube neutral burn (cm²)')) passed++; else failed++;
+
+  const endBurner = burnToCompletion({
+    grainConfig: { type: GRAIN_TYPES.END_BURNER, outerRadius, length: 0.05, segments: 1 },
+    nozzle: { throatDiameter: 0.003, exitDiameter: 0.008 },
+  }, 0.01, 60).getState();
+  if (assertTrue(endBurner.isBurnedOut && endBurner.burnTime > 5, 'End-burner burns face-first to burnout')) passed++; else failed++;
+
+  // Grain 1 as the store holds it once the control panel has mounted: every
+  // geometry control pushes its value, the inhibited ends are left to the type
+  const panelSim = new MotorSimulation();
+  panelSim.updateConfig({ grainConfig: { segments: 4, coreRadius: 19 / 2000, outerRadius: 57 / 2000, length: 65 / 1000, inhibitedOuter: true } });
+  // Picking End-Burner, as setGrainType does, drops any inhibited ends set so far
+  const { inhibitedEnds: panelEnds, ...panelGrain } = panelSim.config.grainConfig;
+  panelSim.config.grainConfig = { ...panelGrain, type: GRAIN_TYPES.END_BURNER };
+  if (assertClose(calculateWebThickness(panelSim.config.grainConfig) * 1000, 65, 1e-6, 'Panel end-burner burns from its aft face only (mm web)')) passed++; else failed++;
+  if (assertClose(calculateWebThickness({ ...panelSim.config.grainConfig, inhibitedEnds: INHIBITED_ENDS.NEITHER }) * 1000, 32.5, 1e-6, 'Uninhibited end-burner burns from both faces (mm web)')) passed++; else failed++;
+
+  const cSlot = burnToCompletion({ grainConfig: { type: GRAIN_TYPES.C_SLOT, outerRadius, length: 0.065, segments: 2, slotWidth: 0.006, slotDepth: 0.018 } }).getState();
+  if (assertTrue(cSlot.isBurnedOut && cSlot.grainBurnProgress > 0.9, 'C-slot burns out')) passed++; else failed++;
+
+  header('Grain Stack Tests');
+
+  // Finocyl forward, BATES aft: mass flow from upstream grains piles up toward the nozzle
+  const stack = {
+    grains: [
+      { ...finocyl, length: 0.065, segments: 1, inhibitedEnds: INHIBITED_ENDS.FORWARD },
+      { ...bates, segments: 2 },
+    ],
+  };
+  const stackVolume = calculatePropellantVolume(stack);
+  if (assertClose(stackVolume * 1e6, (calculateGrainVolume(stack.grains[0]) + calculateGrainVolume(stack.grains[1])) * 1e6, 1e-6, 'Stack volume is the sum of its grains (cm³)')) passed++; else failed++;
+
+  const stackSim = new MotorSimulation(stack);
+  stackSim.ignite();
+  for (let i = 0; i < 40; i++) stackSim.update(0.005);
+  const { grainStates } = stackSim.getState();
+  if (assertTrue(grainStates.length === 2 && grainStates[0].type === GRAIN_TYPES.FINOCYL, 'Stack reports one state per grain')) passed++; else failed++;
+  if (assertTrue(grainStates[1].massFlux > grainStates[0].massFlux, 'Mass flux rises toward the aft grain')) passed++; else failed++;
+
+  const stackState = burnToCompletion(stack).getState();
+  if (assertTrue(stackState.isBurnedOut && stackState.grainBurnProgress > 0.9, 'Mixed stack burns out')) passed++; else failed++;
+  if (assertTrue(new Set(stackState.segmentStates.map(s => s.grainIndex)).size === 2, 'Segment states cover every grain')) passed++; else failed++;
+
+  // Extra grains share grain 1's shape but keep their own type's inhibited ends
+  const built = buildGrainStack({ ...bates, inhibitedEnds: INHIBITED_ENDS.BOTH }, 3, [null, { type: GRAIN_TYPES.END_BURNER }, { coreRadius: 0.012 }]);
+  if (assertTrue(built.length === 3 && built[1].outerRadius === bates.outerRadius && built[2].coreRadius === 0.012, 'Grain stack drafts sit over grain 1')) passed++; else failed++;
+  if (assertTrue(getGrainSegments(built[1])[0].inhibitedEnds === INHIBITED_ENDS.FORWARD && getGrainSegments(built[2])[0].inhibitedEnds === INHIBITED_ENDS.NEITHER, 'Extra grains keep their type\'s inhibited ends')) passed++; else failed++;
+  if (assertTrue(buildGrainStack(bates, 1, []).length === 0, 'A single grain needs no stack')) passed++; else failed++;
+
+  header('Erosive Burning Tests');
+
+  const lenoir = { model: EROSIVE_MODELS.LENOIR_ROBILLARD, coefficient: 1.8e-5, beta: 53 };
+  const erosiveRate = calculateErosiveBurnRate(0.008, 2000, 0.019, PROPELLANTS.KNSB, lenoir);
+  const expectedErosive = 0.008 + 1.8e-5 * 2000 ** 0.8 / 0.019 ** 0.2 * Math.exp(-53 * erosiveRate * PROPELLANTS.KNSB.density / 2000);
+  if (assertClose(erosiveRate * 1000, expectedErosive * 1000, 1e-6, 'Lenoir-Robillard rate satisfies its implicit equation (mm/s)')) passed++; else failed++;
+  if (assertTrue(calculateErosiveBurnRate(0.008, 500, 0.019, PROPELLANTS.KNSB, { model: EROSIVE_MODELS.THRESHOLD }) === 0.008, 'No augmentation below the flux threshold')) passed++; else failed++;
+
+  // Long, narrow-cored motor: erosion near the nozzle adds mass and raises pressure
+  const erosiveMotor = {
+    grainConfig: { type: GRAIN_TYPES.BATES, outerRadius, coreRadius: 0.0095, length: 0.09, segments: 5 },
+    nozzle: { throatDiameter: 0.011, exitDiameter: 0.022 },
+  };
+  const mildErosion = { ...lenoir, coefficient: 1e-5 };
+  const plain = burnToCompletion(erosiveMotor).getState();
+  const eroded = burnToCompletion({ ...erosiveMotor, erosive: mildErosion }).getState();
+  info(`Erosive: ${(eroded.maxPressure / 1e6).toFixed(2)} MPa vs ${(plain.maxPressure / 1e6).toFixed(2)} MPa, peak flux ${eroded.maxMassFlux.toFixed(0)} kg/(m²·s)`);
+  if (assertTrue(eroded.maxPressure > plain.maxPressure && eroded.isBurnedOut, 'Erosive burning raises pressure')) passed++; else failed++;
+  if (assertClose(plain.minPortThroatRatio, 0.0095 ** 2 / 0.0055 ** 2, 0.05, 'Initial port-to-throat ratio')) passed++; else failed++;
+  if (assertTrue(plain.history.massFlux.length === plain.history.time.length, 'Mass flux recorded in history')) passed++; else failed++;
+
+  header('Axial Station Tests');
+
+  // Stations regress together without erosion; with it the core opens up toward the nozzle
+  const midBurn = (erosive) => {
+    const sim = new MotorSimulation({ ...erosiveMotor, erosive });
+    sim.ignite();
+    for (let i = 0; i < 100; i++) sim.update(0.005);
+    const segments = sim.getState().segmentStates;
+    return { forward: segments[0].stationRadii[0], aft: segments[segments.length - 1].stationRadii.at(-1), segments };
+  };
+  const even = midBurn({ model: EROSIVE_MODELS.NONE });
+  const tapered = midBurn(mildErosion);
+  if (assertClose(even.aft * 1000, even.forward * 1000, 1e-9, 'Uniform regression without erosion (mm)')) passed++; else failed++;
+  if (assertTrue(tapered.aft > tapered.forward + 0.001, `Core tapers toward the nozzle: ${(tapered.forward * 1000).toFixed(2)} → ${(tapered.aft * 1000).toFixed(2)} mm`)) passed++; else failed++;
+  if (assertTrue(tapered.segments.every(s => s.stationRadii.length === STATIONS_PER_SEGMENT), 'Every segment reports its stations')) passed++; else failed++;
+  if (assertTrue(plain.history.stationRadii.length === plain.history.time.length, 'Station radii recorded in history')) passed++; else failed++;
+
+  header('Transient Chamber Tests');
+
+  const transient = burnToCompletion({});
+  const { history } = transient.getState();
+  const peakIndex = history.pressure.indexOf(Math.max(...history.pressure));
+  info(`Ignition: ${history.pressure[0].toFixed(2)} MPa after ${(history.time[0] * 1000).toFixed(0)}ms, peak ${history.pressure[peakIndex].toFixed(2)} MPa`);
+  if (assertTrue(history.pressure[0] < 0.5 * history.pressure[peakIndex] && history.pressure[2] > history.pressure[0], 'Pressure rises over the ignition transient')) passed++; else failed++;
+
+  // Mid-burn the lumped volume settles on the quasi-steady mass balance
+  const mid = history.time.findIndex(t => t > 1);
+  const defaults = new MotorSimulation({}).config;
+  const steady = burnToCompletion({}, 0.005, 1);
+  const quasiSteady = calculateChamberPressure(steady.burningArea, calculateThroatArea(steady.throatDiameter), defaults.propellant) / 1e6;
+  if (assertClose(history.pressure[mid] / quasiSteady, 1, 0.03, 'Mid-burn pressure matches quasi-steady balance')) passed++; else failed++;
+
+  // After the last web burns through the chamber blows down over several samples
+  const tail = history.pressure.slice(-6);
+  if (assertTrue(tail.every((p, i) => i === 0 || p < tail[i - 1]) && history.thrust.at(-1) > 0, 'Blow-down tail after burnout')) passed++; else failed++;
+
+  const freeVolume = calculateFreeVolume(defaults);
+  if (assertTrue(freeVolume > 0 && calculateFreeVolume(defaults, calculatePropellantVolume(defaults)) > freeVolume, 'Free volume grows as propellant burns')) passed++; else failed++;
+
+  header('Igniter Tests');
+
+  const igniterRun = mass => burnToCompletion({ igniter: { mass, heatRelease: 2.8e6, burnTime: 0.05 } });
+  const strongIgniter = igniterRun(0.003);
+  const weakIgniter = igniterRun(0.001);
+  info(`Ignition delay: ${(strongIgniter.ignitionDelay * 1000).toFixed(0)}ms with 3g, ${(weakIgniter.ignitionDelay * 1000).toFixed(0)}ms with 1g`);
+  if (assertTrue(strongIgniter.ignitionDelay > 0 && strongIgniter.fullIgnitionTime < 0.05 && strongIgniter.isBurnedOut, 'Default igniter lights the grain within its burn time')) passed++; else failed++;
+  if (assertTrue(weakIgniter.ignitionDelay > strongIgniter.ignitionDelay && weakIgniter.history.thrust[2] < strongIgniter.history.thrust[2], 'Smaller igniter gives a slower start')) passed++; else failed++;
+
+  const hangFire = igniterRun(0.0002);
+  if (assertTrue(hangFire.isHangFire && !hangFire.isBurning && hangFire.ignitedFraction === 0 && hangFire.totalImpulse < 1, 'Undersized igniter hang-fires')) passed++; else failed++;
+
+  header('Nozzle Flow Tests');
+
+  // Isentropic tables, γ = 1.4: A/A* = 2 at M = 2.197 (supersonic) and 0.306 (subsonic), P/Pc = 0.0939
+  if (assertClose(calculateMachFromAreaRatio(2, 1.4), 2.197, 0.002, 'Supersonic exit Mach at A/A* = 2')) passed++; else failed++;
+  if (assertClose(calculateMachFromAreaRatio(2, 1.4, false), 0.306, 0.002, 'Subsonic Mach at A/A* = 2')) passed++; else failed++;
+  if (assertClose(calculatePressureRatio(2.197, 1.4), 0.0939, 0.0005, 'Exit pressure ratio at M = 2.197')) passed++; else failed++;
+
+  const throat = calculateThroatArea(0.009);
+  const exitAreaOf = d => Math.PI * (d / 2) ** 2;
+  const seaLevel = solveNozzleFlow(7e6, throat, exitAreaOf(0.018), 1.133);
+  const vacuum = solveNozzleFlow(7e6, throat, exitAreaOf(0.018), 1.133, 0);
+  if (assertClose((vacuum.thrustCoefficient - seaLevel.thrustCoefficient) * 7e6, 4 * 101325, 1, 'Ambient back-pressure costs ε·Pa/Pc of Cf')) passed++; else failed++;
+
+  const wide = solveNozzleFlow(7e6, throat, exitAreaOf(0.026), 1.133);
+  const oversized = solveNozzleFlow(2e6, throat, exitAreaOf(0.04), 1.133);
+  info(`Cf: ${seaLevel.thrustCoefficient.toFixed(3)} at ε=4 (Pe ${(seaLevel.exitPressure / 1e3).toFixed(0)} kPa), ${wide.thrustCoefficient.toFixed(3)} at ε=8.3`);
+  if (assertTrue(wide.thrustCoefficient > seaLevel.thrustCoefficient && seaLevel.isUnderExpanded, 'Exit diameter changes Cf')) passed++; else failed++;
+  if (assertTrue(oversized.isOverExpanded && oversized.separationRisk && oversized.thrustCoefficient > 0, 'Oversized exit at low pressure flags separation')) passed++; else failed++;
+
+  // The chamber vents down to the configured back-pressure, not to sea level
+  if (assertTrue(calculateNozzleMassFlow(80e3, throat, defaults.propellant, 50e3) > 0 && calculateNozzleMassFlow(80e3, throat, defaults.propellant) === 0, 'Nozzle flows above a 50 kPa back-pressure')) passed++; else failed++;
+  const ambientRuns = [0, 50e3, 101325].map(ambientPressure => {
+    const run = burnToCompletion({ nozzle: { ...defaults.nozzle, ambientPressure } });
+    const lowest = Math.min(...run.history.pressure) * 1e6;
+    info(`At ${(ambientPressure / 1e3).toFixed(0)} kPa: burnout at ${run.burnTime.toFixed(3)}s, lowest pressure ${(lowest / 1e3).toFixed(1)} kPa`);
+    if (assertTrue(run.isBurnedOut && !run.isHangFire && run.chamberPressure === ambientPressure && lowest >= ambientPressure, `Burnout detected at ${(ambientPressure / 1e3).toFixed(0)} kPa ambient`)) passed++; else failed++;
+    return { run, lowest };
+  });
+  if (assertTrue(ambientRuns[0].lowest < 101325, 'Chamber blows down below 1 atm into vacuum')) passed++; else failed++;
+  if (assertTrue(ambientRuns[0].run.burnTime > ambientRuns[1].run.burnTime && ambientRuns[1].run.burnTime > ambientRuns[2].run.burnTime, 'Lower back-pressure lengthens the blow-down')) passed++; else failed++;
+
+  header('Throat Erosion Tests');
+
+  // Slag layer saturates below maxSlag; an erosive wall wears the slag away and then widens
+  let layer = { erosion: 0, slag: 0 };
+  for (let i = 0; i < 1000; i++) layer = calculateThroatChange(layer.erosion, layer.slag, 7e6, NOZZLE_MATERIALS.STEEL, PROPELLANTS.KNSB, 0.01);
+  if (assertTrue(layer.erosion === 0 && layer.slag > 0 && layer.slag < NOZZLE_MATERIALS.STEEL.maxSlag / 1000, `Slag saturates at ${(layer.slag * 1000).toFixed(3)} mm`)) passed++; else failed++;
+  const worn = calculateThroatChange(0, 1e-5, 7e6, NOZZLE_MATERIALS.CONCRETE, PROPELLANTS.KNSB, 1);
+  if (assertTrue(worn.slag === 0 && worn.erosion > 0, 'Erosion clears slag before the wall')) passed++; else failed++;
+
+  const throatRun = material => {
+    const sim = new MotorSimulation({});
+    sim.updateConfig({ nozzle: { material } });
+    sim.ignite();
+    while (!sim.isBurnedOut && !sim.hasExploded && sim.time < 20) sim.update(0.005);
+    return sim;
+  };
+  const phenolic = throatRun(NOZZLE_MATERIALS.PHENOLIC);
+  const steel = throatRun(NOZZLE_MATERIALS.STEEL);
+  info(`Throat after burn: phenolic ${(phenolic.throatDiameter * 1000).toFixed(2)} mm, steel ${(steel.throatDiameter * 1000).toFixed(2)} mm`);
+  if (assertTrue(phenolic.throatDiameter > 0.009 && steel.throatDiameter < 0.009, 'Throat widens with erosion and narrows with slag')) passed++; else failed++;
+  const late = phenolic.history.time.findIndex(t => t > 2);
+  if (assertTrue(phenolic.history.pressure[late] < steel.history.pressure[late], 'Throat change feeds back into pressure')) passed++; else failed++;
+
+  header('Nozzle Loss Tests');
+
+  const cone = angle => ({ throatDiameter: 0.009, exitDiameter: 0.018, divergenceHalfAngle: angle });
+  const losses = (angle, propellant = PROPELLANTS.KNSB, throatDiameter = 0.009) =>
+    calculateNozzleLosses(cone(angle), throatDiameter, 7e6, propellant);
+  if (assertClose(losses(15).divergence, (1 - Math.cos(15 * Math.PI / 180)) / 2, 1e-9, '15° cone divergence loss')) passed++; else failed++;
+  if (assertTrue(losses(15, PROPELLANTS.APCP).twoPhase < losses(15).twoPhase, 'Two-phase loss follows the condensed fraction')) passed++; else failed++;
+  const totals = [5, 10, 25].map(angle => losses(angle).total);
+  info(`Total loss at 5°/10°/25°: ${totals.map(t => (t * 100).toFixed(1)).join('% / ')}%`);
+  if (assertTrue(totals[1] < totals[0] && totals[1] < totals[2], 'Friction and divergence trade off against half-angle')) passed++; else failed++;
+  if (assertTrue(losses(15).throatErosion === 0 && losses(15, PROPELLANTS.KNSB, 0.0095).throatErosion > 0, 'Eroded throat costs Cf')) passed++; else failed++;
+
+  header('Propellant Tests');
+
+  // Nakka's KNSB ranges: r = a·P^n with P in MPa
+  const nakka = PROPELLANTS.KNSB_NAKKA;
+  if (assertClose(calculateBurnRate(2e6, nakka) * 1000, 7.852 * 2 ** -0.013, 1e-9, 'Piecewise rate in the 1.5-3.8 MPa range (mm/s)')) passed++; else failed++;
+  if (assertClose(calculateBurnRate(12e6, nakka) * 1000, 9.653 * 12 ** 0.064, 1e-9, 'Last range holds above its max (mm/s)')) passed++; else failed++;
+
+  const piecewiseThroat = calculateThroatArea(0.009);
+  const piecewisePc = calculateChamberPressure(0.0168, piecewiseThroat, nakka);
+  const generated = nakka.density * calculateBurnRate(piecewisePc, nakka) * 0.0168;
+  if (assertClose(generated * nakka.characteristicVelocity / piecewiseThroat / piecewisePc, 1, 0.01, 'Chamber pressure balances the piecewise law')) passed++; else failed++;
+
+  const custom = validatePropellant({
+    name: 'Test', density: 1800, characteristicVelocity: 900, gamma: 1.13, combustionTemp: 1600, molecularMass: 40, referencePressure: 1,
+    burnRateRanges: [{ minPressure: 2, maxPressure: 8, burnRateCoeff: 4, burnRateExponent: 0.5 }, { minPressure: 0.1, maxPressure: 2, burnRateCoeff: 8, burnRateExponent: -0.5 }],
+  });
+  let overlapRejected = false;
+  try {
+    validatePropellant({ ...custom, burnRateRanges: [...custom.burnRateRanges, { minPressure: 5, maxPressure: 9, burnRateCoeff: 1, burnRateExponent: 0 }] });
+  } catch {
+    overlapRejected = true;
+  }
+  if (assertTrue(custom.burnRateRanges[0].minPressure === 0.1 && custom.burnRateCoeff === 8 && overlapRejected, 'Custom propellant ranges sorted and overlaps rejected')) passed++; else failed++;
+  const nakkaMotor = burnToCompletion({ propellant: nakka });
+  if (assertTrue(nakkaMotor.isBurnedOut && nakkaMotor.totalImpulse > 0, `Piecewise KNSB motor burns out (${nakkaMotor.totalImpulse.toFixed(0)} N·s)`)) passed++; else failed++;
+
+  header('Thermochemistry Tests');
+  
+  // Nakka's PROPEP results for KNSB 65/35 at 1000 psi: 1600 K, 39.9 kg/kmol, gamma 1.136, c* 909 m/s
+  const knsb = calculateThermochemistry({ KNO3: 65, SORBITOL: 35 }, 6.895e6);
+  info(`KNSB: Tc ${knsb.combustionTemp.toFixed(0)} K, M ${knsb.molecularMass.toFixed(2)}, γ ${knsb.gamma.toFixed(4)}, c* ${knsb.characteristicVelocity.toFixed(0)} m/s, Isp ${knsb.exit.specificImpulse.toFixed(1)} s`);
+  if (assertClose(knsb.combustionTemp, 1600, 60, 'KNSB flame temperature (K)')) passed++; else failed++;
+  if (assertClose(knsb.characteristicVelocity, 909, 20, 'KNSB c* (m/s)')) passed++; else failed++;
+  if (assertTrue(knsb.composition['K2CO3(c)'] > 0.05 && knsb.condensedFraction > 0.35, 'KNSB exhaust carries condensed K2CO3')) passed++; else failed++;
+  const aluminized = calculateThermochemistry({ AP: 68, AL: 18, HTPB: 14 }, 6.895e6);
+  if (assertTrue(aluminized.combustionTemp > 3000 && aluminized.composition['Al2O3(c)'] > 0 && aluminized.exit.specificImpulse > knsb.exit.specificImpulse, `Aluminized APCP burns hotter with Al2O3 (${aluminized.combustionTemp.toFixed(0)} K)`)) passed++; else failed++;
+  const formulated = createPropellantFromFormulation('KNSB (computed)', { KNO3: 65, SORBITOL: 35 }, PROPELLANTS.KNSB);
+  const formulatedMotor = burnToCompletion({ propellant: validatePropellant(formulated) });
+  if (assertTrue(formulatedMotor.isBurnedOut && formulatedMotor.totalImpulse > 0, `Formulated propellant runs in MotorSimulation (${formulatedMotor.totalImpulse.toFixed(0)} N·s)`)) passed++; else failed++;
+
+  header('Burn-Rate Fit Tests');
+  
+  // Strand points on the KNSB law with ±1% scatter
+  const strandPoints = Array.from({ length: 19 }, (_, i) => {
+    const P = 1 + i * 0.5;
+    return { pressure: P, burnRate: 8.26 * Math.pow(P / 6.895, 0.319) * (1 + 0.01 * Math.sin(i * 2.3)) };
+  });
+  const strandFit = fitBurnRateLaw(strandPoints);
+  info(`Strand fit: a = ${strandFit.burnRateCoeff.toFixed(3)} [${strandFit.coeffInterval.map(v => v.toFixed(3)).join(', ')}], n = ${strandFit.burnRateExponent.toFixed(3)} [${strandFit.exponentInterval.map(v => v.toFixed(3)).join(', ')}]`);
+  if (assertClose(strandFit.burnRateExponent, 0.319, 0.01, 'Fitted exponent n')) passed++; else failed++;
+  if (assertTrue(strandFit.coeffInterval[0] < 8.26 && strandFit.coeffInterval[1] > 8.26, 'True a lies inside the 95% interval')) passed++; else failed++;
+  const nakkaPoints = Array.from({ length: 50 }, (_, i) => ({ pressure: 0.2 + i * 0.2, burnRate: calculateBurnRate((0.2 + i * 0.2) * 1e6, nakka) * 1000 }));
+  const piecewise = fitPiecewiseBurnRate(nakkaPoints, 5, 1);
+  if (assertTrue(piecewise.ranges.length === 5 && piecewise.ranges.every((r, i) => Math.abs(r.burnRateExponent - nakka.burnRateRanges[i].burnRateExponent) < 0.01), 'Piecewise fit recovers Nakka\'s five ranges')) passed++; else failed++;
+  const traceSim = new MotorSimulation();
+  traceSim.ignite();
+  const trace = [];
+  while (!traceSim.isBurnedOut && traceSim.time < 10) {
+    traceSim.update(0.01);
+    trace.push({ time: traceSim.time, pressure: traceSim.chamberPressure });
+  }
+  const traceFit = fitBurnRateLaw(extractBurnRateFromTrace(trace, traceSim.config));
+  info(`Static-fire trace fit: a = ${traceFit.burnRateCoeff.toFixed(3)} mm/s, n = ${traceFit.burnRateExponent.toFixed(3)} from ${traceFit.count} points`);
+  if (assertClose(traceFit.burnRateCoeff, PROPELLANTS.KNSB.burnRateCoeff, 0.5, 'Burn rate reduced from a simulated static fire (mm/s)')) passed++; else failed++;
+
+  header('Static-Fire Calibration Tests');
+  
+  // A "static fire" of the default motor burning 10% faster through a 92% nozzle
+  const staticFire = runToCompletion({ calibration: { burnRateScale: 1.1, nozzleEfficiency: 0.92 } });
+  const csv = ['Time (s),Thrust (N),Pressure (MPa)', ...staticFire.history.time.map((t, i) =>
+    `${t},${staticFire.history.thrust[i]},${staticFire.history.pressure[i] - 0.101325}`
+  )].join('\n');
+  const test = parseStaticFireCsv(csv);
+  if (assertTrue(test.time.length === staticFire.history.time.length && test.pressure !== null, 'Static-fire CSV parsed with pressure column')) passed++; else failed++;
+  const calibrationFractions = [];
+  const calibrated = await calibrateToTest(runToCompletion().config, test, { onProgress: fraction => calibrationFractions.push(fraction) });
+  info(`Calibrated: burn-rate scale ${calibrated.calibration.burnRateScale.toFixed(3)}, nozzle efficiency ${calibrated.calibration.nozzleEfficiency.toFixed(3)}`);
+  if (assertClose(calibrated.calibration.burnRateScale, 1.1, 0.01, 'Recovered burn-rate scale')) passed++; else failed++;
+  if (assertClose(calibrated.calibration.nozzleEfficiency, 0.92, 0.01, 'Recovered nozzle efficiency')) passed++; else failed++;
+  if (assertTrue(Math.abs(calibrated.comparison.deltas.totalImpulse) < 0.01 && Math.abs(calibrated.comparison.deltas.peakPressure) < 0.02, 'Calibrated impulse and peak pressure match the test')) passed++; else failed++;
+  if (assertTrue(calibrationFractions.length > 1 && calibrationFractions.every((f, i) => f >= 0 && f <= 1 && (i === 0 || f >= calibrationFractions[i - 1])), 'Calibration yields between chunks and reports rising progress')) passed++; else failed++;
+  const stopCalibration = new AbortController();
+  const stopped = await calibrateToTest(runToCompletion().config, test, { signal: stopCalibration.signal, onProgress: () => stopCalibration.abort() });
+  if (assertTrue(stopped === null, 'Aborting stops the calibration')) passed++; else failed++;
+
+  header('Structural Tests');
+  
+  // 60 mm bore with a 3 mm wall at 1000 psi gauge
+  const lame = calculateLameStresses(6.895e6, 0.030, 0.003);
+  const thinWall = calculateHoopStress(6.895e6, 0.030, 0.003);
+  info(`Hoop: Lamé ${(lame.hoop / 1e6).toFixed(1)} MPa, thin-wall ${(thinWall / 1e6).toFixed(1)} MPa, axial ${(lame.axial / 1e6).toFixed(1)} MPa`);
+  if (assertTrue(lame.hoop > thinWall, 'Lamé hoop stress exceeds the thin-wall value')) passed++; else failed++;
+  if (assertClose(calculateVonMises(lame.hoop, lame.radial, lame.axial) / 6.895e6, 9.98, 0.01, 'Von Mises stress at r/t = 10 (×P)')) passed++; else failed++;
+  const defaultConfig = new MotorSimulation().config;
+  const structural = calculateStructuralAnalysis(6.895e6, defaultConfig);
+  if (assertTrue(Object.values(structural.checks).every(c => c.safetyFactor > 1) && structural.safetyFactor === structural.checks[structural.governing].safetyFactor, 'Default motor passes every check at 1000 psi')) passed++; else failed++;
+  const weakBolts = calculateStructuralAnalysis(6.895e6, { ...defaultConfig, casing: { ...defaultConfig.casing, boltCount: 3, boltDiameter: 0.002 } });
+  const weakFailure = checkForFailure(weakBolts);
+  if (assertTrue(weakFailure.catastrophic && weakFailure.mode === 'closureShear', 'Undersized bolts fail in closure shear')) passed++; else failed++;
+  const snapRing = runToCompletion({ casing: { ...defaultConfig.casing, closure: CLOSURE_TYPES.SNAP_RING, snapRingThickness: 0.0002 } });
+  info(`Snap-ring motor: ${snapRing.hasExploded ? `CATO (${snapRing.failureMode})` : 'survived'}`);
+  if (assertTrue(snapRing.hasExploded && snapRing.failureMode === 'closureShear', 'Thin snap ring causes a closure-shear CATO')) passed++; else failed++;
+
+  header('Wall Heating Tests');
+  
+  // Paper liner in an aluminum tube, run to steady state against the cylindrical resistance network
+  const wallLayers = [
+    { thickness: 0.0015, conductivity: 0.12, density: 800, specificHeat: 1300 },
+    { thickness: 0.003, conductivity: 167, density: 2700, specificHeat: 896 },
+  ];
+  const wallBoundary = { gasTemperature: 1600, gasCoefficient: 1000, ambientTemperature: 293.15, outerCoefficient: 10 };
+  let wallState = createWallState(wallLayers, 293.15);
+  for (let i = 0; i < 20; i++) wallState = stepWallConduction(wallState, wallLayers, 0.0285, wallBoundary, 1e5);
+  const [r0, r1, r2] = [0.0285, 0.03, 0.033];
+  const resistance = 1 / (1000 * r0) + Math.log(r1 / r0) / 0.12 + Math.log(r2 / r1) / 167 + 1 / (10 * r2);
+  const steadyOuter = 293.15 + (1600 - 293.15) / resistance / (10 * r2);
+  const [, steadyCasing] = summarizeWall(wallState, wallLayers, 0.0285, wallBoundary);
+  if (assertClose(steadyCasing.outer, steadyOuter, 1, 'Steady casing outer temperature matches the resistance network (K)')) passed++; else failed++;
+  if (assertClose(calculateStrengthRetention(MATERIALS.PVC, 333), 0.5, 1e-9, 'PVC keeps half its strength at 60 °C')) passed++; else failed++;
+  
+  const lined = runToCompletion();
+  const unlined = runToCompletion({ casing: { ...defaultConfig.casing, liner: null } });
+  const phenolicLined = runToCompletion({ casing: { ...defaultConfig.casing, liner: LINER_MATERIALS.PHENOLIC } });
+  info(`Peak casing bore: ${(lined.maxWallTemperature - 273.15).toFixed(0)} °C lined, ${(phenolicLined.maxWallTemperature - 273.15).toFixed(0)} °C phenolic, ${(unlined.maxWallTemperature - 273.15).toFixed(0)} °C bare`);
+  if (assertTrue(lined.maxWallTemperature < 373 && lined.wallThermal.liner.inner > 1000, 'Paper liner keeps the casing below 100 °C')) passed++; else failed++;
+  if (assertTrue(phenolicLined.maxWallTemperature > lined.maxWallTemperature, 'Phenolic liner conducts more heat than paper')) passed++; else failed++;
+  if (assertTrue(unlined.maxWallTemperature > lined.maxWallTemperature + 100 && unlined.structural.strengthRetention < 0.9, 'Bare aluminum casing heats and loses strength')) passed++; else failed++;
+
+  header('Thermal Protection Tests');
+  
+  const linedProtection = lined.thermalProtection;
+  info(`Paper liner at burnout: ${(linedProtection.charDepth * 1000).toFixed(2)} mm charred of ${(linedProtection.protectionThickness * 1000).toFixed(2)} mm`);
+  if (assertTrue(linedProtection.charDepth > 0 && linedProtection.charDepth < linedProtection.protectionThickness && linedProtection.isSufficient, 'Default paper liner chars partway and is sufficient')) passed++; else failed++;
+  const thinLiner = runToCompletion({ casing: { ...defaultConfig.casing, linerThickness: 0.0003 } });
+  info(`0.3 mm liner: ${thinLiner.thermalProtection.warnings.join('; ')}`);
+  if (assertTrue(!thinLiner.thermalProtection.isSufficient && thinLiner.thermalProtection.warnings.length > 0, 'Thin liner is flagged as insufficient')) passed++; else failed++;
+  const insulated = runToCompletion({ casing: { ...defaultConfig.casing, insulation: INSULATION_MATERIALS.EPDM, insulationThickness: 0.001 } });
+  if (assertTrue(insulated.wallThermal.liner.charDepth < lined.wallThermal.liner.charDepth && insulated.maxWallTemperature <= lined.maxWallTemperature, 'EPDM insulation shields the liner and casing')) passed++; else failed++;
+  if (assertTrue(!unlined.thermalProtection.isSufficient, 'Bare casing is flagged')) passed++; else failed++;
+
+  header('Hardware Mass Tests');
+
+  const hardware = calculateMotorHardware(defaultConfig);
+  hardware.parts.forEach(part => info(`${part.name}: ${(part.mass * 1000).toFixed(1)} g at ${(part.cg * 1000).toFixed(1)} mm`));
+  info(`Loaded ${(hardware.loadedMass * 1000).toFixed(0)} g, CG ${(hardware.loadedCG * 1000).toFixed(1)} mm; burnout ${(hardware.burnoutMass * 1000).toFixed(0)} g, CG ${(hardware.burnoutCG * 1000).toFixed(1)} mm; length ${(hardware.length * 1000).toFixed(1)} mm`);
+  if (assertClose(hardware.propellantMass, calculatePropellantVolume(defaultConfig) * defaultConfig.propellant.density, 1e-9, 'Propellant mass matches the grain volume')) passed++; else failed++;
+  if (assertClose(hardware.loadedMass - hardware.burnoutMass, hardware.propellantMass, 1e-9, 'Loaded minus burnout mass is the propellant')) passed++; else failed++;
+  const nozzleGeometry = calculateNozzleGeometry(defaultConfig.nozzle, defaultConfig.hardware, defaultConfig.casing.innerRadius);
+  const stackLength = 4 * (defaultConfig.grainConfig.length + 0.002);
+  if (assertClose(hardware.length, defaultConfig.casing.bulkheadThickness + stackLength + nozzleGeometry.length, 1e-9, 'Length is closure + grain stack + nozzle')) passed++; else failed++;
+  const r = defaultConfig.casing.innerRadius;
+  const R = r + defaultConfig.casing.wallThickness;
+  const casingPart = hardware.parts.find(part => part.key === 'casing');
+  if (assertClose(casingPart.mass, MATERIALS.ALUMINUM.density * Math.PI * (R * R - r * r) * hardware.length, 1e-9, 'Casing tube mass from its dimensions')) passed++; else failed++;
+  if (assertTrue(hardware.propellantCG < hardware.burnoutCG, 'Nozzle end makes the burnout CG aft of the propellant')) passed++; else failed++;
+  const steelClosures = calculateMotorHardware({ ...defaultConfig, hardware: { ...defaultConfig.hardware, aftClosureMaterial: MATERIALS.STEEL } });
+  if (assertTrue(steelClosures.burnoutMass > hardware.burnoutMass && steelClosures.burnoutCG > hardware.burnoutCG, 'Steel aft closure adds mass and moves the CG aft')) passed++; else failed++;
+
+  header('Solver Warning Tests');
+
+  // Single-law KNSB has the closed form X^(1-n) = ρ·a·Kn·c*/(1e9·Pref^n), X in MPa
+  const knsbLaw = PROPELLANTS.KNSB;
+  const solveThroat = calculateThroatArea(0.009);
+  const solved = solveChamberPressure(0.0168, solveThroat, knsbLaw);
+  const closedForm = Math.pow(knsbLaw.density * knsbLaw.burnRateCoeff * (0.0168 / solveThroat) * knsbLaw.characteristicVelocity /
+    (1e9 * knsbLaw.referencePressure ** knsbLaw.burnRateExponent), 1 / (1 - knsbLaw.burnRateExponent));
+  info(`Root-finder: ${(solved.pressure / 1e6).toFixed(4)} MPa in ${solved.iterations} iterations, closed form ${closedForm.toFixed(4)} MPa`);
+  if (assertClose(solved.pressure / 1e6, closedForm, 1e-6, 'Root-finder matches the closed-form pressure')) passed++; else failed++;
+  const highKn = solveChamberPressure(0.2, solveThroat, knsbLaw);
+  if (assertTrue(highKn.converged && highKn.pressure > MODEL_LIMITS.maxPressure, `High-Kn pressure is no longer clamped: ${(highKn.pressure / 1e6).toFixed(1)} MPa`)) passed++; else failed++;
+  if (assertClose(calculateBurnRate(10e6, { ...knsbLaw, burnRateCoeff: 40 }) * 1000, 40 * (10 / 6.895) ** 0.319, 1e-9, 'Burn rate is no longer clamped at 30 mm/s')) passed++; else failed++;
+  // A steady state between 50 kPa and 1 atm is only inside the bracket once the back-pressure drops below it
+  const lowKnArea = Math.pow(0.08, 1 - knsbLaw.burnRateExponent) * 1e9 * knsbLaw.referencePressure ** knsbLaw.burnRateExponent /
+    (knsbLaw.density * knsbLaw.burnRateCoeff * knsbLaw.characteristicVelocity) * solveThroat;
+  const seaLevelSolve = solveChamberPressure(lowKnArea, solveThroat, knsbLaw);
+  const altitudeSolve = solveChamberPressure(lowKnArea, solveThroat, knsbLaw, undefined, 50e3);
+  const vacuumSolve = solveChamberPressure(lowKnArea, solveThroat, knsbLaw, undefined, 0);
+  if (assertTrue(seaLevelSolve.pressure === 101325 && solveChamberPressure(0, solveThroat, knsbLaw, undefined, 50e3).pressure === 50e3, 'Bracket starts at the ambient back-pressure')) passed++; else failed++;
+  const generatedPressure = (P) => knsbLaw.density * calculateBurnRate(P, knsbLaw) * lowKnArea * knsbLaw.characteristicVelocity / solveThroat;
+  info(`Sub-atmosphere root: ${(altitudeSolve.pressure / 1e3).toFixed(2)} kPa at 50 kPa ambient, ${(vacuumSolve.pressure / 1e3).toFixed(2)} kPa in vacuum`);
+  if (assertTrue(altitudeSolve.converged && altitudeSolve.pressure > 50e3 && altitudeSolve.pressure < 101325 && Math.abs(generatedPressure(altitudeSolve.pressure) / altitudeSolve.pressure - 1) < 1e-6, 'Lower ambient brings a sub-atmosphere root into the bracket')) passed++; else failed++;
+  if (assertClose(vacuumSolve.pressure / altitudeSolve.pressure, 1, 1e-6, 'Bracket starts above zero in vacuum')) passed++; else failed++;
+  const runaway = { ...knsbLaw, burnRateExponent: 1.05 };
+  const runawaySolve = solveChamberPressure(0.2, solveThroat, runaway);
+  if (assertTrue(!runawaySolve.hasSteadyState && runawaySolve.pressure === Infinity, 'Exponent above 1 has no steady state')) passed++; else failed++;
+
+  if (assertTrue(lined.getState().warnings.length === 0, 'Default motor raises no warnings')) passed++; else failed++;
+  const overpressure = runToCompletion({ nozzle: { ...defaultConfig.nozzle, throatDiameter: 0.005 } }).getState();
+  overpressure.warnings.forEach(warning => info(`${warning.severity} at ${warning.time.toFixed(2)}s: ${warning.message}`));
+  if (assertTrue(overpressure.warnings.some(warning => warning.code === SIMULATION_WARNINGS.PRESSURE_RANGE), 'Small throat is flagged as beyond the model range')) passed++; else failed++;
+  const unstable = runToCompletion({ propellant: runaway }, 0.01, 3).getState();
+  if (assertTrue(unstable.warnings.some(warning => warning.code === SIMULATION_WARNINGS.NO_STEADY_STATE && warning.severity === 'error'), 'Runaway propellant is reported as having no steady state')) passed++; else failed++;
+
+  header('Deterministic Solve Tests');
+
+  const solveA = simulateMotor(defaultConfig);
+  const solveB = simulateMotor(defaultConfig);
+  info(`Fixed step: ${solveA.final.totalImpulse.toFixed(2)} N·s over ${solveA.final.burnTime.toFixed(3)}s in ${solveA.frames.length} frames`);
+  if (assertTrue(JSON.stringify(solveA.history) === JSON.stringify(solveB.history) && solveA.final.totalImpulse === solveB.final.totalImpulse, 'Identical configs give identical results')) passed++; else failed++;
+  if (assertClose(solveA.final.totalImpulse, lined.totalImpulse, 1e-12, 'Matches stepping the simulation at the same step')) passed++; else failed++;
+  const adaptive = simulateMotor(defaultConfig, { webStep: 0.00002 });
+  info(`Adaptive web step: ${adaptive.final.totalImpulse.toFixed(2)} N·s over ${adaptive.final.burnTime.toFixed(3)}s`);
+  if (assertClose(adaptive.final.totalImpulse / solveA.final.totalImpulse, 1, 0.01, 'Adaptive web step agrees with the fixed step')) passed++; else failed++;
+  const midReplay = getMotorStateAt(solveA, 1);
+  if (assertTrue(midReplay.time <= 1 && midReplay.time > 0.98 && midReplay.history.time.length === solveA.frames.find(f => f.time === midReplay.time).historyLength && midReplay.history.time.at(-1) <= 1, 'Replay at 1s gives the state and history up to then')) passed++; else failed++;
+  const endReplay = getMotorStateAt(solveA, 1e9);
+  if (assertTrue(endReplay.isBurnedOut && endReplay.totalImpulse === solveA.final.totalImpulse && endReplay.history.time.length === solveA.history.time.length, 'Replay past the end holds the final state')) passed++; else failed++;
+  if (assertTrue(getMotorStateAt(solveA, 0).isBurning && getMotorStateAt(solveA, 0).time === 0, 'Replay starts at ignition')) passed++; else failed++;
+
+  // Chunked solve: the event loop gets control back between chunks
+  const fractions = [];
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 0);
+  const solveAsync = await simulateMotorAsync(defaultConfig, { timeStep: 0.002 }, { onProgress: fraction => fractions.push(fraction) });
+  clearInterval(ticker);
+  const solveFine = simulateMotor(defaultConfig, { timeStep: 0.002 });
+  info(`Chunked solve: ${fractions.length} chunks, ${ticks} timer ticks in between`);
+  if (assertTrue(JSON.stringify(solveAsync.history) === JSON.stringify(solveFine.history) && solveAsync.frames.length === solveFine.frames.length, 'Chunked solve matches simulateMotor')) passed++; else failed++;
+  if (assertTrue(fractions.length > 1 && ticks > 0 && fractions.every((f, i) => f >= 0 && f <= 1 && (i === 0 || f >= fractions[i - 1])), 'Chunked solve yields and reports rising progress')) passed++; else failed++;
+  const cancelSolve = new AbortController();
+  const cancelled = await simulateMotorAsync(defaultConfig, { timeStep: 0.002 }, { signal: cancelSolve.signal, onProgress: () => cancelSolve.abort() });
+  if (assertTrue(cancelled === null, 'Aborting stops the chunked solve')) passed++; else failed++;
+
+  header('Optimizer Tests');
+  
+  const burnSummary = summarizeBurn(solveA);
+  info(`Summary: ${burnSummary.averageThrust.toFixed(1)} N average, Kn ratio ${burnSummary.knRatio.toFixed(3)}, min SF ${burnSummary.minSafetyFactor.toFixed(2)}`);
+  if (assertClose(burnSummary.averageThrust * burnSummary.burnTime, solveA.final.totalImpulse, 1e-9, 'Average thrust times burn time is the total impulse')) passed++; else failed++;
+  if (assertTrue(burnSummary.knRatio >= 1 && burnSummary.minSafetyFactor <= solveA.frames[0].safetyFactor, 'Kn ratio is at least 1 and min SF no more than at ignition')) passed++; else failed++;
+  if (assertClose(calculateObjectiveCost('totalImpulse', { totalImpulse: 600 }, 640), 40 / 640, 1e-12, 'Target cost is the relative miss')) passed++; else failed++;
+  if (assertTrue(calculateObjectiveCost('maxPressure', { maxPressure: 5e6 }, 7e6) === 0 && calculateObjectiveCost('minSafetyFactor', { minSafetyFactor: 1.5 }, 2) === 0.25, 'Ceilings and floors cost nothing until broken')) passed++; else failed++;
+  const designPatch = getDesignPatch(defaultConfig, { coreDiameter: 0.016, throatDiameter: 0.012, segments: 3 });
+  const patchedConfig = applyDesignPatch(defaultConfig, designPatch);
+  const expansion = defaultConfig.nozzle.exitDiameter / defaultConfig.nozzle.throatDiameter;
+  if (assertTrue(patchedConfig.grainConfig.coreRadius === 0.008 && patchedConfig.grainConfig.segments === 3 && patchedConfig.grainConfig.outerRadius === defaultConfig.grainConfig.outerRadius, 'Design patch sets the grain and keeps the rest')) passed++; else failed++;
+  if (assertClose(patchedConfig.nozzle.exitDiameter / patchedConfig.nozzle.throatDiameter, expansion, 1e-12, 'Design patch keeps the expansion ratio')) passed++; else failed++;
+  const pareto = findParetoSet([
+    { costs: [1, 2], feasible: true },
+    { costs: [2, 1], feasible: true },
+    { costs: [2, 2], feasible: true },
+    { costs: [0, 0], feasible: false },
+  ]);
+  if (assertTrue(pareto.length === 2 && pareto.every(design => design.costs[0] + design.costs[1] === 3), 'Pareto set drops dominated and infeasible designs')) passed++; else failed++;
+  const random = createRandom(7);
+  const draws = Array.from({ length: 1000 }, random);
+  if (assertTrue(draws.every(x => x >= 0 && x < 1) && Math.abs(draws.reduce((a, b) => a + b) / 1000 - 0.5) < 0.03, 'Seeded random is uniform on [0, 1)')) passed++; else failed++;
+  const search = {
+    objectives: [{ key: 'totalImpulse', goal: 1200 }, { key: 'maxPressure', goal: 6e6 }],
+    variables: [{ key: 'throatDiameter', min: 0.008, max: 0.014 }, { key: 'coreDiameter', min: 0.012, max: 0.024 }],
+    samples: 6,
+    generations: 1,
+    offspring: 3,
+    seed: 3,
+  };
+  const optimized = await optimizeMotor(defaultConfig, search);
+  info(`Optimizer: ${optimized.designs.length} designs, ${optimized.pareto.length} Pareto-optimal`);
+  const undominated = optimized.pareto.every(design => !optimized.designs.some(other => other.feasible && other.costs.every((c, i) => c <= design.costs[i]) && other.costs.some((c, i) => c < design.costs[i])));
+  if (assertTrue(optimized.pareto.length > 0 && undominated, 'No evaluated design dominates a Pareto member')) passed++; else failed++;
+  if (assertTrue(optimized.designs.every(design => design.values.throatDiameter >= 0.008 && design.values.throatDiameter <= 0.014), 'Designs stay within the variable bounds')) passed++; else failed++;
+  const repeated = await optimizeMotor(defaultConfig, search);
+  if (assertTrue(JSON.stringify(repeated.pareto.map(d => d.values)) === JSON.stringify(optimized.pareto.map(d => d.values)), 'Same seed gives the same Pareto set')) passed++; else failed++;
+  const controller = new AbortController();
+  controller.abort();
+  const aborted = await optimizeMotor(defaultConfig, { ...search, signal: controller.signal });
+  if (assertTrue(aborted.designs.length === 0, 'An aborted search stops before evaluating')) passed++; else failed++;
+
+  // Loading a design into a two-grain stack the way the store does burns the motor that was evaluated
+  const stackDrafts = [undefined, { coreRadius: 0.012, segments: 2 }];
+  const stackedConfig = { ...defaultConfig, grains: buildGrainStack(defaultConfig.grainConfig, 2, stackDrafts) };
+  const stackSearch = await optimizeMotor(stackedConfig, {
+    objectives: [{ key: 'totalImpulse', goal: 2000 }],
+    variables: [{ key: 'coreDiameter', min: 0.014, max: 0.022 }, { key: 'throatDiameter', min: 0.010, max: 0.014 }],
+    samples: 2,
+    generations: 0,
+    seed: 5,
+  });
+  const chosen = stackSearch.designs[stackSearch.designs.length - 1];
+  const loadInStore = (drafts) => {
+    const loaded = new MotorSimulation(stackedConfig);
+    loaded.updateConfig(chosen.patch);
+    loaded.updateConfig({ grains: buildGrainStack(loaded.config.grainConfig, 2, drafts) });
+    return summarizeBurn(simulateMotor(loaded.config, { timeStep: 0.02 }));
+  };
+  const { grains: chosenGrains } = applyDesignPatch(stackedConfig, chosen.patch);
+  const loadedSummary = loadInStore(patchGrainDrafts(stackDrafts, 2, (i) => ({ coreRadius: chosenGrains[i].coreRadius })));
+  info(`Loaded design: ${loadedSummary.totalImpulse.toFixed(1)} N·s, evaluated ${chosen.summary.totalImpulse.toFixed(1)} N·s, stale drafts ${loadInStore(stackDrafts).totalImpulse.toFixed(1)} N·s`);
+  if (assertTrue(JSON.stringify(loadedSummary) === JSON.stringify(chosen.summary), 'Loaded design burns as it was evaluated')) passed++; else failed++;
+
+  // Remounting the control panel replays its values into the motor; it first takes them from the loaded
+  // design (mm in the panel), and a panel still holding the old values would undo the design
+  const replayPanel = (grains, nozzle) => {
+    const remounted = new MotorSimulation(stackedConfig);
+    const panel = grains.map(grain => ({ segments: grain.segments, core: grain.coreRadius * 2000, length: grain.length * 1000 }));
+    const nozzlePanel = { throat: nozzle.throatDiameter * 1000, exit: nozzle.exitDiameter * 1000 };
+    remounted.updateConfig({
+      grainConfig: { segments: panel[0].segments, coreRadius: panel[0].core / 2000, length: panel[0].length / 1000 },
+      nozzle: { throatDiameter: nozzlePanel.throat / 1000, exitDiameter: nozzlePanel.exit / 1000 },
+    });
+    const drafts = panel.map(({ segments, core, length }) => ({ segments, coreRadius: core / 2000, length: length / 1000 }));
+    remounted.updateConfig({ grains: buildGrainStack(remounted.config.grainConfig, 2, drafts) });
+    return summarizeBurn(simulateMotor(remounted.config, { timeStep: 0.02 }));
+  };
+  const remountedSummary = replayPanel(chosenGrains, applyDesignPatch(stackedConfig, chosen.patch).nozzle);
+  info(`After remount: ${remountedSummary.totalImpulse.toFixed(1)} N·s, with the old panel values ${replayPanel(stackedConfig.grains, stackedConfig.nozzle).totalImpulse.toFixed(1)} N·s`);
+  if (assertClose(remountedSummary.totalImpulse, chosen.summary.totalImpulse, 1e-6 * chosen.summary.totalImpulse, 'Loaded design holds after the control panel remounts')) passed++; else failed++;
+  if (assertClose(remountedSummary.maxPressure, chosen.summary.maxPressure, 1e-6 * chosen.summary.maxPressure, 'Loaded design keeps its peak pressure after a remount')) passed++; else failed++;
+  if (assertTrue(patchGrainDrafts([undefined, {}, { length: 0.05 }], 2, () => ({ segments: 3 }))[2].segments === undefined, 'Drafts past the grain count are left alone')) passed++; else failed++;
+  const mixedPatch = getDesignPatch(stackedConfig, { coreDiameter: 0.0228, segments: 6, throatDiameter: 0.012 });
+  const [mixedFirst, mixedSecond] = applyDesignPatch(stackedConfig, mixedPatch).grains;
+  const [firstGrain, secondGrain] = stackedConfig.grains;
+  info(`Mixed stack: grain 1 core ${(firstGrain.coreRadius * 2000).toFixed(1)} → ${(mixedFirst.coreRadius * 2000).toFixed(1)} mm, grain 2 core ${(secondGrain.coreRadius * 2000).toFixed(1)} → ${(mixedSecond.coreRadius * 2000).toFixed(1)} mm`);
+  if (assertTrue(mixedFirst.coreRadius === mixedPatch.grainConfig.coreRadius && mixedFirst.segments === 6, 'Grain 1 takes the design values')) passed++; else failed++;
+  if (assertClose(mixedSecond.coreRadius / secondGrain.coreRadius, mixedFirst.coreRadius / firstGrain.coreRadius, 1e-9, 'Other grains scale their own core by the same ratio')) passed++; else failed++;
+  if (assertTrue(mixedSecond.segments === secondGrain.segments + 6 - firstGrain.segments && mixedSecond.length === secondGrain.length, 'Other grains step their own segment count and keep untouched values')) passed++; else failed++;
+  
+  header('Dispersion Tests');
+  
+  const normalRandom = createRandom(11);
+  const normals = Array.from({ length: 4000 }, () => sampleNormal(normalRandom));
+  const normalMean = normals.reduce((a, b) => a + b) / normals.length;
+  const normalStd = Math.sqrt(normals.reduce((sum, z) => sum + (z - normalMean) ** 2, 0) / (normals.length - 1));
+  info(`Normal draws: mean ${normalMean.toFixed(3)}, σ ${normalStd.toFixed(3)}`);
+  if (assertTrue(Math.abs(normalMean) < 0.05 && Math.abs(normalStd - 1) < 0.05, 'Normal sampler has zero mean and unit σ')) passed++; else failed++;
+  if (assertTrue(Array.from({ length: 2000 }, () => sampleNormal(normalRandom, 1)).every(z => Math.abs(z) <= 1), 'Draws beyond the limit are redrawn')) passed++; else failed++;
+  const bands = getDefaultTolerances();
+  const deviationDraws = Array.from({ length: 200 }, () => sampleDeviations({ ...bands, burnRate: 0 }, normalRandom));
+  if (assertTrue(deviationDraws.every(d => d.burnRate === undefined && Object.entries(d).every(([key, value]) => Math.abs(value) <= bands[key])), 'Deviations stay within their bands; zero bands are off')) passed++; else failed++;
+  const stackConfig = { ...defaultConfig, grains: [defaultConfig.grainConfig, { ...defaultConfig.grainConfig, coreRadius: 0.012 }] };
+  const deviated = applyDeviations(stackConfig, { coreDiameter: 0.0004, throatDiameter: 0.0002, casingYield: -0.1, propellantDensity: 0.02 });
+  if (assertTrue(Math.abs(deviated.grains[0].coreRadius - 0.0097) < 1e-12 && Math.abs(deviated.grains[1].coreRadius - 0.0122) < 1e-12, 'Core deviation shifts every grain in the stack')) passed++; else failed++;
+  if (assertTrue(Math.abs(deviated.nozzle.throatDiameter - 0.0092) < 1e-12 && deviated.nozzle.exitDiameter === defaultConfig.nozzle.exitDiameter, 'Throat deviation leaves the exit diameter alone')) passed++; else failed++;
+  const exitDeviated = applyDeviations(defaultConfig, { exitDiameter: -0.0003 });
+  if (assertTrue(Math.abs(exitDeviated.nozzle.exitDiameter - 0.0177) < 1e-12 && exitDeviated.nozzle.throatDiameter === defaultConfig.nozzle.throatDiameter, 'Exit deviation moves only the exit')) passed++; else failed++;
+  if (assertTrue(deviated.material.yieldStrength === defaultConfig.material.yieldStrength * 0.9 && defaultConfig.material === MATERIALS.ALUMINUM && MATERIALS.ALUMINUM.yieldStrength === 276e6, 'Yield deviation leaves the material preset untouched')) passed++; else failed++;
+  const noCato = wilsonInterval(0, 100);
+  const halfCato = wilsonInterval(50, 100);
+  if (assertTrue(noCato.low === 0 && Math.abs(noCato.high - 0.037) < 0.001 && Math.abs(halfCato.low - 0.404) < 0.001 && Math.abs(halfCato.high - 0.596) < 0.001, 'Wilson interval matches tabulated values')) passed++; else failed++;
+  const exact = await runDispersion(defaultConfig, { tolerances: {}, runs: 3, gridPoints: 50 });
+  const flat = exact.envelope.pressure.min.every((p, i) => p === exact.envelope.pressure.max[i] && Math.abs(p - exact.envelope.pressure.nominal[i]) < 1e-12);
+  if (assertTrue(flat && exact.statistics.totalImpulse.std === 0 && exact.cato.probability === 0, 'Zero tolerances reproduce the nominal motor')) passed++; else failed++;
+  // Thin wall held by extra bolts, so the casing itself and not the closure bearing is at the limit
+  const marginalCasing = { ...defaultConfig, casing: { ...defaultConfig.casing, wallThickness: 0.00075, boltCount: 16 } };
+  const marginal = await runDispersion(marginalCasing, { tolerances: { casingYield: 0.1 }, runs: 12, seed: 2, gridPoints: 50 });
+  info(`Thin wall: CATO ${marginal.cato.count}/12, 95% interval ${(marginal.cato.interval.low * 100).toFixed(0)}-${(marginal.cato.interval.high * 100).toFixed(0)}%`);
+  if (assertTrue(marginal.cato.count > 0 && marginal.cato.count < 12, 'Marginal casing gives a CATO probability between 0 and 1')) passed++; else failed++;
+  if (assertTrue(marginal.runs.every(({ deviations, summary }) => (summary.minSafetyFactors.casing < 1) === (marginal.nominal.minSafetyFactors.casing * (1 + deviations.casingYield) < 1)), 'Runs past yield are those whose yield deviation used up the margin')) passed++; else failed++;
+  if (assertTrue(marginal.cato.checks.casing.count === marginal.cato.count && marginal.cato.checks.casing.probability === marginal.cato.probability, 'CATO is the casing past yield')) passed++; else failed++;
+  const weakRing = { ...defaultConfig, casing: { ...defaultConfig.casing, closure: CLOSURE_TYPES.SNAP_RING, snapRingThickness: 0.0004 } };
+  const ringDispersion = await runDispersion(weakRing, { tolerances: {}, runs: 3, gridPoints: 50 });
+  info(`Thin snap ring: closure shear SF ${ringDispersion.nominal.minSafetyFactors.closureShear.toFixed(2)}, casing SF ${ringDispersion.nominal.minSafetyFactors.casing.toFixed(2)}`);
+  if (assertTrue(ringDispersion.cato.count === 0 && ringDispersion.cato.checks.closureShear.probability === 1, 'A closure past yield is reported apart from the casing CATO')) passed++; else failed++;
+  const envelopeOrdered = ['thrust', 'pressure'].every(key => marginal.envelope[key].min.every((v, i) => v <= marginal.envelope[key].p5[i] && marginal.envelope[key].p5[i] <= marginal.envelope[key].median[i] && marginal.envelope[key].median[i] <= marginal.envelope[key].p95[i] && marginal.envelope[key].p95[i] <= marginal.envelope[key].max[i]));
+  if (assertTrue(envelopeOrdered, 'Envelope bands are ordered min ≤ 5% ≤ median ≤ 95% ≤ max')) passed++; else failed++;
+  
+  header('Sweep Tests');
+  
+  if (assertTrue(JSON.stringify(getSweepValues('segments', { min: 1, max: 6, steps: 10 })) === '[1,2,3,4,5,6]', 'Integer sweeps round and drop repeats')) passed++; else failed++;
+  const throatSteps = getSweepValues('throatDiameter', { min: 0.008, max: 0.010, steps: 3 });
+  if (assertClose(throatSteps[1], 0.009, 1e-12, 'Numeric sweeps are evenly spaced')) passed++; else failed++;
+  if (assertTrue(applySweepValue(defaultConfig, 'propellant', 'KNDX').propellant === PROPELLANTS.KNDX && defaultConfig.propellant === PROPELLANTS.KNSB, 'Propellant sweeps swap the propellant by key')) passed++; else failed++;
+  const segmentBounds = getTornadoBounds({ ...defaultConfig, grainConfig: { ...defaultConfig.grainConfig, segments: 1 } }, 'segments');
+  if (assertTrue(segmentBounds.low === 1 && segmentBounds.high === 2, 'Segment tornado steps one segment, never below one')) passed++; else failed++;
+  const sweep = await runSweep(defaultConfig, {
+    parameters: [{ key: 'throatDiameter', values: throatSteps }, { key: 'propellant', values: ['KNSB', 'KNDX'] }],
+  });
+  info(`Sweep peak pressure (MPa): ${sweep.cells.map(row => row.map(cell => (cell.maxPressure / 1e6).toFixed(2)).join(' / ')).join(', ')}`);
+  if (assertTrue(sweep.cells.length === 3 && sweep.cells.every(row => row.length === 2), 'Two-parameter sweep fills the grid')) passed++; else failed++;
+  if (assertTrue(sweep.cells.every((row, i) => i === 0 || row.every((cell, j) => cell.maxPressure < sweep.cells[i - 1][j].maxPressure)), 'A wider throat lowers peak pressure for each propellant')) passed++; else failed++;
+  if (assertClose(sweep.cells[1][0].totalImpulse, summarizeBurn(simulateMotor(defaultConfig, { timeStep: 0.02 })).totalImpulse, 1e-9, 'The nominal grid point matches a plain solve')) passed++; else failed++;
+  const tornadoInputs = ['throatDiameter', 'coreDiameter', 'segmentLength'].map(key => ({ key, ...getTornadoBounds(defaultConfig, key, 0.1) }));
+  const ranking = await runTornado(defaultConfig, { parameters: tornadoInputs, metric: 'maxPressure' });
+  info(`Tornado: ${ranking.bars.map(bar => `${bar.key} ${(bar.swing / 1e6).toFixed(2)} MPa`).join(', ')}`);
+  if (assertTrue(ranking.bars.every((bar, i) => i === 0 || bar.swing <= ranking.bars[i - 1].swing), 'Tornado bars are ranked by swing')) passed++; else failed++;
+  if (assertTrue(ranking.bars[0].key === 'throatDiameter' && ranking.bars[0].lowValue > ranking.nominal && ranking.bars[0].highValue < ranking.nominal, 'Throat diameter leads peak pressure, falling as it opens')) passed++; else failed++;
+  
+  header('Test Summary');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
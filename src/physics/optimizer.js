@@ -0,0 +1,238 @@
+/**
+ * Motor Design Optimizer
+ * Multi-objective search over grain and nozzle dimensions for the
+ * Pareto-optimal designs
+ *
+ * Each objective becomes a cost to minimize: distance from a target (impulse,
+ * average thrust), how far a ceiling or floor is broken (peak pressure,
+ * safety factor) or the Kn spread itself. The search starts from the current
+ * design and a Latin hypercube over the free variables, then for a few
+ * generations mutates members of the Pareto set with a shrinking step. CATO
+ * and hang-fire designs are kept but never make the Pareto set. Grain
+ * variables are grain 1's; the other grains of a stack move with it.
+ */
+import { simulateMotor, summarizeBurn } from './motorPhysics.js';
+import { createRandom } from './random.js';
+
+const MUTATION_SCALE = 0.15; // Share of each variable's range, first generation
+
+// What to optimize; kind sets how the goal turns into a cost
+export const OBJECTIVES = {
+  totalImpulse: { label: 'Total Impulse', unit: 'N·s', scale: 1, kind: 'target' },
+  averageThrust: { label: 'Average Thrust', unit: 'N', scale: 1, kind: 'target' },
+  maxPressure: { label: 'Peak Pressure', unit: 'MPa', scale: 1e-6, kind: 'ceiling' },
+  knRatio: { label: 'Kn Max/Min', unit: '', scale: 1, kind: 'minimize' },
+  minSafetyFactor: { label: 'Min Safety Factor', unit: '', scale: 1, kind: 'floor' },
+};
+
+// Grain and nozzle dimensions the search may change (values in SI, shown × scale)
+export const DESIGN_VARIABLES = {
+  coreDiameter: { label: 'Core Diameter', unit: 'mm', scale: 1000, integer: false },
+  segments: { label: 'Segments', unit: '', scale: 1, integer: true },
+  throatDiameter: { label: 'Throat Diameter', unit: 'mm', scale: 1000, integer: false },
+  segmentLength: { label: 'Segment Length', unit: 'mm', scale: 1000, integer: false },
+};
+
+/**
+ * Current value of each design variable in a motor config
+ */
+export function getDesignValues(config) {
+  return {
+    coreDiameter: 2 * config.grainConfig.coreRadius,
+    segments: config.grainConfig.segments || 1,
+    throatDiameter: config.nozzle.throatDiameter,
+    segmentLength: config.grainConfig.length,
+  };
+}
+
+/**
+ * Default search range of a design variable around the current config
+ */
+export function getDefaultBounds(config, key) {
+  const current = getDesignValues(config)[key];
+  switch (key) {
+    case 'coreDiameter': {
+      const grainDiameter = 2 * config.grainConfig.outerRadius;
+      return { min: 0.2 * grainDiameter, max: 0.7 * grainDiameter };
+    }
+    case 'segments': return { min: 1, max: 6 };
+    default: return { min: 0.5 * current, max: 1.5 * current };
+  }
+}
+
+/**
+ * Config changes for a set of design values, in the shape updateConfig takes
+ * The exit diameter follows the throat so the expansion ratio is kept.
+ */
+export function getDesignPatch(config, values) {
+  const grainConfig = {};
+  const patch = {};
+  if (values.coreDiameter !== undefined) grainConfig.coreRadius = values.coreDiameter / 2;
+  if (values.segments !== undefined) grainConfig.segments = values.segments;
+  if (values.segmentLength !== undefined) grainConfig.length = values.segmentLength;
+  if (Object.keys(grainConfig).length > 0) patch.grainConfig = grainConfig;
+  if (values.throatDiameter !== undefined) {
+    const expansion = config.nozzle.exitDiameter / config.nozzle.throatDiameter;
+    patch.nozzle = { throatDiameter: values.throatDiameter, exitDiameter: values.throatDiameter * expansion };
+  }
+  return patch;
+}
+
+/**
+ * A grain change made to grain 1 (first), carried over to another grain of
+ * the stack relative to its own dimensions: the core and segment length by
+ * the same ratio, the segment count by the same step
+ */
+export function scaleGrainChange(grain, first, change) {
+  const next = {};
+  const ratio = (key) => (first[key] > 0 ? grain[key] * change[key] / first[key] : change[key]);
+  if (change.coreRadius !== undefined && grain.coreRadius !== undefined) next.coreRadius = ratio('coreRadius');
+  if (change.length !== undefined && grain.length !== undefined) next.length = ratio('length');
+  if (change.segments !== undefined) next.segments = Math.max((grain.segments || 1) + change.segments - (first.segments || 1), 1);
+  return next;
+}
+
+/**
+ * Motor config with a design patch applied
+ * Grain values are grain 1's; the other grains of a stack keep their own
+ * dimensions and move with it (see scaleGrainChange).
+ */
+export function applyDesignPatch(config, patch) {
+  const next = { ...config };
+  if (patch.grainConfig) {
+    next.grainConfig = { ...config.grainConfig, ...patch.grainConfig };
+    if (config.grains?.length) {
+      next.grains = config.grains.map(grain => ({ ...grain, ...scaleGrainChange(grain, config.grainConfig, patch.grainConfig) }));
+    }
+  }
+  if (patch.nozzle) next.nozzle = { ...config.nozzle, ...patch.nozzle };
+  return next;
+}
+
+/**
+ * Cost of one objective for a burn summary (0 is met; lower is better)
+ */
+export function calculateObjectiveCost(key, summary, goal) {
+  const value = summary[key];
+  switch (OBJECTIVES[key].kind) {
+    case 'target': return Math.abs(value - goal) / Math.abs(goal || 1);
+    case 'ceiling': return Math.max(value - goal, 0) / Math.abs(goal || 1);
+    case 'floor': return Math.max(goal - value, 0) / Math.abs(goal || 1);
+    default: return value - 1;
+  }
+}
+
+// a dominates b: no worse on any cost and better on one
+function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] > b[i]) return false;
+    if (a[i] < b[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Designs no other design dominates; infeasible designs are left out
+ */
+export function findParetoSet(designs) {
+  const feasible = designs.filter(design => design.feasible);
+  return feasible.filter(design => !feasible.some(other => other !== design && dominates(other.costs, design.costs)));
+}
+
+// Latin hypercube: one sample per stratum of every variable, strata shuffled per variable
+function latinHypercube(count, dimensions, random) {
+  const columns = Array.from({ length: dimensions }, () => {
+    const strata = Array.from({ length: count }, (_, i) => (i + random()) / count);
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [strata[i], strata[j]] = [strata[j], strata[i]];
+    }
+    return strata;
+  });
+  return Array.from({ length: count }, (_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * Search the design space for the Pareto-optimal motors
+ * objectives: [{ key, goal }] from OBJECTIVES (goal unused for knRatio);
+ * variables: [{ key, min, max }] from DESIGN_VARIABLES, in SI units.
+ * Evaluates the current design, samples Latin-hypercube designs, then runs
+ * generations of offspring bred from the Pareto set. Yields to the event loop
+ * between burns so a page stays responsive; onProgress(done, total) reports
+ * along the way, and aborting signal (an AbortSignal) stops the search with
+ * the designs found so far. The seed makes the run repeatable.
+ * Returns { designs, pareto }, each design { values, patch, summary, costs, feasible }.
+ */
+export async function optimizeMotor(config, {
+  objectives,
+  variables,
+  samples = 24,
+  generations = 3,
+  offspring = 12,
+  seed = 1,
+  solverOptions = { timeStep: 0.02 },
+  onProgress,
+  signal,
+} = {}) {
+  if (!objectives?.length) throw new Error('Pick at least one objective');
+  if (!variables?.length) throw new Error('Pick at least one design variable');
+  variables.forEach(({ key, min, max }) => {
+    if (!DESIGN_VARIABLES[key]) throw new Error(`Unknown design variable ${key}`);
+    if (!(max > min) || !(min > 0)) throw new Error(`${DESIGN_VARIABLES[key].label} needs 0 < min < max`);
+  });
+
+  const random = createRandom(seed);
+  const total = 1 + samples + generations * offspring;
+  const designs = [];
+  const seen = new Set();
+  let attempted = 0;
+
+  // Normalized position (0-1 per variable) to design values, integers rounded
+  const toValues = (position) => Object.fromEntries(variables.map(({ key, min, max }, i) => {
+    const value = min + Math.min(Math.max(position[i], 0), 1) * (max - min);
+    return [key, DESIGN_VARIABLES[key].integer ? Math.round(value) : value];
+  }));
+  const toPosition = (values) => variables.map(({ key, min, max }) => (values[key] - min) / (max - min));
+
+  const evaluate = async (values) => {
+    if (signal?.aborted) return;
+    attempted++;
+    const id = variables.map(({ key }) => values[key].toPrecision(6)).join('|');
+    if (seen.has(id)) return;
+    seen.add(id);
+    const patch = getDesignPatch(config, values);
+    const summary = summarizeBurn(simulateMotor(applyDesignPatch(config, patch), solverOptions));
+    designs.push({
+      values,
+      patch,
+      summary,
+      costs: objectives.map(({ key, goal }) => calculateObjectiveCost(key, summary, goal)),
+      feasible: !summary.hasExploded && !summary.isHangFire,
+    });
+    if (onProgress) onProgress(attempted, total);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  };
+
+  // The current design (clamped into the bounds), then a space-filling spread
+  const current = getDesignValues(config);
+  await evaluate(toValues(toPosition(current)));
+  for (const position of latinHypercube(samples, variables.length, random)) {
+    await evaluate(toValues(position));
+  }
+
+  // Breed from the Pareto set with a step that halves each generation
+  for (let generation = 0; generation < generations; generation++) {
+    const parents = findParetoSet(designs);
+    if (parents.length === 0) break;
+    const step = MUTATION_SCALE / 2 ** generation;
+    for (let i = 0; i < offspring; i++) {
+      const parent = parents[Math.floor(random() * parents.length)];
+      const position = toPosition(parent.values).map(x => x + (2 * random() - 1) * step);
+      await evaluate(toValues(position));
+    }
+  }
+
+  const pareto = findParetoSet(designs).sort((a, b) => a.costs[0] - b.costs[0]);
+  return { designs, pareto };
+}
@@ -0,0 +1,31 @@
+/**
+ * Seeded Random Numbers
+ * Repeatable pseudo-random sequences, so a search or sampling run with the
+ * same seed gives the same designs
+ */
+
+/**
+ * Uniform generator on [0, 1) from a 32-bit seed (mulberry32)
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw from a uniform generator (Box-Muller)
+ * With limit, draws beyond ±limit standard deviations are redrawn, as parts
+ * outside their tolerance band are rejected at inspection.
+ */
+export function sampleNormal(random, limit = Infinity) {
+  for (;;) {
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    if (Math.abs(z) <= limit) return z;
+  }
+}
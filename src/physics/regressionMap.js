@@ -0,0 +1,466 @@
+/**
+ * Level-Set Grain Regression
+ * Fast-marching distance map for arbitrary core cross-sections (OpenMotor method)
+ *
+ * The grain face is sampled on a square grid. Every grid point stores how far
+ * the burning surface must regress before it reaches that point, so the
+ * burning perimeter at web w is the w-contour of the map and the port is
+ * everything below w.
+ */
+
+const MAP_SIZE = 201; // Grid points across the grain face
+const TABLE_STEPS = 80; // Web steps in the precomputed regression table
+const CURVE_SEGMENTS = 16; // Line segments per flattened SVG curve
+
+/**
+ * Normalize a core shape definition into polygons of {x, y} points in meters
+ * Accepts { type: 'polygon', points: [[x, y], ...] } in meters, or
+ * { type: 'svg', path: 'M ... Z', scale } with path units converted by scale (default mm)
+ */
+export function parseCoreShape(coreShape) {
+  if (!coreShape) throw new Error('No core shape defined');
+
+  let polygons;
+  if (coreShape.type === 'svg') {
+    polygons = parseSvgPath(coreShape.path || '', coreShape.scale ?? 0.001);
+  } else {
+    const points = (coreShape.points || []).map(([x, y]) => ({ x, y }));
+    polygons = [points];
+  }
+
+  polygons = polygons.filter(poly => poly.length >= 3);
+  if (polygons.length === 0) {
+    throw new Error('Core shape needs at least one closed outline with 3 or more points');
+  }
+  return polygons;
+}
+
+/**
+ * Flatten an SVG path into closed polygons
+ * Supports M, L, H, V, C, S, Q, T, A and Z (absolute and relative)
+ */
+export function parseSvgPath(path, scale = 0.001) {
+  const tokens = path.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[A-Za-z]/g) || [];
+  const polygons = [];
+  let current = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+
+  const isCommand = (t) => /^[A-Za-z]$/.test(t);
+  const next = () => {
+    const value = parseFloat(tokens[i++]);
+    if (isNaN(value)) throw new Error(`Malformed SVG path near "${tokens[i - 1] ?? 'end'}"`);
+    return value;
+  };
+  const lineTo = (nx, ny) => {
+    x = nx;
+    y = ny;
+    current.push({ x, y });
+  };
+  const closePath = () => {
+    if (current.length > 0) polygons.push(current);
+    current = [];
+    x = startX;
+    y = startY;
+  };
+
+  while (i < tokens.length) {
+    if (isCommand(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      throw new Error('SVG path must start with a command');
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        if (current.length > 0) polygons.push(current);
+        current = [];
+        lineTo(ox + next(), oy + next());
+        startX = x;
+        startY = y;
+        // Further coordinate pairs are implicit line-tos
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        break;
+      }
+      case 'L':
+        lineTo(ox + next(), oy + next());
+        lastControl = null;
+        break;
+      case 'H':
+        lineTo(ox + next(), y);
+        lastControl = null;
+        break;
+      case 'V':
+        lineTo(x, oy + next());
+        lastControl = null;
+        break;
+      case 'C':
+      case 'S': {
+        let c1;
+        if (command.toUpperCase() === 'C') {
+          c1 = { x: ox + next(), y: oy + next() };
+        } else {
+          c1 = lastControl ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y } : { x, y };
+        }
+        const c2 = { x: ox + next(), y: oy + next() };
+        const end = { x: ox + next(), y: oy + next() };
+        const p0 = { x, y };
+        for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+          const t = s / CURVE_SEGMENTS;
+          const u = 1 - t;
+          lineTo(
+            u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+            u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y,
+          );
+        }
+        lastControl = c2;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let c;
+        if (command.toUpperCase() === 'Q') {
+          c = { x: ox + next(), y: oy + next() };
+        } else {
+          c = lastControl ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y } : { x, y };
+        }
+        const end = { x: ox + next(), y: oy + next() };
+        const p0 = { x, y };
+        for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+          const t = s / CURVE_SEGMENTS;
+          const u = 1 - t;
+          lineTo(
+            u * u * p0.x + 2 * u * t * c.x + t * t * end.x,
+            u * u * p0.y + 2 * u * t * c.y + t * t * end.y,
+          );
+        }
+        lastControl = c;
+        break;
+      }
+      case 'A': {
+        const rx = next();
+        const ry = next();
+        const rotation = next();
+        const largeArc = next() !== 0;
+        const sweep = next() !== 0;
+        const end = { x: ox + next(), y: oy + next() };
+        arcPoints(x, y, rx, ry, rotation, largeArc, sweep, end.x, end.y).forEach(p => lineTo(p.x, p.y));
+        lastControl = null;
+        break;
+      }
+      case 'Z':
+        closePath();
+        command = null;
+        lastControl = null;
+        break;
+      default:
+        throw new Error(`Unsupported SVG path command "${command}"`);
+    }
+  }
+
+  if (current.length > 0) polygons.push(current);
+
+  return polygons.map(poly => {
+    // Drop a repeated closing point
+    const first = poly[0];
+    const last = poly[poly.length - 1];
+    const open = poly.length > 1 && first.x === last.x && first.y === last.y ? poly.slice(0, -1) : poly;
+    return open.map(p => ({ x: p.x * scale, y: p.y * scale }));
+  });
+}
+
+/**
+ * Points along an SVG elliptical arc (endpoint to center parameterization)
+ */
+function arcPoints(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [{ x: x2, y: y2 }];
+
+  const phi = (rotationDeg * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up if they cannot span the endpoints
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(num / den, 0));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let dTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && dTheta > 0) dTheta -= 2 * Math.PI;
+  if (sweep && dTheta < 0) dTheta += 2 * Math.PI;
+
+  const points = [];
+  for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+    const t = theta1 + (dTheta * s) / CURVE_SEGMENTS;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push({ x: cosPhi * ex - sinPhi * ey + cx, y: sinPhi * ex + cosPhi * ey + cy });
+  }
+  return points;
+}
+
+/**
+ * Even-odd point-in-polygon test across all outlines
+ */
+function insidePolygons(polygons, px, py) {
+  let inside = false;
+  for (const poly of polygons) {
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const a = poly[i];
+      const b = poly[j];
+      if ((a.y > py) !== (b.y > py) && px < ((b.x - a.x) * (py - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+function distanceToOutlines(polygons, px, py) {
+  let d = Infinity;
+  for (const poly of polygons) {
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const a = poly[j];
+      const b = poly[i];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const lenSq = ex * ex + ey * ey || 1e-30;
+      const u = Math.min(Math.max(((px - a.x) * ex + (py - a.y) * ey) / lenSq, 0), 1);
+      d = Math.min(d, Math.hypot(px - (a.x + u * ex), py - (a.y + u * ey)));
+    }
+  }
+  return d;
+}
+
+/**
+ * Build the regression distance map with the fast-marching method
+ * Points inside the port get their (negative) distance to the outline, points
+ * right next to it the exact distance; the rest is marched outward by solving
+ * the eikonal equation |∇T| = 1 on the grid
+ */
+export function buildRegressionMap(polygons, outerRadius, size = MAP_SIZE) {
+  const cell = (2 * outerRadius) / (size - 1);
+  const count = size * size;
+  const distance = new Float64Array(count).fill(Infinity);
+  const known = new Uint8Array(count);
+  const inGrain = new Uint8Array(count);
+  const heap = new MinHeap();
+
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const k = j * size + i;
+      const x = -outerRadius + i * cell;
+      const y = -outerRadius + j * cell;
+      inGrain[k] = x * x + y * y <= outerRadius * outerRadius ? 1 : 0;
+
+      const edge = distanceToOutlines(polygons, x, y);
+      if (insidePolygons(polygons, x, y)) {
+        distance[k] = -edge;
+        known[k] = 1;
+      } else if (edge <= 1.5 * cell) {
+        distance[k] = edge;
+        known[k] = 1;
+      }
+    }
+  }
+
+  const solve = (i, j) => {
+    const value = (ii, jj) => {
+      if (ii < 0 || jj < 0 || ii >= size || jj >= size) return Infinity;
+      const k = jj * size + ii;
+      return known[k] ? distance[k] : Infinity;
+    };
+    const a = Math.min(value(i - 1, j), value(i + 1, j));
+    const b = Math.min(value(i, j - 1), value(i, j + 1));
+    if (!isFinite(a) && !isFinite(b)) return Infinity;
+    if (Math.abs(a - b) >= cell) return Math.min(a, b) + cell;
+    return (a + b + Math.sqrt(2 * cell * cell - (a - b) * (a - b))) / 2;
+  };
+
+  const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+  const updateNeighbours = (i, j) => {
+    for (const [di, dj] of neighbours) {
+      const ni = i + di;
+      const nj = j + dj;
+      if (ni < 0 || nj < 0 || ni >= size || nj >= size) continue;
+      const nk = nj * size + ni;
+      if (known[nk]) continue;
+      const t = solve(ni, nj);
+      if (t < distance[nk]) {
+        distance[nk] = t;
+        heap.push(nk, t);
+      }
+    }
+  };
+
+  // Narrow band around the seeded points, then march outward
+  for (let k = 0; k < count; k++) {
+    if (known[k]) updateNeighbours(k % size, Math.floor(k / size));
+  }
+  while (heap.size > 0) {
+    const k = heap.pop();
+    if (known[k]) continue;
+    known[k] = 1;
+    updateNeighbours(k % size, Math.floor(k / size));
+  }
+
+  let webThickness = 0;
+  for (let k = 0; k < count; k++) {
+    if (inGrain[k]) webThickness = Math.max(webThickness, distance[k]);
+  }
+
+  return { size, cell, outerRadius, distance, inGrain, webThickness };
+}
+
+/**
+ * Burning perimeter (marching-squares contour length) and port area at web w
+ * Only contour inside the outer grain wall counts as burning surface
+ */
+export function extractMapProfile(map, web) {
+  const { size, cell, outerRadius, distance, inGrain } = map;
+  const R2 = outerRadius * outerRadius;
+  let perimeter = 0;
+  let portArea = 0;
+
+  for (let k = 0; k < size * size; k++) {
+    if (!inGrain[k]) continue;
+    // Partial coverage of the grid cell around this point
+    portArea += Math.min(Math.max(0.5 + (web - distance[k]) / cell, 0), 1) * cell * cell;
+  }
+
+  const crossing = (x1, y1, d1, x2, y2, d2) => {
+    const f = (web - d1) / (d2 - d1);
+    return { x: x1 + (x2 - x1) * f, y: y1 + (y2 - y1) * f };
+  };
+
+  for (let j = 0; j < size - 1; j++) {
+    for (let i = 0; i < size - 1; i++) {
+      const x0 = -outerRadius + i * cell;
+      const y0 = -outerRadius + j * cell;
+      const x1 = x0 + cell;
+      const y1 = y0 + cell;
+      const d00 = distance[j * size + i];
+      const d10 = distance[j * size + i + 1];
+      const d11 = distance[(j + 1) * size + i + 1];
+      const d01 = distance[(j + 1) * size + i];
+
+      // Edge crossings of the w-contour around this cell
+      const points = [];
+      if ((d00 < web) !== (d10 < web)) points.push(crossing(x0, y0, d00, x1, y0, d10));
+      if ((d10 < web) !== (d11 < web)) points.push(crossing(x1, y0, d10, x1, y1, d11));
+      if ((d11 < web) !== (d01 < web)) points.push(crossing(x1, y1, d11, x0, y1, d01));
+      if ((d01 < web) !== (d00 < web)) points.push(crossing(x0, y1, d01, x0, y0, d00));
+
+      for (let p = 0; p + 1 < points.length; p += 2) {
+        const a = points[p];
+        const b = points[p + 1];
+        const mx = (a.x + b.x) / 2;
+        const my = (a.y + b.y) / 2;
+        if (mx * mx + my * my < R2) perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+      }
+    }
+  }
+
+  return { perimeter, portArea };
+}
+
+/**
+ * Regression table (same layout as the analytic core tables) from a core shape
+ */
+export function buildMapRegressionTable(coreShape, outerRadius) {
+  const map = buildRegressionMap(parseCoreShape(coreShape), outerRadius);
+  const { webThickness } = map;
+
+  const web = [];
+  const perimeter = [];
+  const portArea = [];
+  for (let i = 0; i <= TABLE_STEPS; i++) {
+    const w = (webThickness * i) / TABLE_STEPS;
+    const profile = extractMapProfile(map, w);
+    web.push(w);
+    perimeter.push(profile.perimeter);
+    portArea.push(profile.portArea);
+  }
+
+  return { webThickness, web, perimeter, portArea };
+}
+
+/**
+ * Binary min-heap of grid indices keyed by tentative distance
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, key) {
+    this.items.push(item);
+    this.keys.push(key);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] <= this.keys[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastKey = this.keys.pop();
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.keys[0] = lastKey;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.keys[left] < this.keys[smallest]) smallest = left;
+        if (right < this.items.length && this.keys[right] < this.keys[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.keys[a], this.keys[b]] = [this.keys[b], this.keys[a]];
+  }
+}
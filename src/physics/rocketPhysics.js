@@ -321,8 +321,11 @@ export function calculateFinCN(fin, bodyDiameter, finCount) {
 
 /**
  * Calculate rocket's center of gravity
+ * motor ({ length, burnoutCG, propellantCG }, CGs from the motor's forward
+ * end) places the motor with its aft end flush with the mount's; without it
+ * the casing and propellant CGs are estimated from the mount.
  */
-export function calculateCG(rocketConfig, motorMass = 0, propellantMass = 0) {
+export function calculateCG(rocketConfig, motorMass = 0, propellantMass = 0, motor = null) {
   let totalMass = 0;
   let momentSum = 0;
   
@@ -378,13 +381,18 @@ export function calculateCG(rocketConfig, motorMass = 0, propellantMass = 0) {
     momentSum += rocketConfig.camera.mass * rocketConfig.camera.position;
   }
   
-  // Motor (at motor mount position)
-  const motorCG = rocketConfig.motorMount.position + rocketConfig.motorMount.length * 0.5;
+  // Motor hardware (at motor mount position)
+  const { motorMount } = rocketConfig;
+  const hasLayout = motor?.length > 0 && Number.isFinite(motor.burnoutCG);
+  const motorFront = hasLayout ? motorMount.position + motorMount.length - motor.length : motorMount.position;
+  const motorCG = hasLayout ? motorFront + motor.burnoutCG : motorMount.position + motorMount.length * 0.5;
   totalMass += motorMass;
   momentSum += motorMass * motorCG;
   
   // Propellant (slightly forward of motor end due to grain)
-  const propCG = rocketConfig.motorMount.position + rocketConfig.motorMount.length * 0.4;
+  const propCG = hasLayout && Number.isFinite(motor.propellantCG)
+    ? motorFront + motor.propellantCG
+    : motorMount.position + motorMount.length * 0.4;
   totalMass += propellantMass;
   momentSum += propellantMass * propCG;
   
@@ -450,8 +458,8 @@ export function calculateCP(rocketConfig) {
 /**
  * Calculate static stability margin in calibers
  */
-export function calculateStabilityMargin(rocketConfig, motorMass = 0, propellantMass = 0) {
-  const { cg, totalMass } = calculateCG(rocketConfig, motorMass, propellantMass);
+export function calculateStabilityMargin(rocketConfig, motorMass = 0, propellantMass = 0, motor = null) {
+  const { cg, totalMass } = calculateCG(rocketConfig, motorMass, propellantMass, motor);
   const { cp } = calculateCP(rocketConfig);
   
   const bodyDiameter = rocketConfig.noseCone.diameter;
@@ -520,7 +528,7 @@ export function calculateBaseCd(rocketConfig) {
 export class RocketFlightSimulation {
   constructor(rocketConfig, motorData) {
     this.rocketConfig = { ...DEFAULT_ROCKET_CONFIG, ...rocketConfig };
-    this.motorData = motorData; // { thrustCurve: [{time, thrust}], totalImpulse, propellantMass, motorMass, burnTime }
+    this.motorData = motorData; // { thrustCurve: [{time, thrust}], totalImpulse, propellantMass, motorMass, burnTime, length?, burnoutCG?, propellantCG? }
     
     this.reset();
   }
@@ -585,7 +593,8 @@ export class RocketFlightSimulation {
     this.stability = calculateStabilityMargin(
       this.rocketConfig,
       motorMass,
-      this.propellantRemaining
+      this.propellantRemaining,
+      this.motorData
     );
   }
   
@@ -97,6 +97,14 @@ async function runTests() {
   if (assertTrue(stability.stabilityMargin > 0.5, 'Stability margin > 0.5 cal')) passed++; else failed++;
   if (assertTrue(stability.totalMass > 0.2, 'Total mass > 200g')) passed++; else failed++;
   
+  // A motor whose hardware sits aft (heavy nozzle end) moves the CG aft of the mount-midpoint estimate
+  const mount = DEFAULT_ROCKET_CONFIG.motorMount;
+  const aftHeavy = calculateStabilityMargin(DEFAULT_ROCKET_CONFIG, 0.15, 0.1, {
+    length: mount.length, burnoutCG: mount.length * 0.7, propellantCG: mount.length * 0.4,
+  });
+  info(`CG with aft-heavy motor layout: ${(aftHeavy.cg * 1000).toFixed(1)}mm from nose`);
+  if (assertTrue(aftHeavy.cg > stability.cg, 'Aft hardware CG moves the rocket CG aft')) passed++; else failed++;
+  
   header('Flight Simulation Tests');
   
   // Create mock motor data (similar to G motor)
@@ -0,0 +1,141 @@
+/**
+ * Static-Fire Comparison
+ * Loads measured thrust (and pressure) curves, compares them with the
+ * simulated history and calibrates the burn rate and nozzle efficiency to match
+ *
+ * Both curves are summarized the same way: burn time runs from the first to
+ * the last sample above BURN_THRESHOLD of peak thrust, and impulse is the
+ * trapezoidal integral of the whole curve.
+ */
+import { simulateMotorAsync, calculatePropellantVolume, CONSTANTS } from './motorPhysics.js';
+
+const BURN_THRESHOLD = 0.05; // Fraction of peak thrust that bounds the burn time
+const CALIBRATION_TOLERANCE = 0.005; // Relative burn-time error that ends calibration
+const CALIBRATION_ITERATIONS = 8;
+
+/**
+ * Parse a static-fire CSV of time (s), thrust (N) and optional pressure (MPa gauge)
+ * Columns are found by header name (time/t, thrust/force, pressure); without a
+ * header they are taken in that order. Pressure is returned absolute in MPa so
+ * it lines up with the simulated history.
+ */
+export function parseStaticFireCsv(text, ambientPressure = CONSTANTS.ATMOSPHERIC_PRESSURE) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+  const isNumeric = (cells) => cells.length >= 2 && cells.slice(0, 2).every(cell => cell !== '' && isFinite(Number(cell)));
+
+  let columns = { time: 0, thrust: 1, pressure: 2 };
+  const header = lines.find(cells => cells.some(cell => cell !== '') && !isNumeric(cells));
+  if (header && lines.indexOf(header) < lines.findIndex(isNumeric)) {
+    const find = (pattern) => header.findIndex(cell => pattern.test(cell));
+    columns = {
+      time: find(/^t$|time/i),
+      thrust: find(/thrust|force/i),
+      pressure: find(/pressure|^p\b/i),
+    };
+    if (columns.time < 0 || columns.thrust < 0) throw new Error('CSV header needs time and thrust columns');
+  }
+
+  const rows = lines.filter(isNumeric).map(cells => cells.map(Number));
+  if (rows.length < 3) throw new Error('Static-fire data needs at least three rows');
+  rows.sort((a, b) => a[columns.time] - b[columns.time]);
+
+  const hasPressure = columns.pressure >= 0 && rows.every(row => isFinite(row[columns.pressure]));
+  return {
+    time: rows.map(row => row[columns.time]),
+    thrust: rows.map(row => row[columns.thrust]),
+    pressure: hasPressure ? rows.map(row => row[columns.pressure] + ambientPressure / 1e6) : null,
+  };
+}
+
+/**
+ * Impulse, peak and average thrust, burn time and Isp of a thrust curve
+ * propellantMass (kg) gives the delivered Isp; it is null without one
+ */
+export function summarizeCurve(time, thrust, propellantMass = 0) {
+  let totalImpulse = 0;
+  for (let i = 1; i < time.length; i++) {
+    totalImpulse += 0.5 * (thrust[i] + thrust[i - 1]) * (time[i] - time[i - 1]);
+  }
+  const peakThrust = Math.max(0, ...thrust);
+  const threshold = peakThrust * BURN_THRESHOLD;
+  const first = thrust.findIndex(f => f >= threshold);
+  const last = thrust.length - 1 - [...thrust].reverse().findIndex(f => f >= threshold);
+  const burnTime = peakThrust > 0 ? time[last] - time[first] : 0;
+
+  return {
+    totalImpulse,
+    peakThrust,
+    burnTime,
+    averageThrust: burnTime > 0 ? totalImpulse / burnTime : 0,
+    specificImpulse: propellantMass > 0 ? totalImpulse / (propellantMass * CONSTANTS.GRAVITY) : null,
+  };
+}
+
+/**
+ * Compare a simulated history with static-fire data
+ * Deltas are relative, (simulated - measured) / measured
+ */
+export function compareWithTest(history, test, propellantMass = 0) {
+  const simulated = summarizeCurve(history.time, history.thrust, propellantMass);
+  const measured = summarizeCurve(test.time, test.thrust, propellantMass);
+  if (test.pressure) {
+    simulated.peakPressure = Math.max(0, ...history.pressure);
+    measured.peakPressure = Math.max(0, ...test.pressure);
+  }
+
+  const deltas = {};
+  Object.keys(measured).forEach(key => {
+    if (measured[key] > 0 && simulated[key] != null) deltas[key] = (simulated[key] - measured[key]) / measured[key];
+  });
+  return { simulated, measured, deltas };
+}
+
+/**
+ * Calibrate a motor config against static-fire data
+ * The burn-rate scale is iterated until the simulated burn time matches the
+ * test (burn time goes as scale^(-1/(1-n))), then the nozzle efficiency is set
+ * so the impulse matches, thrust being proportional to it.
+ * Every burn is solved in chunks (simulateMotorAsync with solverOptions);
+ * onProgress(fraction) reports against the most burns calibration can take,
+ * and aborting signal (an AbortSignal) stops it, resolving null.
+ * Resolves the calibration and the comparison of the calibrated motor.
+ */
+export async function calibrateToTest(config, test, { solverOptions, onProgress, signal } = {}) {
+  const calibration = { burnRateScale: 1, nozzleEfficiency: 1, ...config.calibration };
+  const measured = summarizeCurve(test.time, test.thrust);
+  if (!(measured.burnTime > 0 && measured.totalImpulse > 0)) throw new Error('Static-fire data has no thrust');
+
+  const exponent = Math.min(Math.max(config.propellant.burnRateExponent || 0, 0), 0.8);
+  let runs = 0;
+  // One burn with the calibration so far; null once aborted
+  const burn = async () => {
+    const run = runs++;
+    return simulateMotorAsync({ ...config, calibration: { ...calibration } }, solverOptions, {
+      signal,
+      onProgress: onProgress && ((fraction) => onProgress((run + fraction) / (CALIBRATION_ITERATIONS + 1))),
+    });
+  };
+
+  let simulation = null;
+  let iterations = 0;
+  for (; iterations < CALIBRATION_ITERATIONS; iterations++) {
+    simulation = await burn();
+    if (!simulation) return null;
+    const { burnTime } = summarizeCurve(simulation.history.time, simulation.history.thrust);
+    if (!(burnTime > 0)) throw new Error('Simulated motor produced no thrust');
+    if (Math.abs(burnTime / measured.burnTime - 1) < CALIBRATION_TOLERANCE) break;
+    calibration.burnRateScale *= Math.pow(burnTime / measured.burnTime, 1 - exponent);
+  }
+
+  const simulated = summarizeCurve(simulation.history.time, simulation.history.thrust);
+  calibration.nozzleEfficiency *= measured.totalImpulse / simulated.totalImpulse;
+
+  const calibrated = await burn();
+  if (!calibrated) return null;
+  const propellantMass = calculatePropellantVolume(config) * config.propellant.density;
+  return {
+    calibration,
+    iterations,
+    comparison: compareWithTest(calibrated.history, test, propellantMass),
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Parameter Sweep and Sensitivity Analysis
+ * Burns over a grid of one or two design parameters, and a one-at-a-time
+ * tornado ranking of how much each input moves a chosen result
+ *
+ * The numeric parameters are the optimizer's design variables and change the
+ * config the same way (the nozzle keeps its expansion ratio, grain values are
+ * grain 1's and the rest of the stack moves with it). Propellant sweeps step
+ * through named propellants and have no low/high, so they stay out of the
+ * tornado.
+ */
+import { simulateMotor, summarizeBurn, PROPELLANTS } from './motorPhysics.js';
+import { DESIGN_VARIABLES, getDesignValues, getDesignPatch, applyDesignPatch } from './optimizer.js';
+
+// Parameters a sweep can step through (values in SI, shown × scale)
+export const SWEEP_PARAMETERS = {
+  ...DESIGN_VARIABLES,
+  propellant: { label: 'Propellant', unit: '', scale: 1, categorical: true },
+};
+
+// Results plotted for every sweep
+export const SWEEP_METRICS = {
+  totalImpulse: { label: 'Total Impulse', unit: 'N·s', scale: 1 },
+  maxPressure: { label: 'Peak Pressure', unit: 'MPa', scale: 1e-6 },
+  burnTime: { label: 'Burn Time', unit: 's', scale: 1 },
+  minSafetyFactor: { label: 'Min Safety Factor', unit: '', scale: 1 },
+};
+
+/**
+ * Evenly spaced values from min to max; integer parameters are rounded and
+ * repeats dropped
+ */
+export function getSweepValues(key, { min, max, steps }) {
+  const count = Math.max(Math.round(steps), 1);
+  const values = Array.from({ length: count }, (_, i) => count === 1 ? min : min + (max - min) * i / (count - 1));
+  if (!SWEEP_PARAMETERS[key]?.integer) return values;
+  return [...new Set(values.map(Math.round))];
+}
+
+/**
+ * Low and high tornado inputs around the current config: ±fraction of the
+ * value, or one segment either side for the segment count
+ */
+export function getTornadoBounds(config, key, fraction = 0.1) {
+  const current = getDesignValues(config)[key];
+  if (SWEEP_PARAMETERS[key].integer) return { low: Math.max(current - 1, 1), high: current + 1 };
+  return { low: current * (1 - fraction), high: current * (1 + fraction) };
+}
+
+/**
+ * Motor config with one swept parameter set; propellants are looked up by key
+ */
+export function applySweepValue(config, key, value, propellants = PROPELLANTS) {
+  if (key === 'propellant') {
+    if (!propellants[value]) throw new Error(`Unknown propellant ${value}`);
+    return { ...config, propellant: propellants[value] };
+  }
+  if (!SWEEP_PARAMETERS[key]) throw new Error(`Unknown sweep parameter ${key}`);
+  return applyDesignPatch(config, getDesignPatch(config, { [key]: value }));
+}
+
+// Burn summaries for a list of configs, yielding to the event loop between burns
+async function burnAll(configs, { solverOptions, onProgress, signal }) {
+  const summaries = [];
+  for (const config of configs) {
+    if (signal?.aborted) break;
+    summaries.push(summarizeBurn(simulateMotor(config, solverOptions)));
+    if (onProgress) onProgress(summaries.length, configs.length);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return summaries;
+}
+
+/**
+ * Burn the motor over a grid of one or two parameters
+ * parameters: [{ key, values }] from SWEEP_PARAMETERS, values in SI units or
+ * propellant keys. onProgress(done, total) reports along the way, and
+ * aborting signal (an AbortSignal) stops early, leaving the rest of the grid null.
+ * Returns { parameters, cells }, cells[i][j] the burn summary at the i-th
+ * value of the first parameter and j-th of the second (j = 0 for one).
+ */
+export async function runSweep(config, {
+  parameters,
+  propellants = PROPELLANTS,
+  solverOptions = { timeStep: 0.02 },
+  onProgress,
+  signal,
+} = {}) {
+  if (!(parameters?.length >= 1 && parameters.length <= 2)) throw new Error('Sweep one or two parameters');
+  if (parameters.length === 2 && parameters[0].key === parameters[1].key) throw new Error('Sweep two different parameters');
+  if (parameters.some(({ values }) => !values?.length)) throw new Error('Every swept parameter needs at least one value');
+
+  const [first, second = { key: null, values: [null] }] = parameters;
+  const configs = first.values.flatMap(a => second.values.map(b => {
+    const swept = applySweepValue(config, first.key, a, propellants);
+    return second.key ? applySweepValue(swept, second.key, b, propellants) : swept;
+  }));
+  const summaries = await burnAll(configs, { solverOptions, onProgress, signal });
+
+  const cells = first.values.map((_, i) => second.values.map((_, j) => summaries[i * second.values.length + j] || null));
+  return { parameters, cells };
+}
+
+/**
+ * One-at-a-time sensitivity of a result to each input
+ * parameters: [{ key, low, high }] from the numeric SWEEP_PARAMETERS; metric
+ * is a burn summary key. Each input is moved to its low and high value with
+ * the rest held at the current config.
+ * Returns { metric, nominal, bars }, bars { key, low, high, lowValue,
+ * highValue, swing } sorted by the largest swing in the result first.
+ */
+export async function runTornado(config, {
+  parameters,
+  metric = 'maxPressure',
+  solverOptions = { timeStep: 0.02 },
+  onProgress,
+  signal,
+} = {}) {
+  if (!parameters?.length) throw new Error('Pick at least one input');
+  if (parameters.some(({ key }) => !SWEEP_PARAMETERS[key] || SWEEP_PARAMETERS[key].categorical)) {
+    throw new Error('Tornado inputs must be numeric parameters');
+  }
+
+  const configs = [config, ...parameters.flatMap(({ key, low, high }) => [
+    applySweepValue(config, key, low),
+    applySweepValue(config, key, high),
+  ])];
+  const summaries = await burnAll(configs, { solverOptions, onProgress, signal });
+  const nominal = summaries[0]?.[metric];
+
+  const bars = parameters
+    .map(({ key, low, high }, i) => {
+      const lowValue = summaries[1 + 2 * i]?.[metric];
+      const highValue = summaries[2 + 2 * i]?.[metric];
+      return { key, low, high, lowValue, highValue, swing: Math.abs(highValue - lowValue) };
+    })
+    .filter(bar => Number.isFinite(bar.swing))
+    .sort((a, b) => b.swing - a.swing);
+  return { metric, nominal, bars };
+}
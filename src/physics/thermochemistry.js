@@ -0,0 +1,514 @@
+/**
+ * Equilibrium Thermochemistry
+ * Minimum-Gibbs-energy combustion products for propellant formulations
+ *
+ * A formulation is a set of ingredient mass percentages. The chamber state is
+ * the adiabatic, constant-pressure equilibrium of the reactants (the NASA CEA
+ * element-potential method), and the exit state follows a frozen isentropic
+ * expansion. Thermodynamic data are JANAF/CODATA standard enthalpies and
+ * entropies with heat capacities tabulated at a few temperatures.
+ */
+
+const R = 8.314462; // J/(mol·K)
+const G0 = 9.80665; // m/s²
+const P_STANDARD = 1e5; // Pa, standard-state pressure of the species data
+const FUSION_BAND = 25; // K half-width over which latent heat of fusion is spread
+const TRACE_LOG = -40; // ln(nj/n) floor for trace gas species
+const MAX_ITERATIONS = 400;
+
+const ATOMIC_MASS = { C: 12.011, H: 1.008, O: 15.999, N: 14.007, K: 39.098, Cl: 35.45, Al: 26.982, Fe: 55.845 };
+
+// Temperatures (K) of the tabulated heat capacities
+const CP_TEMPERATURES = [298.15, 500, 1000, 1500, 2000, 3000, 4000];
+
+/**
+ * Product species
+ * hf: standard enthalpy of formation (kJ/mol), s: standard entropy (J/mol·K),
+ * cp: heat capacity (J/mol·K) at CP_TEMPERATURES, melt: { temperature, enthalpy (kJ/mol) }
+ */
+const SPECIES = [
+  { name: 'CO2', elements: { C: 1, O: 2 }, hf: -393.52, s: 213.79, cp: [37.13, 44.63, 54.31, 58.38, 60.35, 62.20, 63.00] },
+  { name: 'CO', elements: { C: 1, O: 1 }, hf: -110.53, s: 197.66, cp: [29.14, 29.79, 33.18, 35.22, 36.25, 37.22, 37.80] },
+  { name: 'H2O', elements: { H: 2, O: 1 }, hf: -241.83, s: 188.84, cp: [33.59, 35.23, 41.27, 47.06, 51.18, 55.74, 57.80] },
+  { name: 'H2', elements: { H: 2 }, hf: 0, s: 130.68, cp: [28.84, 29.26, 30.20, 32.30, 34.28, 37.09, 39.10] },
+  { name: 'H', elements: { H: 1 }, hf: 218.00, s: 114.72, cp: [20.79, 20.79, 20.79, 20.79, 20.79, 20.79, 20.79] },
+  { name: 'OH', elements: { O: 1, H: 1 }, hf: 37.28, s: 183.74, cp: [29.89, 29.48, 30.68, 32.94, 34.76, 36.62, 37.70] },
+  { name: 'O2', elements: { O: 2 }, hf: 0, s: 205.15, cp: [29.38, 31.09, 34.87, 36.56, 37.74, 39.90, 41.60] },
+  { name: 'O', elements: { O: 1 }, hf: 249.18, s: 161.06, cp: [21.91, 21.26, 20.92, 20.85, 20.84, 20.96, 21.20] },
+  { name: 'N2', elements: { N: 2 }, hf: 0, s: 191.61, cp: [29.12, 29.58, 32.70, 34.85, 35.97, 37.03, 37.60] },
+  { name: 'NO', elements: { N: 1, O: 1 }, hf: 91.27, s: 210.76, cp: [29.86, 30.49, 33.99, 35.80, 36.72, 37.70, 38.30] },
+  { name: 'N', elements: { N: 1 }, hf: 472.68, s: 153.30, cp: [20.79, 20.79, 20.79, 20.79, 20.79, 20.85, 21.00] },
+  { name: 'CH4', elements: { C: 1, H: 4 }, hf: -74.60, s: 186.25, cp: [35.69, 46.34, 71.80, 83.00, 88.10, 92.50, 94.50] },
+  { name: 'HCl', elements: { H: 1, Cl: 1 }, hf: -92.31, s: 186.90, cp: [29.14, 29.58, 31.63, 33.90, 35.58, 37.36, 38.30] },
+  { name: 'Cl', elements: { Cl: 1 }, hf: 121.30, s: 165.19, cp: [21.84, 22.74, 22.23, 21.78, 21.49, 21.15, 21.00] },
+  { name: 'Cl2', elements: { Cl: 2 }, hf: 0, s: 223.08, cp: [33.95, 36.06, 37.44, 37.98, 38.50, 39.40, 40.00] },
+  { name: 'K', elements: { K: 1 }, hf: 89.00, s: 160.34, cp: [20.79, 20.79, 20.79, 20.79, 20.90, 21.50, 22.50] },
+  { name: 'KOH', elements: { K: 1, O: 1, H: 1 }, hf: -232.0, s: 238.3, cp: [49.2, 52.5, 55.0, 56.0, 56.8, 57.5, 58.0] },
+  { name: 'KCl', elements: { K: 1, Cl: 1 }, hf: -214.6, s: 239.1, cp: [36.5, 37.4, 38.0, 38.3, 38.6, 39.0, 39.4] },
+  { name: 'Al', elements: { Al: 1 }, hf: 329.70, s: 164.55, cp: [21.39, 20.93, 20.80, 20.80, 20.86, 21.30, 22.00] },
+  { name: 'AlO', elements: { Al: 1, O: 1 }, hf: 66.94, s: 218.39, cp: [30.9, 33.9, 36.2, 37.1, 37.6, 38.2, 38.7] },
+  { name: 'AlCl', elements: { Al: 1, Cl: 1 }, hf: -51.46, s: 228.09, cp: [35.0, 36.6, 37.4, 37.7, 37.9, 38.2, 38.5] },
+  { name: 'AlCl3', elements: { Al: 1, Cl: 3 }, hf: -584.59, s: 314.43, cp: [71.8, 78.9, 82.1, 82.7, 82.9, 83.1, 83.1] },
+  { name: 'Al2O', elements: { Al: 2, O: 1 }, hf: -145.18, s: 252.28, cp: [45.7, 51.5, 55.5, 56.7, 57.2, 57.6, 57.9] },
+  { name: 'K2CO3(c)', condensed: true, elements: { K: 2, C: 1, O: 3 }, hf: -1151.0, s: 155.5, cp: [114.4, 140.0, 190.0, 209.2, 209.2, 209.2, 209.2], melt: { temperature: 1174, enthalpy: 27.6 } },
+  { name: 'KCl(c)', condensed: true, elements: { K: 1, Cl: 1 }, hf: -436.7, s: 82.6, cp: [51.3, 54.7, 63.0, 73.6, 73.6, 73.6, 73.6], melt: { temperature: 1044, enthalpy: 26.5 } },
+  { name: 'KOH(c)', condensed: true, elements: { K: 1, O: 1, H: 1 }, hf: -424.7, s: 78.9, cp: [64.9, 83.1, 83.1, 83.1, 83.1, 83.1, 83.1], melt: { temperature: 679, enthalpy: 9.4 } },
+  { name: 'Al2O3(c)', condensed: true, elements: { Al: 2, O: 3 }, hf: -1675.7, s: 50.92, cp: [79.0, 104.5, 125.0, 131.5, 135.5, 192.5, 192.5], melt: { temperature: 2327, enthalpy: 111.1 } },
+  { name: 'C(gr)', condensed: true, elements: { C: 1 }, hf: 0, s: 5.74, cp: [8.53, 14.6, 21.6, 23.6, 24.6, 25.6, 26.2] },
+  { name: 'Fe2O3(c)', condensed: true, elements: { Fe: 2, O: 3 }, hf: -824.2, s: 87.4, cp: [103.9, 130.0, 148.5, 142.0, 142.0, 142.0, 142.0] },
+];
+
+/**
+ * Formulation ingredients
+ * elements per mole, enthalpy of formation (kJ/mol) and density (kg/m³).
+ * HTPB is the cured binder per 100 g.
+ */
+export const INGREDIENTS = {
+  KNO3: { name: 'Potassium Nitrate (KNO3)', elements: { K: 1, N: 1, O: 3 }, hf: -494.63, density: 2109 },
+  SORBITOL: { name: 'Sorbitol', elements: { C: 6, H: 14, O: 6 }, hf: -1353.7, density: 1489 },
+  DEXTROSE: { name: 'Dextrose', elements: { C: 6, H: 12, O: 6 }, hf: -1273.3, density: 1540 },
+  SUCROSE: { name: 'Sucrose', elements: { C: 12, H: 22, O: 11 }, hf: -2226.1, density: 1587 },
+  AP: { name: 'Ammonium Perchlorate', elements: { N: 1, H: 4, Cl: 1, O: 4 }, hf: -295.77, density: 1950 },
+  HTPB: { name: 'HTPB Binder', elements: { C: 7.3165, H: 10.336, O: 0.1063 }, hf: -51.88, density: 930 },
+  AL: { name: 'Aluminum', elements: { Al: 1 }, hf: 0, density: 2700 },
+  FE2O3: { name: 'Iron Oxide (Fe2O3)', elements: { Fe: 2, O: 3 }, hf: -824.2, density: 5240 },
+  CARBON: { name: 'Carbon Black', elements: { C: 1 }, hf: 0, density: 1800 },
+};
+
+// Molar mass (kg/mol) of an element map
+function molarMass(elements) {
+  return Object.entries(elements).reduce((sum, [el, count]) => sum + ATOMIC_MASS[el] * count, 0) / 1000;
+}
+
+// Cumulative enthalpy and entropy at the tabulated temperatures
+SPECIES.forEach(sp => {
+  sp.molarMass = molarMass(sp.elements);
+  sp.hNodes = [sp.hf * 1000];
+  sp.sNodes = [sp.s];
+  for (let i = 1; i < CP_TEMPERATURES.length; i++) {
+    const T0 = CP_TEMPERATURES[i - 1];
+    const T1 = CP_TEMPERATURES[i];
+    const c0 = sp.cp[i - 1];
+    const k = (sp.cp[i] - c0) / (T1 - T0);
+    sp.hNodes.push(sp.hNodes[i - 1] + c0 * (T1 - T0) + (k / 2) * (T1 - T0) ** 2);
+    sp.sNodes.push(sp.sNodes[i - 1] + (c0 - k * T0) * Math.log(T1 / T0) + k * (T1 - T0));
+  }
+});
+
+/**
+ * Standard-state heat capacity, enthalpy and entropy of a species at T
+ * Heat capacity is linear between the tabulated points and constant outside
+ * them. Latent heat of fusion is spread over ±FUSION_BAND around the melting
+ * point and reported separately as latentCp.
+ */
+function thermo(sp, T) {
+  const temps = CP_TEMPERATURES;
+  const last = temps.length - 1;
+  let cp, h, s;
+  if (T <= temps[0]) {
+    cp = sp.cp[0];
+    h = sp.hNodes[0] + cp * (T - temps[0]);
+    s = sp.sNodes[0] + cp * Math.log(T / temps[0]);
+  } else if (T >= temps[last]) {
+    cp = sp.cp[last];
+    h = sp.hNodes[last] + cp * (T - temps[last]);
+    s = sp.sNodes[last] + cp * Math.log(T / temps[last]);
+  } else {
+    let i = 0;
+    while (T > temps[i + 1]) i++;
+    const T0 = temps[i];
+    const c0 = sp.cp[i];
+    const k = (sp.cp[i + 1] - c0) / (temps[i + 1] - T0);
+    cp = c0 + k * (T - T0);
+    h = sp.hNodes[i] + c0 * (T - T0) + (k / 2) * (T - T0) ** 2;
+    s = sp.sNodes[i] + (c0 - k * T0) * Math.log(T / T0) + k * (T - T0);
+  }
+
+  let latentCp = 0;
+  if (sp.melt) {
+    const { temperature, enthalpy } = sp.melt;
+    const molten = Math.min(Math.max((T - temperature + FUSION_BAND) / (2 * FUSION_BAND), 0), 1);
+    h += enthalpy * 1000 * molten;
+    s += (enthalpy * 1000 / temperature) * molten;
+    if (molten > 0 && molten < 1) latentCp = enthalpy * 1000 / (2 * FUSION_BAND);
+  }
+  return { cp, latentCp, h, s };
+}
+
+/**
+ * Normalize a formulation { INGREDIENT_KEY: mass percent } to mass fractions
+ */
+export function normalizeFormulation(formulation) {
+  const entries = Object.entries(formulation || {})
+    .map(([key, percent]) => [key, Number(percent)])
+    .filter(([, percent]) => percent > 0);
+  entries.forEach(([key]) => {
+    if (!INGREDIENTS[key]) throw new Error(`Unknown ingredient: ${key}`);
+  });
+  const total = entries.reduce((sum, [, percent]) => sum + percent, 0);
+  if (!(total > 0)) throw new Error('Formulation needs at least one ingredient');
+  return Object.fromEntries(entries.map(([key, percent]) => [key, percent / total]));
+}
+
+/**
+ * Reactant element moles (mol/kg), enthalpy (J/kg) and ideal density (kg/m³)
+ */
+export function calculateReactants(formulation) {
+  const fractions = normalizeFormulation(formulation);
+  const elements = {};
+  let enthalpy = 0;
+  let specificVolume = 0;
+
+  Object.entries(fractions).forEach(([key, fraction]) => {
+    const ingredient = INGREDIENTS[key];
+    const moles = fraction / molarMass(ingredient.elements);
+    Object.entries(ingredient.elements).forEach(([el, count]) => {
+      elements[el] = (elements[el] || 0) + moles * count;
+    });
+    enthalpy += moles * ingredient.hf * 1000;
+    specificVolume += fraction / ingredient.density;
+  });
+
+  return { elements, enthalpy, density: 1 / specificVolume };
+}
+
+// Solve A x = b in place by Gaussian elimination with partial pivoting
+function solveLinear(A, b) {
+  const size = b.length;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-300) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = col + 1; row < size; row++) {
+      const factor = A[row][col] / A[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < size; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+  const x = new Array(size);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < size; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Adiabatic equilibrium at constant pressure (Pa) for the given reactants
+ * Newton iteration on the element potentials, total gas moles and ln T, with
+ * condensed species added or removed until no phase can lower the Gibbs energy.
+ * Returns moles per kg of every species and the flame temperature.
+ */
+export function solveEquilibrium(reactants, pressure) {
+  const elements = Object.keys(reactants.elements);
+  const b0 = elements.map(el => reactants.elements[el]);
+  const usable = SPECIES.filter(sp => Object.keys(sp.elements).every(el => el in reactants.elements));
+  const gases = usable.filter(sp => !sp.condensed);
+  const condensed = usable.filter(sp => sp.condensed);
+  const a = (sp) => elements.map(el => sp.elements[el] || 0);
+  const gasA = gases.map(a);
+  const condA = condensed.map(a);
+  const L = elements.length;
+  const logP = Math.log(pressure / P_STANDARD);
+
+  // Condensed species are required for elements no gas can carry
+  const gasElements = new Set(gases.flatMap(sp => Object.keys(sp.elements)));
+  const active = condensed.map(sp => Object.keys(sp.elements).some(el => !gasElements.has(el)));
+
+  let lnT = Math.log(3000);
+  let n = 0.1;
+  let lnN = Math.log(n);
+  const lnNj = gases.map(() => Math.log(0.1 / gases.length));
+  const nc = condensed.map(() => 0);
+  let converged = false;
+  let pi = new Array(L).fill(0);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const T = Math.exp(lnT);
+    const nj = lnNj.map(Math.exp);
+    const gasThermo = gases.map(sp => thermo(sp, T));
+    const H = gasThermo.map(t => t.h / (R * T));
+    const mu = gasThermo.map((t, j) => H[j] - t.s / R + lnNj[j] - lnN + logP);
+    const condIndex = condensed.map((_, c) => c).filter(c => active[c]);
+    const condThermo = condIndex.map(c => thermo(condensed[c], T));
+    const Hc = condThermo.map(t => t.h / (R * T));
+    const muc = condThermo.map((t, k) => Hc[k] - t.s / R);
+
+    // Unknowns: π (L), Δn_c (active condensed), Δln n, Δln T
+    const C = condIndex.length;
+    const size = L + C + 2;
+    const A = Array.from({ length: size }, () => new Array(size).fill(0));
+    const rhs = new Array(size).fill(0);
+    const iN = L + C;
+    const iT = L + C + 1;
+
+    for (let i = 0; i < L; i++) {
+      let bi = 0;
+      let sum = 0;
+      let sumH = 0;
+      let sumMu = 0;
+      gases.forEach((_, j) => {
+        const anj = gasA[j][i] * nj[j];
+        if (anj === 0) return;
+        for (let k = 0; k < L; k++) A[i][k] += gasA[j][k] * anj;
+        bi += anj;
+        sum += anj;
+        sumH += anj * H[j];
+        sumMu += anj * mu[j];
+      });
+      condIndex.forEach((c, k) => {
+        A[i][L + k] = condA[c][i];
+        bi += condA[c][i] * nc[c];
+      });
+      A[i][iN] = sum;
+      A[i][iT] = sumH;
+      rhs[i] = b0[i] - bi + sumMu;
+    }
+
+    condIndex.forEach((c, k) => {
+      for (let i = 0; i < L; i++) A[L + k][i] = condA[c][i];
+      A[L + k][iT] = Hc[k];
+      rhs[L + k] = muc[k];
+    });
+
+    let nGas = 0;
+    let sumH = 0;
+    let sumMu = 0;
+    let sumHMu = 0;
+    let sumCp = 0;
+    let sumH2 = 0;
+    gases.forEach((_, j) => {
+      nGas += nj[j];
+      sumH += nj[j] * H[j];
+      sumMu += nj[j] * mu[j];
+      sumHMu += nj[j] * H[j] * mu[j];
+      sumCp += nj[j] * (gasThermo[j].cp + gasThermo[j].latentCp) / R;
+      sumH2 += nj[j] * H[j] * H[j];
+    });
+    let hTotal = sumH;
+    condIndex.forEach((c, k) => {
+      sumCp += nc[c] * (condThermo[k].cp + condThermo[k].latentCp) / R;
+      hTotal += nc[c] * Hc[k];
+    });
+
+    for (let i = 0; i < L; i++) {
+      let sumA = 0;
+      let sumAH = 0;
+      gases.forEach((_, j) => {
+        sumA += gasA[j][i] * nj[j];
+        sumAH += gasA[j][i] * nj[j] * H[j];
+      });
+      A[iN][i] = sumA;
+      A[iT][i] = sumAH;
+    }
+    A[iN][iN] = nGas - n;
+    A[iN][iT] = sumH;
+    rhs[iN] = n - nGas + sumMu;
+
+    condIndex.forEach((_, k) => {
+      A[iT][L + k] = Hc[k];
+    });
+    A[iT][iN] = sumH;
+    A[iT][iT] = sumCp + sumH2;
+    rhs[iT] = reactants.enthalpy / (R * T) - hTotal + sumHMu;
+
+    const x = solveLinear(A, rhs);
+    if (!x || x.some(v => !isFinite(v))) break;
+    pi = x.slice(0, L);
+    const dLnN = x[iN];
+    const dLnT = x[iT];
+    const dLnNj = gases.map((_, j) => {
+      let sum = -mu[j] + dLnN + H[j] * dLnT;
+      for (let i = 0; i < L; i++) sum += gasA[j][i] * pi[i];
+      return sum;
+    });
+
+    // Step limits from NASA RP-1311: major species by λ1, trace species by λ2
+    let largest = Math.max(5 * Math.abs(dLnT), 5 * Math.abs(dLnN));
+    let lambda2 = 1;
+    gases.forEach((_, j) => {
+      const logFraction = lnNj[j] - lnN;
+      if (logFraction > -18.420681) {
+        largest = Math.max(largest, Math.abs(dLnNj[j]));
+      } else if (dLnNj[j] >= 0) {
+        const limit = Math.abs((-logFraction - 9.2103404) / (dLnNj[j] - dLnN));
+        if (isFinite(limit)) lambda2 = Math.min(lambda2, limit);
+      }
+    });
+    const lambda = Math.min(1, largest > 2 ? 2 / largest : 1, lambda2);
+
+    lnT = Math.min(Math.max(lnT + lambda * dLnT, Math.log(200)), Math.log(6000));
+    lnN += lambda * dLnN;
+    n = Math.exp(lnN);
+    gases.forEach((_, j) => {
+      lnNj[j] = Math.max(lnNj[j] + lambda * dLnNj[j], lnN + TRACE_LOG);
+    });
+    condIndex.forEach((c, k) => {
+      nc[c] += lambda * x[L + k];
+    });
+
+    // Convergence
+    const gasError = gases.reduce((sum, _, j) => sum + nj[j] * Math.abs(dLnNj[j]), 0) / nGas;
+    const condError = condIndex.reduce((max, _, k) => Math.max(max, Math.abs(x[L + k])), 0) / Math.max(nGas, 1e-12);
+    if (gasError > 5e-6 || Math.abs(dLnN) > 5e-6 || Math.abs(dLnT) > 1e-4 || condError > 5e-6) continue;
+
+    // Drop condensed phases that went negative, then add the one that most lowers G
+    const negative = condIndex.filter(c => nc[c] <= 0);
+    if (negative.length > 0) {
+      negative.forEach(c => {
+        active[c] = false;
+        nc[c] = 0;
+      });
+      continue;
+    }
+    const Tn = Math.exp(lnT);
+    let best = -1;
+    let bestDrive = -1e-6;
+    condensed.forEach((sp, c) => {
+      if (active[c]) return;
+      const t = thermo(sp, Tn);
+      let drive = t.h / (R * Tn) - t.s / R;
+      for (let i = 0; i < L; i++) drive -= condA[c][i] * pi[i];
+      if (drive < bestDrive) {
+        bestDrive = drive;
+        best = c;
+      }
+    });
+    if (best >= 0) {
+      active[best] = true;
+      continue;
+    }
+    converged = true;
+    break;
+  }
+
+  if (!converged) throw new Error('Equilibrium solver did not converge for this formulation');
+
+  const T = Math.exp(lnT);
+  const moles = {};
+  gases.forEach((sp, j) => {
+    moles[sp.name] = Math.exp(lnNj[j]);
+  });
+  condensed.forEach((sp, c) => {
+    if (active[c] && nc[c] > 0) moles[sp.name] = nc[c];
+  });
+  return { temperature: T, pressure, moles };
+}
+
+// Mixture properties per kg for a fixed composition at T and P
+function mixture(moles, T, pressure) {
+  const logP = Math.log(pressure / P_STANDARD);
+  const nGas = SPECIES.reduce((sum, sp) => sum + (!sp.condensed && moles[sp.name] ? moles[sp.name] : 0), 0);
+  let enthalpy = 0;
+  let entropy = 0;
+  let cp = 0;
+  let condensedMass = 0;
+
+  SPECIES.forEach(sp => {
+    const n = moles[sp.name];
+    if (!n) return;
+    const t = thermo(sp, T);
+    enthalpy += n * t.h;
+    cp += n * t.cp;
+    if (sp.condensed) {
+      entropy += n * t.s;
+      condensedMass += n * sp.molarMass;
+    } else {
+      entropy += n * (t.s - R * (Math.log(n / nGas) + logP));
+    }
+  });
+
+  return {
+    enthalpy, // J/kg
+    entropy, // J/(kg·K)
+    cp, // J/(kg·K), frozen
+    gamma: cp / (cp - nGas * R),
+    molecularMass: 1000 / nGas, // kg/kmol, mass of the mixture per mole of gas
+    condensedFraction: condensedMass,
+  };
+}
+
+/**
+ * Chamber and exit properties of a formulation
+ * Chamber: adiabatic equilibrium at chamberPressure (Pa). Exit: frozen
+ * isentropic expansion to exitPressure (Pa). Gamma is the frozen two-phase
+ * value, with condensed products counted in the mixture heat capacity.
+ */
+export function calculateThermochemistry(formulation, chamberPressure = 6.895e6, exitPressure = 101325) {
+  const reactants = calculateReactants(formulation);
+  const equilibrium = solveEquilibrium(reactants, chamberPressure);
+  const { moles } = equilibrium;
+  const Tc = equilibrium.temperature;
+  const chamber = mixture(moles, Tc, chamberPressure);
+
+  const gamma = chamber.gamma;
+  const gasConstant = R * 1000 / chamber.molecularMass; // J/(kg·K)
+  const characteristicVelocity = Math.sqrt(gasConstant * Tc / gamma) *
+    Math.pow((gamma + 1) / 2, (gamma + 1) / (2 * (gamma - 1)));
+
+  // Exit temperature with the chamber entropy at exit pressure
+  let low = 200;
+  let high = Tc;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (mixture(moles, mid, exitPressure).entropy > chamber.entropy) high = mid;
+    else low = mid;
+  }
+  const Te = (low + high) / 2;
+  const exit = mixture(moles, Te, exitPressure);
+  const exitVelocity = Math.sqrt(Math.max(2 * (chamber.enthalpy - exit.enthalpy), 0));
+
+  const totalMoles = Object.values(moles).reduce((sum, n) => sum + n, 0);
+  const composition = Object.fromEntries(
+    Object.entries(moles)
+      .map(([name, n]) => [name, n / totalMoles])
+      .filter(([, fraction]) => fraction > 1e-4)
+      .sort((x, y) => y[1] - x[1])
+  );
+
+  return {
+    density: reactants.density,
+    combustionTemp: Tc,
+    molecularMass: chamber.molecularMass,
+    gamma,
+    characteristicVelocity,
+    condensedFraction: chamber.condensedFraction,
+    composition, // Mole fractions of the chamber products (condensed included)
+    exit: {
+      pressure: exitPressure,
+      temperature: Te,
+      gamma: exit.gamma,
+      velocity: exitVelocity,
+      specificImpulse: exitVelocity / G0,
+      thrustCoefficient: exitVelocity / characteristicVelocity,
+    },
+  };
+}
+
+/**
+ * Build a PROPELLANTS-style entry from a formulation (mass percent)
+ * Thermochemistry cannot predict burn rate, so the burn-rate law (and
+ * ignition energy and slag factor) come from the base propellant.
+ */
+export function createPropellantFromFormulation(name, formulation, base, chamberPressure = 6.895e6) {
+  const result = calculateThermochemistry(formulation, chamberPressure);
+  return {
+    ...base,
+    name,
+    density: Math.round(result.density),
+    characteristicVelocity: Math.round(result.characteristicVelocity),
+    gamma: Number(result.gamma.toFixed(4)),
+    combustionTemp: Math.round(result.combustionTemp),
+    molecularMass: Number(result.molecularMass.toFixed(2)),
+    condensedFraction: Number(result.condensedFraction.toFixed(3)),
+    formulation: Object.fromEntries(
+      Object.entries(normalizeFormulation(formulation)).map(([key, fraction]) => [key, Number((fraction * 100).toFixed(2))])
+    ), // Mass percent
+  };
+}
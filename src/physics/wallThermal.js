@@ -0,0 +1,192 @@
+/**
+ * Casing Wall Heat Conduction
+ * 1-D transient conduction through the layered chamber wall (insulation,
+ * liner, casing), with charring of the organic layers
+ *
+ * The wall is split into concentric finite-volume cells, CELLS_PER_LAYER per
+ * layer, with hot gas on the bore side and still air outside. Each step is
+ * advanced with backward Euler, which stays stable at any step size, so the
+ * thin, highly conductive metal cells need no sub-stepping.
+ *
+ * Layers with a charTemperature pyrolyze: heat that would lift a virgin cell
+ * past that temperature is spent on its heat of pyrolysis first, and the
+ * charred share of the cell conducts at charConductivity. Since charring runs
+ * in from the hot face, the charred shares add up to the char depth.
+ */
+
+const CELLS_PER_LAYER = 12;
+
+/**
+ * Wall state at a uniform starting temperature (K), nothing charred
+ * layers: [{ thickness (m), conductivity, density, specificHeat,
+ * charTemperature?, heatOfPyrolysis?, charConductivity? }], bore side first
+ */
+export function createWallState(layers, temperature) {
+  const count = layers.length * CELLS_PER_LAYER;
+  return {
+    temperatures: new Array(count).fill(temperature),
+    charFractions: new Array(count).fill(0),
+  };
+}
+
+// Radial cell layout: face radii, thickness and properties of every cell
+function buildCells(layers, innerRadius, charFractions) {
+  const cells = [];
+  let radius = innerRadius;
+  layers.forEach((layer, l) => {
+    const dr = layer.thickness / CELLS_PER_LAYER;
+    for (let i = 0; i < CELLS_PER_LAYER; i++) {
+      const charred = charFractions[cells.length] || 0;
+      const mass = layer.density * ((radius + dr) ** 2 - radius ** 2) / 2;
+      cells.push({
+        layer: l,
+        inner: radius,
+        outer: radius + dr,
+        dr,
+        conductivity: layer.conductivity + charred * ((layer.charConductivity ?? layer.conductivity) - layer.conductivity),
+        mass,
+        capacity: mass * layer.specificHeat,
+      });
+      radius += dr;
+    }
+  });
+  return cells;
+}
+
+// Tridiagonal solve (Thomas algorithm); a below, b on, c above the diagonal
+function solveTridiagonal(a, b, c, d) {
+  const n = b.length;
+  const cp = new Array(n);
+  const dp = new Array(n);
+  cp[0] = c[0] / b[0];
+  dp[0] = d[0] / b[0];
+  for (let i = 1; i < n; i++) {
+    const m = b[i] - a[i] * cp[i - 1];
+    cp[i] = c[i] / m;
+    dp[i] = (d[i] - a[i] * dp[i - 1]) / m;
+  }
+  const x = new Array(n);
+  x[n - 1] = dp[n - 1];
+  for (let i = n - 2; i >= 0; i--) x[i] = dp[i] - cp[i] * x[i + 1];
+  return x;
+}
+
+/**
+ * Advance the wall state by dt (s)
+ * innerRadius is the bore-side face of the first layer. boundary holds the gas
+ * temperature and film coefficient on the bore side (gasTemperature,
+ * gasCoefficient) and the same outside (ambientTemperature, outerCoefficient).
+ * Conductances are per radian per meter of length, so the cylinder's growing
+ * area through the wall is accounted for. A wall whose layers changed
+ * restarts at the ambient temperature.
+ */
+export function stepWallConduction(wall, layers, innerRadius, boundary, dt) {
+  const count = layers.length * CELLS_PER_LAYER;
+  if (wall.temperatures.length !== count) wall = createWallState(layers, boundary.ambientTemperature);
+  if (!(dt > 0)) return wall;
+
+  const cells = buildCells(layers, innerRadius, wall.charFractions);
+  const n = cells.length;
+
+  // Conductance between neighbouring cell centers, through the shared face
+  const between = (i) => cells[i].outer /
+    (cells[i].dr / (2 * cells[i].conductivity) + cells[i + 1].dr / (2 * cells[i + 1].conductivity));
+  const first = cells[0];
+  const last = cells[n - 1];
+  const gasSide = boundary.gasCoefficient > 0
+    ? first.inner / (1 / boundary.gasCoefficient + first.dr / (2 * first.conductivity))
+    : 0;
+  const airSide = boundary.outerCoefficient > 0
+    ? last.outer / (1 / boundary.outerCoefficient + last.dr / (2 * last.conductivity))
+    : 0;
+
+  const a = new Array(n).fill(0);
+  const b = new Array(n).fill(0);
+  const c = new Array(n).fill(0);
+  const d = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    const storage = cells[i].capacity / dt;
+    b[i] = storage;
+    d[i] = storage * wall.temperatures[i];
+    if (i > 0) {
+      const g = between(i - 1);
+      a[i] = -g;
+      b[i] += g;
+    }
+    if (i < n - 1) {
+      const g = between(i);
+      c[i] = -g;
+      b[i] += g;
+    }
+  }
+  b[0] += gasSide;
+  d[0] += gasSide * boundary.gasTemperature;
+  b[n - 1] += airSide;
+  d[n - 1] += airSide * boundary.ambientTemperature;
+
+  const temperatures = solveTridiagonal(a, b, c, d);
+
+  // Pyrolysis: heat above the char temperature goes into charring the virgin share first
+  const charFractions = wall.charFractions.slice();
+  cells.forEach((cell, i) => {
+    const { charTemperature, heatOfPyrolysis = 0 } = layers[cell.layer];
+    if (!(charTemperature > 0) || charFractions[i] >= 1 || temperatures[i] <= charTemperature) return;
+    const excess = cell.capacity * (temperatures[i] - charTemperature);
+    const needed = (1 - charFractions[i]) * heatOfPyrolysis * cell.mass;
+    if (excess < needed) {
+      charFractions[i] += excess / (heatOfPyrolysis * cell.mass);
+      temperatures[i] = charTemperature;
+    } else {
+      charFractions[i] = 1;
+      temperatures[i] = charTemperature + (excess - needed) / cell.capacity;
+    }
+  });
+
+  return { temperatures, charFractions };
+}
+
+/**
+ * Bore-side face, outer face and mean temperature (K) and char depth (m) of each layer
+ * Face temperatures come from the half-cell resistances either side of the
+ * face; the mean is volume-weighted across the layer.
+ */
+export function summarizeWall(wall, layers, innerRadius, boundary) {
+  if (wall.temperatures.length !== layers.length * CELLS_PER_LAYER) {
+    const T = boundary.ambientTemperature;
+    return layers.map(() => ({ inner: T, outer: T, mean: T, charDepth: 0 }));
+  }
+  const { temperatures, charFractions } = wall;
+  const cells = buildCells(layers, innerRadius, charFractions);
+
+  // Temperature at the face after cell i, weighting each side by its conductance
+  const halfConductance = (i) => 2 * cells[i].conductivity / cells[i].dr;
+  const face = (i) => {
+    if (i < 0) {
+      const h = boundary.gasCoefficient || 0;
+      return (h * boundary.gasTemperature + halfConductance(0) * temperatures[0]) / (h + halfConductance(0));
+    }
+    if (i >= cells.length - 1) {
+      const h = boundary.outerCoefficient || 0;
+      const k = halfConductance(i);
+      return (h * boundary.ambientTemperature + k * temperatures[i]) / (h + k);
+    }
+    const k1 = halfConductance(i);
+    const k2 = halfConductance(i + 1);
+    return (k1 * temperatures[i] + k2 * temperatures[i + 1]) / (k1 + k2);
+  };
+
+  return layers.map((_, l) => {
+    const start = l * CELLS_PER_LAYER;
+    const end = start + CELLS_PER_LAYER - 1;
+    let weighted = 0;
+    let volume = 0;
+    let charDepth = 0;
+    for (let i = start; i <= end; i++) {
+      const cellVolume = cells[i].outer ** 2 - cells[i].inner ** 2;
+      weighted += temperatures[i] * cellVolume;
+      volume += cellVolume;
+      charDepth += charFractions[i] * cells[i].dr;
+    }
+    return { inner: face(start - 1), outer: face(end), mean: weighted / volume, charDepth };
+  });
+}
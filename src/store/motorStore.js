@@ -2,14 +2,86 @@
  * Zustand store for motor simulation state management
  */
 import { create } from 'zustand';
-import { MotorSimulation, PROPELLANTS, MATERIALS, GRAIN_TYPES } from '../physics/motorPhysics';
+import {
+  MotorSimulation,
+  PROPELLANTS,
+  MATERIALS,
+  NOZZLE_MATERIALS,
+  GRAIN_TYPES,
+  INHIBITED_ENDS,
+  EROSIVE_MODELS,
+  CLOSURE_TYPES,
+  LINER_MATERIALS,
+  INSULATION_MATERIALS,
+  getGrains,
+  buildGrainStack,
+  patchGrainDrafts,
+  getDefaultInhibitedEnds,
+  validatePropellant,
+  simulateMotorAsync,
+  getMotorStateAt,
+} from '../physics/motorPhysics';
+import { parseCoreShape } from '../physics/regressionMap';
+import { parseStaticFireCsv, calibrateToTest } from '../physics/staticFire';
+import { calculateMotorHardware } from '../physics/motorHardware';
+import { applyDesignPatch } from '../physics/optimizer';
+
+export const MAX_GRAINS = 6;
+
+/**
+ * Rebuild the simulation's grain stack: grain 1 is the main grain config,
+ * the rest are the per-grain drafts on top of it
+ */
+function applyGrainStack(simulation, grainCount, grainDrafts) {
+  simulation.updateConfig({ grains: buildGrainStack(simulation.config.grainConfig, grainCount, grainDrafts) });
+}
+
+// Pre-ignition state of the current config; a replay or solve of an older config no longer applies
+function restingState(simulation) {
+  return { state: simulation.getState(), result: null, playbackTime: 0, isRunning: false, solving: null };
+}
+
+/**
+ * Run a chunked solve, solve({ signal, onProgress }), tracking its progress
+ * in `solving`. Resolves null once the solve is cancelled or a config change
+ * has replaced it, stopping it at its next chunk.
+ */
+async function trackSolve(set, get, solve) {
+  get().solving?.controller.abort();
+  const controller = new AbortController();
+  const isCurrent = () => get().solving?.controller === controller;
+  set({ solving: { controller, progress: 0 } });
+  
+  try {
+    const result = await solve({
+      signal: controller.signal,
+      onProgress: (progress) => {
+        if (isCurrent()) set({ solving: { controller, progress } });
+        else controller.abort();
+      },
+    });
+    return isCurrent() ? result : null;
+  } finally {
+    if (isCurrent()) set({ solving: null });
+  }
+}
+
+// Solve the current config's burn with the store's solver step
+function solveCurrentBurn(set, get) {
+  const { simulation, solverOptions } = get();
+  return trackSolve(set, get, (options) => simulateMotorAsync(simulation.config, solverOptions, options));
+}
 
 const useMotorStore = create((set, get) => ({
   // Simulation instance
   simulation: null,
   
-  // Simulation state
+  // Simulation state - after ignition, a replay of the precomputed burn
   state: null,
+  result: null, // simulateMotor output being replayed
+  playbackTime: 0, // s into the replay
+  solverOptions: { timeStep: 0.01, webStep: null }, // simulateMotor step: fixed, or adaptive with webStep (m)
+  solving: null, // { controller, progress } while the burn is being solved
   isRunning: false,
   timeScale: 1,
   
@@ -27,16 +99,25 @@ const useMotorStore = create((set, get) => ({
   showControls: true,
   
   // Page navigation
-  currentPage: 'simulator', // 'simulator' or 'report'
+  currentPage: 'simulator', // 'simulator', 'report', 'optimizer', 'dispersion', 'sweep' or 'rocket'
+  
+  // Propellants - user-defined ones sit alongside the built-in presets
+  customPropellants: {},
+  propellantKey: 'KNSB',
+  showPropellantEditor: false,
+  
+  // Static-fire data overlaid on the charts, and the last calibration against it
+  testData: null,
+  calibrationResult: null,
+  
+  // Grain stack - drafts for grains 2+ are kept even while hidden by the grain count
+  grainDrafts: [],
+  grainCount: 1,
   
   // Initialize simulation
   initSimulation: (config) => {
     const simulation = new MotorSimulation(config);
-    set({ 
-      simulation, 
-      state: simulation.getState(),
-      isRunning: false 
-    });
+    set({ simulation, ...restingState(simulation) });
   },
   
   // Update simulation config
@@ -44,24 +125,47 @@ const useMotorStore = create((set, get) => ({
     const { simulation } = get();
     if (simulation) {
       simulation.updateConfig(newConfig);
-      set({ state: simulation.getState() });
+      if (newConfig.grainConfig) {
+        applyGrainStack(simulation, get().grainCount, get().grainDrafts);
+      }
+      set(restingState(simulation));
     }
   },
   
-  // Ignite motor
-  ignite: () => {
-    const { simulation } = get();
-    if (simulation) {
-      simulation.ignite();
-      set({ isRunning: true, state: simulation.getState() });
+  // Load an optimizer design: grain values are grain 1's and the other grains move with it, as when it was evaluated
+  loadDesign: (patch) => {
+    const { simulation, grainDrafts, grainCount } = get();
+    if (!simulation) return;
+    if (patch.grainConfig) {
+      const { grains } = applyDesignPatch(simulation.config, patch);
+      const keys = Object.keys(patch.grainConfig);
+      set({ grainDrafts: patchGrainDrafts(grainDrafts, grainCount, (i) =>
+        Object.fromEntries(keys.filter(key => grains[i][key] !== undefined).map(key => [key, grains[i][key]]))) });
     }
+    get().updateConfig(patch);
+  },
+  
+  // Ignite motor: solve the whole burn up front, then replay it
+  ignite: async () => {
+    const { simulation, solving } = get();
+    if (!simulation || solving) return;
+    
+    const result = await solveCurrentBurn(set, get);
+    if (result) set({ result, playbackTime: 0, isRunning: true, state: getMotorStateAt(result, 0) });
+  },
+  
+  // Stop a burn solve part way, leaving the motor unlit
+  cancelSolve: () => {
+    get().solving?.controller.abort();
+    set({ solving: null });
   },
   
-  // Step simulation
+  // Advance the replay by a frame's worth of wall-clock time
   step: (deltaTime) => {
-    const { simulation, isRunning, timeScale } = get();
-    if (simulation && isRunning) {
-      const state = simulation.update(deltaTime * timeScale);
+    const { result, isRunning, timeScale } = get();
+    if (result && isRunning) {
+      const playbackTime = get().playbackTime + deltaTime * timeScale;
+      const state = getMotorStateAt(result, playbackTime);
       
       // Calculate camera shake based on thrust
       const maxThrust = 5000; // N
@@ -70,16 +174,16 @@ const useMotorStore = create((set, get) => ({
       // Add extra shake on explosion
       let cameraShake = shakeIntensity;
       if (state.hasExploded) {
-        const explosionAge = state.time - state.explosionTime;
+        const explosionAge = playbackTime - state.explosionTime;
         if (explosionAge < 0.5) {
           cameraShake = 0.1 * (1 - explosionAge / 0.5);
         }
       }
       
-      set({ state, cameraShake });
+      set({ state, playbackTime, cameraShake });
       
-      // Stop simulation if burned out or exploded
-      if (state.isBurnedOut || state.hasExploded) {
+      // Stop once the replay reaches the end of the burn (burnout, CATO or hang-fire)
+      if (playbackTime >= result.final.time) {
         set({ isRunning: false });
       }
     }
@@ -95,11 +199,7 @@ const useMotorStore = create((set, get) => ({
     const { simulation } = get();
     if (simulation) {
       simulation.reset();
-      set({ 
-        state: simulation.getState(),
-        isRunning: false,
-        cameraShake: 0 
-      });
+      set({ ...restingState(simulation), cameraShake: 0 });
     }
   },
   
@@ -108,6 +208,13 @@ const useMotorStore = create((set, get) => ({
     set({ timeScale: scale });
   },
   
+  // Set the burn solver's step; the current replay belongs to the old one
+  setSolverOptions: (options) => {
+    const { simulation } = get();
+    set({ solverOptions: { ...get().solverOptions, ...options } });
+    if (simulation) set(restingState(simulation));
+  },
+  
   // View mode setters
   setViewMode: (mode) => set({ viewMode: mode }),
   setShowHeatMap: (show) => set({ showHeatMap: show }),
@@ -116,14 +223,80 @@ const useMotorStore = create((set, get) => ({
   setShowCharts: (show) => set({ showCharts: show }),
   setShowControls: (show) => set({ showControls: show }),
   setCurrentPage: (page) => set({ currentPage: page }),
+  setShowPropellantEditor: (show) => set({ showPropellantEditor: show }),
   
-  // Set propellant
+  // Set propellant (built-in preset or saved custom propellant)
   setPropellant: (propellantKey) => {
     const { simulation } = get();
-    if (simulation && PROPELLANTS[propellantKey]) {
-      simulation.config.propellant = PROPELLANTS[propellantKey];
-      set({ state: simulation.getState() });
+    const propellant = PROPELLANTS[propellantKey] || get().customPropellants[propellantKey];
+    if (!propellant) return;
+    set({ propellantKey });
+    if (simulation) {
+      simulation.config.propellant = propellant;
+      set(restingState(simulation));
+    }
+  },
+  
+  // Save a custom propellant under a key derived from its name and switch the motor to it
+  // Returns the key, or null if the propellant is invalid
+  savePropellant: (propellant) => {
+    let checked;
+    try {
+      checked = validatePropellant(propellant);
+    } catch (err) {
+      alert('Invalid propellant: ' + err.message);
+      return null;
     }
+    
+    const key = 'CUSTOM_' + checked.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    set({ customPropellants: { ...get().customPropellants, [key]: checked } });
+    get().setPropellant(key);
+    return key;
+  },
+  
+  // Load a static-fire CSV (time, thrust, optional pressure) - returns false if it cannot be parsed
+  loadTestData: (text) => {
+    try {
+      const testData = parseStaticFireCsv(text, get().simulation?.config.nozzle.ambientPressure);
+      set({ testData, calibrationResult: null });
+      return true;
+    } catch (err) {
+      alert('Invalid static-fire data: ' + err.message);
+      return false;
+    }
+  },
+  
+  clearTestData: () => set({ testData: null, calibrationResult: null }),
+  
+  // Fit burn-rate scale and nozzle efficiency to the static fire, then show the calibrated burn
+  calibrateToTest: async () => {
+    const { simulation, testData } = get();
+    if (!simulation || !testData || get().solving) return null;
+    
+    let calibrationResult;
+    try {
+      calibrationResult = await trackSolve(set, get, (options) =>
+        calibrateToTest(simulation.config, testData, { ...options, solverOptions: get().solverOptions }));
+    } catch (err) {
+      alert('Calibration failed: ' + err.message);
+      return null;
+    }
+    if (!calibrationResult) return null;
+    
+    simulation.updateConfig({ calibration: calibrationResult.calibration });
+    set({ ...restingState(simulation), calibrationResult });
+    const result = await solveCurrentBurn(set, get);
+    if (result) set({ result, playbackTime: result.final.time, state: result.final });
+    return calibrationResult;
+  },
+  
+  // Back to the uncalibrated propellant burn rate and nozzle
+  resetCalibration: () => {
+    const { simulation } = get();
+    if (!simulation) return;
+    simulation.updateConfig({ calibration: { burnRateScale: 1, nozzleEfficiency: 1 } });
+    simulation.reset();
+    set({ ...restingState(simulation), calibrationResult: null });
   },
   
   // Set material
@@ -131,7 +304,16 @@ const useMotorStore = create((set, get) => ({
     const { simulation } = get();
     if (simulation && MATERIALS[materialKey]) {
       simulation.config.material = MATERIALS[materialKey];
-      set({ state: simulation.getState() });
+      set(restingState(simulation));
+    }
+  },
+  
+  // Set nozzle throat material
+  setNozzleMaterial: (materialKey) => {
+    const { simulation } = get();
+    if (simulation && NOZZLE_MATERIALS[materialKey]) {
+      simulation.updateConfig({ nozzle: { material: NOZZLE_MATERIALS[materialKey] } });
+      set(restingState(simulation));
     }
   },
   
@@ -139,11 +321,62 @@ const useMotorStore = create((set, get) => ({
   setGrainType: (grainType) => {
     const { simulation } = get();
     if (simulation) {
-      simulation.config.grainConfig.type = grainType;
-      set({ state: simulation.getState() });
+      // The new type starts from its own inhibited ends
+      const { inhibitedEnds, ...grainConfig } = simulation.config.grainConfig;
+      simulation.config.grainConfig = { ...grainConfig, type: grainType };
+      applyGrainStack(simulation, get().grainCount, get().grainDrafts);
+      set(restingState(simulation));
     }
   },
   
+  // Update grain 2+ of the stack (index is zero-based)
+  updateGrain: (index, changes) => {
+    const { simulation, grainCount } = get();
+    
+    const grainDrafts = [...get().grainDrafts];
+    const draft = { ...grainDrafts[index] };
+    // A new type starts from its own inhibited ends
+    if (changes.type !== undefined && changes.type !== draft.type) delete draft.inhibitedEnds;
+    grainDrafts[index] = { ...draft, ...changes };
+    set({ grainDrafts });
+    
+    if (simulation && index < grainCount) {
+      applyGrainStack(simulation, grainCount, grainDrafts);
+      set(restingState(simulation));
+    }
+  },
+  
+  // Set number of grains in the stack
+  setGrainCount: (count) => {
+    const { simulation, grainDrafts } = get();
+    if (!simulation) return;
+    
+    const grainCount = Math.min(Math.max(Math.round(count), 1), MAX_GRAINS);
+    applyGrainStack(simulation, grainCount, grainDrafts);
+    simulation.reset();
+    set({ grainCount, ...restingState(simulation) });
+  },
+  
+  // Set custom core outline (polygon or SVG path) - returns false if it cannot be used
+  setCoreShape: (coreShape) => {
+    const { simulation } = get();
+    if (!simulation) return false;
+    
+    try {
+      parseCoreShape(coreShape);
+    } catch (err) {
+      alert('Invalid core shape: ' + err.message);
+      return false;
+    }
+    
+    // One outline is shared by every custom-core grain in the stack
+    simulation.config.grainConfig = { ...simulation.config.grainConfig, coreShape };
+    applyGrainStack(simulation, get().grainCount, get().grainDrafts);
+    simulation.reset();
+    set(restingState(simulation));
+    return true;
+  },
+  
   // Export motor data to JSON file
   exportMotor: () => {
     const { simulation, state } = get();
@@ -152,24 +385,13 @@ const useMotorStore = create((set, get) => ({
       return null;
     }
     
-    // Calculate total propellant mass
+    // Mass, CG and length from the hardware layout
     const config = simulation.config;
-    const grainVolume = config.grainConfig.segments * (
-      Math.PI * (config.grainConfig.outerRadius ** 2 - config.grainConfig.coreRadius ** 2) * 
-      config.grainConfig.length
-    );
-    const propellantMass = grainVolume * config.propellant.density;
-    
-    // Estimate motor casing mass
-    const casingLength = config.grainConfig.segments * (config.grainConfig.length + 0.002); // 2mm gap
-    const casingVolume = Math.PI * (
-      (config.casing.innerRadius + config.casing.wallThickness) ** 2 - 
-      config.casing.innerRadius ** 2
-    ) * casingLength;
-    const casingMass = casingVolume * config.material.density;
-    
-    // Nozzle mass estimate
-    const nozzleMass = 0.05; // ~50g estimate
+    const hardware = calculateMotorHardware(config);
+    const propellantMass = hardware.propellantMass;
+    const partMass = (...keys) => hardware.parts
+      .filter(part => keys.includes(part.key))
+      .reduce((sum, part) => sum + part.mass, 0);
     
     const motorData = {
       version: '1.0',
@@ -189,16 +411,26 @@ const useMotorStore = create((set, get) => ({
       // Mass properties
       mass: {
         propellant: propellantMass,
-        casing: casingMass,
-        nozzle: nozzleMass,
-        total: propellantMass + casingMass + nozzleMass,
-        empty: casingMass + nozzleMass,
+        casing: partMass('casing'),
+        nozzle: partMass('nozzle'),
+        closures: partMass('forwardClosure', 'aftClosure', 'forwardRetainer', 'aftRetainer'),
+        liner: partMass('liner', 'insulation'),
+        total: hardware.loadedMass,
+        empty: hardware.burnoutMass,
+        parts: hardware.parts,
+      },
+      
+      // Centers of gravity, m from the forward end of the motor
+      cg: {
+        loaded: hardware.loadedCG,
+        burnout: hardware.burnoutCG,
+        propellant: hardware.propellantCG,
       },
       
       // Geometry
       geometry: {
-        diameter: config.casing.innerRadius * 2 + config.casing.wallThickness * 2,
-        length: casingLength + 0.03, // + nozzle
+        diameter: hardware.diameter,
+        length: hardware.length,
       },
       
       // Propellant info
@@ -223,8 +455,10 @@ const useMotorStore = create((set, get) => ({
       config: {
         propellant: config.propellant,
         grainConfig: config.grainConfig,
+        grains: getGrains(config),
         nozzle: config.nozzle,
         casing: config.casing,
+        hardware: config.hardware,
         material: config.material,
       },
     };
@@ -271,4 +505,4 @@ function getMotorClass(totalImpulse) {
 }
 
 export default useMotorStore;
-export { PROPELLANTS, MATERIALS, GRAIN_TYPES };
+export { PROPELLANTS, MATERIALS, NOZZLE_MATERIALS, GRAIN_TYPES, INHIBITED_ENDS, getDefaultInhibitedEnds, EROSIVE_MODELS, CLOSURE_TYPES, LINER_MATERIALS, INSULATION_MATERIALS };
@@ -231,7 +231,7 @@ const useRocketStore = create((set, get) => ({
       const motorMass = motorData?.motorMass || 0.15;
       const propellantMass = motorData?.propellantMass || 0.1;
       
-      const stability = calculateStabilityMargin(rocketConfig, motorMass, propellantMass);
+      const stability = calculateStabilityMargin(rocketConfig, motorMass, propellantMass, motorData);
       set({ stability });
     } catch (error) {
       console.error('Error calculating stability:', error);